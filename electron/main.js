@@ -1,6 +1,7 @@
-const { app, BrowserWindow, Tray, Menu, ipcMain, nativeImage, dialog } = require('electron');
+const { app, BrowserWindow, Tray, Menu, ipcMain, nativeImage, dialog, safeStorage } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const net = require('net');
@@ -331,6 +332,29 @@ ipcMain.handle('updater:restart-and-install', () => {
   return { success: true };
 });
 
+// ── DM history key (src/utils/dmStorage.js) ───────────────────────────────────
+// The secret that encrypts local DM history, one per account, stored only in
+// its safeStorage (OS keychain) encrypted form. Returns null when the system
+// has no real keychain; the renderer then derives it from the password.
+
+function getDMKeysDir() {
+  return path.join(app.getPath('userData'), 'novoice-dm-keys');
+}
+
+ipcMain.handle('dm-store:get-key', (_event, { userId }) => {
+  if (!safeStorage.isEncryptionAvailable()) return null;
+  if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend() === 'basic_text') return null;
+  if (typeof userId !== 'string' || !/^[\w-]{1,64}$/.test(userId)) throw new Error('Invalid user id');
+
+  const keyPath = path.join(getDMKeysDir(), `${userId}.key`);
+  if (fs.existsSync(keyPath)) return safeStorage.decryptString(fs.readFileSync(keyPath));
+
+  const secret = crypto.randomBytes(32).toString('base64');
+  fs.mkdirSync(getDMKeysDir(), { recursive: true });
+  fs.writeFileSync(keyPath, safeStorage.encryptString(secret), { mode: 0o600 });
+  return secret;
+});
+
 // ── Extensions (Community Apps) ───────────────────────────────────────────────
 
 function getExtensionsDir() {
@@ -37,5 +37,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
     readBundle: (data) => ipcRenderer.invoke('extensions:readBundle', data),
   },
 
+  // Keychain-protected key for the encrypted local DM history
+  dmStore: {
+    getKey: (userId) => ipcRenderer.invoke('dm-store:get-key', { userId }),
+  },
+
   isElectron: true,
 });
@@ -0,0 +1,99 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { toPostgres } = require('./sqlDialect');
+
+// ── PostgreSQL driver ──────────────────────────────────────────────────────
+// Same surface as the sql.js driver (prepare().get/all/run, exec, transaction),
+// but every call returns a Promise. Statements inside transaction() are routed
+// to the transaction's client through AsyncLocalStorage, so route code keeps
+// calling getDb() without passing a client around.
+
+class PostgresDatabase {
+  constructor(pool) {
+    this.dialect = 'postgres';
+    this._pool = pool;
+    this._txClient = new AsyncLocalStorage();
+  }
+
+  _client() {
+    return this._txClient.getStore() || this._pool;
+  }
+
+  async _query(sql, params = []) {
+    return this._client().query(toPostgres(sql), params);
+  }
+
+  checkpoint() {
+    // Postgres persists every committed statement itself
+  }
+
+  async close() {
+    await this._pool.end();
+  }
+
+  async exec(sql) {
+    await this._query(sql);
+  }
+
+  prepare(sql) {
+    const wrapper = this;
+
+    return {
+      async run(...params) {
+        const result = await wrapper._query(sql, params);
+        return { changes: result.rowCount || 0 };
+      },
+      async get(...params) {
+        const result = await wrapper._query(sql, params);
+        return result.rows[0] || undefined;
+      },
+      async all(...params) {
+        const result = await wrapper._query(sql, params);
+        return result.rows;
+      },
+    };
+  }
+
+  transaction(fn) {
+    const wrapper = this;
+    return async (...args) => {
+      // Nested transaction() calls join the outer one
+      if (wrapper._txClient.getStore()) return fn(...args);
+
+      const client = await wrapper._pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await wrapper._txClient.run(client, () => fn(...args));
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        try {
+          await client.query('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    };
+  }
+}
+
+async function openPostgresDatabase(connectionString) {
+  // Loaded lazily so sql.js-only installs (Electron local server) don't need pg
+  const { Pool, types } = require('pg');
+
+  // COUNT(*) and friends are BIGINT — return them as numbers like SQLite does
+  types.setTypeParser(types.builtins.INT8, (value) => parseInt(value, 10));
+
+  const pool = new Pool({
+    connectionString,
+    max: parseInt(process.env.DATABASE_POOL_SIZE, 10) || 10,
+  });
+
+  // Fail fast on a bad DATABASE_URL instead of on the first request
+  const client = await pool.connect();
+  client.release();
+
+  return new PostgresDatabase(pool);
+}
+
+module.exports = { PostgresDatabase, openPostgresDatabase };
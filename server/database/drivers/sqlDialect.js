@@ -0,0 +1,68 @@
+// ── SQLite → PostgreSQL statement translation ──────────────────────────────
+// Route code is written once, in SQLite syntax. The Postgres driver runs every
+// statement through toPostgres() so the same strings work on both backends.
+
+// SQLite's CURRENT_TIMESTAMP yields 'YYYY-MM-DD HH:MM:SS' (UTC) as text. The
+// client compares and pages on these strings, so Postgres stores the same shape.
+const PG_NOW = "to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')";
+
+const cache = new Map();
+
+/** Replaces `?` placeholders with `$1, $2, …`, skipping quoted literals. */
+function numberPlaceholders(sql) {
+  let out = '';
+  let index = 0;
+  let quote = null;
+
+  for (let i = 0; i < sql.length; i += 1) {
+    const ch = sql[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      out += ch;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      out += ch;
+    } else if (ch === '?') {
+      index += 1;
+      out += `$${index}`;
+    } else {
+      out += ch;
+    }
+  }
+
+  return out;
+}
+
+function translate(sql) {
+  let out = numberPlaceholders(sql);
+
+  // Column types
+  out = out.replace(/\bDATETIME\b/gi, 'TEXT');
+  out = out.replace(/\bCURRENT_TIMESTAMP\b/gi, `(${PG_NOW})`);
+
+  // SQLite does not enforce foreign keys (the pragma is off), and rows are
+  // deleted in whatever order the routes choose. Keep Postgres equally lenient.
+  out = out.replace(/,\s*FOREIGN KEY\s*\([^)]*\)\s*REFERENCES\s+\w+\s*\([^)]*\)/gi, '');
+
+  // Idempotent DDL
+  out = out.replace(/\bADD COLUMN\s+(?!IF NOT EXISTS)/gi, 'ADD COLUMN IF NOT EXISTS ');
+
+  // INSERT OR IGNORE → ON CONFLICT DO NOTHING
+  if (/\bINSERT\s+OR\s+IGNORE\s+INTO\b/i.test(out)) {
+    out = out.replace(/\bINSERT\s+OR\s+IGNORE\s+INTO\b/i, 'INSERT INTO');
+    out = `${out.replace(/[\s;]+$/, '')} ON CONFLICT DO NOTHING`;
+  }
+
+  return out;
+}
+
+function toPostgres(sql) {
+  let translated = cache.get(sql);
+  if (translated === undefined) {
+    translated = translate(sql);
+    cache.set(sql, translated);
+  }
+  return translated;
+}
+
+module.exports = { toPostgres };
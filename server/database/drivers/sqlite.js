@@ -0,0 +1,155 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const initSqlJs = require('sql.js');
+const fs = require('fs');
+const { DatabasePersister } = require('../persistence');
+
+// ── sql.js driver ──────────────────────────────────────────────────────────
+// In-memory SQLite, checkpointed to a single file by DatabasePersister.
+// Statements execute synchronously unless they have to wait for another
+// caller's transaction; callers always `await` them, so the same route code
+// works against the Postgres driver.
+
+class SqliteDatabase {
+  constructor(sqlDb, filePath) {
+    this.dialect = 'sqlite';
+    this._db = sqlDb;
+    // sql.js has a single connection, so one transaction is open at a time:
+    // the others queue, and statements from outside the open one (as well as
+    // snapshots, since export() ends it) wait until it's done
+    this._txContext = new AsyncLocalStorage();
+    this._activeTx = null;
+    this._txQueue = Promise.resolve();
+    this._persister = new DatabasePersister(() => this._whenFree(() => this._db.export()), filePath);
+  }
+
+  // Whether an open transaction belongs to some other caller
+  _blocked() {
+    return this._activeTx !== null && this._txContext.getStore() !== this._activeTx;
+  }
+
+  // Runs fn now, or — returning a promise — once no other caller's transaction is open
+  _whenFree(fn) {
+    if (!this._blocked()) return fn();
+    return (async () => {
+      while (this._blocked()) await this._txQueue;
+      return fn();
+    })();
+  }
+
+  // Marks the DB dirty — the persister decides when the file is actually written
+  _save() {
+    this._persister.markDirty();
+  }
+
+  /** Forces a synchronous write of the current state. */
+  checkpoint() {
+    this._persister.flushSync();
+  }
+
+  /** Writes any pending changes to disk. Call before the process exits. */
+  async close() {
+    await this._txQueue;
+    await this._persister.close();
+  }
+
+  exec(sql) {
+    return this._whenFree(() => {
+      this._db.run(sql);
+      if (!this._activeTx) this._save();
+    });
+  }
+
+  prepare(sql) {
+    const wrapper = this;
+    const sqlDb = this._db;
+
+    return {
+      run(...params) {
+        return wrapper._whenFree(() => {
+          sqlDb.run(sql, params);
+          if (!wrapper._activeTx) wrapper._save();
+          return { changes: sqlDb.getRowsModified() };
+        });
+      },
+      get(...params) {
+        return wrapper._whenFree(() => {
+          const stmt = sqlDb.prepare(sql);
+          if (params.length) stmt.bind(params);
+          let row;
+          if (stmt.step()) {
+            row = stmt.getAsObject();
+          }
+          stmt.free();
+          return row || undefined;
+        });
+      },
+      all(...params) {
+        return wrapper._whenFree(() => {
+          const results = [];
+          const stmt = sqlDb.prepare(sql);
+          if (params.length) stmt.bind(params);
+          while (stmt.step()) {
+            results.push(stmt.getAsObject());
+          }
+          stmt.free();
+          return results;
+        });
+      },
+    };
+  }
+
+  /**
+   * Wraps fn (sync or async) in BEGIN/COMMIT, rolling back when it throws.
+   * Resolves to fn's result once the transaction ran — after any transaction
+   * queued before it.
+   */
+  transaction(fn) {
+    const wrapper = this;
+
+    const run = async (args) => {
+      const token = {};
+      wrapper._activeTx = token;
+      try {
+        wrapper._db.run('BEGIN TRANSACTION');
+        const result = await wrapper._txContext.run(token, () => fn(...args));
+        wrapper._db.run('COMMIT');
+        wrapper._activeTx = null;
+        wrapper._save();
+        return result;
+      } catch (err) {
+        try {
+          wrapper._db.run('ROLLBACK');
+        } catch (_) {}
+        throw err;
+      } finally {
+        wrapper._activeTx = null;
+      }
+    };
+
+    return (...args) => {
+      // Nested transaction() calls join the outer one
+      if (wrapper._activeTx && wrapper._txContext.getStore() === wrapper._activeTx) {
+        return Promise.resolve().then(() => fn(...args));
+      }
+      const result = wrapper._txQueue.then(() => run(args));
+      wrapper._txQueue = result.catch(() => {});
+      return result;
+    };
+  }
+}
+
+async function openSqliteDatabase(filePath) {
+  const SQL = await initSqlJs();
+
+  let sqlDb;
+  if (fs.existsSync(filePath)) {
+    const fileBuffer = fs.readFileSync(filePath);
+    sqlDb = new SQL.Database(fileBuffer);
+  } else {
+    sqlDb = new SQL.Database();
+  }
+
+  return new SqliteDatabase(sqlDb, filePath);
+}
+
+module.exports = { SqliteDatabase, openSqliteDatabase };
@@ -0,0 +1,27 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Columns that were bolted on with ALTER TABLE before migrations were
+// versioned. Databases created by 001 already have them; older files may not.
+const COLUMNS = [
+  ['servers', 'server_type', "TEXT DEFAULT 'novoice'"],
+  ['servers', 'server_url', 'TEXT'],
+  ['channels', 'category_id', 'TEXT'],
+  // rule_blocks v2: hierarchical model (parent_id + sort_order)
+  ['rule_blocks', 'parent_id', 'TEXT DEFAULT NULL'],
+  ['rule_blocks', 'sort_order', 'INTEGER NOT NULL DEFAULT 0'],
+  // rule_blocks v3: grid row support (row_id + col_idx)
+  ['rule_blocks', 'row_id', 'TEXT DEFAULT NULL'],
+  ['rule_blocks', 'col_idx', 'INTEGER NOT NULL DEFAULT 0'],
+];
+
+module.exports = {
+  async up(db) {
+    for (const [table, column, definition] of COLUMNS) {
+      await addColumnIfMissing(db, table, column, definition);
+    }
+  },
+
+  // The columns are part of the baseline schema in 001 — rolling that back
+  // drops them together with their tables.
+  async down() {},
+};
@@ -0,0 +1,41 @@
+// Server roles with a permission bitset (see services/permissions.js).
+// Every server gets a default "@everyone" role whose id is the server id;
+// it applies to all members and is never stored in server_member_roles.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS server_roles (
+      id TEXT PRIMARY KEY,
+      server_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      color TEXT DEFAULT NULL,
+      permissions INTEGER NOT NULL DEFAULT 0,
+      position INTEGER NOT NULL DEFAULT 0,
+      is_default INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (server_id) REFERENCES servers(id)
+    )`);
+    await db.exec(`CREATE TABLE IF NOT EXISTS server_member_roles (
+      server_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (role_id, user_id),
+      FOREIGN KEY (server_id) REFERENCES servers(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (role_id) REFERENCES server_roles(id)
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_server_roles ON server_roles(server_id, position)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_server_member_roles ON server_member_roles(server_id, user_id)');
+
+    await db.exec(`
+      INSERT INTO server_roles (id, server_id, name, permissions, position, is_default)
+      SELECT id, id, '@everyone', 0, 0, 1 FROM servers
+    `);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS server_member_roles');
+    await db.exec('DROP TABLE IF EXISTS server_roles');
+  },
+};
@@ -0,0 +1,37 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Per-channel and per-category permission overwrites. A channel with
+// permissions_synced = 1 inside a category uses the category's overwrites.
+
+// VIEW_CHANNEL | SEND_MESSAGES | CONNECT | SPEAK — granted to @everyone so
+// existing servers keep working exactly as before
+const BASE_MEMBER_BITS = (1 << 12) | (1 << 13) | (1 << 14) | (1 << 15);
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS permission_overwrites (
+      id TEXT PRIMARY KEY,
+      server_id TEXT NOT NULL,
+      scope_type TEXT NOT NULL,
+      scope_id TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id TEXT NOT NULL,
+      allow INTEGER NOT NULL DEFAULT 0,
+      deny INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (server_id) REFERENCES servers(id),
+      UNIQUE(scope_id, target_type, target_id)
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_permission_overwrites ON permission_overwrites(server_id, scope_id)');
+
+    await addColumnIfMissing(db, 'channels', 'permissions_synced', 'INTEGER NOT NULL DEFAULT 1');
+
+    await db.exec(`UPDATE server_roles SET permissions = permissions | ${BASE_MEMBER_BITS} WHERE is_default = 1`);
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS permission_overwrites');
+    await db.exec(`UPDATE server_roles SET permissions = permissions & ~${BASE_MEMBER_BITS}`);
+    // channels.permissions_synced is left in place; it is harmless without overwrites
+  },
+};
@@ -0,0 +1,42 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Bans, member timeouts and the server audit log (see services/auditLog.js).
+// Ban and timeout expiries are ISO timestamps; NULL means a permanent ban.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS server_bans (
+      server_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      reason TEXT DEFAULT NULL,
+      banned_by TEXT NOT NULL,
+      expires_at TEXT DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (server_id, user_id),
+      FOREIGN KEY (server_id) REFERENCES servers(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    await addColumnIfMissing(db, 'server_members', 'timeout_until', 'TEXT DEFAULT NULL');
+
+    await db.exec(`CREATE TABLE IF NOT EXISTS audit_log (
+      id TEXT PRIMARY KEY,
+      server_id TEXT NOT NULL,
+      actor_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target_type TEXT DEFAULT NULL,
+      target_id TEXT DEFAULT NULL,
+      changes TEXT DEFAULT NULL,
+      reason TEXT DEFAULT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (server_id) REFERENCES servers(id)
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log ON audit_log(server_id, created_at)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS audit_log');
+    await db.exec('DROP TABLE IF EXISTS server_bans');
+    // server_members.timeout_until is left in place; it is ignored without this migration
+  },
+};
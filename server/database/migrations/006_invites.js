@@ -0,0 +1,38 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Many invite codes per server, each with its own limits (see routes/servers.js).
+// servers.invite_code stays as the server's default code and is backfilled
+// here as a permanent, unlimited invite created by the owner.
+// server_members records the invite a member joined with; members who joined
+// through a temporary invite are removed when they go offline without a role.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS invites (
+      code TEXT PRIMARY KEY,
+      server_id TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      max_uses INTEGER DEFAULT NULL,
+      uses INTEGER NOT NULL DEFAULT 0,
+      expires_at TEXT DEFAULT NULL,
+      temporary INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (server_id) REFERENCES servers(id),
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_invites_server ON invites(server_id)');
+
+    await db.exec(`
+      INSERT INTO invites (code, server_id, created_by)
+      SELECT invite_code, id, owner_id FROM servers
+    `);
+
+    await addColumnIfMissing(db, 'server_members', 'invite_code', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'server_members', 'temporary', 'INTEGER NOT NULL DEFAULT 0');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS invites');
+    // server_members.invite_code / temporary are left in place; they are ignored without this migration
+  },
+};
@@ -0,0 +1,13 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Channel messages can be edited; edited_at is the ISO time of the last edit.
+
+module.exports = {
+  async up(db) {
+    await addColumnIfMissing(db, 'messages', 'edited_at', 'TEXT DEFAULT NULL');
+  },
+
+  async down() {
+    // messages.edited_at is left in place; it is ignored without this migration
+  },
+};
@@ -0,0 +1,24 @@
+// Emoji reactions on messages, announcements, forum posts and forum replies
+// (see services/reactions.js). channel_id is denormalised from the target so
+// permission checks and channel/server deletes don't need to know each type.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS reactions (
+      target_type TEXT NOT NULL,
+      target_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      emoji TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (target_type, target_id, user_id, emoji),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (channel_id) REFERENCES channels(id)
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_reactions_channel ON reactions(channel_id)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS reactions');
+  },
+};
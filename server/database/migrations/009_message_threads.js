@@ -0,0 +1,19 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Replies and threads on channel messages. reply_to_id is the message being
+// quoted; thread_id is the top-level message whose side thread holds this
+// one. Thread messages stay out of the channel's main timeline.
+
+module.exports = {
+  async up(db) {
+    await addColumnIfMissing(db, 'messages', 'reply_to_id', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'messages', 'thread_id', 'TEXT DEFAULT NULL');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages(thread_id, created_at)');
+  },
+
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_messages_thread');
+    // messages.reply_to_id and messages.thread_id are left in place; without
+    // this migration thread messages would show up in the main timeline
+  },
+};
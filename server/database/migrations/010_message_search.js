@@ -0,0 +1,58 @@
+// Full-text index over channel message content (see services/search.js).
+//
+// SQLite keeps a messages_fts virtual table keyed by messages.rowid and synced
+// by triggers. It uses FTS5 where the build has it; the stock sql.js build
+// only ships FTS3/4, so it falls back to FTS4 — both accept the `term*`
+// prefix queries the search service sends. Postgres needs no side table: a
+// GIN expression index serves `@@`. Punctuation is blanked first so URLs and
+// paths split into words the way SQLite's tokenizer splits them; the
+// expression must stay identical to SEARCH_VECTOR in services/search.js.
+
+const PG_SEARCH_VECTOR = "to_tsvector('simple', regexp_replace(content, '[^[:alnum:]_]+', ' ', 'g'))";
+
+const SQLITE_TRIGGERS = [
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, content) VALUES (new.rowid, new.content);
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+    DELETE FROM messages_fts WHERE rowid = old.rowid;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+    UPDATE messages_fts SET content = new.content WHERE rowid = old.rowid;
+  END`,
+];
+
+async function createFtsTable(db) {
+  try {
+    await db.exec('CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5 (content)');
+  } catch (err) {
+    if (!/no such module/i.test(err.message)) throw err;
+    await db.exec('CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts4 (content)');
+  }
+}
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_messages_search ON messages USING GIN (${PG_SEARCH_VECTOR})`);
+      return;
+    }
+
+    await createFtsTable(db);
+    for (const trigger of SQLITE_TRIGGERS) await db.exec(trigger);
+    await db.exec('DELETE FROM messages_fts');
+    await db.exec('INSERT INTO messages_fts (rowid, content) SELECT rowid, content FROM messages');
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      await db.exec('DROP INDEX IF EXISTS idx_messages_search');
+      return;
+    }
+
+    await db.exec('DROP TRIGGER IF EXISTS messages_fts_insert');
+    await db.exec('DROP TRIGGER IF EXISTS messages_fts_delete');
+    await db.exec('DROP TRIGGER IF EXISTS messages_fts_update');
+    await db.exec('DROP TABLE IF EXISTS messages_fts');
+  },
+};
@@ -0,0 +1,23 @@
+// Per-user read markers for text and announcement channels (see
+// services/readStates.js). last_read_at is the created_at of the last read
+// message, so unread counts compare timestamps instead of walking ids.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS read_states (
+      user_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      last_read_message_id TEXT,
+      last_read_at TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, channel_id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (channel_id) REFERENCES channels(id)
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_read_states_channel ON read_states(channel_id)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS read_states');
+  },
+};
@@ -0,0 +1,26 @@
+// Who each channel message mentions (see services/mentions.js). One row per
+// notified user, with role and @everyone mentions already expanded, so the
+// mentions inbox and unread mention counts are plain lookups. created_at
+// copies the message's so the inbox pages in message order.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS message_mentions (
+      message_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      server_id TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (message_id, user_id),
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (channel_id) REFERENCES channels(id)
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_message_mentions_user ON message_mentions(user_id, created_at)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_message_mentions_channel ON message_mentions(channel_id)');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS message_mentions');
+  },
+};
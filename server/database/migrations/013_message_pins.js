@@ -0,0 +1,21 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Pinned channel messages. pinned_at/pinned_by live on the message itself so a
+// pin follows edits and goes away with the message. messages.type tells
+// regular messages ('default') apart from system notices such as 'pin', which
+// point at the pinned message through reply_to_id.
+
+module.exports = {
+  async up(db) {
+    await addColumnIfMissing(db, 'messages', 'type', "TEXT NOT NULL DEFAULT 'default'");
+    await addColumnIfMissing(db, 'messages', 'pinned_at', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'messages', 'pinned_by', 'TEXT DEFAULT NULL');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_messages_pinned ON messages(channel_id, pinned_at) WHERE pinned_at IS NOT NULL');
+  },
+
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_messages_pinned');
+    // messages.type, pinned_at and pinned_by are left in place; pin notices
+    // then show as empty messages
+  },
+};
@@ -0,0 +1,29 @@
+// Metadata for uploaded files (see services/uploads.js). stored_name is the
+// file's name in the uploads directory; original_name is only shown to users.
+// channel_id records where the file was posted and is deliberately not a
+// foreign key: the file outlives a deleted channel until it is cleaned up.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS uploads (
+      id TEXT PRIMARY KEY,
+      uploader_id TEXT NOT NULL,
+      channel_id TEXT,
+      kind TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      stored_name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      sha256 TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (uploader_id) REFERENCES users(id)
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_uploads_uploader ON uploads(uploader_id, created_at)');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_uploads_channel ON uploads(channel_id)');
+  },
+
+  async down(db) {
+    // Files already on disk stay where they are
+    await db.exec('DROP TABLE IF EXISTS uploads');
+  },
+};
@@ -0,0 +1,18 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Image and video details from services/media.js. width/height are the
+// displayed size; variants is JSON naming the resized copies next to the
+// file, e.g. { "thumb": { "name": "<id>_thumb.webp", "width": 256, "height": 171 } }.
+
+module.exports = {
+  async up(db) {
+    await addColumnIfMissing(db, 'uploads', 'width', 'INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'uploads', 'height', 'INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'uploads', 'variants', 'TEXT DEFAULT NULL');
+  },
+
+  async down() {
+    // uploads.width, height and variants are left in place; they are ignored
+    // without this migration
+  },
+};
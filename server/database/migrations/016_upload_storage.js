@@ -0,0 +1,13 @@
+// Uploads are stored under their content hash (services/uploads.js), so
+// several rows can share one stored_name. Deduplication, quota totals and the
+// orphan sweeper all look files up by it.
+
+module.exports = {
+  async up(db) {
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_uploads_stored_name ON uploads(stored_name)');
+  },
+
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_uploads_stored_name');
+  },
+};
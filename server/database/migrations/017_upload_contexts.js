@@ -0,0 +1,18 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Binds each upload to where it was posted: channel_id for server channels,
+// dm_id ("<user id>:<user id>", sorted) for direct messages. Downloads are
+// authorized against that context. encrypted marks DM attachments, which the
+// client encrypts before upload; the server only ever stores the ciphertext.
+
+module.exports = {
+  async up(db) {
+    await addColumnIfMissing(db, 'uploads', 'dm_id', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'uploads', 'encrypted', 'INTEGER NOT NULL DEFAULT 0');
+  },
+
+  async down() {
+    // uploads.dm_id and encrypted are left in place; without this migration
+    // DM uploads are readable by their uploader only
+  },
+};
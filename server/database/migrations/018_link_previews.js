@@ -0,0 +1,24 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Link previews (see services/linkPreviews.js). link_previews caches what the
+// unfurler found per URL; data is the preview as JSON, or NULL when the page
+// had none or could not be fetched. messages.embeds holds the previews shown
+// under a message (JSON array, NULL until generated); suppress_embeds is set
+// when the author or a moderator turned them off for that message.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS link_previews (
+      url TEXT PRIMARY KEY,
+      data TEXT,
+      fetched_at TEXT NOT NULL
+    )`);
+    await addColumnIfMissing(db, 'messages', 'embeds', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'messages', 'suppress_embeds', 'INTEGER NOT NULL DEFAULT 0');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS link_previews');
+    // messages.embeds and suppress_embeds are left in place and ignored
+  },
+};
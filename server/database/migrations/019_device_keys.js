@@ -0,0 +1,23 @@
+// End-to-end encrypted DMs (see services/directMessages.js). Each client
+// install is a device with its own X25519 identity key; device_keys is the
+// directory senders encrypt against. pending_dms rows from before this
+// migration hold plaintext and are dropped rather than delivered.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS device_keys (
+      user_id TEXT NOT NULL,
+      device_id TEXT NOT NULL,
+      identity_key TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      PRIMARY KEY (user_id, device_id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+    await db.exec('DELETE FROM pending_dms');
+  },
+
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS device_keys');
+  },
+};
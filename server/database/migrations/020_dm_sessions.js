@@ -0,0 +1,37 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Forward-secret DM sessions (see services/directMessages.js). Devices publish
+// a prekey bundle next to their identity key: an Ed25519 signing key, a signed
+// prekey and a pool of one-time prekeys, each handed out once. pending_dms now
+// holds one copy per receiving device; the v1 envelopes queued before this
+// migration were not addressed to a session and are dropped.
+
+module.exports = {
+  async up(db) {
+    await addColumnIfMissing(db, 'device_keys', 'signing_key', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'device_keys', 'signed_prekey_id', 'INTEGER DEFAULT NULL');
+    await addColumnIfMissing(db, 'device_keys', 'signed_prekey', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'device_keys', 'signed_prekey_signature', 'TEXT DEFAULT NULL');
+
+    await db.exec(`CREATE TABLE IF NOT EXISTS one_time_prekeys (
+      user_id TEXT NOT NULL,
+      device_id TEXT NOT NULL,
+      key_id INTEGER NOT NULL,
+      public_key TEXT NOT NULL,
+      PRIMARY KEY (user_id, device_id, key_id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+
+    await db.exec('DELETE FROM pending_dms');
+    await addColumnIfMissing(db, 'pending_dms', 'message_id', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'pending_dms', 'recipient_id', 'TEXT DEFAULT NULL');
+    await addColumnIfMissing(db, 'pending_dms', 'recipient_device', 'TEXT DEFAULT NULL');
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_pending_dms_device ON pending_dms(recipient_id, recipient_device, created_at)');
+  },
+
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_pending_dms_device');
+    await db.exec('DROP TABLE IF EXISTS one_time_prekeys');
+    // The new device_keys and pending_dms columns are left in place
+  },
+};
@@ -0,0 +1,38 @@
+const { addColumnIfMissing } = require('../schema');
+
+// Group DMs (see services/dmGroups.js). The server keeps who is in a group,
+// its name and icon, so it knows where to relay; messages stay relay-only
+// like 1:1 DMs, and pending_dms rows for a group carry its id.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS dm_groups (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      icon TEXT DEFAULT NULL,
+      icon_color TEXT NOT NULL,
+      owner_id TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      FOREIGN KEY (owner_id) REFERENCES users(id)
+    )`);
+    await db.exec(`CREATE TABLE IF NOT EXISTS dm_group_members (
+      group_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      added_by TEXT DEFAULT NULL,
+      joined_at TEXT NOT NULL,
+      PRIMARY KEY (group_id, user_id),
+      FOREIGN KEY (group_id) REFERENCES dm_groups(id),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_dm_group_members_user ON dm_group_members(user_id)');
+    await addColumnIfMissing(db, 'pending_dms', 'group_id', 'TEXT DEFAULT NULL');
+  },
+
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_dm_group_members_user');
+    await db.exec('DROP TABLE IF EXISTS dm_group_members');
+    await db.exec('DROP TABLE IF EXISTS dm_groups');
+    // The pending_dms column is left in place
+  },
+};
@@ -0,0 +1,30 @@
+// A device id belongs to one user. Envelope entries and pending_dms copies are
+// addressed by user and device, so a device id another account reuses can't
+// receive someone else's DMs; the unique index keeps ids from being reused at
+// all. Where an id was already registered by several users, the first
+// registration keeps it. pending_dms holds v2 copies, addressed by device id
+// alone, and is cleared like in the migrations before.
+
+module.exports = {
+  async up(db) {
+    const devices = await db.prepare(
+      'SELECT user_id, device_id FROM device_keys ORDER BY created_at ASC, user_id ASC'
+    ).all();
+    const owners = new Map();
+    for (const { user_id: userId, device_id: deviceId } of devices) {
+      if (!owners.has(deviceId)) {
+        owners.set(deviceId, userId);
+        continue;
+      }
+      await db.prepare('DELETE FROM one_time_prekeys WHERE user_id = ? AND device_id = ?').run(userId, deviceId);
+      await db.prepare('DELETE FROM device_keys WHERE user_id = ? AND device_id = ?').run(userId, deviceId);
+    }
+
+    await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_device_keys_device ON device_keys(device_id)');
+    await db.exec('DELETE FROM pending_dms');
+  },
+
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_device_keys_device');
+  },
+};
@@ -0,0 +1,89 @@
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('../../storage');
+
+// Media stored before uploads were recorded (/uploads/<uuid>.<ext>) has no
+// row, so downloads have nothing to authorize against. Each such file still
+// linked from channel content gets a row bound to that channel, one per
+// channel linking it, so the people who can read the post can load it again.
+// The author of a post linking it there becomes the uploader; rules have no
+// author and fall back to the server owner. Files no channel content
+// links to, or that are gone from storage, stay without a row and are not
+// served. The original bytes were never hashed, so backfilled rows have an
+// empty sha256; down() removes them by that.
+
+const LEGACY_MEDIA_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  ogv: 'video/ogg',
+  mov: 'video/quicktime',
+};
+
+const UPLOAD_LINK = /\/uploads\/(([\w-]+)\.(\w+))/g;
+const VARIANT_FILE = /^([\w-]+)_\w+$/;
+
+// Content that can link to uploads, with the channel and author of each row
+const REFERENCING_CONTENT = [
+  'SELECT t.content, t.channel_id, t.sender_id AS author_id FROM messages t',
+  'SELECT t.content, t.channel_id, t.created_by AS author_id FROM announcements t',
+  'SELECT t.content, t.channel_id, t.author_id FROM forum_posts t',
+  'SELECT t.content, p.channel_id, t.author_id FROM forum_replies t JOIN forum_posts p ON p.id = t.post_id',
+  'SELECT t.content, t.channel_id, NULL AS author_id FROM rule_blocks t',
+  'SELECT t.content, t.channel_id, NULL AS author_id FROM rules_content t',
+];
+
+module.exports = {
+  async up(db) {
+    // stored name -> Map(channel id -> uploader id)
+    const links = new Map();
+    for (const select of REFERENCING_CONTENT) {
+      const rows = await db.prepare(`
+        SELECT r.content, r.channel_id, COALESCE(r.author_id, s.owner_id) AS uploader_id
+        FROM (${select}) r
+        JOIN channels c ON c.id = r.channel_id
+        JOIN servers s ON s.id = c.server_id
+        WHERE r.content LIKE '%/uploads/%'
+      `).all();
+      for (const { content, channel_id: channelId, uploader_id: uploaderId } of rows) {
+        for (const [, storedName, base, ext] of String(content).matchAll(UPLOAD_LINK)) {
+          if (!LEGACY_MEDIA_TYPES[ext.toLowerCase()]) continue;
+          if (!links.has(storedName)) links.set(storedName, { base, ext, channels: new Map() });
+          const { channels } = links.get(storedName);
+          if (!channels.has(channelId)) channels.set(channelId, uploaderId);
+        }
+      }
+    }
+
+    const storage = getStorage();
+    for (const [storedName, { base, ext, channels }] of links) {
+      const recorded = await db.prepare('SELECT 1 FROM uploads WHERE stored_name = ? LIMIT 1').get(storedName);
+      if (recorded) continue;
+      // Resized copies belong to the upload they were made from
+      const variant = base.match(VARIANT_FILE);
+      if (variant && await db.prepare('SELECT 1 FROM uploads WHERE stored_name LIKE ? LIMIT 1').get(`${variant[1]}.%`)) {
+        continue;
+      }
+      const stat = await storage.stat(storedName);
+      if (!stat) continue;
+
+      const mimeType = LEGACY_MEDIA_TYPES[ext.toLowerCase()];
+      for (const [channelId, uploaderId] of channels) {
+        await db.prepare(`
+          INSERT INTO uploads (id, uploader_id, channel_id, kind, original_name, stored_name, mime_type, size, sha256, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, '', ?)
+        `).run(
+          uuidv4(), uploaderId, channelId, mimeType.split('/')[0], storedName, storedName, mimeType,
+          stat.size, stat.modifiedAt.toISOString()
+        );
+      }
+    }
+  },
+
+  async down(db) {
+    await db.exec("DELETE FROM uploads WHERE sha256 = ''");
+  },
+};
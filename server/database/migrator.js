@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+
+// ── Versioned schema migrations ────────────────────────────────────────────
+// Each file in migrations/ is named NNN_description.js and exports
+// { up(db), down(db) }. Applied versions are recorded in schema_migrations.
+// Every migration runs in its own transaction; a failure rolls that migration
+// back and is rethrown so the server refuses to start on a half-built schema.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationError extends Error {
+  constructor(migration, direction, cause) {
+    super(`Migration ${migration.version} (${migration.name}) failed during ${direction}: ${cause.message}`);
+    this.name = 'MigrationError';
+    this.migration = migration;
+    this.cause = cause;
+  }
+}
+
+// Thrown inside the transaction to discard a dry run's changes
+class DryRunRollback extends Error {}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) return null;
+      const module = require(path.join(dir, file));
+      if (typeof module.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: module.up,
+        down: typeof module.down === 'function' ? module.down : null,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i += 1) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+async function getAppliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC').all();
+}
+
+/** Proxies exec/prepare so dry runs can print the statements they would run. */
+function withStatementLog(db, log) {
+  return new Proxy(db, {
+    get(target, prop) {
+      if (prop === 'exec') {
+        return (sql) => {
+          log(`    ${sql.replace(/\s+/g, ' ').trim()}`);
+          return target.exec(sql);
+        };
+      }
+      if (prop === 'prepare') {
+        return (sql) => {
+          const stmt = target.prepare(sql);
+          return {
+            ...stmt,
+            run(...params) {
+              log(`    ${sql.replace(/\s+/g, ' ').trim()}${params.length ? ` -- ${JSON.stringify(params)}` : ''}`);
+              return stmt.run(...params);
+            },
+          };
+        };
+      }
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
+
+async function applyStep(db, migration, direction) {
+  const step = direction === 'up' ? migration.up : migration.down;
+  await step(db);
+  if (direction === 'up') {
+    await db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+  } else {
+    await db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+  }
+}
+
+/**
+ * Runs each migration in its own transaction. A dry run puts the whole batch
+ * in one transaction instead, so later steps see earlier ones, and then
+ * rolls it back.
+ */
+async function runMigrations(db, migrations, direction, { dryRun, log }) {
+  const verb = direction === 'up' ? 'apply' : 'revert';
+
+  if (!dryRun) {
+    for (const migration of migrations) {
+      log(`${direction === 'up' ? 'Applying' : 'Reverting'} migration ${migration.file}`);
+      try {
+        await db.transaction(() => applyStep(db, migration, direction))();
+      } catch (err) {
+        throw new MigrationError(migration, direction, err);
+      }
+    }
+    return;
+  }
+
+  const logged = withStatementLog(db, log);
+  let current = null;
+  try {
+    await db.transaction(async () => {
+      for (const migration of migrations) {
+        current = migration;
+        log(`[dry-run] would ${verb} migration ${migration.file}`);
+        await applyStep(logged, migration, direction);
+      }
+      throw new DryRunRollback();
+    })();
+  } catch (err) {
+    if (err instanceof DryRunRollback) return;
+    throw new MigrationError(current, direction, err);
+  }
+}
+
+/**
+ * Applies pending migrations up to `to` (default: latest).
+ * Returns the migrations that were (or, for dry runs, would be) applied.
+ */
+async function migrateUp(db, { to = Infinity, dryRun = false, log = console.log, migrations = loadMigrations() } = {}) {
+  const applied = await getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  const known = new Set(migrations.map((m) => m.version));
+
+  const unknown = applied.filter((row) => !known.has(row.version));
+  if (unknown.length) {
+    throw new Error(
+      `Database has migrations this server does not know about (${unknown.map((row) => row.version).join(', ')}). ` +
+      'Refusing to start against a newer schema.'
+    );
+  }
+
+  const pending = migrations.filter((m) => !appliedVersions.has(m.version) && m.version <= to);
+  await runMigrations(db, pending, 'up', { dryRun, log });
+  return pending;
+}
+
+/**
+ * Rolls back applied migrations, newest first. Stops after `steps` migrations
+ * (default 1), or once everything above version `to` has been reverted.
+ */
+async function migrateDown(db, { to = null, steps = 1, dryRun = false, log = console.log, migrations = loadMigrations() } = {}) {
+  const applied = await getAppliedMigrations(db);
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  const candidates = applied
+    .map((row) => row.version)
+    .sort((a, b) => b - a)
+    .filter((version) => (to === null ? true : version > to));
+  const toRevert = to === null ? candidates.slice(0, steps) : candidates;
+
+  const reverted = toRevert.map((version) => {
+    const migration = byVersion.get(version);
+    if (!migration) throw new Error(`No migration file for applied version ${version}`);
+    if (!migration.down) throw new Error(`Migration ${migration.file} cannot be rolled back (no down())`);
+    return migration;
+  });
+
+  await runMigrations(db, reverted, 'down', { dryRun, log });
+  return reverted;
+}
+
+async function getMigrationStatus(db, migrations = loadMigrations()) {
+  const applied = new Map((await getAppliedMigrations(db)).map((row) => [row.version, row]));
+  return migrations.map((m) => ({
+    version: m.version,
+    name: m.name,
+    applied_at: applied.get(m.version)?.applied_at || null,
+  }));
+}
+
+module.exports = {
+  MigrationError,
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+};
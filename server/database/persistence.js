@@ -0,0 +1,169 @@
+const fs = require('fs');
+
+// ── Persistence modes ──────────────────────────────────────────────────────
+//   'sync'     — export + write on every mutation (legacy behaviour)
+//   'deferred' — mutations only mark the DB dirty; the file is rewritten after
+//                DB_FLUSH_DEBOUNCE_MS of quiet, but never later than
+//                DB_FLUSH_MAX_WAIT_MS after the first unsaved change.
+const PERSIST_MODES = ['sync', 'deferred'];
+
+let tmpCounter = 0;
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function loadPersistenceConfig() {
+  const mode = PERSIST_MODES.includes(process.env.DB_PERSIST_MODE) ? process.env.DB_PERSIST_MODE : 'deferred';
+  const maxWaitMs = readIntEnv('DB_FLUSH_MAX_WAIT_MS', 2000);
+  return {
+    mode,
+    debounceMs: Math.min(readIntEnv('DB_FLUSH_DEBOUNCE_MS', 250), maxWaitMs),
+    maxWaitMs,
+  };
+}
+
+/**
+ * Writes a buffer next to the target and renames it into place, so a crash
+ * mid-write leaves either the old file or the new one — never a torn file.
+ */
+function writeFileAtomicSync(filePath, buffer) {
+  const tmpPath = `${filePath}.${process.pid}-${tmpCounter++}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, buffer, 0, buffer.length, 0);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+async function writeFileAtomic(filePath, buffer) {
+  const tmpPath = `${filePath}.${process.pid}-${tmpCounter++}.tmp`;
+  const handle = await fs.promises.open(tmpPath, 'w');
+  try {
+    await handle.writeFile(buffer);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+class DatabasePersister {
+  /**
+   * @param {() => Uint8Array|Promise<Uint8Array>} exportFn  Serialises the in-memory
+   *   database; flushSync() needs it to answer synchronously.
+   * @param {string} filePath            Target database file.
+   * @param {object} [config]            Overrides for loadPersistenceConfig().
+   */
+  constructor(exportFn, filePath, config = loadPersistenceConfig()) {
+    this._export = exportFn;
+    this._filePath = filePath;
+    this.config = config;
+
+    this._dirty = false;
+    this._dirtySince = 0;
+    this._timer = null;
+    this._writing = null; // Promise of the in-flight async write
+  }
+
+  /** Records that the in-memory DB has unsaved changes. */
+  markDirty() {
+    if (this.config.mode === 'sync') {
+      this.flushSync();
+      return;
+    }
+
+    const now = Date.now();
+    if (!this._dirty) {
+      this._dirty = true;
+      this._dirtySince = now;
+    }
+    this._schedule(now);
+  }
+
+  _schedule(now) {
+    if (this._timer) clearTimeout(this._timer);
+    const deadline = this._dirtySince + this.config.maxWaitMs;
+    const delay = Math.max(0, Math.min(this.config.debounceMs, deadline - now));
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.flush().catch((err) => console.error('[db] flush failed:', err));
+    }, delay);
+  }
+
+  /** Snapshot now, write asynchronously. Concurrent calls are serialised. */
+  async flush() {
+    // Re-check after every wait: another flush may have started its own write
+    // meanwhile, and two writes in flight could rename an older snapshot last
+    while (this._writing) {
+      try {
+        await this._writing;
+      } catch (_) {
+        // That write requeued its changes; they go out with this snapshot
+      }
+    }
+    if (!this._dirty) return;
+
+    this._dirty = false;
+    let data;
+    try {
+      data = Buffer.from(await this._export());
+    } catch (err) {
+      this._dirty = true;
+      throw err;
+    }
+    if (this._writing) {
+      // Another flush started writing while this one waited for its snapshot
+      this._dirty = true;
+      return this.flush();
+    }
+    this._writing = writeFileAtomic(this._filePath, data)
+      .catch((err) => {
+        // Keep the changes queued so the next checkpoint retries them
+        if (!this._dirty) {
+          this._dirty = true;
+          this._dirtySince = Date.now();
+        }
+        this._schedule(Date.now());
+        throw err;
+      })
+      .finally(() => {
+        this._writing = null;
+      });
+    await this._writing;
+  }
+
+  /** Blocking write — used by 'sync' mode and during shutdown. */
+  flushSync() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    const snapshot = this._export();
+    if (typeof snapshot?.then === 'function') throw new Error('Cannot write synchronously during a transaction');
+    writeFileAtomicSync(this._filePath, Buffer.from(snapshot));
+    this._dirty = false;
+  }
+
+  /** Cancels pending timers and persists anything still unsaved. */
+  async close() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    if (this._writing) {
+      try {
+        await this._writing;
+      } catch (_) {
+        // Retried below
+      }
+    }
+    if (this._dirty) this.flushSync();
+  }
+}
+
+module.exports = { DatabasePersister, loadPersistenceConfig, PERSIST_MODES };
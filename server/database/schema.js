@@ -0,0 +1,23 @@
+// ── Dialect-aware schema introspection for migrations ──────────────────────
+
+async function hasColumn(db, table, column) {
+  if (db.dialect === 'postgres') {
+    const row = await db.prepare(`
+      SELECT 1 AS found FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?
+    `).get(table, column);
+    return Boolean(row);
+  }
+
+  const columns = await db.prepare(`PRAGMA table_info(${table})`).all();
+  return columns.some((info) => info.name === column);
+}
+
+/** Adds a column unless it is already there. Returns true if it was added. */
+async function addColumnIfMissing(db, table, column, definition) {
+  if (await hasColumn(db, table, column)) return false;
+  await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+module.exports = { hasColumn, addColumnIfMissing };
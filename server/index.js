@@ -2,9 +2,10 @@ const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const { initDatabase } = require('./database/init');
+const { initDatabase, closeDatabase } = require('./database/init');
 
 let _httpServer = null;
+let _io = null;
 
 async function startServer(portOverride) {
   if (_httpServer) {
@@ -14,20 +15,23 @@ async function startServer(portOverride) {
   await initDatabase();
 
   const { getDb } = require('./database/init');
-  getDb().prepare('UPDATE users SET status = ?').run('offline');
+  await getDb().prepare('UPDATE users SET status = ?').run('offline');
 
-  const path = require('path');
-  const fs = require('fs');
   const authRoutes = require('./routes/auth');
   const friendRoutes = require('./routes/friends');
+  const dmGroupRoutes = require('./routes/dmGroups');
   const serverRoutes = require('./routes/servers');
   const messageRoutes = require('./routes/messages');
   const channelContentRoutes = require('./routes/channelContent');
+  const reactionRoutes = require('./routes/reactions');
+  const searchRoutes = require('./routes/search');
+  const mentionRoutes = require('./routes/mentions');
   const uploadRoutes = require('./routes/uploads');
   const aiRoutes = require('./routes/ai');
   const voiceRoutes = require('./routes/voice');
   const appStoreRoutes = require('./routes/appStore');
   const { setupWebSocket } = require('./websocket/handler');
+  const { startUploadSweeper } = require('./services/uploads');
 
   const app = express();
   const httpServer = createServer(app);
@@ -38,28 +42,34 @@ async function startServer(portOverride) {
   app.set('io', io);
 
   app.use(cors());
-  app.use(express.json({ limit: '60mb' }));
+  // Files upload as multipart streams (routes/uploads.js). Only AI task
+  // imports still post documents inline as base64 JSON.
+  app.use('/api/ai', express.json({ limit: '20mb' }));
+  app.use(express.json({ limit: '1mb' }));
 
   app.use('/api/auth', authRoutes);
   app.use('/api/friends', friendRoutes);
+  app.use('/api/dm-groups', dmGroupRoutes);
   app.use('/api/servers', serverRoutes);
   app.use('/api/messages', messageRoutes);
   app.use('/api/channel-content', channelContentRoutes);
+  app.use('/api/reactions', reactionRoutes);
+  app.use('/api/search', searchRoutes);
+  app.use('/api/mentions', mentionRoutes);
   app.use('/api/uploads', uploadRoutes);
   app.use('/api/ai', aiRoutes);
   app.use('/api/voice', voiceRoutes);
   app.use('/api/app-store', appStoreRoutes);
 
-  // Serve uploaded files as static assets
-  const uploadsDir = path.join(__dirname, '../uploads');
-  if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-  app.use('/uploads', express.static(uploadsDir));
+  // Media links in messages redirect to signed storage URLs (storage/)
+  app.use('/uploads', uploadRoutes.mediaRouter);
 
   app.get('/api/health', (_req, res) => {
     res.json({ status: 'ok', name: 'NoVoice Server', version: '1.0.0' });
   });
 
   setupWebSocket(io);
+  startUploadSweeper();
 
   const PORT = portOverride || process.env.PORT || 3001;
 
@@ -72,13 +82,19 @@ async function startServer(portOverride) {
   });
 
   _httpServer = httpServer;
+  _io = io;
   return httpServer;
 }
 
 async function stopServer() {
   if (!_httpServer) return;
-  await new Promise((resolve) => _httpServer.close(resolve));
+  require('./services/uploads').stopUploadSweeper();
+  // io.close() drops live sockets, which would otherwise keep the HTTP server open
+  await new Promise((resolve) => _io.close(() => resolve()));
   _httpServer = null;
+  _io = null;
+  // Deferred DB writes must land before the process goes away
+  await closeDatabase();
 }
 
 // Auto-start when executed directly (node server/index.js)
@@ -87,6 +103,14 @@ if (require.main === module) {
     console.error('Failed to start server:', err);
     process.exit(1);
   });
+
+  const shutdown = () => {
+    stopServer()
+      .catch((err) => console.error('Failed to stop server cleanly:', err))
+      .finally(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
 }
 
 module.exports = { startServer, stopServer };
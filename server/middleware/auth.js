@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'novoice-secret-key-change-in-production';
@@ -46,4 +47,26 @@ function generateToken(user) {
   );
 }
 
-module.exports = { authenticateToken, generateToken, JWT_SECRET };
+// Media tokens let <img> and <video> tags, which can't send headers, fetch
+// uploads as ?token=… They are signed with a key derived from JWT_SECRET, so
+// they never pass as a regular access token.
+const MEDIA_TOKEN_SECRET = crypto.createHmac('sha256', JWT_SECRET).update('novoice-media-token').digest();
+const MEDIA_TOKEN_TTL = '2h';
+
+function generateMediaToken(userId) {
+  const token = jwt.sign({ id: userId }, MEDIA_TOKEN_SECRET, { expiresIn: MEDIA_TOKEN_TTL });
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+}
+
+/** authenticateToken that also accepts a media token in ?token=. */
+function authenticateMedia(req, res, next) {
+  if (!req.query.token) return authenticateToken(req, res, next);
+  try {
+    req.user = { id: jwt.verify(String(req.query.token), MEDIA_TOKEN_SECRET).id };
+    next();
+  } catch {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+}
+
+module.exports = { authenticateToken, authenticateMedia, generateToken, generateMediaToken, JWT_SECRET };
@@ -8,7 +8,7 @@ const router = express.Router();
 
 const AVATAR_COLORS = ['#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#007AFF', '#5856D6', '#AF52DE', '#FF2D55'];
 
-router.post('/register', (req, res) => {
+router.post('/register', async (req, res) => {
   try {
     const { username, email, password, displayName } = req.body;
 
@@ -24,7 +24,7 @@ router.post('/register', (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
-    const existingUser = getDb().prepare('SELECT id FROM users WHERE username = ? OR email = ?').get(username.toLowerCase(), email.toLowerCase());
+    const existingUser = await getDb().prepare('SELECT id FROM users WHERE username = ? OR email = ?').get(username.toLowerCase(), email.toLowerCase());
     if (existingUser) {
       return res.status(409).json({ error: 'Username or email already taken' });
     }
@@ -33,11 +33,11 @@ router.post('/register', (req, res) => {
     const id = uuidv4();
     const avatarColor = AVATAR_COLORS[Math.floor(Math.random() * AVATAR_COLORS.length)];
 
-    getDb().prepare(
+    await getDb().prepare(
       'INSERT INTO users (id, username, display_name, email, password, avatar_color) VALUES (?, ?, ?, ?, ?, ?)'
     ).run(id, username.toLowerCase(), displayName || username, email.toLowerCase(), hashedPassword, avatarColor);
 
-    const user = getDb().prepare('SELECT id, username, display_name, email, avatar_color, status FROM users WHERE id = ?').get(id);
+    const user = await getDb().prepare('SELECT id, username, display_name, email, avatar_color, status FROM users WHERE id = ?').get(id);
     const token = generateToken(user);
 
     res.status(201).json({ user, token });
@@ -47,7 +47,7 @@ router.post('/register', (req, res) => {
   }
 });
 
-router.post('/login', (req, res) => {
+router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -55,7 +55,7 @@ router.post('/login', (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    const user = getDb().prepare('SELECT * FROM users WHERE email = ?').get(email.toLowerCase());
+    const user = await getDb().prepare('SELECT * FROM users WHERE email = ?').get(email.toLowerCase());
     if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
@@ -75,9 +75,9 @@ router.post('/login', (req, res) => {
   }
 });
 
-router.get('/me', authenticateToken, (req, res) => {
+router.get('/me', authenticateToken, async (req, res) => {
   try {
-    const user = getDb().prepare('SELECT id, username, display_name, email, avatar_color, status FROM users WHERE id = ?').get(req.user.id);
+    const user = await getDb().prepare('SELECT id, username, display_name, email, avatar_color, status FROM users WHERE id = ?').get(req.user.id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -2,6 +2,8 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
+const { PERMISSIONS, can, requirePermission, requireChannelPermission } = require('../services/permissions');
+const { attachReactions, deleteReactions } = require('../services/reactions');
 
 const router = express.Router();
 
@@ -14,65 +16,49 @@ function emitChannelUpdated(req, channelId) {
   }
 }
 
-/** Returns the channel if found and the user is a server member. 403/404 otherwise. */
-function getChannelForMember(channelId, userId, res) {
-  const channel = getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+/** Returns the channel if found and the user can view it. 403/404 otherwise. */
+async function getChannelForMember(channelId, userId, res) {
+  const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
   if (!channel) {
     res.status(404).json({ error: 'Channel not found' });
     return null;
   }
-  const member = getDb()
-    .prepare('SELECT * FROM server_members WHERE server_id = ? AND user_id = ?')
-    .get(channel.server_id, userId);
-  if (!member) {
-    res.status(403).json({ error: 'Not a member of this server' });
-    return null;
-  }
+  if (!(await requireChannelPermission(channel, userId, PERMISSIONS.VIEW_CHANNEL, res))) return null;
   return channel;
 }
 
-/** Returns the server, ensuring the user is the owner. */
-function requireOwner(serverId, userId, res) {
-  const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-  if (!server || server.owner_id !== userId) {
-    res.status(403).json({ error: 'Only the server owner can perform this action' });
-    return null;
-  }
-  return server;
-}
-
-function ensureTaskCategories(channel, creatorId) {
+async function ensureTaskCategories(channel, creatorId) {
   if (channel.type !== 'tasks') return;
 
-  const hasCategories = getDb()
+  const hasCategories = await getDb()
     .prepare('SELECT id FROM task_categories WHERE channel_id = ? LIMIT 1')
     .get(channel.id);
 
-  const server = getDb()
+  const server = await getDb()
     .prepare('SELECT owner_id FROM servers WHERE id = ?')
     .get(channel.server_id);
   const authorId = server?.owner_id || creatorId;
 
   if (!hasCategories) {
     const defaults = ['Backlog', 'In Progress', 'Done'];
-    defaults.forEach((name, index) => {
-      getDb()
+    for (const [index, name] of defaults.entries()) {
+      await getDb()
         .prepare('INSERT INTO task_categories (id, channel_id, name, position, created_by) VALUES (?, ?, ?, ?, ?)')
         .run(uuidv4(), channel.id, name, index, authorId);
-    });
+    }
   }
 
-  const hasNewItems = getDb()
+  const hasNewItems = await getDb()
     .prepare('SELECT id FROM task_items WHERE channel_id = ? LIMIT 1')
     .get(channel.id);
   if (hasNewItems) return;
 
-  const legacyTasks = getDb()
+  const legacyTasks = await getDb()
     .prepare('SELECT * FROM tasks WHERE channel_id = ? ORDER BY position ASC, created_at ASC')
     .all(channel.id);
   if (legacyTasks.length === 0) return;
 
-  const createdCategories = getTaskCategories(channel.id);
+  const createdCategories = await getTaskCategories(channel.id);
   if (createdCategories.length === 0) return;
 
   const backlogCategory = createdCategories[0];
@@ -80,13 +66,13 @@ function ensureTaskCategories(channel, creatorId) {
   let backlogPosition = 0;
   let donePosition = 0;
 
-  const migrateLegacyTasks = getDb().transaction(() => {
-    legacyTasks.forEach((task) => {
+  const migrateLegacyTasks = getDb().transaction(async () => {
+    for (const task of legacyTasks) {
       const isCompleted = Boolean(task.completed);
       const categoryId = isCompleted ? doneCategory.id : backlogCategory.id;
       const nextPosition = isCompleted ? donePosition++ : backlogPosition++;
 
-      getDb().prepare(`
+      await getDb().prepare(`
         INSERT OR IGNORE INTO task_items
         (id, channel_id, category_id, title, description, completed, position, created_by, updated_by, created_at, updated_at)
         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
@@ -103,36 +89,33 @@ function ensureTaskCategories(channel, creatorId) {
         task.created_at || new Date().toISOString(),
         task.created_at || new Date().toISOString()
       );
-    });
+    }
 
     // Prevent old rows from being re-imported if the new board is emptied later.
-    getDb().prepare('DELETE FROM tasks WHERE channel_id = ?').run(channel.id);
+    await getDb().prepare('DELETE FROM tasks WHERE channel_id = ?').run(channel.id);
   });
 
-  migrateLegacyTasks();
+  await migrateLegacyTasks();
 }
 
-function getTaskPermissions(channel, userId) {
-  const server = getDb()
-    .prepare('SELECT owner_id FROM servers WHERE id = ?')
-    .get(channel.server_id);
-  const isOwner = server?.owner_id === userId;
-  if (isOwner) {
-    return { isOwner: true, canEdit: true };
+/** MANAGE_TASKS edits every board and picks its editors; task_channel_editors grants edit on one board. */
+async function getTaskPermissions(channel, userId) {
+  if (await can(channel.server_id, userId, PERMISSIONS.MANAGE_TASKS)) {
+    return { canManage: true, canEdit: true };
   }
 
-  const editor = getDb()
+  const editor = await getDb()
     .prepare('SELECT id FROM task_channel_editors WHERE channel_id = ? AND user_id = ?')
     .get(channel.id, userId);
 
   return {
-    isOwner: false,
+    canManage: false,
     canEdit: Boolean(editor),
   };
 }
 
-function requireTaskEditor(channel, userId, res) {
-  const permission = getTaskPermissions(channel, userId);
+async function requireTaskEditor(channel, userId, res) {
+  const permission = await getTaskPermissions(channel, userId);
   if (!permission.canEdit) {
     res.status(403).json({ error: 'Only users with task edit permission can modify tasks' });
     return null;
@@ -140,13 +123,13 @@ function requireTaskEditor(channel, userId, res) {
   return permission;
 }
 
-function getTaskCategories(channelId) {
+async function getTaskCategories(channelId) {
   return getDb()
     .prepare('SELECT * FROM task_categories WHERE channel_id = ? ORDER BY position ASC, created_at ASC')
     .all(channelId);
 }
 
-function getTaskItems(channelId) {
+async function getTaskItems(channelId) {
   return getDb().prepare(`
     SELECT ti.*, u.username as created_by_username, u.display_name as created_by_display_name
     FROM task_items ti
@@ -159,11 +142,11 @@ function getTaskItems(channelId) {
 // ── Rules (hierarchical block-based editor) ────────────────────────────────
 
 // GET all blocks — flat list, parent_id=null means top-level
-router.get('/rules/:channelId', authenticateToken, (req, res) => {
+router.get('/rules/:channelId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    const blocks = getDb()
+    const blocks = await getDb()
       .prepare('SELECT * FROM rule_blocks WHERE channel_id = ? ORDER BY sort_order ASC, created_at ASC')
       .all(channel.id);
     res.json({
@@ -175,17 +158,17 @@ router.get('/rules/:channelId', authenticateToken, (req, res) => {
 });
 
 // POST add a new block
-router.post('/rules/:channelId/blocks', authenticateToken, (req, res) => {
+router.post('/rules/:channelId/blocks', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.EDIT_RULES, res))) return;
     const { type, content, parent_id, sort_order, row_id, col_idx } = req.body;
     const id = uuidv4();
-    getDb()
+    await getDb()
       .prepare('INSERT INTO rule_blocks (id, channel_id, type, content, parent_id, sort_order, row_id, col_idx) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
       .run(id, channel.id, type ?? 'text', JSON.stringify(content ?? {}), parent_id ?? null, sort_order ?? 0, row_id ?? null, col_idx ?? 0);
-    const block = getDb().prepare('SELECT * FROM rule_blocks WHERE id = ?').get(id);
+    const block = await getDb().prepare('SELECT * FROM rule_blocks WHERE id = ?').get(id);
     emitChannelUpdated(req, channel.id);
     res.status(201).json({ block: { ...block, content: JSON.parse(block.content) } });
   } catch (err) {
@@ -194,16 +177,16 @@ router.post('/rules/:channelId/blocks', authenticateToken, (req, res) => {
 });
 
 // PATCH update block content
-router.patch('/rules/:channelId/blocks/:blockId', authenticateToken, (req, res) => {
+router.patch('/rules/:channelId/blocks/:blockId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
-    const block = getDb()
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.EDIT_RULES, res))) return;
+    const block = await getDb()
       .prepare('SELECT * FROM rule_blocks WHERE id = ? AND channel_id = ?')
       .get(req.params.blockId, channel.id);
     if (!block) return res.status(404).json({ error: 'Block not found' });
-    getDb()
+    await getDb()
       .prepare('UPDATE rule_blocks SET content = ? WHERE id = ?')
       .run(JSON.stringify(req.body.content ?? {}), block.id);
     emitChannelUpdated(req, channel.id);
@@ -214,15 +197,15 @@ router.patch('/rules/:channelId/blocks/:blockId', authenticateToken, (req, res)
 });
 
 // DELETE a block — also cascades to children if it's a category
-router.delete('/rules/:channelId/blocks/:blockId', authenticateToken, (req, res) => {
+router.delete('/rules/:channelId/blocks/:blockId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
-    getDb().transaction(() => {
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.EDIT_RULES, res))) return;
+    await getDb().transaction(async () => {
       // Delete all children first (only 1 level deep possible)
-      getDb().prepare('DELETE FROM rule_blocks WHERE parent_id = ? AND channel_id = ?').run(req.params.blockId, channel.id);
-      getDb().prepare('DELETE FROM rule_blocks WHERE id = ? AND channel_id = ?').run(req.params.blockId, channel.id);
+      await getDb().prepare('DELETE FROM rule_blocks WHERE parent_id = ? AND channel_id = ?').run(req.params.blockId, channel.id);
+      await getDb().prepare('DELETE FROM rule_blocks WHERE id = ? AND channel_id = ?').run(req.params.blockId, channel.id);
     })();
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Block deleted' });
@@ -232,17 +215,17 @@ router.delete('/rules/:channelId/blocks/:blockId', authenticateToken, (req, res)
 });
 
 // PATCH reorder — accepts [{ id, parent_id, sort_order, row_id, col_idx }]
-router.patch('/rules/:channelId/reorder', authenticateToken, (req, res) => {
+router.patch('/rules/:channelId/reorder', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.EDIT_RULES, res))) return;
     const { blocks } = req.body;
     if (!Array.isArray(blocks)) return res.status(400).json({ error: 'blocks array required' });
     const stmt = getDb().prepare(
       'UPDATE rule_blocks SET parent_id = ?, sort_order = ?, row_id = ?, col_idx = ? WHERE id = ? AND channel_id = ?'
     );
-    for (const b of blocks) stmt.run(b.parent_id ?? null, b.sort_order ?? 0, b.row_id ?? null, b.col_idx ?? 0, b.id, channel.id);
+    for (const b of blocks) await stmt.run(b.parent_id ?? null, b.sort_order ?? 0, b.row_id ?? null, b.col_idx ?? 0, b.id, channel.id);
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Reordered' });
   } catch (err) {
@@ -252,11 +235,11 @@ router.patch('/rules/:channelId/reorder', authenticateToken, (req, res) => {
 
 // ── Calendar ───────────────────────────────────────────────────────────────
 
-router.get('/calendar/:channelId', authenticateToken, (req, res) => {
+router.get('/calendar/:channelId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    const events = getDb()
+    const events = await getDb()
       .prepare(`
         SELECT ce.*, u.username as creator_username, u.display_name as creator_display_name
         FROM calendar_events ce
@@ -271,20 +254,20 @@ router.get('/calendar/:channelId', authenticateToken, (req, res) => {
   }
 });
 
-router.post('/calendar/:channelId', authenticateToken, (req, res) => {
+router.post('/calendar/:channelId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.MANAGE_EVENTS, res))) return;
     const { title, description, start_date, end_date, color } = req.body;
     if (!title?.trim() || !start_date) {
       return res.status(400).json({ error: 'Title and start_date are required' });
     }
     const id = uuidv4();
-    getDb().prepare(
+    await getDb().prepare(
       'INSERT INTO calendar_events (id, channel_id, title, description, start_date, end_date, color, created_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
     ).run(id, channel.id, title.trim(), description ?? '', start_date, end_date ?? null, color ?? '#007AFF', req.user.id);
-    const event = getDb().prepare(`
+    const event = await getDb().prepare(`
       SELECT ce.*, u.username as creator_username, u.display_name as creator_display_name
       FROM calendar_events ce
       LEFT JOIN users u ON ce.created_by = u.id
@@ -297,12 +280,12 @@ router.post('/calendar/:channelId', authenticateToken, (req, res) => {
   }
 });
 
-router.delete('/calendar/:channelId/:eventId', authenticateToken, (req, res) => {
+router.delete('/calendar/:channelId/:eventId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
-    getDb().prepare('DELETE FROM calendar_events WHERE id = ? AND channel_id = ?')
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.MANAGE_EVENTS, res))) return;
+    await getDb().prepare('DELETE FROM calendar_events WHERE id = ? AND channel_id = ?')
       .run(req.params.eventId, channel.id);
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Event deleted' });
@@ -313,11 +296,11 @@ router.delete('/calendar/:channelId/:eventId', authenticateToken, (req, res) =>
 
 // ── Announcements ──────────────────────────────────────────────────────────
 
-router.get('/announcements/:channelId', authenticateToken, (req, res) => {
+router.get('/announcements/:channelId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    const announcements = getDb()
+    const announcements = await getDb()
       .prepare(`
         SELECT a.*, u.username as creator_username, u.display_name as creator_display_name
         FROM announcements a
@@ -326,27 +309,28 @@ router.get('/announcements/:channelId', authenticateToken, (req, res) => {
         ORDER BY a.created_at DESC
       `)
       .all(channel.id);
+    await attachReactions('announcement', announcements, req.user.id);
     res.json({ announcements });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-router.post('/announcements/:channelId', authenticateToken, (req, res) => {
+router.post('/announcements/:channelId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.POST_ANNOUNCEMENTS, res))) return;
     const { content } = req.body;
     if (!content?.trim()) {
       return res.status(400).json({ error: 'Content is required' });
     }
     const id = uuidv4();
-    getDb().prepare(`
+    await getDb().prepare(`
       INSERT INTO announcements (id, channel_id, title, content, created_by)
       VALUES (?, ?, ?, ?, ?)
     `).run(id, channel.id, '', content.trim(), req.user.id);
-    const announcement = getDb().prepare(`
+    const announcement = await getDb().prepare(`
       SELECT a.*, u.username as creator_username, u.display_name as creator_display_name
       FROM announcements a LEFT JOIN users u ON a.created_by = u.id
       WHERE a.id = ?
@@ -358,20 +342,20 @@ router.post('/announcements/:channelId', authenticateToken, (req, res) => {
   }
 });
 
-router.patch('/announcements/:channelId/:announcementId', authenticateToken, (req, res) => {
+router.patch('/announcements/:channelId/:announcementId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.POST_ANNOUNCEMENTS, res))) return;
     const { content } = req.body;
     if (!content?.trim()) {
       return res.status(400).json({ error: 'Content is required' });
     }
-    const existing = getDb()
+    const existing = await getDb()
       .prepare('SELECT id FROM announcements WHERE id = ? AND channel_id = ?')
       .get(req.params.announcementId, channel.id);
     if (!existing) return res.status(404).json({ error: 'Announcement not found' });
-    getDb()
+    await getDb()
       .prepare('UPDATE announcements SET content = ? WHERE id = ?')
       .run(content.trim(), existing.id);
     emitChannelUpdated(req, channel.id);
@@ -381,13 +365,14 @@ router.patch('/announcements/:channelId/:announcementId', authenticateToken, (re
   }
 });
 
-router.delete('/announcements/:channelId/:announcementId', authenticateToken, (req, res) => {
+router.delete('/announcements/:channelId/:announcementId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
-    getDb().prepare('DELETE FROM announcements WHERE id = ? AND channel_id = ?')
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.POST_ANNOUNCEMENTS, res))) return;
+    const { changes } = await getDb().prepare('DELETE FROM announcements WHERE id = ? AND channel_id = ?')
       .run(req.params.announcementId, channel.id);
+    if (changes) await deleteReactions('announcement', [req.params.announcementId]);
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Announcement deleted' });
   } catch (err) {
@@ -397,20 +382,20 @@ router.delete('/announcements/:channelId/:announcementId', authenticateToken, (r
 
 // ── Tasks ──────────────────────────────────────────────────────────────────
 
-router.get('/tasks/:channelId', authenticateToken, (req, res) => {
+router.get('/tasks/:channelId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
     if (channel.type !== 'tasks') {
       return res.status(400).json({ error: 'Channel is not a task manager channel' });
     }
 
-    ensureTaskCategories(channel, req.user.id);
+    await ensureTaskCategories(channel, req.user.id);
 
-    const { canEdit, isOwner } = getTaskPermissions(channel, req.user.id);
-    const categories = getTaskCategories(channel.id);
-    const items = getTaskItems(channel.id);
-    const editors = getDb().prepare(`
+    const { canEdit, canManage } = await getTaskPermissions(channel, req.user.id);
+    const categories = await getTaskCategories(channel.id);
+    const items = await getTaskItems(channel.id);
+    const editors = await getDb().prepare(`
       SELECT u.id, u.username, u.display_name, u.avatar_color
       FROM task_channel_editors te
       JOIN users u ON te.user_id = u.id
@@ -421,7 +406,7 @@ router.get('/tasks/:channelId', authenticateToken, (req, res) => {
     res.json({
       categories,
       items,
-      permissions: { can_edit: canEdit, is_owner: isOwner },
+      permissions: { can_edit: canEdit, can_manage: canManage },
       editors,
     });
   } catch (err) {
@@ -429,13 +414,13 @@ router.get('/tasks/:channelId', authenticateToken, (req, res) => {
   }
 });
 
-router.get('/tasks/:channelId/editors', authenticateToken, (req, res) => {
+router.get('/tasks/:channelId/editors', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireOwner(channel.server_id, req.user.id, res)) return;
+    if (!(await requirePermission(channel.server_id, req.user.id, PERMISSIONS.MANAGE_TASKS, res))) return;
 
-    const members = getDb().prepare(`
+    const members = await getDb().prepare(`
       SELECT u.id, u.username, u.display_name, u.avatar_color
       FROM server_members sm
       JOIN users u ON sm.user_id = u.id
@@ -443,7 +428,7 @@ router.get('/tasks/:channelId/editors', authenticateToken, (req, res) => {
       ORDER BY u.display_name ASC
     `).all(channel.server_id);
 
-    const editorRows = getDb()
+    const editorRows = await getDb()
       .prepare('SELECT user_id FROM task_channel_editors WHERE channel_id = ?')
       .all(channel.id);
 
@@ -453,33 +438,33 @@ router.get('/tasks/:channelId/editors', authenticateToken, (req, res) => {
   }
 });
 
-router.put('/tasks/:channelId/editors', authenticateToken, (req, res) => {
+router.put('/tasks/:channelId/editors', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
 
-    const server = requireOwner(channel.server_id, req.user.id, res);
-    if (!server) return;
+    const context = await requirePermission(channel.server_id, req.user.id, PERMISSIONS.MANAGE_TASKS, res);
+    if (!context) return;
 
     const userIds = Array.isArray(req.body.userIds) ? req.body.userIds : [];
-    const memberRows = getDb()
+    const memberRows = await getDb()
       .prepare('SELECT user_id FROM server_members WHERE server_id = ?')
       .all(channel.server_id);
     const memberSet = new Set(memberRows.map((row) => row.user_id));
 
     const validEditorIds = [...new Set(userIds)]
-      .filter((userId) => userId !== server.owner_id && memberSet.has(userId));
+      .filter((userId) => userId !== context.server.owner_id && memberSet.has(userId));
 
-    const updateEditors = getDb().transaction(() => {
-      getDb().prepare('DELETE FROM task_channel_editors WHERE channel_id = ?').run(channel.id);
-      validEditorIds.forEach((userId) => {
-        getDb().prepare(
+    const updateEditors = getDb().transaction(async () => {
+      await getDb().prepare('DELETE FROM task_channel_editors WHERE channel_id = ?').run(channel.id);
+      for (const userId of validEditorIds) {
+        await getDb().prepare(
           'INSERT INTO task_channel_editors (id, channel_id, user_id, granted_by) VALUES (?, ?, ?, ?)'
         ).run(uuidv4(), channel.id, userId, req.user.id);
-      });
+      }
     });
 
-    updateEditors();
+    await updateEditors();
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Task editors updated' });
   } catch (err) {
@@ -487,12 +472,12 @@ router.put('/tasks/:channelId/editors', authenticateToken, (req, res) => {
   }
 });
 
-router.patch('/tasks/:channelId/categories/reorder', authenticateToken, (req, res) => {
+router.patch('/tasks/:channelId/categories/reorder', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    ensureTaskCategories(channel, req.user.id);
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    await ensureTaskCategories(channel, req.user.id);
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
     const categories = Array.isArray(req.body.categories) ? req.body.categories : [];
     if (!categories.length) {
@@ -500,19 +485,19 @@ router.patch('/tasks/:channelId/categories/reorder', authenticateToken, (req, re
     }
 
     const validIds = new Set(
-      getDb().prepare('SELECT id FROM task_categories WHERE channel_id = ?').all(channel.id).map((row) => row.id)
+      (await getDb().prepare('SELECT id FROM task_categories WHERE channel_id = ?').all(channel.id)).map((row) => row.id)
     );
 
-    const reorder = getDb().transaction(() => {
-      categories.forEach((entry, index) => {
+    const reorder = getDb().transaction(async () => {
+      for (const [index, entry] of categories.entries()) {
         const categoryId = typeof entry === 'string' ? entry : entry.id;
-        if (!validIds.has(categoryId)) return;
+        if (!validIds.has(categoryId)) continue;
         const position = Number.isInteger(entry?.position) ? entry.position : index;
-        getDb().prepare('UPDATE task_categories SET position = ? WHERE id = ?').run(position, categoryId);
-      });
+        await getDb().prepare('UPDATE task_categories SET position = ? WHERE id = ?').run(position, categoryId);
+      }
     });
 
-    reorder();
+    await reorder();
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Categories reordered' });
   } catch (err) {
@@ -520,33 +505,33 @@ router.patch('/tasks/:channelId/categories/reorder', authenticateToken, (req, re
   }
 });
 
-router.post('/tasks/:channelId/categories', authenticateToken, (req, res) => {
+router.post('/tasks/:channelId/categories', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
     if (channel.type !== 'tasks') {
       return res.status(400).json({ error: 'Channel is not a task manager channel' });
     }
 
-    ensureTaskCategories(channel, req.user.id);
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    await ensureTaskCategories(channel, req.user.id);
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
     const name = req.body?.name?.trim();
     if (!name) {
       return res.status(400).json({ error: 'Category name is required' });
     }
 
-    const maxPos = getDb()
+    const maxPos = await getDb()
       .prepare('SELECT MAX(position) as max FROM task_categories WHERE channel_id = ?')
       .get(channel.id);
     const nextPosition = (maxPos?.max ?? -1) + 1;
 
     const id = uuidv4();
-    getDb().prepare(
+    await getDb().prepare(
       'INSERT INTO task_categories (id, channel_id, name, position, created_by) VALUES (?, ?, ?, ?, ?)'
     ).run(id, channel.id, name, nextPosition, req.user.id);
 
-    const category = getDb().prepare('SELECT * FROM task_categories WHERE id = ?').get(id);
+    const category = await getDb().prepare('SELECT * FROM task_categories WHERE id = ?').get(id);
     emitChannelUpdated(req, channel.id);
     res.status(201).json({ category });
   } catch (err) {
@@ -554,14 +539,14 @@ router.post('/tasks/:channelId/categories', authenticateToken, (req, res) => {
   }
 });
 
-router.patch('/tasks/:channelId/categories/:categoryId', authenticateToken, (req, res) => {
+router.patch('/tasks/:channelId/categories/:categoryId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    ensureTaskCategories(channel, req.user.id);
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    await ensureTaskCategories(channel, req.user.id);
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
-    const category = getDb()
+    const category = await getDb()
       .prepare('SELECT * FROM task_categories WHERE id = ? AND channel_id = ?')
       .get(req.params.categoryId, channel.id);
     if (!category) {
@@ -573,7 +558,7 @@ router.patch('/tasks/:channelId/categories/:categoryId', authenticateToken, (req
       return res.status(400).json({ error: 'Category name is required' });
     }
 
-    getDb().prepare('UPDATE task_categories SET name = ? WHERE id = ?').run(name, category.id);
+    await getDb().prepare('UPDATE task_categories SET name = ? WHERE id = ?').run(name, category.id);
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Category updated' });
   } catch (err) {
@@ -581,44 +566,44 @@ router.patch('/tasks/:channelId/categories/:categoryId', authenticateToken, (req
   }
 });
 
-router.delete('/tasks/:channelId/categories/:categoryId', authenticateToken, (req, res) => {
+router.delete('/tasks/:channelId/categories/:categoryId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    ensureTaskCategories(channel, req.user.id);
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    await ensureTaskCategories(channel, req.user.id);
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
-    const category = getDb()
+    const category = await getDb()
       .prepare('SELECT * FROM task_categories WHERE id = ? AND channel_id = ?')
       .get(req.params.categoryId, channel.id);
     if (!category) {
       return res.status(404).json({ error: 'Category not found' });
     }
 
-    const categories = getTaskCategories(channel.id).filter((c) => c.id !== category.id);
+    const categories = (await getTaskCategories(channel.id)).filter((c) => c.id !== category.id);
     if (categories.length === 0) {
       return res.status(400).json({ error: 'At least one category is required' });
     }
 
     const targetCategory = categories[0];
-    const movedItems = getDb()
+    const movedItems = await getDb()
       .prepare('SELECT * FROM task_items WHERE channel_id = ? AND category_id = ? ORDER BY position ASC')
       .all(channel.id, category.id);
-    const targetMax = getDb()
+    const targetMax = await getDb()
       .prepare('SELECT MAX(position) as max FROM task_items WHERE channel_id = ? AND category_id = ?')
       .get(channel.id, targetCategory.id);
     const basePosition = (targetMax?.max ?? -1) + 1;
 
-    const deleteCategory = getDb().transaction(() => {
-      movedItems.forEach((item, index) => {
-        getDb().prepare(
+    const deleteCategory = getDb().transaction(async () => {
+      for (const [index, item] of movedItems.entries()) {
+        await getDb().prepare(
           'UPDATE task_items SET category_id = ?, position = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
         ).run(targetCategory.id, basePosition + index, req.user.id, item.id);
-      });
-      getDb().prepare('DELETE FROM task_categories WHERE id = ?').run(category.id);
+      }
+      await getDb().prepare('DELETE FROM task_categories WHERE id = ?').run(category.id);
     });
 
-    deleteCategory();
+    await deleteCategory();
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Category deleted' });
   } catch (err) {
@@ -626,11 +611,11 @@ router.delete('/tasks/:channelId/categories/:categoryId', authenticateToken, (re
   }
 });
 
-router.patch('/tasks/:channelId/items/reorder', authenticateToken, (req, res) => {
+router.patch('/tasks/:channelId/items/reorder', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
     const items = Array.isArray(req.body.items) ? req.body.items : [];
     if (!items.length) {
@@ -638,23 +623,23 @@ router.patch('/tasks/:channelId/items/reorder', authenticateToken, (req, res) =>
     }
 
     const categoryIds = new Set(
-      getDb().prepare('SELECT id FROM task_categories WHERE channel_id = ?').all(channel.id).map((row) => row.id)
+      (await getDb().prepare('SELECT id FROM task_categories WHERE channel_id = ?').all(channel.id)).map((row) => row.id)
     );
     const existingItems = new Set(
-      getDb().prepare('SELECT id FROM task_items WHERE channel_id = ?').all(channel.id).map((row) => row.id)
+      (await getDb().prepare('SELECT id FROM task_items WHERE channel_id = ?').all(channel.id)).map((row) => row.id)
     );
 
-    const reorder = getDb().transaction(() => {
-      items.forEach((entry) => {
-        if (!existingItems.has(entry.id) || !categoryIds.has(entry.category_id)) return;
+    const reorder = getDb().transaction(async () => {
+      for (const entry of items) {
+        if (!existingItems.has(entry.id) || !categoryIds.has(entry.category_id)) continue;
         const position = Number.isInteger(entry.position) ? entry.position : 0;
-        getDb().prepare(
+        await getDb().prepare(
           'UPDATE task_items SET category_id = ?, position = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
         ).run(entry.category_id, position, req.user.id, entry.id);
-      });
+      }
     });
 
-    reorder();
+    await reorder();
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Task items reordered' });
   } catch (err) {
@@ -662,16 +647,16 @@ router.patch('/tasks/:channelId/items/reorder', authenticateToken, (req, res) =>
   }
 });
 
-router.post('/tasks/:channelId/items', authenticateToken, (req, res) => {
+router.post('/tasks/:channelId/items', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
     if (channel.type !== 'tasks') {
       return res.status(400).json({ error: 'Channel is not a task manager channel' });
     }
 
-    ensureTaskCategories(channel, req.user.id);
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    await ensureTaskCategories(channel, req.user.id);
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
     const title = req.body?.title?.trim();
     const description = req.body?.description ?? '';
@@ -681,7 +666,7 @@ router.post('/tasks/:channelId/items', authenticateToken, (req, res) => {
       return res.status(400).json({ error: 'Task title is required' });
     }
 
-    const categories = getTaskCategories(channel.id);
+    const categories = await getTaskCategories(channel.id);
     let categoryId = requestedCategoryId;
     if (categoryId) {
       const exists = categories.some((category) => category.id === categoryId);
@@ -690,17 +675,17 @@ router.post('/tasks/:channelId/items', authenticateToken, (req, res) => {
       categoryId = categories[0]?.id;
     }
 
-    const maxPos = getDb()
+    const maxPos = await getDb()
       .prepare('SELECT MAX(position) as max FROM task_items WHERE channel_id = ? AND category_id = ?')
       .get(channel.id, categoryId);
     const position = (maxPos?.max ?? -1) + 1;
 
     const id = uuidv4();
-    getDb().prepare(
+    await getDb().prepare(
       'INSERT INTO task_items (id, channel_id, category_id, title, description, completed, position, created_by, updated_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
     ).run(id, channel.id, categoryId, title, description, 0, position, req.user.id, req.user.id);
 
-    const item = getDb().prepare('SELECT * FROM task_items WHERE id = ?').get(id);
+    const item = await getDb().prepare('SELECT * FROM task_items WHERE id = ?').get(id);
     emitChannelUpdated(req, channel.id);
     res.status(201).json({ item });
   } catch (err) {
@@ -708,21 +693,21 @@ router.post('/tasks/:channelId/items', authenticateToken, (req, res) => {
   }
 });
 
-router.patch('/tasks/:channelId/items/:itemId', authenticateToken, (req, res) => {
+router.patch('/tasks/:channelId/items/:itemId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    ensureTaskCategories(channel, req.user.id);
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    await ensureTaskCategories(channel, req.user.id);
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
-    const item = getDb()
+    const item = await getDb()
       .prepare('SELECT * FROM task_items WHERE id = ? AND channel_id = ?')
       .get(req.params.itemId, channel.id);
     if (!item) {
       return res.status(404).json({ error: 'Task item not found' });
     }
 
-    const categories = getTaskCategories(channel.id);
+    const categories = await getTaskCategories(channel.id);
     const categoryIdFromBody = req.body?.category_id;
     let targetCategoryId = item.category_id;
 
@@ -752,7 +737,7 @@ router.patch('/tasks/:channelId/items/:itemId', authenticateToken, (req, res) =>
     if (Number.isInteger(requestedPosition)) {
       nextPosition = requestedPosition;
     } else if (targetCategoryId !== item.category_id) {
-      const maxPos = getDb()
+      const maxPos = await getDb()
         .prepare('SELECT MAX(position) as max FROM task_items WHERE channel_id = ? AND category_id = ?')
         .get(channel.id, targetCategoryId);
       nextPosition = (maxPos?.max ?? -1) + 1;
@@ -760,7 +745,7 @@ router.patch('/tasks/:channelId/items/:itemId', authenticateToken, (req, res) =>
       nextPosition = item.position;
     }
 
-    getDb().prepare(`
+    await getDb().prepare(`
       UPDATE task_items
       SET
         title = ?,
@@ -788,32 +773,32 @@ router.patch('/tasks/:channelId/items/:itemId', authenticateToken, (req, res) =>
   }
 });
 
-router.post('/tasks/:channelId/items/:itemId/complete', authenticateToken, (req, res) => {
+router.post('/tasks/:channelId/items/:itemId/complete', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    ensureTaskCategories(channel, req.user.id);
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    await ensureTaskCategories(channel, req.user.id);
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
-    const item = getDb()
+    const item = await getDb()
       .prepare('SELECT * FROM task_items WHERE id = ? AND channel_id = ?')
       .get(req.params.itemId, channel.id);
     if (!item) {
       return res.status(404).json({ error: 'Task item not found' });
     }
 
-    const categories = getTaskCategories(channel.id);
+    const categories = await getTaskCategories(channel.id);
     const currentIndex = categories.findIndex((category) => category.id === item.category_id);
     const nextCategory = currentIndex >= 0 && currentIndex < categories.length - 1
       ? categories[currentIndex + 1]
       : categories[currentIndex] || categories[0];
 
-    const maxPos = getDb()
+    const maxPos = await getDb()
       .prepare('SELECT MAX(position) as max FROM task_items WHERE channel_id = ? AND category_id = ?')
       .get(channel.id, nextCategory.id);
     const nextPosition = (maxPos?.max ?? -1) + 1;
 
-    getDb().prepare(
+    await getDb().prepare(
       'UPDATE task_items SET completed = 1, category_id = ?, position = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
     ).run(nextCategory.id, nextPosition, req.user.id, item.id);
 
@@ -824,13 +809,13 @@ router.post('/tasks/:channelId/items/:itemId/complete', authenticateToken, (req,
   }
 });
 
-router.delete('/tasks/:channelId/items/:itemId', authenticateToken, (req, res) => {
+router.delete('/tasks/:channelId/items/:itemId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
-    getDb().prepare('DELETE FROM task_items WHERE id = ? AND channel_id = ?').run(req.params.itemId, channel.id);
+    await getDb().prepare('DELETE FROM task_items WHERE id = ? AND channel_id = ?').run(req.params.itemId, channel.id);
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Task item deleted' });
   } catch (err) {
@@ -839,43 +824,45 @@ router.delete('/tasks/:channelId/items/:itemId', authenticateToken, (req, res) =
 });
 
 // ── Bulk import (AI) ──────────────────────────────────────────────────────────
-router.post('/tasks/:channelId/import', authenticateToken, (req, res) => {
+router.post('/tasks/:channelId/import', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    if (!requireTaskEditor(channel, req.user.id, res)) return;
+    if (!(await requireTaskEditor(channel, req.user.id, res))) return;
 
     const { categories } = req.body;
     if (!Array.isArray(categories) || categories.length === 0) {
       return res.status(400).json({ error: 'categories array is required' });
     }
 
-    const db = getDb();
-    const maxPos = db
-      .prepare('SELECT MAX(position) as p FROM task_categories WHERE channel_id = ?')
-      .get(channel.id);
-    let catPos = (maxPos?.p ?? -1) + 1;
-
-    const results = [];
-    for (const cat of categories) {
-      const catId = uuidv4();
-      const catName = String(cat.name || 'Tasks').trim().slice(0, 100);
-      db.prepare(
-        'INSERT INTO task_categories (id, channel_id, name, position, created_by) VALUES (?, ?, ?, ?, ?)'
-      ).run(catId, channel.id, catName, catPos++, req.user.id);
-
-      let itemPos = 0;
-      for (const task of Array.isArray(cat.tasks) ? cat.tasks : []) {
-        const itemId = uuidv4();
-        const title = String(task.title || '').trim().slice(0, 200);
-        if (!title) continue;
-        const desc = String(task.description || '').trim().slice(0, 500);
-        db.prepare(
-          'INSERT INTO task_items (id, channel_id, category_id, title, description, position, completed, created_by) VALUES (?, ?, ?, ?, ?, ?, 0, ?)'
-        ).run(itemId, channel.id, catId, title, desc, itemPos++, req.user.id);
+    const importTasks = getDb().transaction(async () => {
+      const maxPos = await getDb()
+        .prepare('SELECT MAX(position) as p FROM task_categories WHERE channel_id = ?')
+        .get(channel.id);
+      let catPos = (maxPos?.p ?? -1) + 1;
+
+      const imported = [];
+      for (const cat of categories) {
+        const catId = uuidv4();
+        const catName = String(cat?.name || 'Tasks').trim().slice(0, 100);
+        await getDb().prepare(
+          'INSERT INTO task_categories (id, channel_id, name, position, created_by) VALUES (?, ?, ?, ?, ?)'
+        ).run(catId, channel.id, catName, catPos++, req.user.id);
+
+        let itemPos = 0;
+        for (const task of Array.isArray(cat?.tasks) ? cat.tasks : []) {
+          const title = String(task?.title || '').trim().slice(0, 200);
+          if (!title) continue;
+          const desc = String(task.description || '').trim().slice(0, 500);
+          await getDb().prepare(
+            'INSERT INTO task_items (id, channel_id, category_id, title, description, position, completed, created_by) VALUES (?, ?, ?, ?, ?, ?, 0, ?)'
+          ).run(uuidv4(), channel.id, catId, title, desc, itemPos++, req.user.id);
+        }
+        imported.push({ categoryId: catId, taskCount: itemPos });
       }
-      results.push({ categoryId: catId, taskCount: itemPos });
-    }
+      return imported;
+    });
+    const results = await importTasks();
 
     emitChannelUpdated(req, channel.id);
     res.status(201).json({ imported: results });
@@ -885,11 +872,11 @@ router.post('/tasks/:channelId/import', authenticateToken, (req, res) => {
   }
 });
 
-router.get('/forum/:channelId', authenticateToken, (req, res) => {
+router.get('/forum/:channelId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    const posts = getDb().prepare(`
+    const posts = await getDb().prepare(`
       SELECT fp.*, u.username, u.display_name, u.avatar_color,
         (SELECT COUNT(*) FROM forum_replies WHERE post_id = fp.id) as reply_count
       FROM forum_posts fp
@@ -897,24 +884,26 @@ router.get('/forum/:channelId', authenticateToken, (req, res) => {
       WHERE fp.channel_id = ?
       ORDER BY fp.created_at DESC
     `).all(channel.id);
+    await attachReactions('forum_post', posts, req.user.id);
     res.json({ posts });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-router.post('/forum/:channelId', authenticateToken, (req, res) => {
+router.post('/forum/:channelId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
+    if (!(await requireChannelPermission(channel, req.user.id, PERMISSIONS.SEND_MESSAGES, res))) return;
     const { title, content } = req.body;
     if (!title?.trim() || !content?.trim()) {
       return res.status(400).json({ error: 'Title and content are required' });
     }
     const id = uuidv4();
-    getDb().prepare('INSERT INTO forum_posts (id, channel_id, title, content, author_id) VALUES (?, ?, ?, ?, ?)')
+    await getDb().prepare('INSERT INTO forum_posts (id, channel_id, title, content, author_id) VALUES (?, ?, ?, ?, ?)')
       .run(id, channel.id, title.trim(), content.trim(), req.user.id);
-    const post = getDb().prepare(`
+    const post = await getDb().prepare(`
       SELECT fp.*, u.username, u.display_name, u.avatar_color
       FROM forum_posts fp JOIN users u ON fp.author_id = u.id WHERE fp.id = ?
     `).get(id);
@@ -925,39 +914,42 @@ router.post('/forum/:channelId', authenticateToken, (req, res) => {
   }
 });
 
-router.get('/forum/:channelId/:postId', authenticateToken, (req, res) => {
+router.get('/forum/:channelId/:postId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    const post = getDb().prepare(`
+    const post = await getDb().prepare(`
       SELECT fp.*, u.username, u.display_name, u.avatar_color
       FROM forum_posts fp JOIN users u ON fp.author_id = u.id
       WHERE fp.id = ? AND fp.channel_id = ?
     `).get(req.params.postId, channel.id);
     if (!post) return res.status(404).json({ error: 'Post not found' });
-    const replies = getDb().prepare(`
+    const replies = await getDb().prepare(`
       SELECT fr.*, u.username, u.display_name, u.avatar_color
       FROM forum_replies fr JOIN users u ON fr.author_id = u.id
       WHERE fr.post_id = ? ORDER BY fr.created_at ASC
     `).all(post.id);
+    await attachReactions('forum_post', [post], req.user.id);
+    await attachReactions('forum_reply', replies, req.user.id);
     res.json({ post, replies });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-router.post('/forum/:channelId/:postId/replies', authenticateToken, (req, res) => {
+router.post('/forum/:channelId/:postId/replies', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    const post = getDb().prepare('SELECT id FROM forum_posts WHERE id = ? AND channel_id = ?').get(req.params.postId, channel.id);
+    if (!(await requireChannelPermission(channel, req.user.id, PERMISSIONS.SEND_MESSAGES, res))) return;
+    const post = await getDb().prepare('SELECT id FROM forum_posts WHERE id = ? AND channel_id = ?').get(req.params.postId, channel.id);
     if (!post) return res.status(404).json({ error: 'Post not found' });
     const { content } = req.body;
     if (!content?.trim()) return res.status(400).json({ error: 'Content required' });
     const id = uuidv4();
-    getDb().prepare('INSERT INTO forum_replies (id, post_id, content, author_id) VALUES (?, ?, ?, ?)')
+    await getDb().prepare('INSERT INTO forum_replies (id, post_id, content, author_id) VALUES (?, ?, ?, ?)')
       .run(id, post.id, content.trim(), req.user.id);
-    const reply = getDb().prepare(`
+    const reply = await getDb().prepare(`
       SELECT fr.*, u.username, u.display_name, u.avatar_color
       FROM forum_replies fr JOIN users u ON fr.author_id = u.id WHERE fr.id = ?
     `).get(id);
@@ -968,19 +960,21 @@ router.post('/forum/:channelId/:postId/replies', authenticateToken, (req, res) =
   }
 });
 
-router.delete('/forum/:channelId/:postId', authenticateToken, (req, res) => {
+router.delete('/forum/:channelId/:postId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    const post = getDb().prepare('SELECT * FROM forum_posts WHERE id = ? AND channel_id = ?').get(req.params.postId, channel.id);
+    const post = await getDb().prepare('SELECT * FROM forum_posts WHERE id = ? AND channel_id = ?').get(req.params.postId, channel.id);
     if (!post) return res.status(404).json({ error: 'Post not found' });
-    const server = getDb().prepare('SELECT owner_id FROM servers WHERE id = ?').get(channel.server_id);
-    if (server?.owner_id !== req.user.id && post.author_id !== req.user.id) {
+    if (post.author_id !== req.user.id && !(await can(channel.server_id, req.user.id, PERMISSIONS.MANAGE_MESSAGES))) {
       return res.status(403).json({ error: 'Not allowed' });
     }
-    getDb().transaction(() => {
-      getDb().prepare('DELETE FROM forum_replies WHERE post_id = ?').run(post.id);
-      getDb().prepare('DELETE FROM forum_posts WHERE id = ?').run(post.id);
+    await getDb().transaction(async () => {
+      const replies = await getDb().prepare('SELECT id FROM forum_replies WHERE post_id = ?').all(post.id);
+      await deleteReactions('forum_reply', replies.map((reply) => reply.id));
+      await deleteReactions('forum_post', [post.id]);
+      await getDb().prepare('DELETE FROM forum_replies WHERE post_id = ?').run(post.id);
+      await getDb().prepare('DELETE FROM forum_posts WHERE id = ?').run(post.id);
     })();
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Post deleted' });
@@ -989,17 +983,17 @@ router.delete('/forum/:channelId/:postId', authenticateToken, (req, res) => {
   }
 });
 
-router.delete('/forum/:channelId/:postId/replies/:replyId', authenticateToken, (req, res) => {
+router.delete('/forum/:channelId/:postId/replies/:replyId', authenticateToken, async (req, res) => {
   try {
-    const channel = getChannelForMember(req.params.channelId, req.user.id, res);
+    const channel = await getChannelForMember(req.params.channelId, req.user.id, res);
     if (!channel) return;
-    const reply = getDb().prepare('SELECT * FROM forum_replies WHERE id = ?').get(req.params.replyId);
+    const reply = await getDb().prepare('SELECT * FROM forum_replies WHERE id = ?').get(req.params.replyId);
     if (!reply) return res.status(404).json({ error: 'Reply not found' });
-    const server = getDb().prepare('SELECT owner_id FROM servers WHERE id = ?').get(channel.server_id);
-    if (server?.owner_id !== req.user.id && reply.author_id !== req.user.id) {
+    if (reply.author_id !== req.user.id && !(await can(channel.server_id, req.user.id, PERMISSIONS.MANAGE_MESSAGES))) {
       return res.status(403).json({ error: 'Not allowed' });
     }
-    getDb().prepare('DELETE FROM forum_replies WHERE id = ?').run(reply.id);
+    await getDb().prepare('DELETE FROM forum_replies WHERE id = ?').run(reply.id);
+    await deleteReactions('forum_reply', [reply.id]);
     emitChannelUpdated(req, channel.id);
     res.json({ message: 'Reply deleted' });
   } catch (err) {
@@ -0,0 +1,98 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  listGroups, createGroup, updateGroup, addMembers, removeMember,
+} = require('../services/dmGroups');
+const { relayGroupMessage } = require('../services/directMessages');
+
+const router = express.Router();
+
+// Every member gets the group as it is now
+function emitGroupUpdated(io, group) {
+  group.members.forEach((member) => io.to(`user:${member.id}`).emit('dm-group:updated', { group }));
+}
+
+// The caller's group DMs
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json({ groups: await listGroups(req.user.id) });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a group with some of the caller's friends — { name?, icon?, memberIds }
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await createGroup(req.user.id, req.body || {});
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    emitGroupUpdated(req.app.get('io'), result.group);
+    res.status(201).json({ group: result.group });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename the group or change its icon — { name?, icon? }
+router.patch('/:groupId', authenticateToken, async (req, res) => {
+  try {
+    const { name, icon } = req.body || {};
+    const result = await updateGroup(req.user.id, req.params.groupId, { name, icon });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    emitGroupUpdated(req.app.get('io'), result.group);
+    res.json({ group: result.group });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add friends of the caller — { memberIds }
+router.post('/:groupId/members', authenticateToken, async (req, res) => {
+  try {
+    const result = await addMembers(req.user.id, req.params.groupId, req.body?.memberIds);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    emitGroupUpdated(req.app.get('io'), result.group);
+    res.json({ group: result.group });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a member (owner only), or leave when it's the caller
+router.delete('/:groupId/members/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+    const result = await removeMember(req.user.id, groupId, userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const io = req.app.get('io');
+    io.to(`user:${userId}`).emit('dm-group:removed', { groupId });
+    if (result.group) emitGroupUpdated(io, result.group);
+    res.json({ group: result.group });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send an encrypted group DM via HTTP — relays through Socket.IO like dm:send
+router.post('/:groupId/messages', authenticateToken, async (req, res) => {
+  try {
+    const result = await relayGroupMessage(req.app.get('io'), req.user.id, req.params.groupId, req.body?.envelope);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json({ message: result.message });
+  } catch (err) {
+    console.error('Send group DM error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  publishDeviceKey, listDeviceKeys, claimPrekeyBundles, relayDirectMessage,
+} = require('../services/directMessages');
 
 const router = express.Router();
 
@@ -15,9 +18,9 @@ function emitFriendUpdated(req, userIds) {
 }
 
 // Get all friends
-router.get('/', authenticateToken, (req, res) => {
+router.get('/', authenticateToken, async (req, res) => {
   try {
-    const friends = getDb().prepare(`
+    const friends = await getDb().prepare(`
       SELECT u.id, u.username, u.display_name, u.avatar_color, u.status, f.status as friendship_status
       FROM friendships f
       JOIN users u ON (
@@ -34,16 +37,16 @@ router.get('/', authenticateToken, (req, res) => {
 });
 
 // Get pending friend requests
-router.get('/pending', authenticateToken, (req, res) => {
+router.get('/pending', authenticateToken, async (req, res) => {
   try {
-    const incoming = getDb().prepare(`
+    const incoming = await getDb().prepare(`
       SELECT u.id, u.username, u.display_name, u.avatar_color, f.id as request_id
       FROM friendships f
       JOIN users u ON f.user_id = u.id
       WHERE f.friend_id = ? AND f.status = 'pending'
     `).all(req.user.id);
 
-    const outgoing = getDb().prepare(`
+    const outgoing = await getDb().prepare(`
       SELECT u.id, u.username, u.display_name, u.avatar_color, f.id as request_id
       FROM friendships f
       JOIN users u ON f.friend_id = u.id
@@ -57,7 +60,7 @@ router.get('/pending', authenticateToken, (req, res) => {
 });
 
 // Send friend request by username
-router.post('/add', authenticateToken, (req, res) => {
+router.post('/add', authenticateToken, async (req, res) => {
   try {
     const { username } = req.body;
 
@@ -65,7 +68,7 @@ router.post('/add', authenticateToken, (req, res) => {
       return res.status(400).json({ error: 'Username is required' });
     }
 
-    const targetUser = getDb().prepare('SELECT id, username, display_name, avatar_color FROM users WHERE username = ?').get(username.toLowerCase());
+    const targetUser = await getDb().prepare('SELECT id, username, display_name, avatar_color FROM users WHERE username = ?').get(username.toLowerCase());
     if (!targetUser) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -74,7 +77,7 @@ router.post('/add', authenticateToken, (req, res) => {
       return res.status(400).json({ error: 'Cannot add yourself as a friend' });
     }
 
-    const existing = getDb().prepare(
+    const existing = await getDb().prepare(
       'SELECT * FROM friendships WHERE (user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?)'
     ).get(req.user.id, targetUser.id, targetUser.id, req.user.id);
 
@@ -86,7 +89,7 @@ router.post('/add', authenticateToken, (req, res) => {
     }
 
     const id = uuidv4();
-    getDb().prepare('INSERT INTO friendships (id, user_id, friend_id, status) VALUES (?, ?, ?, ?)').run(
+    await getDb().prepare('INSERT INTO friendships (id, user_id, friend_id, status) VALUES (?, ?, ?, ?)').run(
       id, req.user.id, targetUser.id, 'pending'
     );
     emitFriendUpdated(req, [req.user.id]);
@@ -104,10 +107,10 @@ router.post('/add', authenticateToken, (req, res) => {
 });
 
 // Accept friend request
-router.post('/accept/:requestId', authenticateToken, (req, res) => {
+router.post('/accept/:requestId', authenticateToken, async (req, res) => {
   try {
     const { requestId } = req.params;
-    const request = getDb().prepare('SELECT * FROM friendships WHERE id = ? AND friend_id = ? AND status = ?').get(
+    const request = await getDb().prepare('SELECT * FROM friendships WHERE id = ? AND friend_id = ? AND status = ?').get(
       requestId, req.user.id, 'pending'
     );
 
@@ -115,7 +118,7 @@ router.post('/accept/:requestId', authenticateToken, (req, res) => {
       return res.status(404).json({ error: 'Friend request not found' });
     }
 
-    getDb().prepare('UPDATE friendships SET status = ? WHERE id = ?').run('accepted', requestId);
+    await getDb().prepare('UPDATE friendships SET status = ? WHERE id = ?').run('accepted', requestId);
     emitFriendUpdated(req, [request.user_id, request.friend_id]);
 
     res.json({ message: 'Friend request accepted' });
@@ -125,10 +128,10 @@ router.post('/accept/:requestId', authenticateToken, (req, res) => {
 });
 
 // Decline/remove friend
-router.delete('/:friendId', authenticateToken, (req, res) => {
+router.delete('/:friendId', authenticateToken, async (req, res) => {
   try {
     const { friendId } = req.params;
-    getDb().prepare(
+    await getDb().prepare(
       'DELETE FROM friendships WHERE (user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?)'
     ).run(req.user.id, friendId, friendId, req.user.id);
     emitFriendUpdated(req, [req.user.id, friendId]);
@@ -144,38 +147,60 @@ router.get('/dm/:friendId', authenticateToken, (_req, res) => {
   res.json({ messages: [] });
 });
 
-// Send DM via HTTP — relays through Socket.IO, never stored
-router.post('/dm/:friendId', authenticateToken, (req, res) => {
+// Send an encrypted DM via HTTP — relays through Socket.IO like dm:send
+router.post('/dm/:friendId', authenticateToken, async (req, res) => {
   try {
-    const { friendId } = req.params;
-    const { content } = req.body;
+    const result = await relayDirectMessage(req.app.get('io'), req.user.id, req.params.friendId, req.body.envelope);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json({ message: result.message });
+  } catch (err) {
+    console.error('Send DM error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ── Device keys for end-to-end encrypted DMs ───────────────────────────────
 
-    if (!content || !content.trim()) {
-      return res.status(400).json({ error: 'Message content required' });
+// Publish this device's prekey bundle; repeated on every start to mark it
+// seen, rotate the signed prekey and top up the one-time prekeys
+router.put('/keys', authenticateToken, async (req, res) => {
+  try {
+    const result = await publishDeviceKey(req.user.id, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
+    res.json({ device: result.device, one_time_prekeys: result.oneTimePrekeys });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const sender = getDb().prepare(
-      'SELECT id, username, display_name, avatar_color FROM users WHERE id = ?'
-    ).get(req.user.id);
-
-    const message = {
-      id: uuidv4(),
-      sender_id: req.user.id,
-      receiver_id: friendId,
-      content: content.trim(),
-      created_at: new Date().toISOString(),
-      username: sender.username,
-      display_name: sender.display_name,
-      avatar_color: sender.avatar_color,
-    };
-
-    // Relay via Socket.IO — not written to DB
-    const io = req.app.get('io');
-    io?.to(`user:${req.user.id}`).to(`user:${friendId}`).emit('dm:new', { message });
+// Device keys of a friend or group DM member, or of the caller's own account
+router.get('/keys/:userId', authenticateToken, async (req, res) => {
+  try {
+    const devices = await listDeviceKeys(req.user.id, req.params.userId);
+    if (!devices) {
+      return res.status(403).json({ error: 'You can only see the keys of your friends and group members' });
+    }
+    res.json({ devices });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.status(201).json({ message });
+// Prekey bundles for starting sessions with the devices of a friend, a group
+// DM member or the caller. POST because every bundle hands out one of the device's one-time
+// prekeys; { deviceIds } limits it to the devices the caller has no session with.
+router.post('/keys/:userId/bundles', authenticateToken, async (req, res) => {
+  try {
+    const bundles = await claimPrekeyBundles(req.user.id, req.params.userId, req.body?.deviceIds);
+    if (!bundles) {
+      return res.status(403).json({ error: 'You can only see the keys of your friends and group members' });
+    }
+    res.json({ bundles });
   } catch (err) {
-    console.error('Send DM error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -0,0 +1,30 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { listMentions, dismissMention } = require('../services/mentions');
+
+const router = express.Router();
+
+// The caller's mentions inbox across servers, newest first — before/limit page back
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { before, limit } = req.query;
+    const mentions = await listMentions(req.user.id, { before, limit });
+    res.json({ mentions });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove one message from the inbox
+router.delete('/:messageId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await dismissMention(req.user.id, req.params.messageId))) {
+      return res.status(404).json({ error: 'Mention not found' });
+    }
+    res.json({ message: 'Mention dismissed' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
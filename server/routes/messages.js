@@ -1,64 +1,58 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission, getChannelPermissions, requireChannelPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/auditLog');
+const { attachReactions } = require('../services/reactions');
+const {
+  getMessage, listMessages, getThreadRoot, resolveMessageRefs, createMessage, deleteMessage,
+  listPinnedMessages, pinMessage, unpinMessage,
+} = require('../services/messages');
+const { markChannelRead } = require('../services/readStates');
+const { processMentions } = require('../services/mentions');
+const { unfurlMessage, suppressEmbeds } = require('../services/linkPreviews');
+const { emitToChannelViewers } = require('../websocket/handler');
 
 const router = express.Router();
 
-// Get messages for a channel
-router.get('/:channelId', authenticateToken, (req, res) => {
+// Get messages for a channel — the main timeline, or one thread with ?thread=<messageId>
+router.get('/:channelId', authenticateToken, async (req, res) => {
   try {
     const { channelId } = req.params;
     const limit = parseInt(req.query.limit) || 50;
-    const before = req.query.before;
+    const { before, thread } = req.query;
 
-    // Verify user is member of the server this channel belongs to
-    const channel = getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+    // Verify user is a member who can see this channel
+    const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
     if (!channel) {
       return res.status(404).json({ error: 'Channel not found' });
     }
 
-    const member = getDb().prepare('SELECT * FROM server_members WHERE server_id = ? AND user_id = ?').get(
-      channel.server_id, req.user.id
-    );
-    if (!member) {
-      return res.status(403).json({ error: 'Not a member of this server' });
-    }
-
-    let query = `
-      SELECT m.*, u.username, u.display_name, u.avatar_color
-      FROM messages m
-      JOIN users u ON m.sender_id = u.id
-      WHERE m.channel_id = ?
-    `;
-    const params = [channelId];
+    if (!(await requireChannelPermission(channel, req.user.id, PERMISSIONS.VIEW_CHANNEL, res))) return;
 
-    if (before) {
-      query += ' AND m.created_at < ?';
-      params.push(before);
+    if (thread && !(await getThreadRoot(channelId, thread))) {
+      return res.status(404).json({ error: 'Thread not found' });
     }
 
-    query += ' ORDER BY m.created_at DESC LIMIT ?';
-    params.push(limit);
-
-    const messages = getDb().prepare(query).all(...params);
-    res.json({ messages: messages.reverse() });
+    const messages = await listMessages(channelId, { threadId: thread, before, limit });
+    await attachReactions('message', messages, req.user.id);
+    res.json({ messages });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Send message to channel
-router.post('/:channelId', authenticateToken, (req, res) => {
+// Send message to channel — optional replyToId quotes a message, threadId posts into its thread
+router.post('/:channelId', authenticateToken, async (req, res) => {
   try {
     const { channelId } = req.params;
-    const { content } = req.body;
+    const { content, replyToId, threadId } = req.body;
 
     if (!content || !content.trim()) {
       return res.status(400).json({ error: 'Message content required' });
     }
 
-    const channel = getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+    const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
     if (!channel) {
       return res.status(404).json({ error: 'Channel not found' });
     }
@@ -68,34 +62,246 @@ router.post('/:channelId', authenticateToken, (req, res) => {
       return res.status(400).json({ error: 'Cannot send messages to this channel type' });
     }
 
-    // Announcements: only server owner can post
-    if (channel.type === 'announcements') {
-      const server = getDb().prepare('SELECT owner_id FROM servers WHERE id = ?').get(channel.server_id);
-      if (!server || server.owner_id !== req.user.id) {
-        return res.status(403).json({ error: 'Only the server owner can post in announcements channels' });
-      }
+    // Announcements additionally need POST_ANNOUNCEMENTS
+    const required = [PERMISSIONS.VIEW_CHANNEL, PERMISSIONS.SEND_MESSAGES];
+    if (channel.type === 'announcements') required.push(PERMISSIONS.POST_ANNOUNCEMENTS);
+    if (!(await requireChannelPermission(channel, req.user.id, required, res))) return;
+
+    const refs = await resolveMessageRefs(channelId, { replyToId, threadId });
+    if (refs.error) {
+      return res.status(400).json({ error: refs.error });
     }
 
-    const member = getDb().prepare('SELECT * FROM server_members WHERE server_id = ? AND user_id = ?').get(
-      channel.server_id, req.user.id
-    );
-    if (!member) {
-      return res.status(403).json({ error: 'Not a member of this server' });
+    const message = await createMessage(channelId, req.user.id, content.trim(), refs);
+    const io = req.app.get('io');
+    await processMentions(io, channel, message);
+    unfurlMessage(message, (updated) => io && emitToChannelViewers(io, channel, 'message:updated', { channelId, message: updated }));
+    res.status(201).json({ message });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Pinned messages of a channel, most recently pinned first
+router.get('/:channelId/pins', authenticateToken, async (req, res) => {
+  try {
+    const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(req.params.channelId);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    if (!(await requireChannelPermission(channel, req.user.id, PERMISSIONS.VIEW_CHANNEL, res))) return;
+
+    const messages = await listPinnedMessages(channel.id);
+    await attachReactions('message', messages, req.user.id);
+    res.json({ messages });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark the channel read up to messageId (default: the newest message). Other
+// devices of the user follow through read:update on their user room.
+router.put('/:channelId/read', authenticateToken, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { messageId } = req.body || {};
+
+    const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    if (!(await requireChannelPermission(channel, req.user.id, PERMISSIONS.VIEW_CHANNEL, res))) return;
+
+    const readState = await markChannelRead(channel, req.user.id, messageId);
+    if (readState?.error) {
+      return res.status(404).json({ error: readState.error });
+    }
+
+    const io = req.app.get('io');
+    if (io && readState) {
+      io.to(`user:${req.user.id}`).emit('read:update', {
+        serverId: channel.server_id,
+        channelId,
+        lastReadMessageId: readState.last_read_message_id,
+        lastReadAt: readState.last_read_at,
+      });
+    }
+    res.json({ readState });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Loads a message of the channel together with the caller's permissions in it.
+ * Sends 403/404 and returns null when the caller can't see it.
+ */
+async function getVisibleMessage(channelId, messageId, userId, res) {
+  const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+  const message = channel && await getDb()
+    .prepare('SELECT * FROM messages WHERE id = ? AND channel_id = ?')
+    .get(messageId, channelId);
+  if (!message) {
+    res.status(404).json({ error: 'Message not found' });
+    return null;
+  }
+
+  const permissions = await getChannelPermissions(channel, userId);
+  if (!hasPermission(permissions, PERMISSIONS.VIEW_CHANNEL)) {
+    res.status(403).json({ error: 'Missing permission: View Channel' });
+    return null;
+  }
+  return { channel, message, permissions };
+}
+
+// Edit a message — author only, and only while they may still send in the channel
+router.patch('/:channelId/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const { channelId, messageId } = req.params;
+    const { content } = req.body;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Message content required' });
+    }
+
+    const found = await getVisibleMessage(channelId, messageId, req.user.id, res);
+    if (!found) return;
+    if (found.message.sender_id !== req.user.id) {
+      return res.status(403).json({ error: 'You can only edit your own messages' });
+    }
+    if (found.message.type !== 'default') {
+      return res.status(400).json({ error: 'System messages cannot be edited' });
+    }
+    // Covers overwrites that revoke sending as well as timeouts
+    if (!hasPermission(found.permissions, PERMISSIONS.SEND_MESSAGES)) {
+      return res.status(403).json({ error: 'Missing permission: Send Messages' });
     }
 
-    const id = uuidv4();
-    getDb().prepare('INSERT INTO messages (id, channel_id, sender_id, content) VALUES (?, ?, ?, ?)').run(
-      id, channelId, req.user.id, content.trim()
+    await getDb().prepare('UPDATE messages SET content = ?, edited_at = ? WHERE id = ?').run(
+      content.trim(), new Date().toISOString(), messageId
     );
 
-    const message = getDb().prepare(`
-      SELECT m.*, u.username, u.display_name, u.avatar_color
-      FROM messages m
-      JOIN users u ON m.sender_id = u.id
-      WHERE m.id = ?
-    `).get(id);
+    const message = await getMessage(messageId);
 
-    res.status(201).json({ message });
+    const io = req.app.get('io');
+    await processMentions(io, found.channel, message);
+    if (io) await emitToChannelViewers(io, found.channel, 'message:updated', { channelId, message });
+    unfurlMessage(message, (updated) => io && emitToChannelViewers(io, found.channel, 'message:updated', { channelId, message: updated }));
+    res.json({ message });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a message — the author, or anyone with MANAGE_MESSAGES in the channel
+router.delete('/:channelId/:messageId', authenticateToken, async (req, res) => {
+  try {
+    const { channelId, messageId } = req.params;
+
+    const found = await getVisibleMessage(channelId, messageId, req.user.id, res);
+    if (!found) return;
+    const { channel, message, permissions } = found;
+
+    const isAuthor = message.sender_id === req.user.id;
+    if (!isAuthor && !hasPermission(permissions, PERMISSIONS.MANAGE_MESSAGES)) {
+      return res.status(403).json({ error: 'Missing permission: Manage Messages' });
+    }
+
+    await deleteMessage(message);
+    if (!isAuthor) {
+      await recordAudit({
+        serverId: channel.server_id, actorId: req.user.id, action: 'message.delete', targetType: 'message',
+        targetId: messageId, changes: { channel_id: channelId, author_id: message.sender_id },
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      await emitToChannelViewers(io, channel, 'message:deleted', { channelId, messageId, threadId: message.thread_id });
+    }
+    res.json({ message: 'Message deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a message's link previews for good — the author, or anyone with MANAGE_MESSAGES
+router.delete('/:channelId/:messageId/embeds', authenticateToken, async (req, res) => {
+  try {
+    const { channelId, messageId } = req.params;
+
+    const found = await getVisibleMessage(channelId, messageId, req.user.id, res);
+    if (!found) return;
+    const { channel, message: target, permissions } = found;
+    if (target.sender_id !== req.user.id && !hasPermission(permissions, PERMISSIONS.MANAGE_MESSAGES)) {
+      return res.status(403).json({ error: 'Missing permission: Manage Messages' });
+    }
+
+    const message = await suppressEmbeds(messageId);
+    const io = req.app.get('io');
+    if (io) await emitToChannelViewers(io, channel, 'message:updated', { channelId, message });
+    res.json({ message });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Pin a message — needs MANAGE_MESSAGES. Posts a pin notice in the channel.
+router.put('/:channelId/:messageId/pin', authenticateToken, async (req, res) => {
+  try {
+    const { channelId, messageId } = req.params;
+
+    const found = await getVisibleMessage(channelId, messageId, req.user.id, res);
+    if (!found) return;
+    const { channel, message: target, permissions } = found;
+    if (!hasPermission(permissions, PERMISSIONS.MANAGE_MESSAGES)) {
+      return res.status(403).json({ error: 'Missing permission: Manage Messages' });
+    }
+
+    const result = await pinMessage(target, req.user.id);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    await recordAudit({
+      serverId: channel.server_id, actorId: req.user.id, action: 'message.pin', targetType: 'message',
+      targetId: messageId, changes: { channel_id: channelId, author_id: target.sender_id },
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      await emitToChannelViewers(io, channel, 'message:new', { channelId, message: result.notice });
+      await emitToChannelViewers(io, channel, 'pin:update', { channelId, message: result.message, pinned: true });
+    }
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unpin a message — needs MANAGE_MESSAGES
+router.delete('/:channelId/:messageId/pin', authenticateToken, async (req, res) => {
+  try {
+    const { channelId, messageId } = req.params;
+
+    const found = await getVisibleMessage(channelId, messageId, req.user.id, res);
+    if (!found) return;
+    const { channel, message: target, permissions } = found;
+    if (!hasPermission(permissions, PERMISSIONS.MANAGE_MESSAGES)) {
+      return res.status(403).json({ error: 'Missing permission: Manage Messages' });
+    }
+
+    if (!(await unpinMessage(target))) {
+      return res.status(400).json({ error: 'Message is not pinned' });
+    }
+    await recordAudit({
+      serverId: channel.server_id, actorId: req.user.id, action: 'message.unpin', targetType: 'message',
+      targetId: messageId, changes: { channel_id: channelId, author_id: target.sender_id },
+    });
+
+    const message = await getMessage(messageId);
+    const io = req.app.get('io');
+    if (io) await emitToChannelViewers(io, channel, 'pin:update', { channelId, message, pinned: false });
+    res.json({ message });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
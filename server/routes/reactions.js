@@ -0,0 +1,77 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { PERMISSIONS, requireChannelPermission } = require('../services/permissions');
+const { isValidEmoji, getReactionChannel, addReaction, removeReaction } = require('../services/reactions');
+const { emitToChannelViewers } = require('../websocket/handler');
+
+const router = express.Router();
+
+// Target types: message, announcement, forum_post, forum_reply (see services/reactions.js)
+const TARGET_PATH = '/:targetType(message|announcement|forum_post|forum_reply)/:targetId/:emoji';
+
+/** Validates the emoji and loads the target's channel. Sends 400/404 and returns null otherwise. */
+async function getTargetChannel(req, res) {
+  const { targetType, targetId, emoji } = req.params;
+  if (!isValidEmoji(emoji)) {
+    res.status(400).json({ error: 'Invalid emoji' });
+    return null;
+  }
+  const channel = await getReactionChannel(targetType, targetId);
+  if (!channel) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  return channel;
+}
+
+// React — needs VIEW_CHANNEL and SEND_MESSAGES, so timed-out members can't
+router.put(TARGET_PATH, authenticateToken, async (req, res) => {
+  try {
+    const { targetType, targetId, emoji } = req.params;
+
+    const channel = await getTargetChannel(req, res);
+    if (!channel) return;
+    const required = [PERMISSIONS.VIEW_CHANNEL, PERMISSIONS.SEND_MESSAGES];
+    if (!(await requireChannelPermission(channel, req.user.id, required, res))) return;
+
+    const result = await addReaction(channel, targetType, targetId, req.user.id, emoji);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const io = req.app.get('io');
+    if (io && result.changed) {
+      await emitToChannelViewers(io, channel, 'reaction:update', {
+        channelId: channel.id, targetType, targetId, emoji, count: result.count, userId: req.user.id, added: true,
+      });
+    }
+    res.json({ emoji, count: result.count, me: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove own reaction
+router.delete(TARGET_PATH, authenticateToken, async (req, res) => {
+  try {
+    const { targetType, targetId, emoji } = req.params;
+
+    const channel = await getTargetChannel(req, res);
+    if (!channel) return;
+    if (!(await requireChannelPermission(channel, req.user.id, PERMISSIONS.VIEW_CHANNEL, res))) return;
+
+    const result = await removeReaction(targetType, targetId, req.user.id, emoji);
+
+    const io = req.app.get('io');
+    if (io && result.changed) {
+      await emitToChannelViewers(io, channel, 'reaction:update', {
+        channelId: channel.id, targetType, targetId, emoji, count: result.count, userId: req.user.id, added: false,
+      });
+    }
+    res.json({ emoji, count: result.count, me: false });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { searchMessages } = require('../services/search');
+
+const router = express.Router();
+
+// Search a server's messages — q holds words and filters (see services/search.js),
+// before/limit page through results newest first. Only viewable channels are searched.
+router.get('/:serverId', authenticateToken, async (req, res) => {
+  try {
+    const { serverId } = req.params;
+    const { q, before, limit } = req.query;
+
+    const found = await searchMessages(serverId, req.user.id, q, { before, limit });
+    if (!found) {
+      return res.status(403).json({ error: 'Not a member of this server' });
+    }
+    if (found.error) {
+      return res.status(400).json({ error: found.error });
+    }
+
+    res.json(found);
+  } catch (err) {
+    console.error('Search error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -3,28 +3,215 @@ const { v4: uuidv4 } = require('uuid');
 const { customAlphabet } = require('nanoid');
 const { getDb } = require('../database/init');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  PERMISSIONS,
+  DEFAULT_MEMBER_PERMISSIONS,
+  OVERWRITE_PERMISSIONS,
+  hasPermission,
+  isTimedOut,
+  sanitizePermissions,
+  getMemberPermissions,
+  requirePermission,
+  getOverwriteScopeId,
+  getChannelPermissionResolver,
+} = require('../services/permissions');
+const { AUDIT_ACTIONS, recordAudit, getAuditLog } = require('../services/auditLog');
+const { deleteMembership } = require('../services/membership');
+const { getServerUnreads } = require('../services/readStates');
+const { removeUserFromServer, refreshVoiceSuppression } = require('../websocket/handler');
 
 const router = express.Router();
 const generateInviteCode = customAlphabet('ABCDEFGHJKMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789', 8);
 
+const DEFAULT_ROLE_NAME = '@everyone';
+const MAX_ROLE_NAME_LENGTH = 32;
+const MAX_REASON_LENGTH = 512;
+const MAX_TIMEOUT_SECONDS = 28 * 24 * 60 * 60;
+const MAX_BAN_SECONDS = 365 * 24 * 60 * 60; // longer than that, ban permanently
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+const MAX_INVITE_USES = 100;
+const MAX_INVITE_AGE_SECONDS = 30 * 24 * 60 * 60;
+
 const SERVER_COLORS = ['#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#007AFF', '#5856D6', '#AF52DE', '#FF2D55', '#5AC8FA', '#64D2FF'];
 
-function emitServerUpdated(req, serverId) {
+async function emitServerUpdated(req, serverId) {
   const io = req.app.get('io');
   if (!io || !serverId) return;
 
   io.to(`server:${serverId}`).emit('server:updated', { serverId });
 
-  const members = getDb().prepare('SELECT user_id FROM server_members WHERE server_id = ?').all(serverId);
+  const members = await getDb().prepare('SELECT user_id FROM server_members WHERE server_id = ?').all(serverId);
   members.forEach(({ user_id }) => {
     io.to(`user:${user_id}`).emit('server:updated', { serverId });
   });
 }
 
+/** Roles ordered top-down, the way the settings UI lists them. */
+function getServerRoles(serverId) {
+  return getDb().prepare(
+    'SELECT id, name, color, permissions, position, is_default FROM server_roles WHERE server_id = ? ORDER BY position DESC'
+  ).all(serverId);
+}
+
+/** Returns the role if it sits below the actor's highest role. 403/404 otherwise. */
+async function getManageableRole(context, roleId, res) {
+  const role = await getDb()
+    .prepare('SELECT * FROM server_roles WHERE id = ? AND server_id = ?')
+    .get(roleId, context.server.id);
+  if (!role) {
+    res.status(404).json({ error: 'Role not found' });
+    return null;
+  }
+  if (!role.is_default && role.position >= context.highestPosition) {
+    res.status(403).json({ error: 'You can only manage roles below your highest role' });
+    return null;
+  }
+  return role;
+}
+
+/** Members may only hand out permissions they hold themselves. */
+function canGrantPermissions(context, permissions) {
+  return context.isOwner || (permissions & ~context.permissions) === 0;
+}
+
+function normalizeRoleColor(color) {
+  return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? color : null;
+}
+
+function normalizeReason(reason) {
+  return typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, MAX_REASON_LENGTH) : null;
+}
+
+/**
+ * Bans and timeouts: `{ expiresAt }` durationSeconds from now, null without a
+ * duration, or `{ error }` unless it is a whole number of seconds from 1 to max.
+ */
+function parseDuration(durationSeconds, max) {
+  if (durationSeconds === undefined || durationSeconds === null) return { expiresAt: null };
+  if (!Number.isInteger(durationSeconds) || durationSeconds < 1 || durationSeconds > max) {
+    return { error: `durationSeconds must be an integer between 1 and ${max}` };
+  }
+  return { expiresAt: new Date(Date.now() + durationSeconds * 1000).toISOString() };
+}
+
+/** An invite can be used while it is neither expired nor used up. */
+function isInviteUsable(invite, now = Date.now()) {
+  if (invite.expires_at && new Date(invite.expires_at).getTime() <= now) return false;
+  return !invite.max_uses || invite.uses < invite.max_uses;
+}
+
+/** Loads a usable invite and its server, or sends 404 and returns null. */
+async function getUsableInvite(code, res) {
+  const invite = typeof code === 'string'
+    ? await getDb().prepare('SELECT * FROM invites WHERE code = ?').get(code.trim())
+    : null;
+  const server = invite && await getDb().prepare('SELECT * FROM servers WHERE id = ?').get(invite.server_id);
+  if (!server || !isInviteUsable(invite)) {
+    res.status(404).json({ error: 'Invalid or expired invite' });
+    return null;
+  }
+  return { invite, server };
+}
+
+/**
+ * Returns the target's member context if the actor may moderate them: not
+ * themselves, not the owner, and strictly below the actor's highest role.
+ */
+async function getModeratableMember(context, actorId, targetId, res) {
+  if (targetId === actorId) {
+    res.status(400).json({ error: 'You cannot moderate yourself' });
+    return null;
+  }
+  const target = await getMemberPermissions(context.server.id, targetId);
+  if (!target) {
+    res.status(404).json({ error: 'Member not found' });
+    return null;
+  }
+  if (target.isOwner || target.highestPosition >= context.highestPosition) {
+    res.status(403).json({ error: 'You can only moderate members below your highest role' });
+    return null;
+  }
+  return target;
+}
+
+/** Voice suppression follows the timeout; re-check once it runs out. */
+function scheduleTimeoutExpiry(io, serverId, userId, timeoutUntil) {
+  const delay = new Date(timeoutUntil).getTime() - Date.now();
+  if (delay <= 0) return;
+  const timer = setTimeout(async () => {
+    try {
+      if (delay > MAX_TIMER_DELAY_MS) {
+        scheduleTimeoutExpiry(io, serverId, userId, timeoutUntil);
+        return;
+      }
+      await refreshVoiceSuppression(io, serverId, userId);
+      io.to(`user:${userId}`).emit('server:updated', { serverId });
+    } catch (err) {
+      console.error('Timeout expiry error:', err);
+    }
+  }, Math.min(delay, MAX_TIMER_DELAY_MS));
+  timer.unref?.();
+}
+
+/**
+ * Loads a channel or category of the server and checks MANAGE_CHANNELS on it,
+ * overwrites included. Returns `{ row, context, permissions }`, or null after
+ * sending 403/404.
+ */
+async function getManageableScope(serverId, scopeType, scopeId, userId, res) {
+  const resolver = await getChannelPermissionResolver(serverId, userId);
+  if (!resolver) {
+    res.status(403).json({ error: 'Not a member of this server' });
+    return null;
+  }
+
+  const table = scopeType === 'category' ? 'categories' : 'channels';
+  const row = await getDb().prepare(`SELECT * FROM ${table} WHERE id = ? AND server_id = ?`).get(scopeId, serverId);
+  if (!row) {
+    res.status(404).json({ error: scopeType === 'category' ? 'Category not found' : 'Channel not found' });
+    return null;
+  }
+
+  const permissions = scopeType === 'category' ? resolver.forCategory(row) : resolver.forChannel(row);
+  if (!hasPermission(permissions, PERMISSIONS.MANAGE_CHANNELS)) {
+    res.status(403).json({ error: 'Missing permission: Manage Channels' });
+    return null;
+  }
+  return { row, context: resolver.context, permissions };
+}
+
+/** Gives a synced channel its own copy of the category's overwrites. */
+async function unsyncChannel(channel) {
+  const inherited = await getDb()
+    .prepare('SELECT * FROM permission_overwrites WHERE scope_id = ?')
+    .all(channel.category_id);
+  for (const o of inherited) {
+    await getDb().prepare(
+      'INSERT INTO permission_overwrites (id, server_id, scope_type, scope_id, target_type, target_id, allow, deny) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+    ).run(uuidv4(), channel.server_id, 'channel', channel.id, o.target_type, o.target_id, o.allow, o.deny);
+  }
+  await getDb().prepare('UPDATE channels SET permissions_synced = 0 WHERE id = ?').run(channel.id);
+}
+
+/** Overwrite targets are roles below the actor, or members of the server. */
+async function validateOverwriteTarget(context, targetType, targetId, res) {
+  if (targetType === 'role') {
+    return Boolean(await getManageableRole(context, targetId, res));
+  }
+  const member = await getDb()
+    .prepare('SELECT id FROM server_members WHERE server_id = ? AND user_id = ?')
+    .get(context.server.id, targetId);
+  if (!member) {
+    res.status(404).json({ error: 'Member not found' });
+    return false;
+  }
+  return true;
+}
+
 // Get user's servers
-router.get('/', authenticateToken, (req, res) => {
+router.get('/', authenticateToken, async (req, res) => {
   try {
-    const servers = getDb().prepare(`
+    const servers = await getDb().prepare(`
       SELECT s.*, sm.joined_at,
         (SELECT COUNT(*) FROM server_members WHERE server_id = s.id) as member_count
       FROM servers s
@@ -33,6 +220,11 @@ router.get('/', authenticateToken, (req, res) => {
       ORDER BY sm.joined_at ASC
     `).all(req.user.id);
 
+    // Unread and mention counts per server, and per channel in `unreads.channels`
+    for (const server of servers) {
+      server.unreads = await getServerUnreads(server.id, req.user);
+    }
+
     res.json({ servers });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
@@ -40,7 +232,7 @@ router.get('/', authenticateToken, (req, res) => {
 });
 
 // Create server — supports three hosting types: 'novoice', 'own', 'local'
-router.post('/', authenticateToken, (req, res) => {
+router.post('/', authenticateToken, async (req, res) => {
   try {
     const { name, server_type, server_url } = req.body;
 
@@ -67,29 +259,39 @@ router.post('/', authenticateToken, (req, res) => {
     const inviteCode = generateInviteCode();
     const iconColor = SERVER_COLORS[Math.floor(Math.random() * SERVER_COLORS.length)];
 
-    const createServer = getDb().transaction(() => {
-      getDb().prepare(
+    const createServer = getDb().transaction(async () => {
+      await getDb().prepare(
         'INSERT INTO servers (id, name, owner_id, invite_code, icon_color, server_type, server_url) VALUES (?, ?, ?, ?, ?, ?, ?)'
       ).run(id, name.trim(), req.user.id, inviteCode, iconColor, sType, sUrl);
 
-      getDb().prepare('INSERT INTO server_members (id, server_id, user_id) VALUES (?, ?, ?)').run(
+      // The default invite is permanent and unlimited, like the rows backfilled in migration 006
+      await getDb().prepare('INSERT INTO invites (code, server_id, created_by) VALUES (?, ?, ?)').run(
+        inviteCode, id, req.user.id
+      );
+
+      await getDb().prepare('INSERT INTO server_members (id, server_id, user_id) VALUES (?, ?, ?)').run(
         uuidv4(), id, req.user.id
       );
 
+      // "@everyone" shares the server's id, like the rows backfilled in migration 003
+      await getDb().prepare(
+        'INSERT INTO server_roles (id, server_id, name, permissions, position, is_default) VALUES (?, ?, ?, ?, ?, ?)'
+      ).run(id, id, DEFAULT_ROLE_NAME, DEFAULT_MEMBER_PERMISSIONS, 0, 1);
+
       if (createDefaultChannels) {
-        getDb().prepare('INSERT INTO channels (id, server_id, name, type, position) VALUES (?, ?, ?, ?, ?)').run(
+        await getDb().prepare('INSERT INTO channels (id, server_id, name, type, position) VALUES (?, ?, ?, ?, ?)').run(
           uuidv4(), id, 'general', 'text', 0
         );
-        getDb().prepare('INSERT INTO channels (id, server_id, name, type, position) VALUES (?, ?, ?, ?, ?)').run(
+        await getDb().prepare('INSERT INTO channels (id, server_id, name, type, position) VALUES (?, ?, ?, ?, ?)').run(
           uuidv4(), id, 'General', 'voice', 1
         );
       }
     });
 
-    createServer();
-    emitServerUpdated(req, id);
+    await createServer();
+    await emitServerUpdated(req, id);
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(id);
+    const server = await getDb().prepare('SELECT * FROM servers WHERE id = ?').get(id);
     res.status(201).json({ server });
   } catch (err) {
     console.error('Create server error:', err);
@@ -97,8 +299,42 @@ router.post('/', authenticateToken, (req, res) => {
   }
 });
 
+// Preview the server behind an invite before joining
+router.get('/invites/:code', authenticateToken, async (req, res) => {
+  try {
+    const found = await getUsableInvite(req.params.code, res);
+    if (!found) return;
+    const { invite, server } = found;
+
+    const { count } = await getDb()
+      .prepare('SELECT COUNT(*) AS count FROM server_members WHERE server_id = ?')
+      .get(server.id);
+    const member = await getDb()
+      .prepare('SELECT id FROM server_members WHERE server_id = ? AND user_id = ?')
+      .get(server.id, req.user.id);
+
+    res.json({
+      invite: {
+        code: invite.code,
+        expires_at: invite.expires_at,
+        temporary: Boolean(invite.temporary),
+      },
+      server: {
+        id: server.id,
+        name: server.name,
+        icon_color: server.icon_color,
+        server_type: server.server_type,
+        member_count: Number(count),
+      },
+      isMember: Boolean(member),
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Join server by invite code
-router.post('/join', authenticateToken, (req, res) => {
+router.post('/join', authenticateToken, async (req, res) => {
   try {
     const { inviteCode } = req.body;
 
@@ -106,22 +342,45 @@ router.post('/join', authenticateToken, (req, res) => {
       return res.status(400).json({ error: 'Invite code required' });
     }
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE invite_code = ?').get(inviteCode);
-    if (!server) {
-      return res.status(404).json({ error: 'Invalid invite code' });
-    }
+    const found = await getUsableInvite(inviteCode, res);
+    if (!found) return;
+    const { invite, server } = found;
 
-    const existing = getDb().prepare('SELECT * FROM server_members WHERE server_id = ? AND user_id = ?').get(
+    const existing = await getDb().prepare('SELECT * FROM server_members WHERE server_id = ? AND user_id = ?').get(
       server.id, req.user.id
     );
     if (existing) {
       return res.status(400).json({ error: 'Already a member of this server' });
     }
 
-    getDb().prepare('INSERT INTO server_members (id, server_id, user_id) VALUES (?, ?, ?)').run(
-      uuidv4(), server.id, req.user.id
+    const ban = await getDb().prepare('SELECT * FROM server_bans WHERE server_id = ? AND user_id = ?').get(
+      server.id, req.user.id
     );
-    emitServerUpdated(req, server.id);
+    if (ban && (!ban.expires_at || new Date(ban.expires_at).getTime() > Date.now())) {
+      return res.status(403).json({ error: 'You are banned from this server' });
+    }
+    if (ban) {
+      await getDb().prepare('DELETE FROM server_bans WHERE server_id = ? AND user_id = ?').run(server.id, req.user.id);
+    }
+
+    // Claim a use and add the member together, so concurrent joins can't overrun max_uses
+    const join = getDb().transaction(async () => {
+      const { changes } = await getDb().prepare(`
+        UPDATE invites SET uses = uses + 1
+        WHERE code = ? AND (max_uses IS NULL OR max_uses = 0 OR uses < max_uses)
+          AND (expires_at IS NULL OR expires_at > ?)
+      `).run(invite.code, new Date().toISOString());
+      if (!changes) return false;
+
+      await getDb().prepare(
+        'INSERT INTO server_members (id, server_id, user_id, invite_code, temporary) VALUES (?, ?, ?, ?, ?)'
+      ).run(uuidv4(), server.id, req.user.id, invite.code, invite.temporary ? 1 : 0);
+      return true;
+    });
+    if (!(await join())) {
+      return res.status(404).json({ error: 'Invalid or expired invite' });
+    }
+    await emitServerUpdated(req, server.id);
 
     res.json({ server });
   } catch (err) {
@@ -129,74 +388,107 @@ router.post('/join', authenticateToken, (req, res) => {
   }
 });
 
-// Get server details (includes categories)
-router.get('/:serverId', authenticateToken, (req, res) => {
+// Get server details (includes categories) — only what the caller can see
+router.get('/:serverId', authenticateToken, async (req, res) => {
   try {
     const { serverId } = req.params;
 
-    const member = getDb().prepare('SELECT * FROM server_members WHERE server_id = ? AND user_id = ?').get(
-      serverId, req.user.id
-    );
-    if (!member) {
+    const resolver = await getChannelPermissionResolver(serverId, req.user.id);
+    if (!resolver) {
       return res.status(403).json({ error: 'Not a member of this server' });
     }
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    const categories = getDb().prepare('SELECT * FROM categories WHERE server_id = ? ORDER BY position').all(serverId);
-    const channels = getDb().prepare('SELECT * FROM channels WHERE server_id = ? ORDER BY position').all(serverId);
-    const members = getDb().prepare(`
-      SELECT u.id, u.username, u.display_name, u.avatar_color, u.status
+    const { context } = resolver;
+    const { server } = context;
+    const allChannels = await getDb().prepare('SELECT * FROM channels WHERE server_id = ? ORDER BY position').all(serverId);
+    const channels = allChannels
+      .map((channel) => ({ ...channel, permissions: resolver.forChannel(channel) }))
+      .filter((channel) => hasPermission(channel.permissions, PERMISSIONS.VIEW_CHANNEL));
+
+    // A hidden category still shows when a channel inside it is visible
+    const allCategories = await getDb().prepare('SELECT * FROM categories WHERE server_id = ? ORDER BY position').all(serverId);
+    const categories = allCategories
+      .map((category) => ({ ...category, permissions: resolver.forCategory(category) }))
+      .filter((category) => hasPermission(category.permissions, PERMISSIONS.VIEW_CHANNEL)
+        || channels.some((channel) => channel.category_id === category.id));
+
+    const members = await getDb().prepare(`
+      SELECT u.id, u.username, u.display_name, u.avatar_color, u.status, sm.timeout_until
       FROM server_members sm
       JOIN users u ON sm.user_id = u.id
       WHERE sm.server_id = ?
     `).all(serverId);
+    const roles = await getServerRoles(serverId);
+
+    const memberRoles = await getDb()
+      .prepare('SELECT user_id, role_id FROM server_member_roles WHERE server_id = ?')
+      .all(serverId);
+    const roleIdsByUser = new Map();
+    for (const { user_id, role_id } of memberRoles) {
+      if (!roleIdsByUser.has(user_id)) roleIdsByUser.set(user_id, []);
+      roleIdsByUser.get(user_id).push(role_id);
+    }
+    for (const m of members) {
+      m.role_ids = roleIdsByUser.get(m.id) || [];
+      if (!isTimedOut(m.timeout_until)) m.timeout_until = null;
+    }
 
-    res.json({ server, categories, channels, members });
+    // The default code is only worth sharing while its invite still works
+    const defaultInvite = await getDb().prepare('SELECT * FROM invites WHERE code = ?').get(server.invite_code);
+    const inviteCode = defaultInvite && isInviteUsable(defaultInvite) ? server.invite_code : null;
+
+    res.json({
+      server: { ...server, invite_code: inviteCode },
+      categories,
+      channels,
+      members,
+      roles,
+      permissions: context.permissions,
+    });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update server (name, icon_color) — owner only
-router.patch('/:serverId', authenticateToken, (req, res) => {
+// Update server (name, icon_color) — requires MANAGE_SERVER
+router.patch('/:serverId', authenticateToken, async (req, res) => {
   try {
     const { serverId } = req.params;
     const { name, icon_color } = req.body;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    if (!server || server.owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the server owner can update server settings' });
-    }
+    const context = await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_SERVER, res);
+    if (!context) return;
+    const changes = {};
 
     if (name !== undefined) {
       if (!name.trim() || name.trim().length < 2) {
         return res.status(400).json({ error: 'Server name must be at least 2 characters' });
       }
-      getDb().prepare('UPDATE servers SET name = ? WHERE id = ?').run(name.trim(), serverId);
+      await getDb().prepare('UPDATE servers SET name = ? WHERE id = ?').run(name.trim(), serverId);
+      changes.name = [context.server.name, name.trim()];
     }
 
     if (icon_color !== undefined) {
-      getDb().prepare('UPDATE servers SET icon_color = ? WHERE id = ?').run(icon_color, serverId);
+      await getDb().prepare('UPDATE servers SET icon_color = ? WHERE id = ?').run(icon_color, serverId);
+      changes.icon_color = [context.server.icon_color, icon_color];
     }
 
-    emitServerUpdated(req, serverId);
-    const updated = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
+    await recordAudit({ serverId, actorId: req.user.id, action: 'server.update', targetType: 'server', targetId: serverId, changes });
+    await emitServerUpdated(req, serverId);
+    const updated = await getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
     res.json({ server: updated });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create channel — owner only
-router.post('/:serverId/channels', authenticateToken, (req, res) => {
+// Create channel — requires MANAGE_CHANNELS
+router.post('/:serverId/channels', authenticateToken, async (req, res) => {
   try {
     const { serverId } = req.params;
     const { name, type, category_id } = req.body;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    if (!server || server.owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the server owner can create channels' });
-    }
+    if (!(await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_CHANNELS, res))) return;
 
     if (!name || name.trim().length < 1) {
       return res.status(400).json({ error: 'Channel name required' });
@@ -204,239 +496,929 @@ router.post('/:serverId/channels', authenticateToken, (req, res) => {
 
     let validCategoryId = null;
     if (category_id) {
-      const cat = getDb().prepare('SELECT id FROM categories WHERE id = ? AND server_id = ?').get(category_id, serverId);
+      const cat = await getDb().prepare('SELECT id FROM categories WHERE id = ? AND server_id = ?').get(category_id, serverId);
       if (cat) validCategoryId = category_id;
     }
 
     const VALID_TYPES = ['text', 'voice', 'announcements', 'rules', 'calendar', 'tasks', 'forum'];
     const channelType = VALID_TYPES.includes(type) ? type : 'text';
-    const maxPos = getDb().prepare('SELECT MAX(position) as max FROM channels WHERE server_id = ?').get(serverId);
+    const maxPos = await getDb().prepare('SELECT MAX(position) as max FROM channels WHERE server_id = ?').get(serverId);
     const position = (maxPos.max || 0) + 1;
 
     const id = uuidv4();
-    getDb().prepare('INSERT INTO channels (id, server_id, name, type, position, category_id) VALUES (?, ?, ?, ?, ?, ?)').run(
+    await getDb().prepare('INSERT INTO channels (id, server_id, name, type, position, category_id) VALUES (?, ?, ?, ?, ?, ?)').run(
       id, serverId, name.trim(), channelType, position, validCategoryId
     );
 
     if (channelType === 'tasks') {
       const defaultTaskColumns = ['Backlog', 'In Progress', 'Done'];
-      defaultTaskColumns.forEach((columnName, index) => {
-        getDb().prepare(
+      for (const [index, columnName] of defaultTaskColumns.entries()) {
+        await getDb().prepare(
           'INSERT INTO task_categories (id, channel_id, name, position, created_by) VALUES (?, ?, ?, ?, ?)'
         ).run(uuidv4(), id, columnName, index, req.user.id);
-      });
+      }
     }
 
-    emitServerUpdated(req, serverId);
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'channel.create', targetType: 'channel', targetId: id,
+      changes: { name: name.trim(), type: channelType },
+    });
+    await emitServerUpdated(req, serverId);
 
-    const channel = getDb().prepare('SELECT * FROM channels WHERE id = ?').get(id);
+    const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(id);
     res.status(201).json({ channel });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update channel (name, category_id) — owner only
-router.patch('/:serverId/channels/:channelId', authenticateToken, (req, res) => {
+// Update channel (name, category_id) — requires MANAGE_CHANNELS
+router.patch('/:serverId/channels/:channelId', authenticateToken, async (req, res) => {
   try {
     const { serverId, channelId } = req.params;
     const { name, category_id } = req.body;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    if (!server || server.owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the server owner can update channels' });
+    const managed = await getManageableScope(serverId, 'channel', channelId, req.user.id, res);
+    if (!managed) return;
+
+    // Same rule as channel creation: only a category of this server
+    if (category_id !== undefined && category_id !== null) {
+      const category = typeof category_id === 'string' && await getDb()
+        .prepare('SELECT id FROM categories WHERE id = ? AND server_id = ?')
+        .get(category_id, serverId);
+      if (!category) return res.status(400).json({ error: 'Category not found' });
     }
 
+    const changes = {};
+
     if (name !== undefined && name.trim()) {
-      getDb().prepare('UPDATE channels SET name = ? WHERE id = ? AND server_id = ?').run(name.trim(), channelId, serverId);
+      await getDb().prepare('UPDATE channels SET name = ? WHERE id = ? AND server_id = ?').run(name.trim(), channelId, serverId);
+      changes.name = [managed.row.name, name.trim()];
     }
 
     if (category_id !== undefined) {
-      getDb().prepare('UPDATE channels SET category_id = ? WHERE id = ? AND server_id = ?').run(
-        category_id === null ? null : category_id, channelId, serverId
+      await getDb().prepare('UPDATE channels SET category_id = ? WHERE id = ? AND server_id = ?').run(
+        category_id, channelId, serverId
       );
+      changes.category_id = [managed.row.category_id, category_id];
     }
 
-    emitServerUpdated(req, serverId);
+    await recordAudit({ serverId, actorId: req.user.id, action: 'channel.update', targetType: 'channel', targetId: channelId, changes });
+    await emitServerUpdated(req, serverId);
     res.json({ message: 'Channel updated' });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete channel — owner only
-router.delete('/:serverId/channels/:channelId', authenticateToken, (req, res) => {
+// Delete channel — requires MANAGE_CHANNELS
+router.delete('/:serverId/channels/:channelId', authenticateToken, async (req, res) => {
   try {
     const { serverId, channelId } = req.params;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    if (!server || server.owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the server owner can delete channels' });
-    }
-
-    const deleteChannel = getDb().transaction(() => {
-      getDb().prepare('DELETE FROM tasks WHERE channel_id = ?').run(channelId);
-      getDb().prepare('DELETE FROM task_items WHERE channel_id = ?').run(channelId);
-      getDb().prepare('DELETE FROM task_categories WHERE channel_id = ?').run(channelId);
-      getDb().prepare('DELETE FROM task_channel_editors WHERE channel_id = ?').run(channelId);
-      getDb().prepare('DELETE FROM calendar_events WHERE channel_id = ?').run(channelId);
-      getDb().prepare('DELETE FROM forum_replies WHERE post_id IN (SELECT id FROM forum_posts WHERE channel_id = ?)').run(channelId);
-      getDb().prepare('DELETE FROM forum_posts WHERE channel_id = ?').run(channelId);
-      getDb().prepare('DELETE FROM rule_blocks WHERE channel_id = ?').run(channelId);
-      getDb().prepare('DELETE FROM messages WHERE channel_id = ?').run(channelId);
-      getDb().prepare('DELETE FROM channels WHERE id = ? AND server_id = ?').run(channelId, serverId);
+    const managed = await getManageableScope(serverId, 'channel', channelId, req.user.id, res);
+    if (!managed) return;
+
+    const deleteChannel = getDb().transaction(async () => {
+      await getDb().prepare('DELETE FROM tasks WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM task_items WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM task_categories WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM task_channel_editors WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM calendar_events WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM forum_replies WHERE post_id IN (SELECT id FROM forum_posts WHERE channel_id = ?)').run(channelId);
+      await getDb().prepare('DELETE FROM forum_posts WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM rule_blocks WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM messages WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM reactions WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM read_states WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM message_mentions WHERE channel_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM permission_overwrites WHERE scope_id = ?').run(channelId);
+      await getDb().prepare('DELETE FROM channels WHERE id = ? AND server_id = ?').run(channelId, serverId);
     });
 
-    deleteChannel();
-    emitServerUpdated(req, serverId);
+    await deleteChannel();
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'channel.delete', targetType: 'channel', targetId: channelId,
+      changes: { name: managed.row.name, type: managed.row.type },
+    });
+    await emitServerUpdated(req, serverId);
     res.json({ message: 'Channel deleted' });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create category — owner only
-router.post('/:serverId/categories', authenticateToken, (req, res) => {
+// Create category — requires MANAGE_CHANNELS
+router.post('/:serverId/categories', authenticateToken, async (req, res) => {
   try {
     const { serverId } = req.params;
     const { name } = req.body;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    if (!server || server.owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the server owner can create categories' });
-    }
+    if (!(await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_CHANNELS, res))) return;
 
     if (!name || !name.trim()) {
       return res.status(400).json({ error: 'Category name required' });
     }
 
-    const maxPos = getDb().prepare('SELECT MAX(position) as max FROM categories WHERE server_id = ?').get(serverId);
+    const maxPos = await getDb().prepare('SELECT MAX(position) as max FROM categories WHERE server_id = ?').get(serverId);
     const position = (maxPos.max !== null ? maxPos.max : -1) + 1;
 
     const id = uuidv4();
-    getDb().prepare('INSERT INTO categories (id, server_id, name, position) VALUES (?, ?, ?, ?)').run(
+    await getDb().prepare('INSERT INTO categories (id, server_id, name, position) VALUES (?, ?, ?, ?)').run(
       id, serverId, name.trim(), position
     );
-    emitServerUpdated(req, serverId);
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'category.create', targetType: 'category', targetId: id,
+      changes: { name: name.trim() },
+    });
+    await emitServerUpdated(req, serverId);
 
-    const category = getDb().prepare('SELECT * FROM categories WHERE id = ?').get(id);
+    const category = await getDb().prepare('SELECT * FROM categories WHERE id = ?').get(id);
     res.status(201).json({ category });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update category (rename) — owner only
-router.patch('/:serverId/categories/:categoryId', authenticateToken, (req, res) => {
+// Update category (rename) — requires MANAGE_CHANNELS
+router.patch('/:serverId/categories/:categoryId', authenticateToken, async (req, res) => {
   try {
     const { serverId, categoryId } = req.params;
     const { name } = req.body;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    if (!server || server.owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the server owner can update categories' });
-    }
+    const managed = await getManageableScope(serverId, 'category', categoryId, req.user.id, res);
+    if (!managed) return;
 
     if (!name || !name.trim()) {
       return res.status(400).json({ error: 'Category name required' });
     }
 
-    getDb().prepare('UPDATE categories SET name = ? WHERE id = ? AND server_id = ?').run(name.trim(), categoryId, serverId);
-    emitServerUpdated(req, serverId);
+    await getDb().prepare('UPDATE categories SET name = ? WHERE id = ? AND server_id = ?').run(name.trim(), categoryId, serverId);
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'category.update', targetType: 'category', targetId: categoryId,
+      changes: { name: [managed.row.name, name.trim()] },
+    });
+    await emitServerUpdated(req, serverId);
     res.json({ message: 'Category updated' });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete category — channels become uncategorized — owner only
-router.delete('/:serverId/categories/:categoryId', authenticateToken, (req, res) => {
+// Delete category — channels become uncategorized — requires MANAGE_CHANNELS
+router.delete('/:serverId/categories/:categoryId', authenticateToken, async (req, res) => {
   try {
     const { serverId, categoryId } = req.params;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    if (!server || server.owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the server owner can delete categories' });
-    }
+    const managed = await getManageableScope(serverId, 'category', categoryId, req.user.id, res);
+    if (!managed) return;
+
+    const synced = await getDb()
+      .prepare('SELECT * FROM channels WHERE category_id = ? AND server_id = ? AND permissions_synced = 1')
+      .all(categoryId, serverId);
 
-    const deleteCategory = getDb().transaction(() => {
-      getDb().prepare('UPDATE channels SET category_id = NULL WHERE category_id = ? AND server_id = ?').run(categoryId, serverId);
-      getDb().prepare('DELETE FROM categories WHERE id = ? AND server_id = ?').run(categoryId, serverId);
+    const deleteCategory = getDb().transaction(async () => {
+      // Synced channels keep the category's overwrites so nothing hidden becomes visible
+      for (const channel of synced) {
+        await unsyncChannel(channel);
+      }
+      await getDb().prepare('DELETE FROM permission_overwrites WHERE scope_id = ?').run(categoryId);
+      await getDb().prepare('UPDATE channels SET category_id = NULL WHERE category_id = ? AND server_id = ?').run(categoryId, serverId);
+      await getDb().prepare('DELETE FROM categories WHERE id = ? AND server_id = ?').run(categoryId, serverId);
     });
 
-    deleteCategory();
-    emitServerUpdated(req, serverId);
+    await deleteCategory();
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'category.delete', targetType: 'category', targetId: categoryId,
+      changes: { name: managed.row.name },
+    });
+    await emitServerUpdated(req, serverId);
     res.json({ message: 'Category deleted' });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Bulk reorder channels and categories — owner only
-router.post('/:serverId/reorder', authenticateToken, (req, res) => {
+// Bulk reorder channels and categories — requires MANAGE_CHANNELS
+router.post('/:serverId/reorder', authenticateToken, async (req, res) => {
   try {
     const { serverId } = req.params;
     const { channels, categories } = req.body;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    if (!server || server.owner_id !== req.user.id) {
-      return res.status(403).json({ error: 'Only the server owner can reorder channels' });
+    if (!(await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_CHANNELS, res))) return;
+
+    // Like PATCH on a single channel: every channel that moves, and every
+    // category it moves into, must be manageable with overwrites applied
+    const resolver = await getChannelPermissionResolver(serverId, req.user.id);
+    const serverChannels = new Map(
+      (await getDb().prepare('SELECT * FROM channels WHERE server_id = ?').all(serverId)).map((c) => [c.id, c])
+    );
+    const serverCategories = new Map(
+      (await getDb().prepare('SELECT * FROM categories WHERE server_id = ?').all(serverId)).map((c) => [c.id, c])
+    );
+    const canManage = (permissions) => hasPermission(permissions, PERMISSIONS.MANAGE_CHANNELS);
+
+    if (Array.isArray(channels)) {
+      for (const { id, position, category_id } of channels) {
+        const channel = serverChannels.get(id);
+        if (!channel) return res.status(404).json({ error: 'Channel not found' });
+        const categoryId = category_id ?? null;
+        const category = categoryId === null ? null : serverCategories.get(categoryId);
+        if (categoryId !== null && !category) return res.status(400).json({ error: 'Category not found' });
+        if (position === channel.position && categoryId === channel.category_id) continue;
+        if (!canManage(resolver.forChannel(channel)) || (category && !canManage(resolver.forCategory(category)))) {
+          return res.status(403).json({ error: 'Missing permission: Manage Channels' });
+        }
+      }
+    }
+    if (Array.isArray(categories)) {
+      for (const { id, position } of categories) {
+        const category = serverCategories.get(id);
+        if (!category) return res.status(404).json({ error: 'Category not found' });
+        if (position !== category.position && !canManage(resolver.forCategory(category))) {
+          return res.status(403).json({ error: 'Missing permission: Manage Channels' });
+        }
+      }
     }
 
-    const reorder = getDb().transaction(() => {
+    const reorder = getDb().transaction(async () => {
       if (Array.isArray(channels)) {
         for (const { id, position, category_id } of channels) {
-          getDb().prepare(
+          await getDb().prepare(
             'UPDATE channels SET position = ?, category_id = ? WHERE id = ? AND server_id = ?'
           ).run(position, category_id ?? null, id, serverId);
         }
       }
       if (Array.isArray(categories)) {
         for (const { id, position } of categories) {
-          getDb().prepare(
+          await getDb().prepare(
             'UPDATE categories SET position = ? WHERE id = ? AND server_id = ?'
           ).run(position, id, serverId);
         }
       }
     });
 
-    reorder();
-    emitServerUpdated(req, serverId);
+    await reorder();
+    await recordAudit({ serverId, actorId: req.user.id, action: 'channels.reorder' });
+    await emitServerUpdated(req, serverId);
     res.json({ message: 'Reordered successfully' });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// ── Permission overwrites ───────────────────────────────────────────────────
+// Per channel or category, per role or member. A channel inside a category
+// is "synced" until its overwrites are edited directly.
+
+const OVERWRITE_SCOPE = ':scope(channels|categories)/:scopeId/permissions';
+const scopeTypeOf = (scope) => (scope === 'categories' ? 'category' : 'channel');
+
+// List overwrites of a channel or category — requires MANAGE_CHANNELS there
+router.get(`/:serverId/${OVERWRITE_SCOPE}`, authenticateToken, async (req, res) => {
+  try {
+    const { serverId, scope, scopeId } = req.params;
+
+    const managed = await getManageableScope(serverId, scopeTypeOf(scope), scopeId, req.user.id, res);
+    if (!managed) return;
+
+    const scopeType = scopeTypeOf(scope);
+    const effectiveScopeId = scopeType === 'channel' ? getOverwriteScopeId(managed.row) : scopeId;
+    const overwrites = await getDb().prepare(
+      'SELECT target_type, target_id, allow, deny FROM permission_overwrites WHERE scope_id = ?'
+    ).all(effectiveScopeId);
+
+    res.json({ synced: effectiveScopeId !== scopeId, overwrites });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set the overwrite for one role or member — an empty overwrite is removed
+router.put(`/:serverId/${OVERWRITE_SCOPE}/:targetType(role|member)/:targetId`, authenticateToken, async (req, res) => {
+  try {
+    const { serverId, scope, scopeId, targetType, targetId } = req.params;
+    const scopeType = scopeTypeOf(scope);
+
+    const managed = await getManageableScope(serverId, scopeType, scopeId, req.user.id, res);
+    if (!managed) return;
+    if (!(await validateOverwriteTarget(managed.context, targetType, targetId, res))) return;
+
+    const deny = sanitizePermissions(req.body.deny) & OVERWRITE_PERMISSIONS;
+    const allow = sanitizePermissions(req.body.allow) & OVERWRITE_PERMISSIONS & ~deny;
+    if ((allow | deny) & ~managed.permissions) {
+      return res.status(403).json({ error: 'You can only set permissions you have in this channel' });
+    }
+
+    const save = getDb().transaction(async () => {
+      if (scopeType === 'channel' && getOverwriteScopeId(managed.row) !== scopeId) {
+        await unsyncChannel(managed.row);
+      }
+      await getDb().prepare(
+        'DELETE FROM permission_overwrites WHERE scope_id = ? AND target_type = ? AND target_id = ?'
+      ).run(scopeId, targetType, targetId);
+      if (allow || deny) {
+        await getDb().prepare(
+          'INSERT INTO permission_overwrites (id, server_id, scope_type, scope_id, target_type, target_id, allow, deny) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+        ).run(uuidv4(), serverId, scopeType, scopeId, targetType, targetId, allow, deny);
+      }
+    });
+
+    await save();
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'overwrite.update', targetType: scopeType, targetId: scopeId,
+      changes: { target_type: targetType, target_id: targetId, allow, deny },
+    });
+    await emitServerUpdated(req, serverId);
+    res.json({ overwrite: { target_type: targetType, target_id: targetId, allow, deny } });
+  } catch (err) {
+    console.error('Set overwrite error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove the overwrite for one role or member
+router.delete(`/:serverId/${OVERWRITE_SCOPE}/:targetType(role|member)/:targetId`, authenticateToken, async (req, res) => {
+  try {
+    const { serverId, scope, scopeId, targetType, targetId } = req.params;
+    const scopeType = scopeTypeOf(scope);
+
+    const managed = await getManageableScope(serverId, scopeType, scopeId, req.user.id, res);
+    if (!managed) return;
+    if (targetType === 'role' && !(await getManageableRole(managed.context, targetId, res))) return;
+
+    const remove = getDb().transaction(async () => {
+      if (scopeType === 'channel' && getOverwriteScopeId(managed.row) !== scopeId) {
+        await unsyncChannel(managed.row);
+      }
+      await getDb().prepare(
+        'DELETE FROM permission_overwrites WHERE scope_id = ? AND target_type = ? AND target_id = ?'
+      ).run(scopeId, targetType, targetId);
+    });
+
+    await remove();
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'overwrite.delete', targetType: scopeType, targetId: scopeId,
+      changes: { target_type: targetType, target_id: targetId },
+    });
+    await emitServerUpdated(req, serverId);
+    res.json({ message: 'Overwrite removed' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Drop a channel's own overwrites and follow its category again
+router.post('/:serverId/channels/:channelId/permissions/sync', authenticateToken, async (req, res) => {
+  try {
+    const { serverId, channelId } = req.params;
+
+    const managed = await getManageableScope(serverId, 'channel', channelId, req.user.id, res);
+    if (!managed) return;
+    if (!managed.row.category_id) {
+      return res.status(400).json({ error: 'Channel is not in a category' });
+    }
+
+    const sync = getDb().transaction(async () => {
+      await getDb().prepare('DELETE FROM permission_overwrites WHERE scope_id = ?').run(channelId);
+      await getDb().prepare('UPDATE channels SET permissions_synced = 1 WHERE id = ?').run(channelId);
+    });
+
+    await sync();
+    await recordAudit({ serverId, actorId: req.user.id, action: 'overwrite.sync', targetType: 'channel', targetId: channelId });
+    await emitServerUpdated(req, serverId);
+    res.json({ message: 'Channel synced with category' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ── Roles ───────────────────────────────────────────────────────────────────
+
+// Create role — placed directly above @everyone — requires MANAGE_ROLES
+router.post('/:serverId/roles', authenticateToken, async (req, res) => {
+  try {
+    const { serverId } = req.params;
+    const context = await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_ROLES, res);
+    if (!context) return;
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > MAX_ROLE_NAME_LENGTH) {
+      return res.status(400).json({ error: `Role name must be 1-${MAX_ROLE_NAME_LENGTH} characters` });
+    }
+
+    const permissions = sanitizePermissions(req.body.permissions);
+    if (!canGrantPermissions(context, permissions)) {
+      return res.status(403).json({ error: 'You cannot grant permissions you do not have' });
+    }
+
+    const id = uuidv4();
+    const createRole = getDb().transaction(async () => {
+      await getDb().prepare(
+        'UPDATE server_roles SET position = position + 1 WHERE server_id = ? AND is_default = 0'
+      ).run(serverId);
+      await getDb().prepare(
+        'INSERT INTO server_roles (id, server_id, name, color, permissions, position) VALUES (?, ?, ?, ?, ?, ?)'
+      ).run(id, serverId, name, normalizeRoleColor(req.body.color), permissions, 1);
+    });
+
+    await createRole();
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'role.create', targetType: 'role', targetId: id,
+      changes: { name, permissions },
+    });
+    await emitServerUpdated(req, serverId);
+
+    const role = await getDb().prepare('SELECT * FROM server_roles WHERE id = ?').get(id);
+    res.status(201).json({ role });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update role (name, color, permissions) — requires MANAGE_ROLES
+router.patch('/:serverId/roles/:roleId', authenticateToken, async (req, res) => {
+  try {
+    const { serverId, roleId } = req.params;
+    const { name, color, permissions } = req.body;
+
+    const context = await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_ROLES, res);
+    if (!context) return;
+    const role = await getManageableRole(context, roleId, res);
+    if (!role) return;
+    const changes = {};
+
+    if (name !== undefined) {
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (role.is_default) {
+        return res.status(400).json({ error: 'The default role cannot be renamed' });
+      }
+      if (!trimmed || trimmed.length > MAX_ROLE_NAME_LENGTH) {
+        return res.status(400).json({ error: `Role name must be 1-${MAX_ROLE_NAME_LENGTH} characters` });
+      }
+      await getDb().prepare('UPDATE server_roles SET name = ? WHERE id = ?').run(trimmed, roleId);
+      changes.name = [role.name, trimmed];
+    }
+
+    if (color !== undefined) {
+      await getDb().prepare('UPDATE server_roles SET color = ? WHERE id = ?').run(normalizeRoleColor(color), roleId);
+      changes.color = [role.color, normalizeRoleColor(color)];
+    }
+
+    if (permissions !== undefined) {
+      const next = sanitizePermissions(permissions);
+      // Only the bits that actually change need to be held by the actor
+      if (!canGrantPermissions(context, next ^ role.permissions)) {
+        return res.status(403).json({ error: 'You cannot grant permissions you do not have' });
+      }
+      await getDb().prepare('UPDATE server_roles SET permissions = ? WHERE id = ?').run(next, roleId);
+      changes.permissions = [role.permissions, next];
+    }
+
+    await recordAudit({ serverId, actorId: req.user.id, action: 'role.update', targetType: 'role', targetId: roleId, changes });
+    await emitServerUpdated(req, serverId);
+    const updated = await getDb().prepare('SELECT * FROM server_roles WHERE id = ?').get(roleId);
+    res.json({ role: updated });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete role — requires MANAGE_ROLES
+router.delete('/:serverId/roles/:roleId', authenticateToken, async (req, res) => {
+  try {
+    const { serverId, roleId } = req.params;
+
+    const context = await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_ROLES, res);
+    if (!context) return;
+    const role = await getManageableRole(context, roleId, res);
+    if (!role) return;
+    if (role.is_default) {
+      return res.status(400).json({ error: 'The default role cannot be deleted' });
+    }
+
+    const deleteRole = getDb().transaction(async () => {
+      await getDb().prepare('DELETE FROM server_member_roles WHERE role_id = ?').run(roleId);
+      await getDb().prepare("DELETE FROM permission_overwrites WHERE target_type = 'role' AND target_id = ?").run(roleId);
+      await getDb().prepare('DELETE FROM server_roles WHERE id = ?').run(roleId);
+    });
+
+    await deleteRole();
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'role.delete', targetType: 'role', targetId: roleId,
+      changes: { name: role.name, permissions: role.permissions },
+    });
+    await emitServerUpdated(req, serverId);
+    res.json({ message: 'Role deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reorder roles — body lists every non-default role id, highest first — requires MANAGE_ROLES
+router.put('/:serverId/roles/order', authenticateToken, async (req, res) => {
+  try {
+    const { serverId } = req.params;
+
+    const context = await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_ROLES, res);
+    if (!context) return;
+
+    const roleIds = Array.isArray(req.body.roleIds) ? req.body.roleIds : [];
+    const roles = (await getServerRoles(serverId)).filter((role) => !role.is_default);
+    const byId = new Map(roles.map((role) => [role.id, role]));
+
+    if (roleIds.length !== roles.length || new Set(roleIds).size !== roles.length || !roleIds.every((id) => byId.has(id))) {
+      return res.status(400).json({ error: 'roleIds must list every role exactly once' });
+    }
+
+    // Positions count down to 1; @everyone keeps 0
+    const nextPositions = roleIds.map((id, index) => [id, roleIds.length - index]);
+
+    // Roles at or above the actor's highest role must stay where they are
+    for (const [id, position] of nextPositions) {
+      const current = byId.get(id).position;
+      const touchesTop = current >= context.highestPosition || position >= context.highestPosition;
+      if (touchesTop && current !== position) {
+        return res.status(403).json({ error: 'You can only move roles below your highest role' });
+      }
+    }
+
+    const reorder = getDb().transaction(async () => {
+      for (const [id, position] of nextPositions) {
+        await getDb().prepare('UPDATE server_roles SET position = ? WHERE id = ? AND server_id = ?').run(position, id, serverId);
+      }
+    });
+
+    await reorder();
+    await recordAudit({ serverId, actorId: req.user.id, action: 'roles.reorder', changes: { roleIds } });
+    await emitServerUpdated(req, serverId);
+    res.json({ roles: await getServerRoles(serverId) });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set a member's roles — requires MANAGE_ROLES
+router.put('/:serverId/members/:userId/roles', authenticateToken, async (req, res) => {
+  try {
+    const { serverId, userId } = req.params;
+
+    const context = await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_ROLES, res);
+    if (!context) return;
+
+    const target = await getDb()
+      .prepare('SELECT id FROM server_members WHERE server_id = ? AND user_id = ?')
+      .get(serverId, userId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const roles = (await getServerRoles(serverId)).filter((role) => !role.is_default);
+    const byId = new Map(roles.map((role) => [role.id, role]));
+    const requested = new Set((Array.isArray(req.body.roleIds) ? req.body.roleIds : []).filter((id) => byId.has(id)));
+    const current = new Set(
+      (await getDb()
+        .prepare('SELECT role_id FROM server_member_roles WHERE server_id = ? AND user_id = ?')
+        .all(serverId, userId)).map((row) => row.role_id)
+    );
+
+    const changed = roles.map((role) => role.id).filter((id) => requested.has(id) !== current.has(id));
+    if (changed.some((id) => byId.get(id).position >= context.highestPosition)) {
+      return res.status(403).json({ error: 'You can only assign roles below your highest role' });
+    }
+
+    const assign = getDb().transaction(async () => {
+      await getDb().prepare('DELETE FROM server_member_roles WHERE server_id = ? AND user_id = ?').run(serverId, userId);
+      for (const roleId of requested) {
+        await getDb().prepare(
+          'INSERT INTO server_member_roles (server_id, user_id, role_id) VALUES (?, ?, ?)'
+        ).run(serverId, userId, roleId);
+      }
+      if (requested.size > 0) {
+        await getDb().prepare('UPDATE server_members SET temporary = 0 WHERE server_id = ? AND user_id = ?').run(serverId, userId);
+      }
+    });
+
+    await assign();
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'member.roles', targetType: 'member', targetId: userId,
+      changes: {
+        added: changed.filter((id) => requested.has(id)),
+        removed: changed.filter((id) => !requested.has(id)),
+      },
+    });
+    await emitServerUpdated(req, serverId);
+    res.json({ roleIds: [...requested] });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ── Invites ─────────────────────────────────────────────────────────────────
+
+// List the server's invites — expired and used-up ones are pruned — requires MANAGE_SERVER
+router.get('/:serverId/invites', authenticateToken, async (req, res) => {
+  try {
+    const { serverId } = req.params;
+    if (!(await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_SERVER, res))) return;
+
+    const rows = await getDb().prepare(`
+      SELECT i.*, u.username AS creator_username, u.display_name AS creator_display_name
+      FROM invites i
+      LEFT JOIN users u ON i.created_by = u.id
+      WHERE i.server_id = ?
+      ORDER BY i.created_at DESC
+    `).all(serverId);
+
+    const stale = rows.filter((invite) => !isInviteUsable(invite));
+    for (const invite of stale) {
+      await getDb().prepare('DELETE FROM invites WHERE code = ?').run(invite.code);
+    }
+
+    const invites = rows
+      .filter((invite) => isInviteUsable(invite))
+      .map((invite) => ({ ...invite, temporary: Boolean(invite.temporary) }));
+    res.json({ invites });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create an invite — optional maxUses, expiresInSeconds, temporary — requires MANAGE_SERVER
+router.post('/:serverId/invites', authenticateToken, async (req, res) => {
+  try {
+    const { serverId } = req.params;
+    const { maxUses, expiresInSeconds, temporary } = req.body;
+
+    if (!(await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_SERVER, res))) return;
+
+    let uses = null;
+    if (maxUses !== undefined && maxUses !== null && maxUses !== 0) {
+      uses = Number(maxUses);
+      if (!Number.isInteger(uses) || uses < 1 || uses > MAX_INVITE_USES) {
+        return res.status(400).json({ error: `maxUses must be between 1 and ${MAX_INVITE_USES}` });
+      }
+    }
+
+    let expiresAt = null;
+    if (expiresInSeconds !== undefined && expiresInSeconds !== null && expiresInSeconds !== 0) {
+      const seconds = Number(expiresInSeconds);
+      if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_INVITE_AGE_SECONDS) {
+        return res.status(400).json({ error: `expiresInSeconds must be between 1 and ${MAX_INVITE_AGE_SECONDS}` });
+      }
+      expiresAt = new Date(Date.now() + seconds * 1000).toISOString();
+    }
+
+    const code = generateInviteCode();
+    await getDb().prepare(
+      'INSERT INTO invites (code, server_id, created_by, max_uses, expires_at, temporary) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(code, serverId, req.user.id, uses, expiresAt, temporary ? 1 : 0);
+
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'invite.create', targetType: 'invite', targetId: code,
+      changes: { max_uses: uses, expires_at: expiresAt, temporary: Boolean(temporary) },
+    });
+
+    const invite = await getDb().prepare('SELECT * FROM invites WHERE code = ?').get(code);
+    res.status(201).json({ invite: { ...invite, temporary: Boolean(invite.temporary) } });
+  } catch (err) {
+    console.error('Create invite error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke an invite — members who joined with it stay — requires MANAGE_SERVER
+router.delete('/:serverId/invites/:code', authenticateToken, async (req, res) => {
+  try {
+    const { serverId, code } = req.params;
+    if (!(await requirePermission(serverId, req.user.id, PERMISSIONS.MANAGE_SERVER, res))) return;
+
+    const invite = await getDb().prepare('SELECT * FROM invites WHERE code = ? AND server_id = ?').get(code, serverId);
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    await getDb().prepare('DELETE FROM invites WHERE code = ?').run(code);
+    await recordAudit({ serverId, actorId: req.user.id, action: 'invite.delete', targetType: 'invite', targetId: code });
+    await emitServerUpdated(req, serverId);
+    res.json({ message: 'Invite revoked' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ── Moderation ──────────────────────────────────────────────────────────────
+
+// Kick a member — they can rejoin with an invite — requires KICK_MEMBERS
+router.post('/:serverId/members/:userId/kick', authenticateToken, async (req, res) => {
+  try {
+    const { serverId, userId } = req.params;
+
+    const context = await requirePermission(serverId, req.user.id, PERMISSIONS.KICK_MEMBERS, res);
+    if (!context) return;
+    if (!(await getModeratableMember(context, req.user.id, userId, res))) return;
+
+    const kick = getDb().transaction(() => deleteMembership(serverId, userId));
+    await kick();
+
+    const reason = normalizeReason(req.body.reason);
+    await recordAudit({ serverId, actorId: req.user.id, action: 'member.kick', targetType: 'member', targetId: userId, reason });
+    await removeUserFromServer(req.app.get('io'), serverId, userId, 'kick');
+    await emitServerUpdated(req, serverId);
+    res.json({ message: 'Member kicked' });
+  } catch (err) {
+    console.error('Kick member error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List active bans — requires BAN_MEMBERS
+router.get('/:serverId/bans', authenticateToken, async (req, res) => {
+  try {
+    const { serverId } = req.params;
+    if (!(await requirePermission(serverId, req.user.id, PERMISSIONS.BAN_MEMBERS, res))) return;
+
+    const now = new Date().toISOString();
+    await getDb().prepare('DELETE FROM server_bans WHERE server_id = ? AND expires_at IS NOT NULL AND expires_at <= ?').run(serverId, now);
+
+    const bans = await getDb().prepare(`
+      SELECT b.user_id, b.reason, b.banned_by, b.expires_at, b.created_at,
+        u.username, u.display_name, u.avatar_color
+      FROM server_bans b
+      JOIN users u ON b.user_id = u.id
+      WHERE b.server_id = ?
+      ORDER BY b.created_at DESC
+    `).all(serverId);
+
+    res.json({ bans });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Ban a user, member or not — optional reason and durationSeconds — requires BAN_MEMBERS
+router.put('/:serverId/bans/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { serverId, userId } = req.params;
+    const { durationSeconds } = req.body;
+
+    const context = await requirePermission(serverId, req.user.id, PERMISSIONS.BAN_MEMBERS, res);
+    if (!context) return;
+
+    const user = await getDb().prepare('SELECT id FROM users WHERE id = ?').get(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    // Non-members can be banned pre-emptively; members go through the hierarchy check
+    const isMember = Boolean(await getMemberPermissions(serverId, userId));
+    if (isMember && !(await getModeratableMember(context, req.user.id, userId, res))) return;
+    if (!isMember && userId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot moderate yourself' });
+    }
+
+    const { expiresAt, error } = parseDuration(durationSeconds, MAX_BAN_SECONDS);
+    if (error) return res.status(400).json({ error });
+    const reason = normalizeReason(req.body.reason);
+
+    const ban = getDb().transaction(async () => {
+      await getDb().prepare('DELETE FROM server_bans WHERE server_id = ? AND user_id = ?').run(serverId, userId);
+      await getDb().prepare(
+        'INSERT INTO server_bans (server_id, user_id, reason, banned_by, expires_at) VALUES (?, ?, ?, ?, ?)'
+      ).run(serverId, userId, reason, req.user.id, expiresAt);
+      if (isMember) await deleteMembership(serverId, userId);
+    });
+    await ban();
+
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'member.ban', targetType: 'member', targetId: userId,
+      changes: { expires_at: expiresAt }, reason,
+    });
+    if (isMember) {
+      await removeUserFromServer(req.app.get('io'), serverId, userId, 'ban');
+      await emitServerUpdated(req, serverId);
+    }
+    res.json({ ban: { user_id: userId, reason, banned_by: req.user.id, expires_at: expiresAt } });
+  } catch (err) {
+    console.error('Ban member error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lift a ban — requires BAN_MEMBERS
+router.delete('/:serverId/bans/:userId', authenticateToken, async (req, res) => {
+  try {
+    const { serverId, userId } = req.params;
+    if (!(await requirePermission(serverId, req.user.id, PERMISSIONS.BAN_MEMBERS, res))) return;
+
+    const ban = await getDb().prepare('SELECT * FROM server_bans WHERE server_id = ? AND user_id = ?').get(serverId, userId);
+    if (!ban) {
+      return res.status(404).json({ error: 'Ban not found' });
+    }
+
+    await getDb().prepare('DELETE FROM server_bans WHERE server_id = ? AND user_id = ?').run(serverId, userId);
+    await recordAudit({ serverId, actorId: req.user.id, action: 'member.unban', targetType: 'member', targetId: userId });
+    res.json({ message: 'Ban lifted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Time a member out (no sending, no speaking) — durationSeconds 0 or null lifts it — requires MODERATE_MEMBERS
+router.put('/:serverId/members/:userId/timeout', authenticateToken, async (req, res) => {
+  try {
+    const { serverId, userId } = req.params;
+    const { durationSeconds } = req.body;
+
+    const context = await requirePermission(serverId, req.user.id, PERMISSIONS.MODERATE_MEMBERS, res);
+    if (!context) return;
+    const target = await getModeratableMember(context, req.user.id, userId, res);
+    if (!target) return;
+    if (target.permissions & PERMISSIONS.ADMINISTRATOR) {
+      return res.status(403).json({ error: 'Administrators cannot be timed out' });
+    }
+
+    // 0 lifts the timeout, like null
+    const { expiresAt: timeoutUntil, error } = parseDuration(durationSeconds === 0 ? null : durationSeconds, MAX_TIMEOUT_SECONDS);
+    if (error) return res.status(400).json({ error });
+    const reason = normalizeReason(req.body.reason);
+
+    await getDb().prepare('UPDATE server_members SET timeout_until = ? WHERE server_id = ? AND user_id = ?').run(
+      timeoutUntil, serverId, userId
+    );
+    await recordAudit({
+      serverId, actorId: req.user.id, action: 'member.timeout', targetType: 'member', targetId: userId,
+      changes: { timeout_until: timeoutUntil }, reason,
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      await refreshVoiceSuppression(io, serverId, userId);
+      if (timeoutUntil) scheduleTimeoutExpiry(io, serverId, userId, timeoutUntil);
+    }
+    await emitServerUpdated(req, serverId);
+    res.json({ timeout_until: timeoutUntil });
+  } catch (err) {
+    console.error('Timeout member error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Query the audit log — filters: action, actorId, targetId, before, limit — requires VIEW_AUDIT_LOG
+router.get('/:serverId/audit-log', authenticateToken, async (req, res) => {
+  try {
+    const { serverId } = req.params;
+    const { action, actorId, targetId, before, limit } = req.query;
+
+    if (!(await requirePermission(serverId, req.user.id, PERMISSIONS.VIEW_AUDIT_LOG, res))) return;
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: 'Unknown audit log action' });
+    }
+
+    const entries = await getAuditLog(serverId, { action, actorId, targetId, before, limit });
+    res.json({ entries });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete server — owner only
-router.delete('/:serverId', authenticateToken, (req, res) => {
+router.delete('/:serverId', authenticateToken, async (req, res) => {
   try {
     const { serverId } = req.params;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
+    const server = await getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
     if (!server || server.owner_id !== req.user.id) {
       return res.status(403).json({ error: 'Only the server owner can delete the server' });
     }
 
-    const memberIds = getDb().prepare('SELECT user_id FROM server_members WHERE server_id = ?').all(serverId);
-
-    const deleteServer = getDb().transaction(() => {
-      getDb().prepare('DELETE FROM tasks WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
-      getDb().prepare('DELETE FROM task_items WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
-      getDb().prepare('DELETE FROM task_categories WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
-      getDb().prepare('DELETE FROM task_channel_editors WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
-      getDb().prepare('DELETE FROM calendar_events WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
-      getDb().prepare('DELETE FROM forum_replies WHERE post_id IN (SELECT id FROM forum_posts WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?))').run(serverId);
-      getDb().prepare('DELETE FROM forum_posts WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
-      getDb().prepare('DELETE FROM rule_blocks WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
-      getDb().prepare('DELETE FROM messages WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
-      getDb().prepare('DELETE FROM channels WHERE server_id = ?').run(serverId);
-      getDb().prepare('DELETE FROM categories WHERE server_id = ?').run(serverId);
-      getDb().prepare('DELETE FROM server_members WHERE server_id = ?').run(serverId);
-      getDb().prepare('DELETE FROM servers WHERE id = ?').run(serverId);
+    const memberIds = await getDb().prepare('SELECT user_id FROM server_members WHERE server_id = ?').all(serverId);
+
+    const deleteServer = getDb().transaction(async () => {
+      await getDb().prepare('DELETE FROM tasks WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM task_items WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM task_categories WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM task_channel_editors WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM calendar_events WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM forum_replies WHERE post_id IN (SELECT id FROM forum_posts WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?))').run(serverId);
+      await getDb().prepare('DELETE FROM forum_posts WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM rule_blocks WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM messages WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM reactions WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM read_states WHERE channel_id IN (SELECT id FROM channels WHERE server_id = ?)').run(serverId);
+      await getDb().prepare('DELETE FROM message_mentions WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM channels WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM categories WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM permission_overwrites WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM server_bans WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM audit_log WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM invites WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM server_member_roles WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM server_roles WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM server_members WHERE server_id = ?').run(serverId);
+      await getDb().prepare('DELETE FROM servers WHERE id = ?').run(serverId);
     });
 
-    deleteServer();
+    await deleteServer();
     const io = req.app.get('io');
     if (io) {
       memberIds.forEach(({ user_id }) => {
@@ -451,17 +1433,19 @@ router.delete('/:serverId', authenticateToken, (req, res) => {
 });
 
 // Leave server
-router.post('/:serverId/leave', authenticateToken, (req, res) => {
+router.post('/:serverId/leave', authenticateToken, async (req, res) => {
   try {
     const { serverId } = req.params;
 
-    const server = getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
+    const server = await getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
     if (server && server.owner_id === req.user.id) {
       return res.status(400).json({ error: 'Owner cannot leave. Delete the server instead.' });
     }
 
-    getDb().prepare('DELETE FROM server_members WHERE server_id = ? AND user_id = ?').run(serverId, req.user.id);
-    emitServerUpdated(req, serverId);
+    const leave = getDb().transaction(() => deleteMembership(serverId, req.user.id));
+
+    await leave();
+    await emitServerUpdated(req, serverId);
     res.json({ message: 'Left server' });
   } catch (err) {
     res.status(500).json({ error: 'Internal server error' });
@@ -1,82 +1,343 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const busboy = require('busboy');
 const { v4: uuidv4 } = require('uuid');
-const { authenticateToken } = require('../middleware/auth');
+const { getDb } = require('../database/init');
+const { authenticateToken, authenticateMedia, generateMediaToken } = require('../middleware/auth');
+const { PERMISSIONS, canInChannel, can } = require('../services/permissions');
+const {
+  UPLOAD_TEMP_DIR, UPLOAD_LIMITS, MAX_UPLOAD_SIZE,
+  uploadKind, storedNameFor, cleanFilename, toPublicUpload, recordUpload, getUpload, findStoredUpload,
+  findUploadsByFile, dmContextId, dmGroupContextId, canAccessUpload, getUserUsage, getServerUsageReport, checkQuota,
+} = require('../services/uploads');
+const { processImage, processVideo } = require('../services/media');
+const { isGroupMember } = require('../services/dmGroups');
+const { getStorage, getSignedDownload } = require('../storage');
 
 const router = express.Router();
 
-const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+// Mounted at /uploads: the media links kept in message markup
+const mediaRouter = express.Router();
 
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+if (!fs.existsSync(UPLOAD_TEMP_DIR)) {
+  fs.mkdirSync(UPLOAD_TEMP_DIR, { recursive: true });
 }
 
-const ALLOWED_MIME = {
-  image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-  video: ['video/mp4', 'video/webm', 'video/ogg', 'video/quicktime'],
-};
-
-const MAX_SIZE = {
-  image: 8 * 1024 * 1024,   // 8 MB
-  video: 50 * 1024 * 1024,  // 50 MB
-};
-
-const MIME_EXT = {
-  'image/jpeg': 'jpg',
-  'image/png': 'png',
-  'image/gif': 'gif',
-  'image/webp': 'webp',
-  'video/mp4': 'mp4',
-  'video/webm': 'webm',
-  'video/ogg': 'ogv',
-  'video/quicktime': 'mov',
-};
-
-// POST /api/uploads/image  or  /api/uploads/video
-// Body: { data: "<base64 or data-url>", mime: "image/png" }
-router.post('/:type', authenticateToken, (req, res) => {
-  const { type } = req.params;
-  if (!ALLOWED_MIME[type]) {
-    return res.status(400).json({ error: 'Invalid upload type. Use "image" or "video".' });
+function formatLimit(bytes) {
+  return `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+}
+
+/**
+ * Streams one multipart file part to a temporary file while hashing it.
+ * Resolves with the file's details, or with { status, error } after removing
+ * whatever was written. The rest of an oversized part is drained, not stored.
+ */
+function receiveFile(file, { filename, mimeType }) {
+  const kind = uploadKind(mimeType);
+  const limit = UPLOAD_LIMITS[kind];
+  const id = uuidv4();
+  const tempPath = path.join(UPLOAD_TEMP_DIR, `${id}.part`);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  return new Promise((resolve) => {
+    const out = fs.createWriteStream(tempPath);
+    let settled = false;
+
+    const fail = (status, error) => {
+      if (settled) return;
+      settled = true;
+      file.unpipe(out);
+      file.resume();
+      out.destroy();
+      fs.rm(tempPath, { force: true }, () => resolve({ status, error }));
+    };
+    const tooLarge = () => fail(413, `File too large. Maximum size for ${kind} uploads is ${formatLimit(limit)}.`);
+
+    file.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) tooLarge();
+      else hash.update(chunk);
+    });
+    file.on('limit', tooLarge);
+    file.on('error', () => fail(400, 'Upload interrupted.'));
+    out.on('error', (err) => {
+      console.error('[uploads] write error:', err);
+      fail(500, 'Failed to save file.');
+    });
+    out.on('finish', () => {
+      if (settled) return;
+      settled = true;
+      resolve({
+        id, tempPath, kind, size, sha256: hash.digest('hex'),
+        originalName: cleanFilename(filename), mimeType: String(mimeType || 'application/octet-stream').toLowerCase(),
+      });
+    });
+
+    file.pipe(out);
+  });
+}
+
+/** Resolves the upload's channel as { channel }, or { status, error } when the uploader can't post in it. */
+async function checkUploadChannel(channelId, userId) {
+  const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+  if (!channel) return { status: 404, error: 'Channel not found' };
+  const canPost = await canInChannel(channel, userId, PERMISSIONS.VIEW_CHANNEL | PERMISSIONS.SEND_MESSAGES);
+  return canPost ? { channel } : { status: 403, error: 'Missing permission: Send Messages' };
+}
+
+/**
+ * Where an upload is posted, from its channelId, dmUserId or dmGroupId field:
+ * { channel } or { dmId }, or { status, error }.
+ */
+async function resolveUploadContext(fields, userId) {
+  if (fields.channelId) return checkUploadChannel(fields.channelId, userId);
+  if (fields.dmUserId) {
+    const recipient = await getDb().prepare('SELECT id FROM users WHERE id = ?').get(fields.dmUserId);
+    if (!recipient || recipient.id === userId) return { status: 404, error: 'User not found' };
+    return { dmId: dmContextId(userId, recipient.id) };
+  }
+  if (fields.dmGroupId) {
+    if (!(await isGroupMember(fields.dmGroupId, userId))) return { status: 404, error: 'Group not found' };
+    return { dmId: dmGroupContextId(fields.dmGroupId) };
+  }
+  return { status: 400, error: 'Missing "channelId", "dmUserId" or "dmGroupId" for the upload.' };
+}
+
+/**
+ * Puts the received temp file into storage as the stored file for its content.
+ * When the same bytes are already stored the temp file is dropped and the
+ * earlier upload's media details are reused; otherwise images and videos are
+ * processed first and their variants stored alongside.
+ */
+async function storeReceivedFile(result, storedName) {
+  const existing = await findStoredUpload(storedName);
+  if (existing) {
+    await fs.promises.rm(result.tempPath, { force: true });
+    return { size: existing.size, width: existing.width, height: existing.height, variants: existing.variants };
   }
 
-  const { data, mime } = req.body;
-  if (!data || !mime) {
-    return res.status(400).json({ error: 'Missing "data" or "mime" in request body.' });
+  const media = result.kind === 'image'
+    ? await processImage(result.tempPath, result.mimeType, result.sha256)
+    : result.kind === 'video' ? await processVideo(result.tempPath, result.sha256) : null;
+  if (media?.error) {
+    await fs.promises.rm(result.tempPath, { force: true });
+    return media;
   }
 
-  if (!ALLOWED_MIME[type].includes(mime)) {
-    return res.status(400).json({ error: `Mime type "${mime}" is not allowed for ${type} uploads.` });
+  const storage = getStorage();
+  for (const variant of Object.values(media?.variants || {})) {
+    await storage.put(variant.name, path.join(UPLOAD_TEMP_DIR, variant.name), { contentType: 'image/webp' });
   }
+  await storage.put(storedName, result.tempPath, { contentType: result.mimeType });
+  return { size: media?.size ?? result.size, width: media?.width, height: media?.height, variants: media?.variants };
+}
+
+/** Redirects to a signed, expiring URL for the stored object. */
+async function redirectToStorage(res, key, options) {
+  const { url, expiresAt } = await getSignedDownload(key, options);
+  // The redirect may be reused for as long as its target stays valid
+  const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000) - 60);
+  res.set('Cache-Control', `private, max-age=${maxAge}`);
+  res.redirect(302, url);
+}
 
-  // Strip optional data-URL prefix (e.g. "data:image/png;base64,")
-  const base64 = data.replace(/^data:[^;]+;base64,/, '');
-  let buffer;
+// GET /api/uploads/token — a short-lived media token for ?token= on upload links
+router.get('/token', authenticateToken, (req, res) => {
+  res.json(generateMediaToken(req.user.id));
+});
+
+// GET /api/uploads/limits — maximum size in bytes per kind (image, video, audio, file)
+router.get('/limits', authenticateToken, (req, res) => {
+  res.json({ limits: UPLOAD_LIMITS });
+});
+
+// GET /api/uploads/usage — the caller's storage use; quota is null when unlimited
+router.get('/usage', authenticateToken, async (req, res) => {
   try {
-    buffer = Buffer.from(base64, 'base64');
-  } catch {
-    return res.status(400).json({ error: 'Invalid base64 data.' });
+    res.json({ usage: await getUserUsage(req.user.id) });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  const maxBytes = MAX_SIZE[type];
-  if (buffer.length > maxBytes) {
-    return res.status(413).json({
-      error: `File too large. Maximum size for ${type}s is ${maxBytes / 1024 / 1024} MB.`,
+// GET /api/uploads/usage/servers/:serverId — storage report for server admins
+router.get('/usage/servers/:serverId', authenticateToken, async (req, res) => {
+  try {
+    if (!(await can(req.params.serverId, req.user.id, PERMISSIONS.MANAGE_SERVER))) {
+      return res.status(403).json({ error: 'Missing permission: Manage Server' });
+    }
+    res.json({ usage: await getServerUsageReport(req.params.serverId) });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/uploads — multipart/form-data with one `file` part, posted in the
+// channel named by a `channelId` field, the DM with `dmUserId` or the group DM
+// `dmGroupId`. Channel images are stripped of metadata and resized, videos get
+// a poster (services/media.js). DM files are client-encrypted and stored as they are.
+// Counts against the uploader's and the channel's server's quotas.
+router.post('/', authenticateToken, (req, res) => {
+  let parser;
+  try {
+    parser = busboy({
+      headers: req.headers,
+      defParamCharset: 'utf8',
+      limits: { files: 1, fields: 10, fileSize: MAX_UPLOAD_SIZE },
     });
+  } catch {
+    return res.status(400).json({ error: 'Expected a multipart/form-data body.' });
   }
 
-  const ext = MIME_EXT[mime] || 'bin';
-  const filename = `${uuidv4()}.${ext}`;
-  const filePath = path.join(UPLOADS_DIR, filename);
+  const fields = {};
+  let received = null;
+
+  parser.on('field', (name, value) => {
+    fields[name] = value;
+  });
+  parser.on('file', (name, file, info) => {
+    if (name !== 'file' || received) {
+      file.resume();
+      return;
+    }
+    received = receiveFile(file, info);
+  });
+  parser.on('error', async () => {
+    req.unpipe(parser);
+    const result = await received;
+    if (result?.tempPath) fs.rm(result.tempPath, { force: true }, () => {});
+    if (!res.headersSent) res.status(400).json({ error: 'Malformed upload.' });
+  });
+
+  parser.on('close', async () => {
+    const result = await received;
+    if (!result) {
+      return res.status(400).json({ error: 'Missing "file" in upload.' });
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    try {
+      const target = await resolveUploadContext(fields, req.user.id);
+      if (target.error) {
+        fs.rm(result.tempPath, { force: true }, () => {});
+        return res.status(target.status).json({ error: target.error });
+      }
+      if (target.dmId) {
+        // Ciphertext: never processed or served inline, whatever it claims to be
+        Object.assign(result, { kind: 'file', mimeType: 'application/octet-stream' });
+      }
+
+      const storedName = storedNameFor(result.sha256, result.kind, result.mimeType);
+      const overQuota = await checkQuota({
+        userId: req.user.id, serverId: target.channel?.server_id, storedName, size: result.size,
+      });
+      if (overQuota) {
+        fs.rm(result.tempPath, { force: true }, () => {});
+        return res.status(413).json({ error: overQuota });
+      }
+
+      const media = await storeReceivedFile(result, storedName);
+      if (media.error) {
+        return res.status(400).json({ error: media.error });
+      }
+
+      const upload = await recordUpload({
+        id: result.id,
+        uploader_id: req.user.id,
+        channel_id: target.channel?.id ?? null,
+        dm_id: target.dmId ?? null,
+        encrypted: Boolean(target.dmId),
+        kind: result.kind,
+        original_name: result.originalName,
+        stored_name: storedName,
+        mime_type: result.mimeType,
+        size: media.size,
+        sha256: result.sha256,
+        width: media.width,
+        height: media.height,
+        variants: media.variants,
+        created_at: new Date().toISOString(),
+      });
+      res.status(201).json({ upload: toPublicUpload(upload) });
+    } catch (err) {
+      console.error('[uploads] save error:', err);
+      fs.rm(result.tempPath, { force: true }, () => {});
+      res.status(500).json({ error: 'Failed to save file.' });
+    }
+  });
+
+  req.pipe(parser);
+});
+
+// GET /api/uploads/files/:key — target of the filesystem driver's signed URLs
+router.get('/files/:key', (req, res) => {
+  const signed = getStorage().resolveSignedUrl?.(req.params.key, req.query);
+  if (!signed) {
+    return res.status(403).json({ error: 'Invalid or expired link' });
+  }
+  const maxAge = Math.max(0, Math.floor((signed.expiresAt - Date.now()) / 1000));
+  res.sendFile(signed.filePath, {
+    headers: {
+      'Content-Type': signed.contentType,
+      'Content-Disposition': signed.disposition,
+      'Cache-Control': `private, max-age=${maxAge}, immutable`,
+      'X-Content-Type-Options': 'nosniff',
+    },
+  }, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'File not found' });
+  });
+});
+
+// GET /api/uploads/:id — a non-media upload as a download under its original name
+router.get('/:id', authenticateMedia, async (req, res) => {
+  try {
+    const upload = await getUpload(req.params.id);
+    if (!upload || !(await canAccessUpload(upload, req.user.id))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    await redirectToStorage(res, upload.stored_name, {
+      contentType: upload.kind === 'file' || upload.kind === 'audio' ? 'application/octet-stream' : upload.mime_type,
+      filename: upload.original_name,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
+// GET /uploads/:name — an image or video upload, or one of its variants, inline.
+// Needs a media token (?token=) or Authorization header like the API.
+mediaRouter.get('/:name', authenticateMedia, async (req, res) => {
   try {
-    fs.writeFileSync(filePath, buffer);
-    res.json({ url: `/uploads/${filename}` });
+    const { name } = req.params;
+    const found = await findUploadsByFile(name);
+    let upload = null;
+    for (const candidate of found?.uploads || []) {
+      if (await canAccessUpload(candidate, req.user.id)) {
+        upload = candidate;
+        break;
+      }
+    }
+    // Media stored before uploads were recorded got rows from migration 023 for
+    // every channel linking it; files still without a row have no context to
+    // authorize against and aren't served
+    if (!upload) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (upload.kind !== 'image' && upload.kind !== 'video') {
+      // Non-media files are only handed out as downloads
+      const query = req.query.token ? `?token=${encodeURIComponent(req.query.token)}` : '';
+      return res.redirect(302, `/api/uploads/${upload.id}${query}`);
+    }
+    await redirectToStorage(res, name, { contentType: found.contentType });
   } catch (err) {
-    console.error('[uploads] write error:', err);
-    res.status(500).json({ error: 'Failed to save file.' });
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 module.exports = router;
+module.exports.mediaRouter = mediaRouter;
@@ -0,0 +1,104 @@
+/**
+ * One-shot copy of an existing sql.js database file into PostgreSQL.
+ *
+ *   DATABASE_URL=postgresql://nv:nv@localhost:5432/novoice \
+ *     node scripts/migrate-sqlite-to-postgres.js [path/to/novoice.db]
+ *
+ * The source defaults to DB_PATH (or server/novoice.db). The target schema is
+ * created through initDatabase(), then every table is copied row by row.
+ * Existing rows are skipped, so the script can be re-run after an interruption.
+ */
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { initDatabase, getDb, closeDatabase, DB_PATH } = require('../database/init');
+
+const MAX_PARAMS_PER_INSERT = 10000;
+
+function readSourceTables(sqlDb) {
+  const result = sqlDb.exec(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  );
+  return result.length ? result[0].values.map(([name]) => name) : [];
+}
+
+async function readTargetColumns(table) {
+  const rows = await getDb().prepare(
+    'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?'
+  ).all(table);
+  return new Set(rows.map((row) => row.column_name));
+}
+
+async function copyTable(sqlDb, table) {
+  const targetColumns = await readTargetColumns(table);
+  if (targetColumns.size === 0) {
+    console.warn(`  ! ${table}: not in the Postgres schema — skipped`);
+    return 0;
+  }
+
+  const result = sqlDb.exec(`SELECT * FROM "${table}"`);
+  if (!result.length) {
+    console.log(`  · ${table}: empty`);
+    return 0;
+  }
+
+  const { columns: sourceColumns, values } = result[0];
+  const columns = sourceColumns.filter((column) => targetColumns.has(column));
+  const dropped = sourceColumns.filter((column) => !targetColumns.has(column));
+  if (dropped.length) {
+    console.warn(`  ! ${table}: ignoring unknown columns ${dropped.join(', ')}`);
+  }
+
+  const indexes = columns.map((column) => sourceColumns.indexOf(column));
+  const batchSize = Math.max(1, Math.floor(MAX_PARAMS_PER_INSERT / columns.length));
+  const rowPlaceholder = `(${columns.map(() => '?').join(', ')})`;
+  let inserted = 0;
+
+  const copy = getDb().transaction(async () => {
+    for (let offset = 0; offset < values.length; offset += batchSize) {
+      const batch = values.slice(offset, offset + batchSize);
+      const params = batch.flatMap((row) => indexes.map((index) => row[index]));
+      const { changes } = await getDb().prepare(
+        `INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES ${batch.map(() => rowPlaceholder).join(', ')}`
+      ).run(...params);
+      inserted += changes;
+    }
+  });
+  await copy();
+
+  console.log(`  ✓ ${table}: ${inserted}/${values.length} rows copied`);
+  return inserted;
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL must point at the target PostgreSQL database');
+  }
+
+  const sourcePath = path.resolve(process.argv[2] || DB_PATH);
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Source database not found: ${sourcePath}`);
+  }
+
+  const SQL = await initSqlJs();
+  const sqlDb = new SQL.Database(fs.readFileSync(sourcePath));
+
+  console.log(`Migrating ${sourcePath} → PostgreSQL`);
+  await initDatabase();
+
+  try {
+    for (const table of readSourceTables(sqlDb)) {
+      await copyTable(sqlDb, table);
+    }
+  } finally {
+    sqlDb.close();
+    await closeDatabase();
+  }
+
+  console.log('Done.');
+}
+
+main().catch((err) => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+/**
+ * Schema migration CLI. Works against whichever backend the server would use
+ * (DATABASE_URL → PostgreSQL, otherwise the sql.js file at DB_PATH).
+ *
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js up   [--to <version>] [--dry-run]
+ *   node scripts/migrate.js down [--steps <n> | --to <version>] [--dry-run]
+ *
+ * The server applies pending migrations on startup; this script is for
+ * inspecting state, previewing changes and rolling back.
+ */
+const { openDatabase } = require('../database/init');
+const { migrateUp, migrateDown, getMigrationStatus } = require('../database/migrator');
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = { dryRun: false };
+
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--to' || arg === '--steps') {
+      const value = parseInt(rest[i + 1], 10);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${arg} expects a non-negative integer`);
+      }
+      options[arg === '--to' ? 'to' : 'steps'] = value;
+      i += 1;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return { command, options };
+}
+
+async function printStatus(db) {
+  const status = await getMigrationStatus(db);
+  for (const m of status) {
+    const state = m.applied_at ? `applied ${m.applied_at}` : 'pending';
+    console.log(`  ${String(m.version).padStart(3, '0')}  ${m.name.padEnd(32)} ${state}`);
+  }
+  const pending = status.filter((m) => !m.applied_at).length;
+  console.log(`\n${status.length - pending} applied, ${pending} pending.`);
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const db = await openDatabase();
+
+  try {
+    if (command === 'status') {
+      await printStatus(db);
+    } else if (command === 'up') {
+      const applied = await migrateUp(db, options);
+      if (!applied.length) console.log('Schema is up to date.');
+    } else if (command === 'down') {
+      const reverted = await migrateDown(db, options);
+      if (!reverted.length) console.log('Nothing to roll back.');
+    } else {
+      throw new Error(`Unknown command: ${command} (expected status, up or down)`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+
+// ── Server audit log ───────────────────────────────────────────────────────
+// One row per moderation or configuration change. `changes` is free-form JSON
+// describing what changed, e.g. { name: ['old', 'new'] } or { permissions: 12 }.
+
+const AUDIT_ACTIONS = [
+  'server.update',
+  'channel.create', 'channel.update', 'channel.delete',
+  'category.create', 'category.update', 'category.delete',
+  'channels.reorder',
+  'overwrite.update', 'overwrite.delete', 'overwrite.sync',
+  'role.create', 'role.update', 'role.delete', 'roles.reorder',
+  'member.roles', 'member.kick', 'member.ban', 'member.unban', 'member.timeout',
+  'invite.create', 'invite.delete',
+  'message.delete', 'message.pin', 'message.unpin',
+];
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Records an entry. Failures are logged, not thrown — the change itself has
+ * already happened and should not be reported as failed.
+ */
+async function recordAudit({ serverId, actorId, action, targetType = null, targetId = null, changes = null, reason = null }) {
+  try {
+    await getDb().prepare(
+      'INSERT INTO audit_log (id, server_id, actor_id, action, target_type, target_id, changes, reason, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)'
+    ).run(
+      uuidv4(), serverId, actorId, action, targetType, targetId,
+      changes ? JSON.stringify(changes) : null, reason || null, new Date().toISOString()
+    );
+  } catch (err) {
+    console.error('[audit] failed to record', action, err);
+  }
+}
+
+/** Newest first. Filters: action, actorId, targetId, before (created_at), limit. */
+async function getAuditLog(serverId, { action, actorId, targetId, before, limit } = {}) {
+  let query = `
+    SELECT a.*, u.username AS actor_username, u.display_name AS actor_display_name
+    FROM audit_log a
+    LEFT JOIN users u ON a.actor_id = u.id
+    WHERE a.server_id = ?
+  `;
+  const params = [serverId];
+
+  if (action) {
+    query += ' AND a.action = ?';
+    params.push(action);
+  }
+  if (actorId) {
+    query += ' AND a.actor_id = ?';
+    params.push(actorId);
+  }
+  if (targetId) {
+    query += ' AND a.target_id = ?';
+    params.push(targetId);
+  }
+  if (before) {
+    query += ' AND a.created_at < ?';
+    params.push(before);
+  }
+
+  query += ' ORDER BY a.created_at DESC LIMIT ?';
+  params.push(Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE));
+
+  const entries = await getDb().prepare(query).all(...params);
+  return entries.map((entry) => ({ ...entry, changes: entry.changes ? JSON.parse(entry.changes) : null }));
+}
+
+module.exports = { AUDIT_ACTIONS, recordAudit, getAuditLog };
@@ -0,0 +1,489 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const { getGroupMemberIds, shareGroup } = require('./dmGroups');
+
+// ── Direct messages ────────────────────────────────────────────────────────
+// DMs are end-to-end encrypted by the clients and only relayed here. Every
+// client install is a device with an X25519 identity key and an Ed25519
+// signing key, published to device_keys with a prekey bundle: a signed prekey
+// and a pool of one-time prekeys, each claimed by exactly one sender. Devices
+// run an X3DH handshake against a bundle and then a double ratchet per pair
+// of devices (src/utils/dmCrypto.js), so every message has its own key.
+//
+// A sender encrypts the body once and seals its content key for every
+// receiving device with that device's session:
+//   { v: 3, sender_device, iv, body,
+//     keys: { ['<user id>:<device id>']: { header: { dh, pn, n, prekey? }, key } } }
+// Entries name the user as well as the device, and a device id belongs to one
+// user only (see publishDeviceKey). The relay checks the envelope's shape,
+// never its contents, and hands each device only its own entry — live in the device's socket room, otherwise
+// from pending_dms when that device reconnects. Group DMs
+// (services/dmGroups.js) work the same, with an entry for every member's
+// devices and the group id in place of a receiver.
+
+const DM_EXPIRY_DAYS = 7;
+const ENVELOPE_VERSION = 3;
+const MAX_ENVELOPE_LENGTH = 256 * 1024;
+const MAX_DEVICES_PER_USER = 10;
+const MAX_ONE_TIME_PREKEYS = 200;
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const MAX_RATCHET_COUNTER = 2 ** 31 - 1;
+
+const DEVICE_ID = /^[\w-]{8,64}$/;
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+const KEY_LENGTH = 32;
+const SIGNATURE_LENGTH = 64;
+// DER prefix that turns a raw Ed25519 public key into an SPKI key for crypto.verify
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+function isBase64(value, maxLength = MAX_ENVELOPE_LENGTH) {
+  return typeof value === 'string' && value.length <= maxLength && BASE64.test(value);
+}
+
+function isKey(value, length = KEY_LENGTH) {
+  return isBase64(value, 128) && Buffer.from(value, 'base64').length === length;
+}
+
+function isKeyId(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_RATCHET_COUNTER;
+}
+
+function isDeviceId(value) {
+  return typeof value === 'string' && DEVICE_ID.test(value);
+}
+
+/** The key of a device's envelope entry. */
+function deviceAddress(userId, deviceId) {
+  return `${userId}:${deviceId}`;
+}
+
+function verifySignature(signingKey, data, signature) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(signingKey, 'base64')]),
+      format: 'der',
+      type: 'spki',
+    });
+    return crypto.verify(null, Buffer.from(data, 'base64'), key, Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+/** Whether the two users are accepted friends. */
+async function areFriends(userId, otherId) {
+  const row = await getDb().prepare(`
+    SELECT 1 AS found FROM friendships
+    WHERE ((user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?)) AND status = 'accepted'
+  `).get(userId, otherId, otherId, userId);
+  return Boolean(row);
+}
+
+// Keys are visible to the user themselves, their friends and their group DM members
+async function canSeeKeys(viewerId, userId) {
+  return viewerId === userId || (await areFriends(viewerId, userId)) || (await shareGroup(viewerId, userId));
+}
+
+// ── Device keys and prekey bundles ─────────────────────────────────────────
+
+async function countOneTimePrekeys(userId, deviceId) {
+  const { count } = await getDb()
+    .prepare('SELECT COUNT(*) AS count FROM one_time_prekeys WHERE user_id = ? AND device_id = ?')
+    .get(userId, deviceId);
+  return count;
+}
+
+function validateBundle({ identityKey, signingKey, signedPrekey, oneTimePrekeys = [] }) {
+  if (!isKey(identityKey)) return 'Invalid identity key';
+  if (!isKey(signingKey)) return 'Invalid signing key';
+  if (!signedPrekey || !isKeyId(signedPrekey.id) || !isKey(signedPrekey.key)
+    || !isKey(signedPrekey.signature, SIGNATURE_LENGTH)) {
+    return 'Invalid signed prekey';
+  }
+  if (!verifySignature(signingKey, signedPrekey.key, signedPrekey.signature)) {
+    return 'The signed prekey signature does not match the signing key';
+  }
+  if (!Array.isArray(oneTimePrekeys) || oneTimePrekeys.length > MAX_PREKEYS_PER_UPLOAD) {
+    return `Upload at most ${MAX_PREKEYS_PER_UPLOAD} one-time prekeys at once`;
+  }
+  if (!oneTimePrekeys.every((prekey) => prekey && isKeyId(prekey.id) && isKey(prekey.key))) {
+    return 'Invalid one-time prekey';
+  }
+  return null;
+}
+
+/**
+ * Registers a device's prekey bundle, or refreshes a known device's signed
+ * prekey and tops up its one-time prekeys; also marks it as seen. A device id
+ * stays bound to the user who registered it first, and to its first identity
+ * and signing key.
+ * Returns { device, oneTimePrekeys } (the pool size) or { error, status }.
+ */
+async function publishDeviceKey(userId, { deviceId, ...bundle } = {}) {
+  if (!isDeviceId(deviceId)) return { error: 'Invalid device id', status: 400 };
+  const invalid = validateBundle(bundle);
+  if (invalid) return { error: invalid, status: 400 };
+
+  const { identityKey, signingKey, signedPrekey, oneTimePrekeys = [] } = bundle;
+  const now = new Date().toISOString();
+  const existing = await getDb().prepare('SELECT * FROM device_keys WHERE device_id = ?').get(deviceId);
+  if (existing && existing.user_id !== userId) {
+    return { error: 'This device id is already registered to another account', status: 409 };
+  }
+
+  let pool = await countOneTimePrekeys(userId, deviceId);
+  if (pool + oneTimePrekeys.length > MAX_ONE_TIME_PREKEYS) {
+    return { error: `A device can have at most ${MAX_ONE_TIME_PREKEYS} one-time prekeys`, status: 400 };
+  }
+
+  if (existing) {
+    // Devices registered before prekey bundles existed get their signing key once
+    if (existing.identity_key !== identityKey || (existing.signing_key && existing.signing_key !== signingKey)) {
+      return { error: 'This device is already registered with a different key', status: 409 };
+    }
+    await getDb().prepare(`
+      UPDATE device_keys
+      SET signing_key = ?, signed_prekey_id = ?, signed_prekey = ?, signed_prekey_signature = ?, last_seen_at = ?
+      WHERE user_id = ? AND device_id = ?
+    `).run(signingKey, signedPrekey.id, signedPrekey.key, signedPrekey.signature, now, userId, deviceId);
+  } else {
+    const { count } = await getDb().prepare('SELECT COUNT(*) AS count FROM device_keys WHERE user_id = ?').get(userId);
+    if (count >= MAX_DEVICES_PER_USER) {
+      return { error: `An account can have at most ${MAX_DEVICES_PER_USER} devices`, status: 400 };
+    }
+    await getDb().prepare(`
+      INSERT INTO device_keys (user_id, device_id, identity_key, signing_key, signed_prekey_id, signed_prekey,
+        signed_prekey_signature, created_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(userId, deviceId, identityKey, signingKey, signedPrekey.id, signedPrekey.key, signedPrekey.signature, now, now);
+  }
+
+  const insert = getDb().prepare(
+    'INSERT OR IGNORE INTO one_time_prekeys (user_id, device_id, key_id, public_key) VALUES (?, ?, ?, ?)'
+  );
+  for (const prekey of oneTimePrekeys) {
+    await insert.run(userId, deviceId, prekey.id, prekey.key);
+  }
+  if (oneTimePrekeys.length > 0) pool = await countOneTimePrekeys(userId, deviceId);
+
+  const device = await getDb().prepare(`
+    SELECT device_id, identity_key, signing_key, created_at, last_seen_at
+    FROM device_keys WHERE user_id = ? AND device_id = ?
+  `).get(userId, deviceId);
+  return { device, oneTimePrekeys: pool };
+}
+
+/**
+ * The devices of userId, oldest first, as seen by viewerId: their own, a
+ * friend's or a group DM member's. Returns null when the viewer may not see them.
+ */
+async function listDeviceKeys(viewerId, userId) {
+  if (!(await canSeeKeys(viewerId, userId))) return null;
+  return getDb().prepare(`
+    SELECT device_id, identity_key, signing_key, created_at, last_seen_at
+    FROM device_keys WHERE user_id = ? ORDER BY created_at ASC
+  `).all(userId);
+}
+
+/** Takes one of the device's one-time prekeys out of the pool, or null once it is empty. */
+async function claimOneTimePrekey(userId, deviceId) {
+  // Two claims can race for the same row; whoever deletes it gets it
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const prekey = await getDb().prepare(
+      'SELECT key_id, public_key FROM one_time_prekeys WHERE user_id = ? AND device_id = ? ORDER BY key_id ASC LIMIT 1'
+    ).get(userId, deviceId);
+    if (!prekey) return null;
+
+    const { changes } = await getDb()
+      .prepare('DELETE FROM one_time_prekeys WHERE user_id = ? AND device_id = ? AND key_id = ?')
+      .run(userId, deviceId, prekey.key_id);
+    if (changes > 0) return { id: prekey.key_id, key: prekey.public_key };
+  }
+  return null;
+}
+
+/**
+ * Prekey bundles of userId's devices (all, or only `deviceIds`) for starting
+ * sessions with them, each with a one-time prekey claimed for the viewer
+ * while the pool lasts. Devices that haven't published a bundle are left out.
+ * Returns null when the viewer may not see them.
+ */
+async function claimPrekeyBundles(viewerId, userId, deviceIds) {
+  if (!(await canSeeKeys(viewerId, userId))) return null;
+
+  const wanted = Array.isArray(deviceIds) ? new Set(deviceIds.filter(isDeviceId)) : null;
+  const devices = await getDb().prepare(`
+    SELECT device_id, identity_key, signing_key, signed_prekey_id, signed_prekey, signed_prekey_signature
+    FROM device_keys WHERE user_id = ? AND signed_prekey IS NOT NULL ORDER BY created_at ASC
+  `).all(userId);
+
+  const bundles = [];
+  for (const device of devices) {
+    if (wanted && !wanted.has(device.device_id)) continue;
+    bundles.push({
+      device_id: device.device_id,
+      identity_key: device.identity_key,
+      signing_key: device.signing_key,
+      signed_prekey: {
+        id: device.signed_prekey_id,
+        key: device.signed_prekey,
+        signature: device.signed_prekey_signature,
+      },
+      one_time_prekey: await claimOneTimePrekey(userId, device.device_id),
+    });
+  }
+  return bundles;
+}
+
+// ── Relay ──────────────────────────────────────────────────────────────────
+
+function isValidHeader(header) {
+  if (!header || typeof header !== 'object') return false;
+  if (!isKey(header.dh) || !isKeyId(header.n) || !isKeyId(header.pn)) return false;
+  if (header.prekey === undefined) return true;
+
+  const { prekey } = header;
+  return Boolean(prekey) && isKey(prekey.ik) && isKey(prekey.ek) && isKeyId(prekey.spk)
+    && (prekey.opk === null || isKeyId(prekey.opk));
+}
+
+function isValidEnvelope(envelope, userCount) {
+  if (!envelope || typeof envelope !== 'object' || envelope.v !== ENVELOPE_VERSION) return false;
+  if (!isDeviceId(envelope.sender_device)) return false;
+  if (!isBase64(envelope.iv, 64) || !isBase64(envelope.body)) return false;
+
+  const keys = envelope.keys && typeof envelope.keys === 'object' ? Object.entries(envelope.keys) : [];
+  if (keys.length === 0 || keys.length > MAX_DEVICES_PER_USER * userCount) return false;
+  if (!keys.every(([address, entry]) => address.length <= 128 && entry
+    && isValidHeader(entry.header) && isBase64(entry.key, 128))) {
+    return false;
+  }
+
+  return JSON.stringify(envelope).length <= MAX_ENVELOPE_LENGTH;
+}
+
+function deviceRoom(userId, deviceId) {
+  return `device:${userId}:${deviceId}`;
+}
+
+function isDeviceOnline(io, userId, deviceId) {
+  return Boolean(io?.sockets.adapter.rooms.get(deviceRoom(userId, deviceId))?.size);
+}
+
+// Relays an envelope from senderId to the devices of `userIds` (the sender's
+// own included) it has entries for: live to online devices, otherwise into
+// pending_dms. `conversation` is { receiverId } or { groupId }.
+async function relayEnvelope(io, senderId, userIds, envelope, conversation) {
+  if (!isValidEnvelope(envelope, userIds.length)) return { error: 'DMs must be sent end-to-end encrypted' };
+
+  const sender = await getDb().prepare(
+    'SELECT id, username, display_name, avatar_color FROM users WHERE id = ?'
+  ).get(senderId);
+  if (!sender) return { error: 'Sender not found' };
+
+  const rows = await getDb()
+    .prepare(`SELECT user_id, device_id, identity_key FROM device_keys WHERE user_id IN (${userIds.map(() => '?').join(', ')})`)
+    .all(...userIds);
+  const devices = new Map(rows.map((d) => [deviceAddress(d.user_id, d.device_id), d]));
+  const senderAddress = deviceAddress(senderId, envelope.sender_device);
+  const senderDevice = devices.get(senderAddress);
+  if (!senderDevice) return { error: 'Publish this device\'s keys before sending DMs' };
+
+  // Each entry goes to exactly the user and device it names
+  const recipients = [];
+  for (const [address, entry] of Object.entries(envelope.keys)) {
+    const device = address !== senderAddress && devices.get(address);
+    if (!device) return { error: 'The message is addressed to an unknown device' };
+    // A session is only ever started with the sender's published identity key
+    if (entry.header.prekey && entry.header.prekey.ik !== senderDevice.identity_key) {
+      return { error: 'The message does not match this device\'s identity key' };
+    }
+    recipients.push({ userId: device.user_id, deviceId: device.device_id, address, entry });
+  }
+  if (!recipients.some((r) => r.userId !== senderId)) {
+    return { error: 'The message is not addressed to any of the receiver\'s devices' };
+  }
+
+  const message = {
+    id: uuidv4(),
+    sender_id: senderId,
+    receiver_id: conversation.receiverId || null,
+    ...(conversation.groupId ? { group_id: conversation.groupId } : {}),
+    created_at: new Date().toISOString(),
+    username: sender.username,
+    display_name: sender.display_name,
+    avatar_color: sender.avatar_color,
+  };
+  const { keys: _keys, ...shared } = envelope;
+
+  const expires = new Date();
+  expires.setDate(expires.getDate() + DM_EXPIRY_DAYS);
+  for (const { userId, deviceId, address, entry } of recipients) {
+    const copy = { ...shared, keys: { [address]: entry } };
+    if (isDeviceOnline(io, userId, deviceId)) {
+      // Online: relay immediately, nothing stored
+      io.to(deviceRoom(userId, deviceId)).emit('dm:new', { message: { ...message, envelope: copy } });
+    } else {
+      // Offline: keep this device's ciphertext until it reconnects (7-day TTL).
+      // Group rows name the recipient as receiver, since the column is required
+      await getDb().prepare(`
+        INSERT OR IGNORE INTO pending_dms
+          (id, message_id, sender_id, receiver_id, group_id, recipient_id, recipient_device, content, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(uuidv4(), message.id, senderId, message.receiver_id || userId, conversation.groupId || null, userId,
+        deviceId, JSON.stringify(copy), message.created_at, expires.toISOString());
+    }
+  }
+
+  return { message };
+}
+
+/**
+ * Relays an encrypted DM to every device it is addressed to: the receiver's
+ * and the sender's other devices. A device that is offline gets its copy from
+ * pending_dms when it reconnects. Returns { message } (without the envelope)
+ * or { error }.
+ */
+async function relayDirectMessage(io, senderId, receiverId, envelope) {
+  if (!receiverId || typeof receiverId !== 'string') return { error: 'Receiver required' };
+  return relayEnvelope(io, senderId, [receiverId, senderId], envelope, { receiverId });
+}
+
+/**
+ * Relays an encrypted group DM to the devices of the group's members it is
+ * addressed to, like relayDirectMessage. Messages carry group_id and no
+ * receiver_id. Returns { message } or { error }.
+ */
+async function relayGroupMessage(io, senderId, groupId, envelope) {
+  if (!groupId || typeof groupId !== 'string') return { error: 'Group required' };
+  const memberIds = await getGroupMemberIds(groupId);
+  if (!memberIds.includes(senderId)) return { error: 'You are not a member of this group' };
+  return relayEnvelope(io, senderId, memberIds, envelope, { groupId });
+}
+
+/** Pending DMs of one of the user's devices as dm:new messages, oldest first. */
+async function takePendingDirectMessages(userId, deviceId) {
+  const now = new Date().toISOString();
+  const pending = await getDb().prepare(`
+    SELECT pd.*, u.username, u.display_name, u.avatar_color
+    FROM pending_dms pd
+    JOIN users u ON pd.sender_id = u.id
+    WHERE pd.recipient_id = ? AND pd.recipient_device = ? AND pd.expires_at > ?
+    ORDER BY pd.created_at ASC
+  `).all(userId, deviceId, now);
+
+  // Delete on delivery (ephemeral storage), along with any other expired DMs
+  if (pending.length > 0) {
+    await getDb()
+      .prepare(`DELETE FROM pending_dms WHERE id IN (${pending.map(() => '?').join(', ')})`)
+      .run(...pending.map((dm) => dm.id));
+  }
+  await getDb().prepare('DELETE FROM pending_dms WHERE expires_at <= ?').run(now);
+
+  return pending.map(({
+    id: _id, message_id: id, content, recipient_id: _recipientId, recipient_device: _recipientDevice,
+    expires_at: _expiresAt, group_id: groupId, receiver_id: receiverId, ...dm
+  }) => ({
+    id,
+    ...dm,
+    ...(groupId ? { receiver_id: null, group_id: groupId } : { receiver_id: receiverId }),
+    envelope: JSON.parse(content),
+  }));
+}
+
+// ── History sync ───────────────────────────────────────────────────────────
+// DMs live only on the devices, so a new device copies its history from
+// another device of the same user (src/context/DMSyncContext.jsx). The new
+// device asks all of them through the user room; the others answer it
+// directly. Both sides agree on a key with ephemeral X25519 keys, the user
+// compares a code derived from it before allowing the copy, and the history
+// then moves in chunks the new device pulls one after another, so it can
+// resume where it stopped. Nothing of it is stored here.
+
+const SYNC_REQUEST_EVENT = 'dm-sync:request';
+// Event -> the fields it may carry besides request_id (and to_device)
+const SYNC_EVENT_FIELDS = {
+  [SYNC_REQUEST_EVENT]: ['key'],
+  'dm-sync:offer': ['key'],
+  'dm-sync:accept': ['total'],
+  'dm-sync:decline': [],
+  'dm-sync:pull': ['after'],
+  'dm-sync:chunk': ['after', 'next', 'done', 'count', 'iv', 'data'],
+  'dm-sync:end': [],
+};
+const DEVICE_SYNC_EVENTS = Object.keys(SYNC_EVENT_FIELDS);
+const MAX_SYNC_CHUNK_LENGTH = 768 * 1024;
+const SYNC_REQUEST_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// Chunks are cut at message ids
+const SYNC_CURSOR = /^[\w-]{1,64}$/;
+
+const isSyncCursor = (value) => value === null || (typeof value === 'string' && SYNC_CURSOR.test(value));
+const isCount = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_RATCHET_COUNTER;
+
+const SYNC_FIELD_CHECKS = {
+  key: (value) => isKey(value),
+  total: isCount,
+  count: isCount,
+  after: isSyncCursor,
+  next: isSyncCursor,
+  done: (value) => typeof value === 'boolean',
+  iv: (value) => isKey(value, 12),
+  data: (value) => isBase64(value, MAX_SYNC_CHUNK_LENGTH),
+};
+
+async function isRegisteredDevice(userId, deviceId) {
+  const row = await getDb()
+    .prepare('SELECT device_id FROM device_keys WHERE user_id = ? AND device_id = ?')
+    .get(userId, deviceId);
+  return Boolean(row);
+}
+
+/**
+ * Relays one history sync event from the socket's device: a request to all
+ * of the user's other devices, anything else to `to_device`. Only the fields
+ * the event may carry are passed on, with the sending device added as
+ * from_device. Returns { ok } or { error }.
+ */
+async function relayDeviceSync(io, socket, event, data) {
+  const userId = socket.user.id;
+  const { deviceId } = socket;
+  const fields = SYNC_EVENT_FIELDS[event];
+  if (!fields) return { error: 'Unknown sync event' };
+  if (!deviceId || !(await isRegisteredDevice(userId, deviceId))) {
+    return { error: 'Publish this device\'s keys before syncing DMs' };
+  }
+  if (!SYNC_REQUEST_ID.test(data?.request_id)) return { error: 'Invalid sync request' };
+
+  const payload = { request_id: data.request_id, from_device: deviceId };
+  for (const field of fields) {
+    if (!SYNC_FIELD_CHECKS[field](data[field])) return { error: `Invalid sync field: ${field}` };
+    payload[field] = data[field];
+  }
+
+  if (event === SYNC_REQUEST_EVENT) {
+    socket.to(`user:${userId}`).emit(event, payload);
+    return { ok: true };
+  }
+
+  const target = data.to_device;
+  if (!isDeviceId(target) || target === deviceId || !(await isRegisteredDevice(userId, target))) {
+    return { error: 'Unknown device' };
+  }
+  if (!isDeviceOnline(io, userId, target)) return { error: 'The other device is offline' };
+  io.to(deviceRoom(userId, target)).emit(event, payload);
+  return { ok: true };
+}
+
+module.exports = {
+  deviceRoom,
+  isDeviceId,
+  publishDeviceKey,
+  listDeviceKeys,
+  claimPrekeyBundles,
+  relayDirectMessage,
+  relayGroupMessage,
+  takePendingDirectMessages,
+  DEVICE_SYNC_EVENTS,
+  relayDeviceSync,
+};
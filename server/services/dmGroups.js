@@ -0,0 +1,225 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const { isValidEmoji } = require('./reactions');
+
+// ── Group DMs ──────────────────────────────────────────────────────────────
+// A DM conversation of up to MAX_GROUP_MEMBERS users, with a name and an
+// emoji icon. Any member may rename it, change the icon and add their own
+// friends; only the owner removes others, and anyone can leave. When the
+// owner leaves, the longest-standing member takes over; the group is deleted
+// with its last member. Only membership lives here: messages are end-to-end
+// encrypted and relayed by services/directMessages.js like 1:1 DMs.
+
+const MAX_GROUP_MEMBERS = 10;
+// Besides the creator; with fewer it's a 1:1 DM
+const MIN_INITIAL_MEMBERS = 2;
+const MAX_NAME_LENGTH = 64;
+const GROUP_COLORS = ['#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#007AFF', '#5856D6', '#AF52DE', '#FF2D55', '#5AC8FA', '#64D2FF'];
+
+/** The group with its members (oldest first), or null. */
+async function getGroup(groupId) {
+  const group = await getDb().prepare('SELECT * FROM dm_groups WHERE id = ?').get(groupId);
+  if (!group) return null;
+  group.members = await getDb().prepare(`
+    SELECT u.id, u.username, u.display_name, u.avatar_color, u.status, m.joined_at
+    FROM dm_group_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.group_id = ?
+    ORDER BY m.joined_at ASC, m.user_id ASC
+  `).all(groupId);
+  return group;
+}
+
+/** The user's groups, most recently changed first. */
+async function listGroups(userId) {
+  const rows = await getDb().prepare('SELECT group_id FROM dm_group_members WHERE user_id = ?').all(userId);
+  const groups = (await Promise.all(rows.map((row) => getGroup(row.group_id)))).filter(Boolean);
+  return groups.sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1));
+}
+
+async function getGroupMemberIds(groupId) {
+  const rows = await getDb().prepare('SELECT user_id FROM dm_group_members WHERE group_id = ?').all(groupId);
+  return rows.map((row) => row.user_id);
+}
+
+async function isGroupMember(groupId, userId) {
+  const row = await getDb()
+    .prepare('SELECT 1 AS found FROM dm_group_members WHERE group_id = ? AND user_id = ?')
+    .get(groupId, userId);
+  return Boolean(row);
+}
+
+/** Whether the two users are in a group together. */
+async function shareGroup(userId, otherId) {
+  const row = await getDb().prepare(`
+    SELECT 1 AS found FROM dm_group_members a
+    JOIN dm_group_members b ON b.group_id = a.group_id
+    WHERE a.user_id = ? AND b.user_id = ?
+  `).get(userId, otherId);
+  return Boolean(row);
+}
+
+// The ones among `ids` who are accepted friends of userId
+async function friendsAmong(userId, ids) {
+  if (ids.length === 0) return new Set();
+  const placeholders = ids.map(() => '?').join(', ');
+  const rows = await getDb().prepare(`
+    SELECT CASE WHEN user_id = ? THEN friend_id ELSE user_id END AS id
+    FROM friendships
+    WHERE status = 'accepted'
+      AND ((user_id = ? AND friend_id IN (${placeholders})) OR (friend_id = ? AND user_id IN (${placeholders})))
+  `).all(userId, userId, ...ids, userId, ...ids);
+  return new Set(rows.map((row) => row.id));
+}
+
+function validateDetails({ name, icon }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH)) {
+    return `Group names are 1 to ${MAX_NAME_LENGTH} characters`;
+  }
+  if (icon !== undefined && icon !== null && !isValidEmoji(icon)) return 'The icon must be an emoji';
+  return null;
+}
+
+function uniqueIds(ids, exceptId) {
+  return [...new Set((Array.isArray(ids) ? ids : []).filter((id) => typeof id === 'string' && id !== exceptId))];
+}
+
+async function touchGroup(groupId) {
+  await getDb().prepare('UPDATE dm_groups SET updated_at = ? WHERE id = ?').run(new Date().toISOString(), groupId);
+}
+
+/**
+ * Creates a group of userId and some of their friends. Without a name it is
+ * named after its members. Returns { group } or { error, status }.
+ */
+async function createGroup(userId, { name, icon = null, memberIds } = {}) {
+  const invalid = validateDetails({ name: name || undefined, icon });
+  if (invalid) return { error: invalid, status: 400 };
+
+  const ids = uniqueIds(memberIds, userId);
+  if (ids.length < MIN_INITIAL_MEMBERS) return { error: 'Add at least two friends to start a group', status: 400 };
+  if (ids.length + 1 > MAX_GROUP_MEMBERS) {
+    return { error: `A group has at most ${MAX_GROUP_MEMBERS} members`, status: 400 };
+  }
+  const friends = await friendsAmong(userId, ids);
+  if (ids.some((id) => !friends.has(id))) return { error: 'You can only add your friends', status: 403 };
+
+  let groupName = name?.trim();
+  if (!groupName) {
+    const users = await getDb()
+      .prepare(`SELECT id, display_name FROM users WHERE id IN (${[userId, ...ids].map(() => '?').join(', ')})`)
+      .all(userId, ...ids);
+    const names = new Map(users.map((u) => [u.id, u.display_name]));
+    groupName = [userId, ...ids].map((id) => names.get(id)).filter(Boolean).join(', ').slice(0, MAX_NAME_LENGTH);
+  }
+
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  const iconColor = GROUP_COLORS[Math.floor(Math.random() * GROUP_COLORS.length)];
+  const create = getDb().transaction(async () => {
+    await getDb().prepare(`
+      INSERT INTO dm_groups (id, name, icon, icon_color, owner_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, groupName, icon, iconColor, userId, now, now);
+    const addMember = getDb().prepare(
+      'INSERT INTO dm_group_members (group_id, user_id, added_by, joined_at) VALUES (?, ?, ?, ?)'
+    );
+    await addMember.run(id, userId, null, now);
+    for (const memberId of ids) await addMember.run(id, memberId, userId, now);
+  });
+  await create();
+  return { group: await getGroup(id) };
+}
+
+/** Renames the group or changes its icon (null removes it). Returns { group } or { error, status }. */
+async function updateGroup(userId, groupId, { name, icon } = {}) {
+  if (!(await isGroupMember(groupId, userId))) return { error: 'Group not found', status: 404 };
+  const invalid = validateDetails({ name, icon });
+  if (invalid) return { error: invalid, status: 400 };
+
+  if (name !== undefined) await getDb().prepare('UPDATE dm_groups SET name = ? WHERE id = ?').run(name.trim(), groupId);
+  if (icon !== undefined) await getDb().prepare('UPDATE dm_groups SET icon = ? WHERE id = ?').run(icon, groupId);
+  await touchGroup(groupId);
+  return { group: await getGroup(groupId) };
+}
+
+/** Adds friends of userId to the group. Returns { group, added } or { error, status }. */
+async function addMembers(userId, groupId, memberIds) {
+  if (!(await isGroupMember(groupId, userId))) return { error: 'Group not found', status: 404 };
+
+  const current = new Set(await getGroupMemberIds(groupId));
+  const ids = uniqueIds(memberIds, userId).filter((id) => !current.has(id));
+  if (ids.length === 0) return { error: 'Choose friends who are not in the group yet', status: 400 };
+  if (current.size + ids.length > MAX_GROUP_MEMBERS) {
+    return { error: `A group has at most ${MAX_GROUP_MEMBERS} members`, status: 400 };
+  }
+  const friends = await friendsAmong(userId, ids);
+  if (ids.some((id) => !friends.has(id))) return { error: 'You can only add your friends', status: 403 };
+
+  const now = new Date().toISOString();
+  const add = getDb().transaction(async () => {
+    // Checked again under the group row's lock, which makes concurrent adds to
+    // the group wait for each other on Postgres (sql.js runs one at a time)
+    await getDb().prepare('UPDATE dm_groups SET owner_id = owner_id WHERE id = ?').run(groupId);
+    const members = new Set(await getGroupMemberIds(groupId));
+    const added = ids.filter((id) => !members.has(id));
+    if (added.length === 0) return { error: 'Those friends were just added to the group', status: 409 };
+    if (members.size + added.length > MAX_GROUP_MEMBERS) {
+      return { error: `A group has at most ${MAX_GROUP_MEMBERS} members`, status: 409 };
+    }
+
+    const addMember = getDb().prepare(
+      'INSERT OR IGNORE INTO dm_group_members (group_id, user_id, added_by, joined_at) VALUES (?, ?, ?, ?)'
+    );
+    for (const memberId of added) await addMember.run(groupId, memberId, userId, now);
+    return { added };
+  });
+  const result = await add();
+  if (result.error) return result;
+  await touchGroup(groupId);
+  return { group: await getGroup(groupId), added: result.added };
+}
+
+/**
+ * Takes memberId out of the group: the owner removing someone, or anyone
+ * removing themselves (leaving). Returns { group } — null once the last
+ * member left and the group is gone — or { error, status }.
+ */
+async function removeMember(userId, groupId, memberId) {
+  const group = await getDb().prepare('SELECT * FROM dm_groups WHERE id = ?').get(groupId);
+  if (!group || !(await isGroupMember(groupId, userId))) return { error: 'Group not found', status: 404 };
+  if (memberId !== userId && group.owner_id !== userId) {
+    return { error: 'Only the group owner can remove members', status: 403 };
+  }
+  if (!(await isGroupMember(groupId, memberId))) return { error: 'Not a member of this group', status: 404 };
+
+  const remove = getDb().transaction(async () => {
+    await getDb().prepare('DELETE FROM dm_group_members WHERE group_id = ? AND user_id = ?').run(groupId, memberId);
+    const next = await getDb().prepare(
+      'SELECT user_id FROM dm_group_members WHERE group_id = ? ORDER BY joined_at ASC, user_id ASC LIMIT 1'
+    ).get(groupId);
+    if (!next) {
+      await getDb().prepare('DELETE FROM dm_groups WHERE id = ?').run(groupId);
+    } else if (group.owner_id === memberId) {
+      await getDb().prepare('UPDATE dm_groups SET owner_id = ? WHERE id = ?').run(next.user_id, groupId);
+    }
+  });
+  await remove();
+
+  const updated = await getGroup(groupId);
+  if (updated) await touchGroup(groupId);
+  return { group: updated };
+}
+
+module.exports = {
+  MAX_GROUP_MEMBERS,
+  getGroup,
+  listGroups,
+  getGroupMemberIds,
+  isGroupMember,
+  shareGroup,
+  createGroup,
+  updateGroup,
+  addMembers,
+  removeMember,
+};
@@ -0,0 +1,357 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { getDb } = require('../database/init');
+const { getMessage } = require('./messages');
+
+// ── Link previews ──────────────────────────────────────────────────────────
+// The server unfurls the [label](url) links of channel messages and stores the
+// previews on the message (messages.embeds), so clients don't each fetch the
+// linked pages (preview images are still loaded by the client). Pages are
+// read from their OpenGraph tags, with oEmbed and plain <title>/<meta
+// name="description"> as fallbacks. Results are cached per URL in link_previews.
+//
+// Fetching arbitrary URLs from the server is an SSRF risk, so every request:
+//   - resolves the host itself and refuses private, loopback, link-local and
+//     other non-public addresses, then connects to the checked address (a
+//     second DNS answer can't swap in an internal one)
+//   - follows at most MAX_REDIRECTS redirects, each checked the same way
+//   - reads at most MAX_HTML_BYTES of the body and gives up after FETCH_TIMEOUT_MS
+
+const MAX_LINKS_PER_MESSAGE = 5;
+const MAX_URL_LENGTH = 2048;
+const MAX_REDIRECTS = 3;
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_OEMBED_BYTES = 64 * 1024;
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+// Failed or empty lookups are retried sooner, the page may just have been down
+const MISS_TTL_MS = 60 * 60 * 1000;
+
+const MAX_TITLE_LENGTH = 256;
+const MAX_DESCRIPTION_LENGTH = 350;
+const MAX_SITE_NAME_LENGTH = 100;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; NoVoiceBot/1.0; link previews)';
+
+const LINK_TOKEN = /\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23],
+  ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// url -> Promise of the preview, so concurrent messages share one fetch
+const inFlight = new Map();
+
+/** Whether the address may be fetched. IPv4-mapped IPv6 is checked as IPv4. */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/** dns.lookup for http(s).request that only ever answers with public addresses. */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      return callback(Object.assign(new Error(`Refusing to fetch ${hostname}: not a public address`), { code: 'EBLOCKED' }));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/** The URL if it may be unfurled at all: http(s), no credentials, not an IP literal in a private range. */
+function parsePreviewUrl(raw, base) {
+  let url;
+  try {
+    url = new URL(raw, base);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  if (url.username || url.password) return null;
+  if (url.href.length > MAX_URL_LENGTH) return null;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost')) return null;
+
+  url.hash = '';
+  return url;
+}
+
+/**
+ * GETs url with the limits above, following redirects. Resolves to
+ * { url, contentType, body } where body is at most maxBytes long (the rest is
+ * dropped), or rejects.
+ */
+function safeFetch(url, { accept, maxBytes, redirects = 0, deadline = Date.now() + FETCH_TIMEOUT_MS }) {
+  return new Promise((resolve, reject) => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return reject(new Error('Timed out'));
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: publicLookup,
+      headers: { 'User-Agent': USER_AGENT, Accept: accept, 'Accept-Encoding': 'identity' },
+      timeout: remaining,
+    });
+    const timer = setTimeout(() => req.destroy(new Error('Timed out')), remaining);
+    const finish = (fn, value) => {
+      clearTimeout(timer);
+      fn(value);
+    };
+
+    req.on('timeout', () => req.destroy(new Error('Timed out')));
+    req.on('error', (err) => finish(reject, err));
+    req.on('response', (res) => {
+      const { statusCode, headers } = res;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        res.resume();
+        req.destroy();
+        const next = parsePreviewUrl(headers.location, url);
+        if (!next) return finish(reject, new Error('Redirect to a disallowed URL'));
+        if (redirects >= MAX_REDIRECTS) return finish(reject, new Error('Too many redirects'));
+        return finish(resolve, safeFetch(next, { accept, maxBytes, redirects: redirects + 1, deadline }));
+      }
+      if (statusCode !== 200) {
+        res.resume();
+        req.destroy();
+        return finish(reject, new Error(`HTTP ${statusCode}`));
+      }
+
+      const contentType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const chunks = [];
+      let received = 0;
+      const done = () => finish(resolve, { url, contentType, body: Buffer.concat(chunks).toString('utf8') });
+
+      // Images are previewed from their URL alone; don't download them
+      if (contentType.startsWith('image/')) {
+        req.destroy();
+        return done();
+      }
+
+      res.on('data', (chunk) => {
+        if (received >= maxBytes) return;
+        const room = maxBytes - received;
+        chunks.push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+        received += chunk.length;
+        if (received >= maxBytes) {
+          req.destroy();
+          done();
+        }
+      });
+      res.on('end', done);
+      res.on('error', (err) => finish(reject, err));
+    });
+  });
+}
+
+// ── HTML parsing ───────────────────────────────────────────────────────────
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const match of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+function clean(value, maxLength) {
+  const text = String(value || '').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/** OpenGraph/Twitter meta tags, <title> and the oEmbed discovery link of a page. */
+function parseHtml(html) {
+  const head = html.split(/<\/head>/i)[0];
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && !(key in meta)) meta[key] = attributes.content;
+  }
+
+  let oembedUrl = null;
+  for (const [tag] of head.matchAll(/<link\b[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    if (attributes.type === 'application/json+oembed' && attributes.href) {
+      oembedUrl = attributes.href;
+      break;
+    }
+  }
+
+  const title = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return { meta, oembedUrl, title: title ? decodeEntities(title[1]) : null };
+}
+
+function previewImage(raw, base, width, height) {
+  const url = raw && parsePreviewUrl(raw, base);
+  if (!url) return null;
+  const toSize = (value) => (Number.parseInt(value, 10) > 0 ? Number.parseInt(value, 10) : null);
+  return { url: url.href, width: toSize(width), height: toSize(height) };
+}
+
+async function fetchOembed(raw, base, deadline) {
+  const url = parsePreviewUrl(raw, base);
+  if (!url) return null;
+  try {
+    const { body } = await safeFetch(url, { accept: 'application/json', maxBytes: MAX_OEMBED_BYTES, deadline });
+    const data = JSON.parse(body);
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetches and builds the preview of one URL:
+ * { url, type: 'link' | 'image', title, description, site_name, image }
+ * where image is { url, width, height } or null. Returns null when the page
+ * has nothing worth showing or can't be fetched.
+ */
+async function fetchPreview(target) {
+  const deadline = Date.now() + FETCH_TIMEOUT_MS;
+  const page = await safeFetch(target, {
+    accept: 'text/html,application/xhtml+xml;q=0.9,image/*;q=0.8',
+    maxBytes: MAX_HTML_BYTES,
+    deadline,
+  });
+
+  if (page.contentType.startsWith('image/') && page.contentType !== 'image/svg+xml') {
+    return {
+      url: target.href, type: 'image', title: null, description: null,
+      site_name: page.url.hostname, image: { url: page.url.href, width: null, height: null },
+    };
+  }
+  if (page.contentType !== 'text/html' && page.contentType !== 'application/xhtml+xml') return null;
+
+  const { meta, oembedUrl, title } = parseHtml(page.body);
+  const oembed = oembedUrl ? await fetchOembed(oembedUrl, page.url, deadline) : null;
+
+  const preview = {
+    url: target.href,
+    type: 'link',
+    title: clean(meta['og:title'] || meta['twitter:title'] || oembed?.title || title, MAX_TITLE_LENGTH),
+    description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, MAX_DESCRIPTION_LENGTH),
+    site_name: clean(meta['og:site_name'] || oembed?.provider_name || page.url.hostname, MAX_SITE_NAME_LENGTH),
+    image: previewImage(meta['og:image:secure_url'] || meta['og:image'], page.url, meta['og:image:width'], meta['og:image:height'])
+      || previewImage(meta['twitter:image'], page.url)
+      || previewImage(oembed?.thumbnail_url, page.url, oembed?.thumbnail_width, oembed?.thumbnail_height),
+  };
+  return preview.title || preview.description || preview.image ? preview : null;
+}
+
+// ── Cache ──────────────────────────────────────────────────────────────────
+
+async function readCache(url) {
+  const row = await getDb().prepare('SELECT data, fetched_at FROM link_previews WHERE url = ?').get(url);
+  if (!row) return undefined;
+  const data = row.data ? JSON.parse(row.data) : null;
+  const age = Date.now() - new Date(row.fetched_at).getTime();
+  return age < (data ? PREVIEW_TTL_MS : MISS_TTL_MS) ? data : undefined;
+}
+
+async function writeCache(url, data) {
+  const json = data ? JSON.stringify(data) : null;
+  const now = new Date().toISOString();
+  await getDb().prepare('INSERT OR IGNORE INTO link_previews (url, data, fetched_at) VALUES (?, ?, ?)').run(url, json, now);
+  await getDb().prepare('UPDATE link_previews SET data = ?, fetched_at = ? WHERE url = ?').run(json, now, url);
+}
+
+/** The preview of a URL from the cache, fetching it when missing or stale. Never throws. */
+async function getPreview(url) {
+  const cached = await readCache(url.href);
+  if (cached !== undefined) return cached;
+
+  if (!inFlight.has(url.href)) {
+    const pending = fetchPreview(url)
+      .catch(() => null)
+      .then(async (preview) => {
+        await writeCache(url.href, preview);
+        return preview;
+      })
+      .finally(() => inFlight.delete(url.href));
+    inFlight.set(url.href, pending);
+  }
+  return inFlight.get(url.href);
+}
+
+// ── Messages ───────────────────────────────────────────────────────────────
+
+/** The distinct previewable links of a message, in order, at most MAX_LINKS_PER_MESSAGE. */
+function extractLinks(content) {
+  const urls = new Map();
+  for (const match of String(content || '').matchAll(LINK_TOKEN)) {
+    const url = parsePreviewUrl(match[2]);
+    if (url && !urls.has(url.href)) urls.set(url.href, url);
+    if (urls.size >= MAX_LINKS_PER_MESSAGE) break;
+  }
+  return [...urls.values()];
+}
+
+/**
+ * Brings messages.embeds in line with the message's current links. Returns the
+ * reloaded message when its previews changed, else null. Messages edited or
+ * suppressed while the previews were fetched are left alone.
+ */
+async function refreshEmbeds(messageId) {
+  const message = await getDb()
+    .prepare('SELECT id, content, embeds, suppress_embeds FROM messages WHERE id = ?')
+    .get(messageId);
+  if (!message || message.suppress_embeds) return null;
+
+  const urls = extractLinks(message.content);
+  const previews = (await Promise.all(urls.map(getPreview))).filter(Boolean);
+  const embeds = previews.length > 0 ? JSON.stringify(previews) : null;
+  if (embeds === message.embeds) return null;
+
+  const { changes } = await getDb()
+    .prepare('UPDATE messages SET embeds = ? WHERE id = ? AND content = ? AND suppress_embeds = 0')
+    .run(embeds, messageId, message.content);
+  return changes > 0 ? getMessage(messageId) : null;
+}
+
+/**
+ * Runs refreshEmbeds() after the caller has answered, and hands a changed
+ * message to onUpdate (typically a message:updated broadcast).
+ */
+function unfurlMessage(message, onUpdate) {
+  if (message.type !== 'default' || message.suppress_embeds) return;
+  refreshEmbeds(message.id)
+    .then((updated) => (updated ? onUpdate(updated) : null))
+    .catch((err) => console.error('Link preview failed:', err));
+}
+
+/** Removes a message's previews for good; later edits don't bring them back. */
+async function suppressEmbeds(messageId) {
+  await getDb().prepare('UPDATE messages SET embeds = NULL, suppress_embeds = 1 WHERE id = ?').run(messageId);
+  return getMessage(messageId);
+}
+
+module.exports = { unfurlMessage, suppressEmbeds };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+
+// ── Media processing ───────────────────────────────────────────────────────
+// Runs on image and video uploads before they are recorded. Images are
+// re-encoded in their own format without metadata (EXIF, GPS, XMP), upright
+// per their EXIF orientation, and get resized WebP variants. Videos get a
+// first-frame 'poster' when ffmpeg is available (FFMPEG_PATH, or ffmpeg on the
+// PATH); without it they are stored as uploaded.
+
+// Longest side of each variant. Images already within a size don't get it.
+const IMAGE_VARIANTS = { thumb: 256, preview: 1280 };
+const POSTER_SIZE = 1280;
+const VARIANT_QUALITY = 80;
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_TIMEOUT_MS = 15000;
+const MAX_FRAME_BYTES = 64 * 1024 * 1024;
+
+let ffmpegMissing = false;
+
+// Animated GIF/WebP keep all frames; libvips can't auto-orient those
+function isAnimatable(mimeType) {
+  return mimeType === 'image/gif' || mimeType === 'image/webp';
+}
+
+// Re-encodes as the declared type, so the bytes match the stored extension
+function encodeAs(image, mimeType) {
+  if (mimeType === 'image/jpeg') return image.jpeg({ quality: 90, mozjpeg: true });
+  if (mimeType === 'image/png') return image.png();
+  if (mimeType === 'image/webp') return image.webp({ quality: 90 });
+  return image.gif();
+}
+
+/** Writes `<baseName>_<name>.webp` next to the upload at filePath. */
+async function writeVariant(input, options, filePath, baseName, name, size) {
+  const variantName = `${baseName}_${name}.webp`;
+  const info = await sharp(input, options)
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: VARIANT_QUALITY })
+    .toFile(path.join(path.dirname(filePath), variantName));
+  return { name: variantName, width: info.width, height: info.pageHeight || info.height };
+}
+
+/**
+ * Strips the image's metadata in place and writes its variants next to it,
+ * named after baseName. Returns { width, height, size, variants }, or { error }
+ * when the file is not an image sharp can read.
+ */
+async function processImage(filePath, mimeType, baseName) {
+  const options = isAnimatable(mimeType) ? { animated: true } : {};
+  let metadata;
+  try {
+    metadata = await sharp(filePath, options).metadata();
+  } catch {
+    return { error: 'The image could not be read.' };
+  }
+
+  try {
+    // Variants are cut from the stripped buffer; libvips may cache the file
+    // path's old contents
+    const image = options.animated ? sharp(filePath, options) : sharp(filePath).rotate();
+    const { data, info } = await encodeAs(image, mimeType).toBuffer({ resolveWithObject: true });
+    await fs.promises.writeFile(filePath, data);
+
+    const width = options.animated ? metadata.width : info.width;
+    const height = options.animated ? metadata.pageHeight || metadata.height : info.height;
+    const variants = {};
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+      if (width <= size && height <= size) continue;
+      variants[name] = await writeVariant(data, options, filePath, baseName, name, size);
+    }
+    return { width, height, size: data.length, variants };
+  } catch (err) {
+    console.error('[media] image processing failed:', err);
+    return { error: 'The image could not be processed.' };
+  }
+}
+
+/** The video's first frame as PNG, or null when ffmpeg is missing or fails. */
+function extractFirstFrame(filePath) {
+  if (ffmpegMissing) return Promise.resolve(null);
+  const args = ['-v', 'error', '-i', filePath, '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', '-'];
+  return new Promise((resolve) => {
+    execFile(FFMPEG_PATH, args, { encoding: 'buffer', timeout: FFMPEG_TIMEOUT_MS, maxBuffer: MAX_FRAME_BYTES }, (err, stdout) => {
+      if (err?.code === 'ENOENT') {
+        ffmpegMissing = true;
+        console.warn(`[media] ${FFMPEG_PATH} not found; videos are stored without posters`);
+      } else if (err) {
+        console.error('[media] poster extraction failed:', err.message);
+      }
+      resolve(err || stdout.length === 0 ? null : stdout);
+    });
+  });
+}
+
+/** Writes a poster for the video when possible. Returns { width, height, variants }. */
+async function processVideo(filePath, baseName) {
+  const frame = await extractFirstFrame(filePath);
+  if (!frame) return { width: null, height: null, variants: {} };
+  try {
+    const { width, height } = await sharp(frame).metadata();
+    const poster = await writeVariant(frame, {}, filePath, baseName, 'poster', POSTER_SIZE);
+    return { width, height, variants: { poster } };
+  } catch (err) {
+    console.error('[media] poster encoding failed:', err);
+    return { width: null, height: null, variants: {} };
+  }
+}
+
+module.exports = { processImage, processVideo };
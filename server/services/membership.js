@@ -0,0 +1,40 @@
+const { getDb } = require('../database/init');
+
+// ── Server membership ──────────────────────────────────────────────────────
+
+/** Removes a membership along with the member's roles, overwrites, read markers and mentions. Run inside a transaction. */
+async function deleteMembership(serverId, userId) {
+  await getDb().prepare('DELETE FROM message_mentions WHERE server_id = ? AND user_id = ?').run(serverId, userId);
+  await getDb().prepare(
+    'DELETE FROM read_states WHERE user_id = ? AND channel_id IN (SELECT id FROM channels WHERE server_id = ?)'
+  ).run(userId, serverId);
+  await getDb().prepare('DELETE FROM server_member_roles WHERE server_id = ? AND user_id = ?').run(serverId, userId);
+  await getDb().prepare(
+    "DELETE FROM permission_overwrites WHERE server_id = ? AND target_type = 'member' AND target_id = ?"
+  ).run(serverId, userId);
+  await getDb().prepare('DELETE FROM server_members WHERE server_id = ? AND user_id = ?').run(serverId, userId);
+}
+
+/**
+ * Ends the user's temporary memberships — those joined through a temporary
+ * invite and never given a role. Returns the ids of the servers they left.
+ */
+async function removeTemporaryMemberships(userId) {
+  const rows = await getDb().prepare(`
+    SELECT sm.server_id FROM server_members sm
+    WHERE sm.user_id = ? AND sm.temporary = 1
+      AND NOT EXISTS (
+        SELECT 1 FROM server_member_roles r WHERE r.server_id = sm.server_id AND r.user_id = sm.user_id
+      )
+  `).all(userId);
+  if (rows.length === 0) return [];
+
+  const serverIds = rows.map((row) => row.server_id);
+  const remove = getDb().transaction(async () => {
+    for (const serverId of serverIds) await deleteMembership(serverId, userId);
+  });
+  await remove();
+  return serverIds;
+}
+
+module.exports = { deleteMembership, removeTemporaryMemberships };
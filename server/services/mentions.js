@@ -0,0 +1,150 @@
+const { getDb } = require('../database/init');
+const { PERMISSIONS, hasPermission, getChannelPermissions, canInChannel } = require('./permissions');
+
+// ── Mentions ───────────────────────────────────────────────────────────────
+// Messages store mentions by id so they survive renames:
+//   <@userId>   <@&roleId>   <#channelId>   @everyone
+// Role and @everyone mentions only notify when the author has MENTION_EVERYONE
+// in the channel. message_mentions keeps one row per notified member who can
+// see the channel; channel mentions are links and notify nobody.
+
+const USER_MENTION = /<@([\w-]+)>/g;
+const ROLE_MENTION = /<@&([\w-]+)>/g;
+const EVERYONE_MENTION = /(^|[^\w])@everyone\b/;
+
+const DEFAULT_INBOX_PAGE_SIZE = 25;
+const MAX_INBOX_PAGE_SIZE = 50;
+
+function parseMentions(content) {
+  const text = String(content || '');
+  return {
+    userIds: [...new Set([...text.matchAll(USER_MENTION)].map((match) => match[1]))],
+    roleIds: [...new Set([...text.matchAll(ROLE_MENTION)].map((match) => match[1]))],
+    everyone: EVERYONE_MENTION.test(text),
+  };
+}
+
+/** Ids of the members the message notifies, author excluded. */
+async function resolveMentionedUserIds(channel, message) {
+  const { userIds, roleIds, everyone } = parseMentions(message.content);
+  const candidates = new Set();
+
+  if (userIds.length > 0) {
+    const members = await getDb().prepare(
+      `SELECT user_id FROM server_members WHERE server_id = ? AND user_id IN (${userIds.map(() => '?').join(', ')})`
+    ).all(channel.server_id, ...userIds);
+    members.forEach((member) => candidates.add(member.user_id));
+  }
+
+  if (everyone || roleIds.length > 0) {
+    const authorPermissions = await getChannelPermissions(channel, message.sender_id);
+    if (hasPermission(authorPermissions, PERMISSIONS.MENTION_EVERYONE)) {
+      const members = everyone
+        ? await getDb().prepare('SELECT user_id FROM server_members WHERE server_id = ?').all(channel.server_id)
+        : await getDb().prepare(
+          `SELECT DISTINCT user_id FROM server_member_roles WHERE server_id = ? AND role_id IN (${roleIds.map(() => '?').join(', ')})`
+        ).all(channel.server_id, ...roleIds);
+      members.forEach((member) => candidates.add(member.user_id));
+    }
+  }
+
+  candidates.delete(message.sender_id);
+  const visible = [];
+  for (const userId of candidates) {
+    if (await canInChannel(channel, userId, PERMISSIONS.VIEW_CHANNEL)) visible.push(userId);
+  }
+  return visible;
+}
+
+/**
+ * Brings message_mentions in line with the message's current content after a
+ * send or an edit. Returns the ids of users mentioned for the first time.
+ */
+async function syncMessageMentions(channel, message) {
+  const userIds = await resolveMentionedUserIds(channel, message);
+  const existing = new Set((await getDb()
+    .prepare('SELECT user_id FROM message_mentions WHERE message_id = ?')
+    .all(message.id)).map((row) => row.user_id));
+  const added = userIds.filter((userId) => !existing.has(userId));
+  const removed = [...existing].filter((userId) => !userIds.includes(userId));
+
+  const sync = getDb().transaction(async () => {
+    for (const userId of removed) {
+      await getDb().prepare('DELETE FROM message_mentions WHERE message_id = ? AND user_id = ?').run(message.id, userId);
+    }
+    for (const userId of added) {
+      await getDb().prepare(
+        'INSERT OR IGNORE INTO message_mentions (message_id, user_id, channel_id, server_id, created_at) VALUES (?, ?, ?, ?, ?)'
+      ).run(message.id, userId, channel.id, channel.server_id, message.created_at);
+    }
+  });
+  await sync();
+  return added;
+}
+
+/**
+ * Records the message's mentions and sends mention:new to each newly
+ * mentioned user's devices. `io` may be absent outside a request.
+ */
+async function processMentions(io, channel, message) {
+  const added = await syncMessageMentions(channel, message);
+  if (!io) return;
+  for (const userId of added) {
+    io.to(`user:${userId}`).emit('mention:new', { serverId: channel.server_id, channelId: channel.id, message });
+  }
+}
+
+/** Removes the mentions of deleted messages. Run inside a transaction. */
+async function deleteMentions(messageIds) {
+  if (messageIds.length === 0) return;
+  await getDb()
+    .prepare(`DELETE FROM message_mentions WHERE message_id IN (${messageIds.map(() => '?').join(', ')})`)
+    .run(...messageIds);
+}
+
+/**
+ * A page of the user's mentions inbox, newest first, across all servers.
+ * Mentions in channels the user can no longer see are left out.
+ */
+async function listMentions(userId, { before, limit } = {}) {
+  let sql = `
+    SELECT m.*, u.username, u.display_name, u.avatar_color,
+      c.name AS channel_name, s.id AS server_id, s.name AS server_name
+    FROM message_mentions mm
+    JOIN messages m ON mm.message_id = m.id
+    JOIN users u ON m.sender_id = u.id
+    JOIN channels c ON mm.channel_id = c.id
+    JOIN servers s ON mm.server_id = s.id
+    WHERE mm.user_id = ?
+  `;
+  const params = [userId];
+  if (before) {
+    sql += ' AND mm.created_at < ?';
+    params.push(before);
+  }
+  sql += ' ORDER BY mm.created_at DESC LIMIT ?';
+  params.push(Math.min(parseInt(limit, 10) || DEFAULT_INBOX_PAGE_SIZE, MAX_INBOX_PAGE_SIZE));
+
+  const rows = await getDb().prepare(sql).all(...params);
+  if (rows.length === 0) return rows;
+
+  const channelIds = [...new Set(rows.map((row) => row.channel_id))];
+  const channels = await getDb()
+    .prepare(`SELECT * FROM channels WHERE id IN (${channelIds.map(() => '?').join(', ')})`)
+    .all(...channelIds);
+  const visible = new Set();
+  for (const channel of channels) {
+    if (await canInChannel(channel, userId, PERMISSIONS.VIEW_CHANNEL)) visible.add(channel.id);
+  }
+  return rows.filter((row) => visible.has(row.channel_id));
+}
+
+/** Drops one message from the user's inbox. Returns false if it wasn't there. */
+async function dismissMention(userId, messageId) {
+  const { changes } = await getDb()
+    .prepare('DELETE FROM message_mentions WHERE user_id = ? AND message_id = ?')
+    .run(userId, messageId);
+  return changes > 0;
+}
+
+module.exports = { processMentions, deleteMentions, listMentions, dismissMention };
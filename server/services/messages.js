@@ -0,0 +1,219 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('../database/init');
+const { deleteReactions } = require('./reactions');
+const { deleteMentions } = require('./mentions');
+const { attachUploads } = require('./uploads');
+
+// ── Channel messages ───────────────────────────────────────────────────────
+// A message can quote an earlier one (reply_to_id) and can live in the side
+// thread of a top-level message (thread_id). Threads are one level deep.
+// type is 'default' for member messages; system notices like 'pin' have no
+// content of their own and point at their subject through reply_to_id.
+
+const MESSAGE_SELECT = `
+  SELECT m.*, u.username, u.display_name, u.avatar_color,
+    (SELECT COUNT(*) FROM messages t WHERE t.thread_id = m.id) AS thread_count,
+    (SELECT MAX(t.created_at) FROM messages t WHERE t.thread_id = m.id) AS thread_last_at
+  FROM messages m
+  JOIN users u ON m.sender_id = u.id
+`;
+
+const REPLY_PREVIEW_LENGTH = 200;
+const MAX_PINS_PER_CHANNEL = 50;
+
+/**
+ * Sets `reply_to` on each row that quotes another message: a short preview of
+ * the parent, or null when the parent has been deleted. Rows are mutated and
+ * returned for convenience.
+ */
+async function attachReplyPreviews(rows) {
+  const ids = [...new Set(rows.map((row) => row.reply_to_id).filter(Boolean))];
+  if (ids.length === 0) return rows;
+
+  const placeholders = ids.map(() => '?').join(', ');
+  const parents = await getDb().prepare(`
+    SELECT m.id, m.content, m.sender_id, m.thread_id, u.username, u.display_name, u.avatar_color
+    FROM messages m
+    JOIN users u ON m.sender_id = u.id
+    WHERE m.id IN (${placeholders})
+  `).all(...ids);
+  const byId = new Map(parents.map((parent) => [
+    parent.id,
+    { ...parent, content: parent.content.slice(0, REPLY_PREVIEW_LENGTH) },
+  ]));
+
+  for (const row of rows) {
+    if (row.reply_to_id) row.reply_to = byId.get(row.reply_to_id) || null;
+  }
+  return rows;
+}
+
+// embeds is stored as JSON (services/linkPreviews.js); suppressed previews are never sent
+function normalizeMessage(row) {
+  row.thread_count = Number(row.thread_count) || 0;
+  row.embeds = row.embeds && !row.suppress_embeds ? JSON.parse(row.embeds) : [];
+  return row;
+}
+
+/** Loads one message with author, thread count, reply preview, attachments and link previews. */
+async function getMessage(messageId) {
+  const message = await getDb().prepare(`${MESSAGE_SELECT} WHERE m.id = ?`).get(messageId);
+  if (!message) return null;
+  await attachReplyPreviews([normalizeMessage(message)]);
+  await attachUploads([message]);
+  return message;
+}
+
+/**
+ * Lists a page of the channel's main timeline, or of one thread when threadId
+ * is given, oldest first.
+ */
+async function listMessages(channelId, { threadId = null, before, limit = 50 } = {}) {
+  let query = `${MESSAGE_SELECT} WHERE m.channel_id = ?`;
+  const params = [channelId];
+
+  if (threadId) {
+    query += ' AND m.thread_id = ?';
+    params.push(threadId);
+  } else {
+    query += ' AND m.thread_id IS NULL';
+  }
+  if (before) {
+    query += ' AND m.created_at < ?';
+    params.push(before);
+  }
+  query += ' ORDER BY m.created_at DESC LIMIT ?';
+  params.push(limit);
+
+  const messages = (await getDb().prepare(query).all(...params)).map(normalizeMessage);
+  await attachReplyPreviews(messages);
+  await attachUploads(messages);
+  return messages.reverse();
+}
+
+/** Loads a top-level message of the channel that can hold a thread, or null. */
+async function getThreadRoot(channelId, messageId) {
+  const root = await getDb()
+    .prepare('SELECT * FROM messages WHERE id = ? AND channel_id = ?')
+    .get(messageId, channelId);
+  return root && !root.thread_id ? root : null;
+}
+
+/**
+ * Checks the reply and thread references of a new message. Returns
+ * { replyToId, threadId } or { error }. A reply must quote a message from the
+ * same conversation: the main timeline, or the thread including its root.
+ */
+async function resolveMessageRefs(channelId, { replyToId, threadId }) {
+  if (threadId && !(await getThreadRoot(channelId, threadId))) {
+    return { error: 'Thread not found' };
+  }
+  if (!replyToId) return { replyToId: null, threadId: threadId || null };
+
+  const parent = await getDb()
+    .prepare('SELECT id, thread_id FROM messages WHERE id = ? AND channel_id = ?')
+    .get(replyToId, channelId);
+  if (!parent) return { error: 'The message you replied to no longer exists' };
+
+  const inConversation = threadId
+    ? parent.id === threadId || parent.thread_id === threadId
+    : !parent.thread_id;
+  if (!inConversation) return { error: 'You can only reply to messages in the same conversation' };
+
+  return { replyToId, threadId: threadId || null };
+}
+
+/**
+ * CURRENT_TIMESTAMP's 'YYYY-MM-DD HH:MM:SS' shape plus milliseconds. Still
+ * sorts against older rows, and keeps `before` cursors from skipping messages
+ * sent within the same second.
+ */
+function messageTimestamp() {
+  return new Date().toISOString().replace('T', ' ').slice(0, 23);
+}
+
+/** Inserts a message and returns it as getMessage() would. */
+async function createMessage(channelId, senderId, content, { replyToId = null, threadId = null, type = 'default' } = {}) {
+  const id = uuidv4();
+  await getDb().prepare(
+    'INSERT INTO messages (id, channel_id, sender_id, content, reply_to_id, thread_id, type, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+  ).run(id, channelId, senderId, content, replyToId, threadId, type, messageTimestamp());
+  return getMessage(id);
+}
+
+// ── Pins ───────────────────────────────────────────────────────────────────
+
+/** The channel's pinned messages, most recently pinned first. */
+async function listPinnedMessages(channelId) {
+  const messages = (await getDb()
+    .prepare(`${MESSAGE_SELECT} WHERE m.channel_id = ? AND m.pinned_at IS NOT NULL ORDER BY m.pinned_at DESC`)
+    .all(channelId)).map(normalizeMessage);
+  await attachReplyPreviews(messages);
+  return attachUploads(messages);
+}
+
+/**
+ * Pins a message of the main timeline and posts a 'pin' notice for it.
+ * Returns { message, notice } or { error }.
+ */
+async function pinMessage(message, userId) {
+  if (message.type !== 'default') return { error: 'System messages cannot be pinned' };
+  if (message.thread_id) return { error: 'Only messages in the main channel can be pinned' };
+  if (message.pinned_at) return { error: 'Message is already pinned' };
+
+  const { count } = await getDb()
+    .prepare('SELECT COUNT(*) AS count FROM messages WHERE channel_id = ? AND pinned_at IS NOT NULL')
+    .get(message.channel_id);
+  if (count >= MAX_PINS_PER_CHANNEL) {
+    return { error: `A channel can have at most ${MAX_PINS_PER_CHANNEL} pinned messages` };
+  }
+
+  // Only the first of two concurrent pins gets to post the notice
+  const { changes } = await getDb()
+    .prepare('UPDATE messages SET pinned_at = ?, pinned_by = ? WHERE id = ? AND pinned_at IS NULL')
+    .run(messageTimestamp(), userId, message.id);
+  if (changes === 0) return { error: 'Message is already pinned' };
+
+  const notice = await createMessage(message.channel_id, userId, '', { replyToId: message.id, type: 'pin' });
+  return { message: await getMessage(message.id), notice };
+}
+
+/** Unpins a message. Returns false if it wasn't pinned. */
+async function unpinMessage(message) {
+  const { changes } = await getDb()
+    .prepare('UPDATE messages SET pinned_at = NULL, pinned_by = NULL WHERE id = ? AND pinned_at IS NOT NULL')
+    .run(message.id);
+  return changes > 0;
+}
+
+/**
+ * Deletes a message with its reactions and mentions; a pin goes with the row.
+ * Deleting a thread root takes the whole thread with it. Replies and pin
+ * notices pointing at a deleted message keep their reply_to_id and show the
+ * parent as deleted.
+ */
+async function deleteMessage(message) {
+  const threadIds = message.thread_id
+    ? []
+    : (await getDb().prepare('SELECT id FROM messages WHERE thread_id = ?').all(message.id)).map((row) => row.id);
+
+  const remove = getDb().transaction(async () => {
+    await getDb().prepare('DELETE FROM messages WHERE thread_id = ?').run(message.id);
+    await getDb().prepare('DELETE FROM messages WHERE id = ?').run(message.id);
+    await deleteReactions('message', [message.id, ...threadIds]);
+    await deleteMentions([message.id, ...threadIds]);
+  });
+  await remove();
+}
+
+module.exports = {
+  getMessage,
+  listMessages,
+  getThreadRoot,
+  resolveMessageRefs,
+  createMessage,
+  deleteMessage,
+  listPinnedMessages,
+  pinMessage,
+  unpinMessage,
+};
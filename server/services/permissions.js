@@ -0,0 +1,250 @@
+const { getDb } = require('../database/init');
+
+// ── Server permissions ─────────────────────────────────────────────────────
+// Each role carries a bitset; a member's permissions are the OR of the
+// default "@everyone" role and every role assigned to them. Channel
+// overwrites are then layered on top (see resolveChannelPermissions). The
+// server owner and ADMINISTRATOR bypass all checks.
+// Keep in sync with src/utils/permissions.js.
+
+const PERMISSIONS = {
+  ADMINISTRATOR: 1 << 0,
+  MANAGE_SERVER: 1 << 1,
+  MANAGE_ROLES: 1 << 2,
+  MANAGE_CHANNELS: 1 << 3,
+  MANAGE_MESSAGES: 1 << 4,
+  KICK_MEMBERS: 1 << 5,
+  BAN_MEMBERS: 1 << 6,
+  POST_ANNOUNCEMENTS: 1 << 7,
+  EDIT_RULES: 1 << 8,
+  MANAGE_EVENTS: 1 << 9,
+  MANAGE_TASKS: 1 << 10,
+  MANAGE_MUSIC: 1 << 11,
+  VIEW_CHANNEL: 1 << 12,
+  SEND_MESSAGES: 1 << 13,
+  CONNECT: 1 << 14,
+  SPEAK: 1 << 15,
+  MODERATE_MEMBERS: 1 << 16,
+  VIEW_AUDIT_LOG: 1 << 17,
+  MENTION_EVERYONE: 1 << 18,
+};
+
+const PERMISSION_LABELS = {
+  [PERMISSIONS.ADMINISTRATOR]: 'Administrator',
+  [PERMISSIONS.MANAGE_SERVER]: 'Manage Server',
+  [PERMISSIONS.MANAGE_ROLES]: 'Manage Roles',
+  [PERMISSIONS.MANAGE_CHANNELS]: 'Manage Channels',
+  [PERMISSIONS.MANAGE_MESSAGES]: 'Manage Messages',
+  [PERMISSIONS.KICK_MEMBERS]: 'Kick Members',
+  [PERMISSIONS.BAN_MEMBERS]: 'Ban Members',
+  [PERMISSIONS.POST_ANNOUNCEMENTS]: 'Post Announcements',
+  [PERMISSIONS.EDIT_RULES]: 'Edit Rules',
+  [PERMISSIONS.MANAGE_EVENTS]: 'Manage Events',
+  [PERMISSIONS.MANAGE_TASKS]: 'Manage Tasks',
+  [PERMISSIONS.MANAGE_MUSIC]: 'Manage Music',
+  [PERMISSIONS.VIEW_CHANNEL]: 'View Channel',
+  [PERMISSIONS.SEND_MESSAGES]: 'Send Messages',
+  [PERMISSIONS.CONNECT]: 'Connect',
+  [PERMISSIONS.SPEAK]: 'Speak',
+  [PERMISSIONS.MODERATE_MEMBERS]: 'Timeout Members',
+  [PERMISSIONS.VIEW_AUDIT_LOG]: 'View Audit Log',
+  [PERMISSIONS.MENTION_EVERYONE]: 'Mention Everyone',
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS).reduce((all, flag) => all | flag, 0);
+
+// What @everyone gets on a new server
+const DEFAULT_MEMBER_PERMISSIONS = PERMISSIONS.VIEW_CHANNEL
+  | PERMISSIONS.SEND_MESSAGES
+  | PERMISSIONS.CONNECT
+  | PERMISSIONS.SPEAK;
+
+// Bits a channel or category overwrite may allow or deny
+const OVERWRITE_PERMISSIONS = DEFAULT_MEMBER_PERMISSIONS | PERMISSIONS.MANAGE_CHANNELS;
+
+// Taken away while a member is timed out, whatever their roles or overwrites
+// say. Administrators can't be timed out, like the owner.
+const TIMEOUT_REVOKED_PERMISSIONS = PERMISSIONS.SEND_MESSAGES | PERMISSIONS.SPEAK;
+
+function isTimedOut(timeoutUntil, now = Date.now()) {
+  return Boolean(timeoutUntil) && new Date(timeoutUntil).getTime() > now;
+}
+
+function hasPermission(permissions, flag) {
+  if (permissions & PERMISSIONS.ADMINISTRATOR) return true;
+  return (permissions & flag) === flag;
+}
+
+/** Clamps arbitrary client input to the known permission bits. */
+function sanitizePermissions(value) {
+  const numeric = Number(value);
+  if (!Number.isInteger(numeric) || numeric < 0) return 0;
+  return numeric & ALL_PERMISSIONS;
+}
+
+/**
+ * Resolves a member's standing in a server, or null if they are not a member.
+ * `highestPosition` is Infinity for the owner so hierarchy checks always pass.
+ * `timedOutUntil` is set while a timeout is running.
+ */
+async function getMemberPermissions(serverId, userId) {
+  const server = await getDb().prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
+  if (!server) return null;
+
+  const member = await getDb()
+    .prepare('SELECT id, timeout_until FROM server_members WHERE server_id = ? AND user_id = ?')
+    .get(serverId, userId);
+  if (!member) return null;
+
+  const roles = await getDb().prepare(`
+    SELECT r.id, r.permissions, r.position, r.is_default
+    FROM server_roles r
+    LEFT JOIN server_member_roles mr ON mr.role_id = r.id AND mr.user_id = ?
+    WHERE r.server_id = ? AND (r.is_default = 1 OR mr.user_id IS NOT NULL)
+  `).all(userId, serverId);
+
+  const isOwner = server.owner_id === userId;
+  let permissions = roles.reduce((bits, role) => bits | role.permissions, 0);
+  if (isOwner || permissions & PERMISSIONS.ADMINISTRATOR) permissions = ALL_PERMISSIONS;
+
+  const timedOutUntil = !isOwner && isTimedOut(member.timeout_until) ? member.timeout_until : null;
+  if (timedOutUntil) permissions &= ~TIMEOUT_REVOKED_PERMISSIONS;
+
+  return {
+    server,
+    isOwner,
+    permissions,
+    timedOutUntil,
+    roleIds: new Set(roles.filter((role) => !role.is_default).map((role) => role.id)),
+    highestPosition: isOwner ? Infinity : Math.max(0, ...roles.map((role) => role.position)),
+  };
+}
+
+async function can(serverId, userId, flag) {
+  const context = await getMemberPermissions(serverId, userId);
+  return Boolean(context && hasPermission(context.permissions, flag));
+}
+
+/** Returns the member context if the user holds `flag`. 403/404 otherwise. */
+async function requirePermission(serverId, userId, flag, res) {
+  const context = await getMemberPermissions(serverId, userId);
+  if (!context) {
+    const exists = await getDb().prepare('SELECT id FROM servers WHERE id = ?').get(serverId);
+    res.status(exists ? 403 : 404).json({ error: exists ? 'Not a member of this server' : 'Server not found' });
+    return null;
+  }
+  if (!hasPermission(context.permissions, flag)) {
+    res.status(403).json({ error: `Missing permission: ${PERMISSION_LABELS[flag]}` });
+    return null;
+  }
+  return context;
+}
+
+// ── Channel overwrites ─────────────────────────────────────────────────────
+
+/** The scope whose overwrites apply: a synced channel defers to its category. */
+function getOverwriteScopeId(channel) {
+  return channel.category_id && channel.permissions_synced ? channel.category_id : channel.id;
+}
+
+/**
+ * Applies overwrites in order: @everyone, then the member's roles combined,
+ * then the member. Without VIEW_CHANNEL nothing else in the channel applies.
+ */
+function resolveChannelPermissions(context, userId, overwrites) {
+  if (context.isOwner || context.permissions & PERMISSIONS.ADMINISTRATOR) return ALL_PERMISSIONS;
+
+  const defaultRoleId = context.server.id;
+  let permissions = context.permissions;
+
+  const everyone = overwrites.find((o) => o.target_type === 'role' && o.target_id === defaultRoleId);
+  if (everyone) permissions = (permissions & ~everyone.deny) | everyone.allow;
+
+  let allow = 0;
+  let deny = 0;
+  for (const o of overwrites) {
+    if (o.target_type === 'role' && o.target_id !== defaultRoleId && context.roleIds.has(o.target_id)) {
+      allow |= o.allow;
+      deny |= o.deny;
+    }
+  }
+  permissions = (permissions & ~deny) | allow;
+
+  const member = overwrites.find((o) => o.target_type === 'member' && o.target_id === userId);
+  if (member) permissions = (permissions & ~member.deny) | member.allow;
+
+  if (context.timedOutUntil) permissions &= ~TIMEOUT_REVOKED_PERMISSIONS;
+
+  return permissions & PERMISSIONS.VIEW_CHANNEL ? permissions : 0;
+}
+
+/**
+ * Loads a member's context and all overwrites of a server once, and returns
+ * synchronous resolvers for its channels and categories. Null for non-members.
+ */
+async function getChannelPermissionResolver(serverId, userId) {
+  const context = await getMemberPermissions(serverId, userId);
+  if (!context) return null;
+
+  const rows = await getDb().prepare('SELECT * FROM permission_overwrites WHERE server_id = ?').all(serverId);
+  const byScope = new Map();
+  for (const row of rows) {
+    if (!byScope.has(row.scope_id)) byScope.set(row.scope_id, []);
+    byScope.get(row.scope_id).push(row);
+  }
+
+  return {
+    context,
+    forChannel: (channel) => resolveChannelPermissions(context, userId, byScope.get(getOverwriteScopeId(channel)) || []),
+    forCategory: (category) => resolveChannelPermissions(context, userId, byScope.get(category.id) || []),
+  };
+}
+
+/** Effective permissions in one channel, or null if the user is not a member. */
+async function getChannelPermissions(channel, userId) {
+  const context = await getMemberPermissions(channel.server_id, userId);
+  if (!context) return null;
+
+  const overwrites = await getDb()
+    .prepare('SELECT * FROM permission_overwrites WHERE scope_id = ?')
+    .all(getOverwriteScopeId(channel));
+  return resolveChannelPermissions(context, userId, overwrites);
+}
+
+async function canInChannel(channel, userId, flag) {
+  const permissions = await getChannelPermissions(channel, userId);
+  return permissions !== null && hasPermission(permissions, flag);
+}
+
+/** Returns the channel permissions if the user holds every flag. 403 otherwise. */
+async function requireChannelPermission(channel, userId, flags, res) {
+  const permissions = await getChannelPermissions(channel, userId);
+  if (permissions === null) {
+    res.status(403).json({ error: 'Not a member of this server' });
+    return null;
+  }
+  const missing = [].concat(flags).find((flag) => !hasPermission(permissions, flag));
+  if (missing !== undefined) {
+    res.status(403).json({ error: `Missing permission: ${PERMISSION_LABELS[missing]}` });
+    return null;
+  }
+  return permissions;
+}
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_MEMBER_PERMISSIONS,
+  OVERWRITE_PERMISSIONS,
+  isTimedOut,
+  hasPermission,
+  sanitizePermissions,
+  getMemberPermissions,
+  can,
+  requirePermission,
+  getOverwriteScopeId,
+  getChannelPermissionResolver,
+  getChannelPermissions,
+  canInChannel,
+  requireChannelPermission,
+};
@@ -0,0 +1,122 @@
+const { getDb } = require('../database/init');
+
+// ── Reactions ──────────────────────────────────────────────────────────────
+// One row per (target, user, emoji). Targets are looked up through
+// REACTION_TARGETS, which maps each type to the query that finds its channel.
+
+const REACTION_TARGETS = {
+  message: 'SELECT channel_id FROM messages WHERE id = ?',
+  announcement: 'SELECT channel_id FROM announcements WHERE id = ?',
+  forum_post: 'SELECT channel_id FROM forum_posts WHERE id = ?',
+  forum_reply: `
+    SELECT fp.channel_id FROM forum_replies fr
+    JOIN forum_posts fp ON fr.post_id = fp.id
+    WHERE fr.id = ?
+  `,
+};
+
+const MAX_EMOJI_LENGTH = 32;
+const MAX_DISTINCT_EMOJIS = 20;
+
+/** A single emoji (ZWJ sequences, flags and keycaps included) — no text. */
+function isValidEmoji(emoji) {
+  return typeof emoji === 'string'
+    && emoji.length <= MAX_EMOJI_LENGTH
+    && /^\S+$/u.test(emoji)
+    && /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(emoji);
+}
+
+/** Resolves a reaction target to its channel row, or null if it doesn't exist. */
+async function getReactionChannel(targetType, targetId) {
+  const query = REACTION_TARGETS[targetType];
+  if (!query) return null;
+  const target = await getDb().prepare(query).get(targetId);
+  if (!target) return null;
+  return getDb().prepare('SELECT * FROM channels WHERE id = ?').get(target.channel_id);
+}
+
+async function countReactions(targetType, targetId, emoji) {
+  const row = await getDb()
+    .prepare('SELECT COUNT(*) AS count FROM reactions WHERE target_type = ? AND target_id = ? AND emoji = ?')
+    .get(targetType, targetId, emoji);
+  return Number(row.count);
+}
+
+/**
+ * Adds the user's reaction. Returns { count, changed } or { error } when the
+ * target already carries MAX_DISTINCT_EMOJIS different emojis.
+ */
+async function addReaction(channel, targetType, targetId, userId, emoji) {
+  const existing = await getDb().prepare(
+    'SELECT 1 AS found FROM reactions WHERE target_type = ? AND target_id = ? AND user_id = ? AND emoji = ?'
+  ).get(targetType, targetId, userId, emoji);
+  if (existing) return { count: await countReactions(targetType, targetId, emoji), changed: false };
+
+  const emojis = await getDb()
+    .prepare('SELECT DISTINCT emoji FROM reactions WHERE target_type = ? AND target_id = ?')
+    .all(targetType, targetId);
+  if (emojis.length >= MAX_DISTINCT_EMOJIS && !emojis.some((row) => row.emoji === emoji)) {
+    return { error: `A post can carry at most ${MAX_DISTINCT_EMOJIS} different reactions` };
+  }
+
+  await getDb().prepare(
+    'INSERT INTO reactions (target_type, target_id, user_id, emoji, channel_id, created_at) VALUES (?, ?, ?, ?, ?, ?)'
+  ).run(targetType, targetId, userId, emoji, channel.id, new Date().toISOString());
+  return { count: await countReactions(targetType, targetId, emoji), changed: true };
+}
+
+/** Removes the user's reaction. Returns { count, changed }. */
+async function removeReaction(targetType, targetId, userId, emoji) {
+  const { changes } = await getDb().prepare(
+    'DELETE FROM reactions WHERE target_type = ? AND target_id = ? AND user_id = ? AND emoji = ?'
+  ).run(targetType, targetId, userId, emoji);
+  return { count: await countReactions(targetType, targetId, emoji), changed: changes > 0 };
+}
+
+/**
+ * Sets `reactions` on each row: [{ emoji, count, me }] in order of first use.
+ * Rows are mutated and returned for convenience.
+ */
+async function attachReactions(targetType, rows, userId) {
+  if (rows.length === 0) return rows;
+
+  const ids = rows.map((row) => row.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const reactions = await getDb().prepare(`
+    SELECT target_id, emoji, user_id FROM reactions
+    WHERE target_type = ? AND target_id IN (${placeholders})
+    ORDER BY created_at ASC
+  `).all(targetType, ...ids);
+
+  const byTarget = new Map(); // targetId -> Map<emoji, { emoji, count, me }>
+  for (const { target_id, emoji, user_id } of reactions) {
+    if (!byTarget.has(target_id)) byTarget.set(target_id, new Map());
+    const summaries = byTarget.get(target_id);
+    if (!summaries.has(emoji)) summaries.set(emoji, { emoji, count: 0, me: false });
+    const summary = summaries.get(emoji);
+    summary.count += 1;
+    if (user_id === userId) summary.me = true;
+  }
+
+  for (const row of rows) {
+    row.reactions = [...(byTarget.get(row.id)?.values() || [])];
+  }
+  return rows;
+}
+
+/** Drops the reactions of deleted targets. */
+async function deleteReactions(targetType, targetIds) {
+  for (const targetId of targetIds) {
+    await getDb().prepare('DELETE FROM reactions WHERE target_type = ? AND target_id = ?').run(targetType, targetId);
+  }
+}
+
+module.exports = {
+  REACTION_TARGETS,
+  isValidEmoji,
+  getReactionChannel,
+  addReaction,
+  removeReaction,
+  attachReactions,
+  deleteReactions,
+};
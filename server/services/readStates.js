@@ -0,0 +1,109 @@
+const { getDb } = require('../database/init');
+const { PERMISSIONS, hasPermission, getChannelPermissionResolver } = require('./permissions');
+
+// ── Read state ─────────────────────────────────────────────────────────────
+// One marker per user and channel: the last message they have read. Until a
+// channel is first read, the member's joined_at stands in for the marker so
+// joining a busy server doesn't light up its whole history. Markers only move
+// forward, so a slow device can't un-read what another device already read.
+
+const UNREAD_CHANNEL_TYPES = ['text', 'announcements'];
+
+/** SQL matching messages that mention the user (see services/mentions.js), with its parameters. */
+function mentionCondition(user) {
+  return {
+    sql: 'EXISTS (SELECT 1 FROM message_mentions mm WHERE mm.message_id = m.id AND mm.user_id = ?)',
+    params: [user.id],
+  };
+}
+
+function emptyChannelState(channelId, lastReadAt) {
+  return { channel_id: channelId, unread_count: 0, mention_count: 0, last_read_message_id: null, last_read_at: lastReadAt };
+}
+
+/**
+ * Unread and mention counts for every channel of the server the user can
+ * view. Only the main timeline counts; thread replies don't. Returns
+ * { unread_count, mention_count, channels: { [channelId]: state } }, or null
+ * for non-members.
+ */
+async function getServerUnreads(serverId, user) {
+  const resolver = await getChannelPermissionResolver(serverId, user.id);
+  if (!resolver) return null;
+
+  const member = await getDb()
+    .prepare('SELECT joined_at FROM server_members WHERE server_id = ? AND user_id = ?')
+    .get(serverId, user.id);
+  const joinedAt = member?.joined_at || '';
+
+  const channels = (await getDb()
+    .prepare(`SELECT * FROM channels WHERE server_id = ? AND type IN (${UNREAD_CHANNEL_TYPES.map(() => '?').join(', ')})`)
+    .all(serverId, ...UNREAD_CHANNEL_TYPES))
+    .filter((channel) => hasPermission(resolver.forChannel(channel), PERMISSIONS.VIEW_CHANNEL));
+
+  const states = {};
+  for (const channel of channels) states[channel.id] = emptyChannelState(channel.id, joinedAt);
+  const summary = { unread_count: 0, mention_count: 0, channels: states };
+  if (channels.length === 0) return summary;
+
+  const markers = await getDb()
+    .prepare('SELECT * FROM read_states WHERE user_id = ? AND channel_id IN (SELECT id FROM channels WHERE server_id = ?)')
+    .all(user.id, serverId);
+  for (const marker of markers) {
+    if (!states[marker.channel_id]) continue;
+    states[marker.channel_id].last_read_message_id = marker.last_read_message_id;
+    states[marker.channel_id].last_read_at = marker.last_read_at;
+  }
+
+  const mention = mentionCondition(user);
+  const counts = await getDb().prepare(`
+    SELECT m.channel_id,
+      COUNT(*) AS unread_count,
+      COUNT(CASE WHEN ${mention.sql} THEN 1 END) AS mention_count
+    FROM messages m
+    JOIN channels c ON m.channel_id = c.id
+    LEFT JOIN read_states rs ON rs.channel_id = m.channel_id AND rs.user_id = ?
+    WHERE c.server_id = ? AND m.thread_id IS NULL AND m.sender_id != ?
+      AND m.created_at > COALESCE(rs.last_read_at, ?)
+    GROUP BY m.channel_id
+  `).all(...mention.params, user.id, serverId, user.id, joinedAt);
+
+  for (const row of counts) {
+    const state = states[row.channel_id];
+    if (!state) continue;
+    state.unread_count = Number(row.unread_count) || 0;
+    state.mention_count = Number(row.mention_count) || 0;
+    summary.unread_count += state.unread_count;
+    summary.mention_count += state.mention_count;
+  }
+  return summary;
+}
+
+/**
+ * Moves the user's marker in a channel up to messageId, or to the newest
+ * message when messageId is omitted. Returns the stored marker, null when the
+ * channel has nothing to read, or { error } for a message outside the channel.
+ */
+async function markChannelRead(channel, userId, messageId) {
+  const message = messageId
+    ? await getDb().prepare('SELECT id, created_at FROM messages WHERE id = ? AND channel_id = ?').get(messageId, channel.id)
+    : await getDb()
+      .prepare('SELECT id, created_at FROM messages WHERE channel_id = ? AND thread_id IS NULL ORDER BY created_at DESC LIMIT 1')
+      .get(channel.id);
+  if (!message) return messageId ? { error: 'Message not found' } : null;
+
+  const now = new Date().toISOString();
+  await getDb().prepare(
+    'INSERT OR IGNORE INTO read_states (user_id, channel_id, last_read_message_id, last_read_at, updated_at) VALUES (?, ?, ?, ?, ?)'
+  ).run(userId, channel.id, message.id, message.created_at, now);
+  await getDb().prepare(`
+    UPDATE read_states SET last_read_message_id = ?, last_read_at = ?, updated_at = ?
+    WHERE user_id = ? AND channel_id = ? AND last_read_at < ?
+  `).run(message.id, message.created_at, now, userId, channel.id, message.created_at);
+
+  return getDb()
+    .prepare('SELECT * FROM read_states WHERE user_id = ? AND channel_id = ?')
+    .get(userId, channel.id);
+}
+
+module.exports = { getServerUnreads, markChannelRead };
@@ -0,0 +1,154 @@
+const { getDb } = require('../database/init');
+const { PERMISSIONS, hasPermission, getChannelPermissionResolver } = require('./permissions');
+
+// ── Message search ─────────────────────────────────────────────────────────
+// A query is free words plus filters:
+//   from:<username>   in:#<channel>   has:image|video|file|link
+//   before:YYYY-MM-DD   after:YYYY-MM-DD
+// Every word must appear, matched as a prefix. from: and in: may repeat and
+// match any of their values; has: filters all apply. The full-text side is
+// messages_fts on SQLite and a GIN tsvector index on Postgres (migration 010).
+
+const FILTER_PATTERN = /^(from|in|has|before|after):(.+)$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TERMS = 10;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 50;
+
+// Same expression as the GIN index of migration 010, so Postgres can use it
+const SEARCH_VECTOR = "to_tsvector('simple', regexp_replace(m.content, '[^[:alnum:]_]+', ' ', 'g'))";
+
+const HAS_CONDITIONS = {
+  image: "m.content LIKE '%[img:%'",
+  video: "m.content LIKE '%[vid:%'",
+  file: "m.content LIKE '%[file:%'",
+  // A URL outside [img:…]/[vid:…]/[file:…] attachment markup
+  link: "REPLACE(REPLACE(REPLACE(m.content, '[img:http', ''), '[vid:http', ''), '[file:http', '') LIKE '%http%'",
+};
+
+function parseDate(value) {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) return null;
+  return value;
+}
+
+function nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Splits a raw query into words and filters. Returns
+ * { terms, from, in, has, before, after } or { error }.
+ */
+function parseSearchQuery(raw) {
+  const parsed = { terms: [], from: [], in: [], has: [], before: null, after: null };
+  const words = [];
+
+  for (const token of String(raw || '').trim().split(/\s+/).filter(Boolean)) {
+    const filter = token.match(FILTER_PATTERN);
+    if (!filter) {
+      words.push(token);
+      continue;
+    }
+
+    const key = filter[1].toLowerCase();
+    const value = filter[2];
+    if (key === 'from') parsed.from.push(value.replace(/^@/, '').toLowerCase());
+    if (key === 'in') parsed.in.push(value.replace(/^#/, '').toLowerCase());
+    if (key === 'has') {
+      const kind = value.toLowerCase();
+      if (!HAS_CONDITIONS[kind]) return { error: `Unknown filter has:${value}` };
+      parsed.has.push(kind);
+    }
+    if (key === 'before' || key === 'after') {
+      const date = parseDate(value);
+      if (!date) return { error: `${key}: expects a date like 2024-01-31` };
+      parsed[key] = date;
+    }
+  }
+
+  // Only letters, digits and underscores reach the full-text query
+  const terms = words.join(' ').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  parsed.terms = [...new Set(terms)].slice(0, MAX_TERMS);
+
+  const hasFilter = parsed.from.length || parsed.in.length || parsed.has.length || parsed.before || parsed.after;
+  if (parsed.terms.length === 0 && !hasFilter) return { error: 'Enter something to search for' };
+  return parsed;
+}
+
+function textCondition(db, terms) {
+  if (db.dialect === 'postgres') {
+    return {
+      sql: `${SEARCH_VECTOR} @@ to_tsquery('simple', ?)`,
+      param: terms.map((term) => `${term}:*`).join(' & '),
+    };
+  }
+  return {
+    sql: 'm.rowid IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH ?)',
+    param: terms.map((term) => `${term}*`).join(' '),
+  };
+}
+
+/**
+ * Searches the text channels of a server the user can view, newest first.
+ * `before` is a created_at cursor for the next page. Returns null for
+ * non-members, { error } for a bad query, or { results, terms }.
+ */
+async function searchMessages(serverId, userId, rawQuery, { before, limit } = {}) {
+  const resolver = await getChannelPermissionResolver(serverId, userId);
+  if (!resolver) return null;
+
+  const query = parseSearchQuery(rawQuery);
+  if (query.error) return query;
+  const empty = { results: [], terms: query.terms };
+
+  const channels = await getDb()
+    .prepare("SELECT * FROM channels WHERE server_id = ? AND type = 'text'")
+    .all(serverId);
+  const searchable = channels.filter((channel) => (
+    hasPermission(resolver.forChannel(channel), PERMISSIONS.VIEW_CHANNEL)
+    && (query.in.length === 0 || query.in.includes(channel.name.toLowerCase()))
+  ));
+  if (searchable.length === 0) return empty;
+
+  let sql = `
+    SELECT m.*, u.username, u.display_name, u.avatar_color, c.name AS channel_name
+    FROM messages m
+    JOIN users u ON m.sender_id = u.id
+    JOIN channels c ON m.channel_id = c.id
+    WHERE m.channel_id IN (${searchable.map(() => '?').join(', ')}) AND m.type = 'default'
+  `;
+  const params = searchable.map((channel) => channel.id);
+
+  if (query.terms.length > 0) {
+    const text = textCondition(getDb(), query.terms);
+    sql += ` AND ${text.sql}`;
+    params.push(text.param);
+  }
+  if (query.from.length > 0) {
+    sql += ` AND LOWER(u.username) IN (${query.from.map(() => '?').join(', ')})`;
+    params.push(...query.from);
+  }
+  for (const kind of query.has) sql += ` AND ${HAS_CONDITIONS[kind]}`;
+  if (query.before) {
+    sql += ' AND m.created_at < ?';
+    params.push(query.before);
+  }
+  if (query.after) {
+    sql += ' AND m.created_at >= ?';
+    params.push(nextDay(query.after));
+  }
+  if (before) {
+    sql += ' AND m.created_at < ?';
+    params.push(before);
+  }
+
+  sql += ' ORDER BY m.created_at DESC LIMIT ?';
+  params.push(Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+  const results = await getDb().prepare(sql).all(...params);
+  return { results, terms: query.terms };
+}
+
+module.exports = { parseSearchQuery, searchMessages };
@@ -0,0 +1,457 @@
+const fs = require('fs');
+const path = require('path');
+const { getDb } = require('../database/init');
+const { UPLOAD_TEMP_DIR, getStorage } = require('../storage');
+const { PERMISSIONS, canInChannel } = require('./permissions');
+const { isGroupMember } = require('./dmGroups');
+
+// ── Uploads ────────────────────────────────────────────────────────────────
+// routes/uploads.js streams files to a temp directory and hands them to the
+// storage driver (storage/); this module decides what kind of file it is, how
+// large it may be and where it is linked from. Images and videos in the
+// formats below are linked inline from /uploads; everything else is stored as
+// .bin and only handed out as a download, so an uploaded HTML or SVG file can
+// never run in the app's origin. Images and videos carry
+// width, height and resized variants from services/media.js.
+//
+// Files are content-addressed: the stored name is the SHA-256 of the uploaded
+// bytes, so the same file uploaded twice is stored once and shared by both
+// upload rows. Quotas count each distinct file once per user and per server.
+// Channel uploads that no message, announcement, forum post or rule block
+// links to after UPLOAD_ORPHAN_GRACE_HOURS are removed by the sweeper; DM
+// uploads are kept, as DMs are relayed rather than stored.
+//
+// Every upload is bound to the channel or DM it was posted in, and only its
+// uploader and people who can see that context can download it. DM attachments arrive
+// encrypted by the client and are stored as opaque .bin files.
+
+const INLINE_MIME_EXT = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/ogg': 'ogv',
+  'video/quicktime': 'mov',
+};
+
+const MAX_FILENAME_LENGTH = 255;
+
+function megabytes(value, fallback) {
+  const parsed = Number.parseFloat(value);
+  return Math.round((Number.isFinite(parsed) && parsed > 0 ? parsed : fallback) * 1024 * 1024);
+}
+
+// Per-kind size limits in bytes, configurable as UPLOAD_MAX_<KIND>_MB
+const UPLOAD_LIMITS = {
+  image: megabytes(process.env.UPLOAD_MAX_IMAGE_MB, 8),
+  video: megabytes(process.env.UPLOAD_MAX_VIDEO_MB, 50),
+  audio: megabytes(process.env.UPLOAD_MAX_AUDIO_MB, 25),
+  file: megabytes(process.env.UPLOAD_MAX_FILE_MB, 25),
+};
+
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(UPLOAD_LIMITS));
+
+// Storage quotas in bytes; UPLOAD_QUOTA_<USER|SERVER>_MB=0 turns one off
+function quota(value, fallback) {
+  return Number.parseFloat(value) === 0 ? Infinity : megabytes(value, fallback);
+}
+
+const UPLOAD_QUOTAS = {
+  user: quota(process.env.UPLOAD_QUOTA_USER_MB, 1024),
+  server: quota(process.env.UPLOAD_QUOTA_SERVER_MB, 10240),
+};
+
+const ORPHAN_GRACE_MS = (Number.parseFloat(process.env.UPLOAD_ORPHAN_GRACE_HOURS) || 24) * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+function uploadKind(mimeType) {
+  const mime = String(mimeType || '').toLowerCase();
+  if (INLINE_MIME_EXT[mime]) return mime.split('/')[0];
+  if (mime.startsWith('audio/')) return 'audio';
+  return 'file';
+}
+
+/** `<sha256>.<ext>`; identical bytes of the same kind share one file. */
+function storedNameFor(sha256, kind, mimeType) {
+  const ext = kind === 'image' || kind === 'video' ? INLINE_MIME_EXT[mimeType.toLowerCase()] : 'bin';
+  return `${sha256}.${ext}`;
+}
+
+/** The client's filename without directories or control characters. */
+function cleanFilename(filename) {
+  const name = path.basename(String(filename || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .slice(0, MAX_FILENAME_LENGTH);
+  return name || 'file';
+}
+
+/** Where clients fetch the upload: inline media from /uploads, anything else as a download. */
+function uploadUrl(upload) {
+  return upload.kind === 'image' || upload.kind === 'video'
+    ? `/uploads/${upload.stored_name}`
+    : `/api/uploads/${upload.id}`;
+}
+
+function parseVariants(upload) {
+  if (!upload.variants) return {};
+  return typeof upload.variants === 'string' ? JSON.parse(upload.variants) : upload.variants;
+}
+
+function toPublicUpload(upload) {
+  const variants = {};
+  for (const [name, variant] of Object.entries(parseVariants(upload))) {
+    variants[name] = { url: `/uploads/${variant.name}`, width: variant.width, height: variant.height };
+  }
+  return {
+    id: upload.id,
+    url: uploadUrl(upload),
+    kind: upload.kind,
+    original_name: upload.original_name,
+    mime_type: upload.mime_type,
+    size: upload.size,
+    sha256: upload.sha256,
+    width: upload.width ?? null,
+    height: upload.height ?? null,
+    variants,
+    encrypted: Boolean(upload.encrypted),
+    channel_id: upload.channel_id,
+    created_at: upload.created_at,
+  };
+}
+
+async function recordUpload(upload) {
+  await getDb().prepare(`
+    INSERT INTO uploads (id, uploader_id, channel_id, dm_id, encrypted, kind, original_name, stored_name, mime_type,
+      size, sha256, width, height, variants, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    upload.id, upload.uploader_id, upload.channel_id ?? null, upload.dm_id ?? null, upload.encrypted ? 1 : 0,
+    upload.kind, upload.original_name, upload.stored_name, upload.mime_type, upload.size, upload.sha256,
+    upload.width ?? null, upload.height ?? null, JSON.stringify(parseVariants(upload)), upload.created_at
+  );
+  return upload;
+}
+
+async function getUpload(id) {
+  return getDb().prepare('SELECT * FROM uploads WHERE id = ?').get(id);
+}
+
+/** An earlier upload of the same stored file whose file is still in storage, if any. */
+async function findStoredUpload(storedName) {
+  const upload = await getDb().prepare('SELECT * FROM uploads WHERE stored_name = ? LIMIT 1').get(storedName);
+  return upload && await getStorage().exists(storedName) ? upload : null;
+}
+
+// Variant files are named <stored name without extension>_<variant>.webp
+const VARIANT_FILE = /^([\w-]+)_\w+\.webp$/;
+
+/**
+ * The uploads a file under /uploads belongs to, as { uploads, contentType }:
+ * every upload of the stored file, or of the file a variant was made from.
+ * Null for unknown names.
+ */
+async function findUploadsByFile(name) {
+  const db = getDb();
+  const uploads = await db.prepare('SELECT * FROM uploads WHERE stored_name = ?').all(name);
+  if (uploads.length > 0) return { uploads, contentType: uploads[0].mime_type };
+
+  const variant = name.match(VARIANT_FILE);
+  if (!variant) return null;
+  const candidates = await db.prepare('SELECT * FROM uploads WHERE stored_name LIKE ?').all(`${variant[1]}.%`);
+  const owners = candidates.filter((u) => Object.values(parseVariants(u)).some((v) => v.name === name));
+  return owners.length > 0 ? { uploads: owners, contentType: 'image/webp' } : null;
+}
+
+/** The DM context id for two users, the same whichever of them sends. */
+function dmContextId(userId, otherUserId) {
+  return [userId, otherUserId].sort().join(':');
+}
+
+/** The DM context id for a group DM. */
+function dmGroupContextId(groupId) {
+  return `group:${groupId}`;
+}
+
+/**
+ * Whether userId may download the upload: anyone who can see where it was
+ * posted, and its uploader always, even without access to that context.
+ */
+async function canAccessUpload(upload, userId) {
+  if (upload.uploader_id === userId) return true;
+  if (upload.channel_id) {
+    const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(upload.channel_id);
+    return Boolean(channel) && canInChannel(channel, userId, PERMISSIONS.VIEW_CHANNEL);
+  }
+  if (upload.dm_id?.startsWith('group:')) return isGroupMember(upload.dm_id.slice('group:'.length), userId);
+  if (upload.dm_id) return upload.dm_id.split(':').includes(userId);
+  // DM attachments from before uploads were bound to a context: nobody else
+  // can be checked against it, so only the uploader (above) gets them
+  return false;
+}
+
+// ── Quotas ─────────────────────────────────────────────────────────────────
+
+// Distinct stored files among the uploads matched by `where`
+function blobTotals(where) {
+  return `
+    SELECT COUNT(*) AS files, COALESCE(SUM(size), 0) AS size FROM (
+      SELECT u.stored_name, MAX(u.size) AS size FROM uploads u
+      LEFT JOIN channels c ON c.id = u.channel_id
+      WHERE ${where}
+      GROUP BY u.stored_name
+    ) blobs
+  `;
+}
+
+async function getUserUsage(userId) {
+  const { files, size } = await getDb().prepare(blobTotals('u.uploader_id = ?')).get(userId);
+  return { files, used: size, quota: UPLOAD_QUOTAS.user };
+}
+
+async function getServerUsage(serverId) {
+  const { files, size } = await getDb().prepare(blobTotals('c.server_id = ?')).get(serverId);
+  return { files, used: size, quota: UPLOAD_QUOTAS.server };
+}
+
+/** Usage per kind and per uploader in one server, largest first. */
+async function getServerUsageReport(serverId) {
+  const db = getDb();
+  const byKind = await db.prepare(`
+    SELECT kind, COUNT(*) AS files, COALESCE(SUM(size), 0) AS size FROM (
+      SELECT u.stored_name, MAX(u.kind) AS kind, MAX(u.size) AS size FROM uploads u
+      JOIN channels c ON c.id = u.channel_id
+      WHERE c.server_id = ?
+      GROUP BY u.stored_name
+    ) blobs
+    GROUP BY kind
+    ORDER BY size DESC
+  `).all(serverId);
+  const byUploader = await db.prepare(`
+    SELECT blobs.uploader_id AS user_id, us.username, us.display_name,
+      COUNT(*) AS files, COALESCE(SUM(blobs.size), 0) AS size
+    FROM (
+      SELECT u.uploader_id, u.stored_name, MAX(u.size) AS size FROM uploads u
+      JOIN channels c ON c.id = u.channel_id
+      WHERE c.server_id = ?
+      GROUP BY u.uploader_id, u.stored_name
+    ) blobs
+    LEFT JOIN users us ON us.id = blobs.uploader_id
+    GROUP BY blobs.uploader_id, us.username, us.display_name
+    ORDER BY size DESC
+    LIMIT 50
+  `).all(serverId);
+  return { ...(await getServerUsage(serverId)), byKind, byUploader };
+}
+
+/**
+ * Returns an error message when storing `size` more bytes under storedName
+ * would put the uploader or the channel's server over quota, else null.
+ * Files the user or server already has don't count again.
+ */
+async function checkQuota({ userId, serverId, storedName, size }) {
+  const db = getDb();
+  const userHasIt = await db.prepare('SELECT 1 FROM uploads WHERE uploader_id = ? AND stored_name = ? LIMIT 1')
+    .get(userId, storedName);
+  if (!userHasIt) {
+    const { used, quota: limit } = await getUserUsage(userId);
+    if (used + size > limit) return `Upload quota exceeded: you are using ${formatMegabytes(used)} of ${formatMegabytes(limit)}.`;
+  }
+
+  if (!serverId) return null;
+  const serverHasIt = await db.prepare(`
+    SELECT 1 FROM uploads u JOIN channels c ON c.id = u.channel_id
+    WHERE c.server_id = ? AND u.stored_name = ? LIMIT 1
+  `).get(serverId, storedName);
+  if (!serverHasIt) {
+    const { used, quota: limit } = await getServerUsage(serverId);
+    if (used + size > limit) return `This server's upload storage is full (${formatMegabytes(limit)}).`;
+  }
+  return null;
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+}
+
+// Local upload links inside message markup: /uploads/<stored name> or /api/uploads/<id>
+const UPLOAD_LINK = /\/uploads\/([\w-]+\.\w+)|\/api\/uploads\/([\w-]+)/g;
+
+/**
+ * Sets `attachments` on each message: the uploads its content links to, with
+ * sizes and variants, so clients can lay media out before it loads. Rows are
+ * mutated and returned for convenience.
+ */
+async function attachUploads(messages) {
+  const linksByMessage = new Map();
+  const storedNames = new Set();
+  const ids = new Set();
+  for (const message of messages) {
+    const links = [...String(message.content || '').matchAll(UPLOAD_LINK)];
+    linksByMessage.set(message, links);
+    links.forEach(([, storedName, id]) => (storedName ? storedNames.add(storedName) : ids.add(id)));
+  }
+
+  let uploads = [];
+  if (storedNames.size > 0 || ids.size > 0) {
+    const byName = [...storedNames];
+    const byId = [...ids];
+    uploads = await getDb().prepare(`
+      SELECT * FROM uploads
+      WHERE stored_name IN (${byName.map(() => '?').join(', ') || 'NULL'})
+        OR id IN (${byId.map(() => '?').join(', ') || 'NULL'})
+    `).all(...byName, ...byId);
+  }
+  const byLink = new Map();
+  for (const upload of uploads) {
+    byLink.set(upload.stored_name, upload);
+    byLink.set(upload.id, upload);
+  }
+
+  for (const message of messages) {
+    const found = linksByMessage.get(message)
+      .map(([, storedName, id]) => byLink.get(storedName || id))
+      .filter(Boolean);
+    message.attachments = [...new Set(found)].map(toPublicUpload);
+  }
+  return messages;
+}
+
+// ── Orphan sweeper ─────────────────────────────────────────────────────────
+
+// Content that can link to uploads. rule_blocks.content is JSON, which keeps
+// the links intact.
+const REFERENCING_CONTENT = [
+  'messages', 'announcements', 'forum_posts', 'forum_replies', 'rule_blocks', 'rules_content',
+];
+
+/** Stored names and ids of every upload linked from stored content. */
+async function collectReferences() {
+  const storedNames = new Set();
+  const ids = new Set();
+  for (const table of REFERENCING_CONTENT) {
+    const rows = await getDb().prepare(`SELECT content FROM ${table} WHERE content LIKE '%/uploads/%'`).all();
+    for (const { content } of rows) {
+      for (const [, storedName, id] of String(content).matchAll(UPLOAD_LINK)) {
+        if (storedName) storedNames.add(storedName);
+        else ids.add(id);
+      }
+    }
+  }
+  return { storedNames, ids };
+}
+
+function storedFilesFor(upload) {
+  const names = [upload.stored_name];
+  try {
+    for (const variant of Object.values(parseVariants(upload))) names.push(variant.name);
+  } catch {
+    // Unreadable variants JSON; the main file is still removed
+  }
+  return names;
+}
+
+/**
+ * Deletes channel uploads older than the grace period that nothing links to,
+ * and then the files (and variants) of those uploads that no other row still
+ * uses. Storage itself is never listed, so files that never had a row are
+ * not touched. Files written since the cutoff are left alone: a new upload of
+ * the same bytes may just have stored them again. Also clears temp files
+ * left by interrupted uploads.
+ */
+async function sweepOrphanedUploads(now = Date.now()) {
+  const db = getDb();
+  const cutoff = new Date(now - ORPHAN_GRACE_MS);
+  const candidates = await db.prepare(
+    'SELECT id, stored_name, variants FROM uploads WHERE channel_id IS NOT NULL AND created_at < ?'
+  ).all(cutoff.toISOString());
+
+  let orphans = [];
+  if (candidates.length > 0) {
+    const references = await collectReferences();
+    orphans = candidates.filter((u) => !references.ids.has(u.id) && !references.storedNames.has(u.stored_name));
+  }
+
+  const storage = getStorage();
+  let filesDeleted = 0;
+  let bytesFreed = 0;
+  const deleteOld = async (name) => {
+    try {
+      const stat = await storage.stat(name);
+      if (!stat || stat.modifiedAt >= cutoff) return;
+      await storage.delete(name);
+      filesDeleted += 1;
+      bytesFreed += stat.size;
+    } catch (err) {
+      console.error('[uploads] could not delete', name, err.message);
+    }
+  };
+
+  for (const upload of orphans) {
+    await db.prepare('DELETE FROM uploads WHERE id = ?').run(upload.id);
+  }
+  const removedFiles = new Map(orphans.map((u) => [u.stored_name, u]));
+  for (const [storedName, upload] of removedFiles) {
+    const stillUsed = await db.prepare('SELECT 1 FROM uploads WHERE stored_name = ? LIMIT 1').get(storedName);
+    if (stillUsed) continue;
+    for (const name of storedFilesFor(upload)) await deleteOld(name);
+  }
+
+  // Temp files are always local, whatever the storage driver
+  const entries = await fs.promises.readdir(UPLOAD_TEMP_DIR).catch(() => []);
+  for (const name of entries) {
+    const filePath = path.join(UPLOAD_TEMP_DIR, name);
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    if (stat && stat.mtime < cutoff) await fs.promises.rm(filePath, { force: true });
+  }
+
+  return { uploadsRemoved: orphans.length, filesDeleted, bytesFreed };
+}
+
+let sweepTimer = null;
+
+function startUploadSweeper() {
+  if (sweepTimer) return;
+  const sweep = () => sweepOrphanedUploads()
+    .then(({ uploadsRemoved, filesDeleted, bytesFreed }) => {
+      if (uploadsRemoved > 0 || filesDeleted > 0) {
+        console.log(`[uploads] swept ${uploadsRemoved} orphaned uploads, ${filesDeleted} files (${formatMegabytes(bytesFreed)})`);
+      }
+    })
+    .catch((err) => console.error('[uploads] sweep failed:', err));
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  sweep();
+}
+
+function stopUploadSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  UPLOAD_TEMP_DIR,
+  UPLOAD_LIMITS,
+  MAX_UPLOAD_SIZE,
+  UPLOAD_QUOTAS,
+  uploadKind,
+  storedNameFor,
+  cleanFilename,
+  toPublicUpload,
+  recordUpload,
+  getUpload,
+  findStoredUpload,
+  findUploadsByFile,
+  dmContextId,
+  dmGroupContextId,
+  canAccessUpload,
+  attachUploads,
+  getUserUsage,
+  getServerUsageReport,
+  checkQuota,
+  sweepOrphanedUploads,
+  startUploadSweeper,
+  stopUploadSweeper,
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ── Filesystem storage driver ──────────────────────────────────────────────
+// Keeps objects as files in one directory. Nothing there is served
+// statically: getSignedUrl() hands out an HMAC-signed, expiring link to
+// GET /api/uploads/files/<key>, which checks it with resolveSignedUrl().
+
+const SIGNED_FILES_PATH = '/api/uploads/files';
+
+// Stored names and their variants; anything else could escape the directory
+const VALID_KEY = /^[\w-]+(\.\w+)?$/;
+
+function assertKey(key) {
+  if (!VALID_KEY.test(key)) throw new Error(`Invalid storage key: ${key}`);
+}
+
+class FilesystemStorage {
+  constructor({ dir, secret }) {
+    this.driver = 'filesystem';
+    this._dir = dir;
+    this._secret = secret;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _path(key) {
+    assertKey(key);
+    return path.join(this._dir, key);
+  }
+
+  _sign(key, expires, contentType, disposition) {
+    return crypto.createHmac('sha256', this._secret)
+      .update([key, expires, contentType, disposition].join('\n'))
+      .digest('base64url');
+  }
+
+  /** Moves the local file at filePath into storage under key. */
+  async put(key, filePath) {
+    await fs.promises.rename(filePath, this._path(key));
+  }
+
+  /** { size, modifiedAt } of the stored object, or null when there is none. */
+  async stat(key) {
+    try {
+      const stat = await fs.promises.stat(this._path(key));
+      return { size: stat.size, modifiedAt: stat.mtime };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this._path(key), { force: true });
+  }
+
+  /** Relative URL that serves key with the given headers until expiresAt (a Date). */
+  async getSignedUrl(key, { expiresAt, contentType, disposition }) {
+    assertKey(key);
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    const query = new URLSearchParams({
+      expires: String(expires),
+      type: contentType,
+      disposition,
+      signature: this._sign(key, expires, contentType, disposition),
+    });
+    return `${SIGNED_FILES_PATH}/${key}?${query}`;
+  }
+
+  /**
+   * Checks a request made to a getSignedUrl() link. Returns
+   * { filePath, contentType, disposition, expiresAt }, or null when the link
+   * is forged, altered or expired.
+   */
+  resolveSignedUrl(key, { expires, type, disposition, signature }) {
+    if (!VALID_KEY.test(key) || !expires || !type || !disposition || !signature) return null;
+    const expected = Buffer.from(this._sign(key, expires, type, disposition));
+    const given = Buffer.from(String(signature));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    const expiresAt = new Date(Number(expires) * 1000);
+    if (!(expiresAt > new Date())) return null;
+    return { filePath: this._path(key), contentType: type, disposition, expiresAt };
+  }
+}
+
+module.exports = { FilesystemStorage };
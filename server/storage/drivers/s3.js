@@ -0,0 +1,84 @@
+const fs = require('fs');
+
+// ── S3-compatible storage driver ───────────────────────────────────────────
+// Same surface as FilesystemStorage for AWS S3, MinIO and other S3-compatible
+// stores. The bucket stays private; clients get presigned GET URLs that carry
+// the content type and disposition. Presigning uses publicEndpoint when the
+// API reaches the store under a different address than clients do (e.g.
+// http://minio:9000 inside Docker).
+
+class S3Storage {
+  constructor(sdk, { bucket, region, endpoint, publicEndpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+    this.driver = 's3';
+    this._sdk = sdk;
+    this._bucket = bucket;
+    const config = (ep) => ({
+      region,
+      endpoint: ep || undefined,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      // Default flexible checksums send aws-chunked bodies that many
+      // S3-compatible stores don't understand
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      responseChecksumValidation: 'WHEN_REQUIRED',
+    });
+    this._client = new sdk.S3Client(config(endpoint));
+    this._signingClient = publicEndpoint ? new sdk.S3Client(config(publicEndpoint)) : this._client;
+  }
+
+  /** Uploads the local file at filePath under key, then removes the local file. */
+  async put(key, filePath, { contentType } = {}) {
+    const { size } = await fs.promises.stat(filePath);
+    await this._client.send(new this._sdk.PutObjectCommand({
+      Bucket: this._bucket,
+      Key: key,
+      Body: fs.createReadStream(filePath),
+      ContentLength: size,
+      ContentType: contentType,
+    }));
+    await fs.promises.rm(filePath, { force: true });
+  }
+
+  /** { size, modifiedAt } of the stored object, or null when there is none. */
+  async stat(key) {
+    try {
+      const head = await this._client.send(new this._sdk.HeadObjectCommand({ Bucket: this._bucket, Key: key }));
+      return { size: head.ContentLength, modifiedAt: head.LastModified };
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null;
+  }
+
+  async delete(key) {
+    await this._client.send(new this._sdk.DeleteObjectCommand({ Bucket: this._bucket, Key: key }));
+  }
+
+  /** Presigned GET URL for key, valid from signedAt until expiresAt (Dates). */
+  async getSignedUrl(key, { signedAt, expiresAt, contentType, disposition }) {
+    const command = new this._sdk.GetObjectCommand({
+      Bucket: this._bucket,
+      Key: key,
+      ResponseContentType: contentType,
+      ResponseContentDisposition: disposition,
+    });
+    return this._sdk.getSignedUrl(this._signingClient, command, {
+      signingDate: signedAt,
+      expiresIn: Math.round((expiresAt - signedAt) / 1000),
+    });
+  }
+}
+
+function createS3Storage(options) {
+  // Loaded lazily so filesystem-only installs (Electron local server) don't need the SDK
+  const { S3Client, PutObjectCommand, HeadObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+  const sdk = { S3Client, PutObjectCommand, HeadObjectCommand, DeleteObjectCommand, GetObjectCommand, getSignedUrl };
+  return new S3Storage(sdk, options);
+}
+
+module.exports = { createS3Storage };
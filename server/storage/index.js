@@ -0,0 +1,78 @@
+const path = require('path');
+const { JWT_SECRET } = require('../middleware/auth');
+const { FilesystemStorage } = require('./drivers/filesystem');
+const { createS3Storage } = require('./drivers/s3');
+
+// ── Upload storage ─────────────────────────────────────────────────────────
+// Where uploaded files live. STORAGE_DRIVER=s3 stores them in an
+// S3-compatible bucket (S3_BUCKET, S3_REGION, S3_ENDPOINT for MinIO,
+// S3_PUBLIC_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY), so several API
+// containers share one store. Otherwise files stay in UPLOADS_DIR.
+//
+// Drivers implement put(key, filePath, { contentType }), stat(key),
+// exists(key), delete(key) and getSignedUrl(key, options). Files are only
+// handed out through signed URLs that expire, never served directly.
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '../../uploads');
+
+// Incoming files and their variants are written here before put(). Dot
+// directories are never a valid storage key.
+const UPLOAD_TEMP_DIR = path.join(UPLOADS_DIR, '.tmp');
+
+// Signed URLs are issued per window of this length and stay valid for one
+// more window, so repeated requests get the same URL and browsers can cache it
+const SIGNED_URL_TTL_MS = (Number.parseInt(process.env.UPLOAD_URL_TTL_SECONDS, 10) || 3600) * 1000;
+
+let storage = null;
+
+function createStorage() {
+  const driver = (process.env.STORAGE_DRIVER || 'filesystem').toLowerCase();
+  if (driver === 's3') {
+    if (!process.env.S3_BUCKET) throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || null,
+      publicEndpoint: process.env.S3_PUBLIC_ENDPOINT || null,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+      // MinIO and most self-hosted stores don't do bucket subdomains
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(process.env.S3_ENDPOINT),
+    });
+  }
+  if (driver !== 'filesystem') throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  return new FilesystemStorage({ dir: UPLOADS_DIR, secret: process.env.UPLOAD_URL_SECRET || JWT_SECRET });
+}
+
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+/** Content-Disposition value; `filename` makes it a download under that name. */
+function contentDisposition(filename) {
+  if (!filename) return 'inline';
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * A signed URL for key that serves it as contentType, inline or (with
+ * `filename`) as a download. Resolves to { url, expiresAt }.
+ */
+async function getSignedDownload(key, { contentType, filename } = {}) {
+  const now = Date.now();
+  const signedAt = new Date(now - (now % SIGNED_URL_TTL_MS));
+  const expiresAt = new Date(signedAt.getTime() + 2 * SIGNED_URL_TTL_MS);
+  const url = await getStorage().getSignedUrl(key, {
+    signedAt,
+    expiresAt,
+    contentType: contentType || 'application/octet-stream',
+    disposition: contentDisposition(filename),
+  });
+  return { url, expiresAt };
+}
+
+module.exports = { UPLOADS_DIR, UPLOAD_TEMP_DIR, getStorage, getSignedDownload };
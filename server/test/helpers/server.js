@@ -0,0 +1,61 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Starts the whole API on a temporary database and upload directory for one
+// test file. The paths are read when their modules load, so this has to be
+// required before anything else from the server.
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'novoice-routes-'));
+process.env.DB_PATH = path.join(dir, 'test.db');
+process.env.UPLOADS_DIR = path.join(dir, 'uploads');
+
+const { startServer, stopServer } = require('../../index');
+
+let baseUrl;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function start() {
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  await startServer(port);
+}
+
+async function stop() {
+  await stopServer();
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+async function call(method, route, body, token) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+/** Registers a fresh user and returns { user, token }. */
+async function register() {
+  const name = `user${Math.random().toString(36).slice(2, 10)}`;
+  const { body } = await call('POST', '/api/auth/register', {
+    username: name, email: `${name}@example.com`, password: 'secret123',
+  });
+  return body;
+}
+
+module.exports = { start, stop, call, register };
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PostgresDatabase, openPostgresDatabase } = require('../database/drivers/postgres');
+
+// Stands in for a pg Pool: records which connection ran each statement
+function createFakePool() {
+  const log = [];
+  let clients = 0;
+  const respond = (name, sql, params) => {
+    log.push([name, sql, params]);
+    return { rows: [{ name }], rowCount: 1 };
+  };
+
+  return {
+    log,
+    released: [],
+    async query(sql, params) {
+      return respond('pool', sql, params);
+    },
+    async connect() {
+      clients += 1;
+      const name = `client${clients}`;
+      return {
+        query: async (sql, params) => respond(name, sql, params),
+        release: () => this.released.push(name),
+      };
+    },
+    async end() {},
+  };
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('translates statements and runs them on the pool outside transactions', async () => {
+  const pool = createFakePool();
+  const db = new PostgresDatabase(pool);
+
+  assert.deepEqual(await db.prepare('SELECT * FROM users WHERE id = ?').get('u1'), { name: 'pool' });
+  assert.deepEqual(await db.prepare('INSERT OR IGNORE INTO t (a) VALUES (?)').run(1), { changes: 1 });
+
+  assert.deepEqual(pool.log, [
+    ['pool', 'SELECT * FROM users WHERE id = $1', ['u1']],
+    ['pool', 'INSERT INTO t (a) VALUES ($1) ON CONFLICT DO NOTHING', [1]],
+  ]);
+});
+
+test('commits on one client and routes the transaction\'s statements to it', async () => {
+  const pool = createFakePool();
+  const db = new PostgresDatabase(pool);
+
+  const result = await db.transaction(async (id) => {
+    await db.prepare('UPDATE users SET status = ? WHERE id = ?').run('online', id);
+    await tick();
+    return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+  })('u1');
+
+  assert.deepEqual(result, { name: 'client1' });
+  assert.deepEqual(pool.log.map(([name, sql]) => [name, sql]), [
+    ['client1', 'BEGIN'],
+    ['client1', 'UPDATE users SET status = $1 WHERE id = $2'],
+    ['client1', 'SELECT * FROM users WHERE id = $1'],
+    ['client1', 'COMMIT'],
+  ]);
+  assert.deepEqual(pool.released, ['client1']);
+});
+
+test('rolls back and releases the client when the transaction throws', async () => {
+  const pool = createFakePool();
+  const db = new PostgresDatabase(pool);
+
+  await assert.rejects(db.transaction(async () => {
+    await db.prepare('DELETE FROM users WHERE id = ?').run('u1');
+    throw new Error('boom');
+  })(), /boom/);
+
+  assert.deepEqual(pool.log.map(([name, sql]) => [name, sql]), [
+    ['client1', 'BEGIN'],
+    ['client1', 'DELETE FROM users WHERE id = $1'],
+    ['client1', 'ROLLBACK'],
+  ]);
+  assert.deepEqual(pool.released, ['client1']);
+});
+
+test('keeps statements from outside an open transaction on the pool', async () => {
+  const pool = createFakePool();
+  const db = new PostgresDatabase(pool);
+  let entered;
+  const inside = new Promise((resolve) => { entered = resolve; });
+
+  const pending = db.transaction(async () => {
+    entered();
+    await tick();
+    await db.prepare('SELECT 1').get();
+  })();
+  await inside;
+  await db.prepare('SELECT 2').get();
+  await pending;
+
+  assert.deepEqual(pool.log.map(([name, sql]) => [name, sql]), [
+    ['client1', 'BEGIN'],
+    ['pool', 'SELECT 2'],
+    ['client1', 'SELECT 1'],
+    ['client1', 'COMMIT'],
+  ]);
+});
+
+test('joins nested transactions to the outer one', async () => {
+  const pool = createFakePool();
+  const db = new PostgresDatabase(pool);
+  const inner = db.transaction(() => db.prepare('SELECT 1').get());
+
+  await db.transaction(() => inner())();
+
+  assert.deepEqual(pool.log.map(([name, sql]) => [name, sql]), [
+    ['client1', 'BEGIN'],
+    ['client1', 'SELECT 1'],
+    ['client1', 'COMMIT'],
+  ]);
+  assert.deepEqual(pool.released, ['client1']);
+});
+
+// Against a real server when one is available, e.g.
+//   TEST_DATABASE_URL=postgres://localhost/novoice_test npm test
+test('commits and rolls back against PostgreSQL', { skip: !process.env.TEST_DATABASE_URL }, async (t) => {
+  const db = await openPostgresDatabase(process.env.TEST_DATABASE_URL);
+  const table = `novoice_tx_test_${process.pid}`;
+  await db.exec(`CREATE TABLE ${table} (name TEXT PRIMARY KEY)`);
+  t.after(async () => {
+    await db.exec(`DROP TABLE IF EXISTS ${table}`);
+    await db.close();
+  });
+  const insert = db.prepare(`INSERT INTO ${table} (name) VALUES (?)`);
+  const names = async () => (await db.prepare(`SELECT name FROM ${table} ORDER BY name`).all()).map((r) => r.name);
+
+  await db.transaction(async () => {
+    await insert.run('kept');
+  })();
+  const failing = db.transaction(async () => {
+    await insert.run('lost');
+    await tick();
+    throw new Error('boom');
+  })();
+  await insert.run('outside');
+  await assert.rejects(failing, /boom/);
+
+  assert.deepEqual(await names(), ['kept', 'outside']);
+});
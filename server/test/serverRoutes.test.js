@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, call, register } = require('./helpers/server');
+const { PERMISSIONS, DEFAULT_MEMBER_PERMISSIONS } = require('../services/permissions');
+
+test.before(start);
+test.after(stop);
+
+/**
+ * A server whose members may manage channels, with a second member who is
+ * denied MANAGE_CHANNELS on #locked.
+ */
+async function createServerWithMember() {
+  const owner = await register();
+  const member = await register();
+  const { body: { server } } = await call('POST', '/api/servers', { name: 'Reorder' }, owner.token);
+  await call('POST', '/api/servers/join', { inviteCode: server.invite_code }, member.token);
+  await call('PATCH', `/api/servers/${server.id}/roles/${server.id}`, {
+    permissions: DEFAULT_MEMBER_PERMISSIONS | PERMISSIONS.MANAGE_CHANNELS,
+  }, owner.token);
+
+  const { body: { channel: open } } = await call('POST', `/api/servers/${server.id}/channels`, { name: 'open' }, owner.token);
+  const { body: { channel: locked } } = await call('POST', `/api/servers/${server.id}/channels`, { name: 'locked' }, owner.token);
+  await call('PUT', `/api/servers/${server.id}/channels/${locked.id}/permissions/member/${member.user.id}`, {
+    deny: PERMISSIONS.MANAGE_CHANNELS,
+  }, owner.token);
+
+  return { owner, member, serverId: server.id, open, locked };
+}
+
+test('reorder rejects categories from another server', async () => {
+  const { owner, serverId, open } = await createServerWithMember();
+  const { body: { server: other } } = await call('POST', '/api/servers', { name: 'Other' }, owner.token);
+  const { body: { category } } = await call('POST', `/api/servers/${other.id}/categories`, { name: 'Elsewhere' }, owner.token);
+
+  const res = await call('POST', `/api/servers/${serverId}/reorder`, {
+    channels: [{ id: open.id, position: open.position, category_id: category.id }],
+  }, owner.token);
+  assert.equal(res.status, 400);
+});
+
+test('reorder checks MANAGE_CHANNELS on each channel it moves', async () => {
+  const { member, serverId, open, locked } = await createServerWithMember();
+
+  const denied = await call('POST', `/api/servers/${serverId}/reorder`, {
+    channels: [{ id: open.id, position: 5 }, { id: locked.id, position: 6 }],
+  }, member.token);
+  assert.equal(denied.status, 403);
+
+  // Channels listed where they already are don't count as moved
+  const allowed = await call('POST', `/api/servers/${serverId}/reorder`, {
+    channels: [{ id: open.id, position: 5 }, { id: locked.id, position: locked.position }],
+  }, member.token);
+  assert.equal(allowed.status, 200);
+});
+
+test('bans and timeouts validate durationSeconds the same way', async () => {
+  const { owner, member, serverId } = await createServerWithMember();
+  const ban = (durationSeconds) => call('PUT', `/api/servers/${serverId}/bans/${member.user.id}`, { durationSeconds }, owner.token);
+  const timeout = (durationSeconds) => call('PUT', `/api/servers/${serverId}/members/${member.user.id}/timeout`, { durationSeconds }, owner.token);
+
+  for (const invalid of ['60', 1.5, -60, 365 * 24 * 60 * 60 + 1]) {
+    assert.equal((await timeout(invalid)).status, 400, `timeout ${invalid}`);
+    assert.equal((await ban(invalid)).status, 400, `ban ${invalid}`);
+  }
+  assert.equal((await timeout(28 * 24 * 60 * 60 + 1)).status, 400);
+
+  const timedOut = await timeout(60);
+  assert.equal(timedOut.status, 200);
+  assert.ok(timedOut.body.timeout_until);
+  const lifted = await timeout(0);
+  assert.equal(lifted.status, 200);
+  assert.equal(lifted.body.timeout_until, null);
+
+  const banned = await ban(null);
+  assert.equal(banned.status, 200);
+  assert.equal(banned.body.ban.expires_at, null);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toPostgres } = require('../database/drivers/sqlDialect');
+
+test('numbers placeholders in order', () => {
+  assert.equal(
+    toPostgres('SELECT * FROM messages WHERE channel_id = ? AND id < ? LIMIT ?'),
+    'SELECT * FROM messages WHERE channel_id = $1 AND id < $2 LIMIT $3'
+  );
+});
+
+test('leaves question marks inside quoted literals alone', () => {
+  assert.equal(
+    toPostgres("SELECT * FROM users WHERE bio = 'who?' AND \"odd?col\" = ? AND id = ?"),
+    "SELECT * FROM users WHERE bio = 'who?' AND \"odd?col\" = $1 AND id = $2"
+  );
+});
+
+test('maps DATETIME columns to TEXT', () => {
+  assert.equal(
+    toPostgres('CREATE TABLE t (id TEXT PRIMARY KEY, edited_at DATETIME)'),
+    'CREATE TABLE t (id TEXT PRIMARY KEY, edited_at TEXT)'
+  );
+});
+
+test('renders CURRENT_TIMESTAMP in SQLite\'s text shape', () => {
+  assert.equal(
+    toPostgres('UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+    "UPDATE users SET updated_at = (to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')) WHERE id = $1"
+  );
+});
+
+test('strips FOREIGN KEY clauses', () => {
+  assert.equal(
+    toPostgres(`CREATE TABLE pins (
+      message_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      FOREIGN KEY (message_id) REFERENCES messages(id),
+      FOREIGN KEY (channel_id) REFERENCES channels (id)
+    )`),
+    `CREATE TABLE pins (
+      message_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL
+    )`
+  );
+});
+
+test('makes ADD COLUMN idempotent once', () => {
+  assert.equal(
+    toPostgres('ALTER TABLE users ADD COLUMN bio TEXT'),
+    'ALTER TABLE users ADD COLUMN IF NOT EXISTS bio TEXT'
+  );
+  assert.equal(
+    toPostgres('ALTER TABLE users ADD COLUMN IF NOT EXISTS bio TEXT'),
+    'ALTER TABLE users ADD COLUMN IF NOT EXISTS bio TEXT'
+  );
+});
+
+test('turns INSERT OR IGNORE into ON CONFLICT DO NOTHING', () => {
+  assert.equal(
+    toPostgres('INSERT OR IGNORE INTO reactions (message_id, user_id, emoji) VALUES (?, ?, ?);'),
+    'INSERT INTO reactions (message_id, user_id, emoji) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING'
+  );
+});
+
+test('passes plain statements through unchanged', () => {
+  assert.equal(toPostgres('SELECT 1'), 'SELECT 1');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openSqliteDatabase } = require('../database/drivers/sqlite');
+
+async function openTestDatabase(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'novoice-sqlite-'));
+  const db = await openSqliteDatabase(path.join(dir, 'test.db'));
+  await db.exec('CREATE TABLE items (name TEXT PRIMARY KEY)');
+  t.after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return db;
+}
+
+async function names(db) {
+  const rows = await db.prepare('SELECT name FROM items ORDER BY name').all();
+  return rows.map((row) => row.name);
+}
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('commits an async transaction and resolves to its result', async (t) => {
+  const db = await openTestDatabase(t);
+  const insert = db.prepare('INSERT INTO items (name) VALUES (?)');
+
+  const result = await db.transaction(async (a, b) => {
+    await insert.run(a);
+    await tick();
+    await insert.run(b);
+    return 'done';
+  })('a', 'b');
+
+  assert.equal(result, 'done');
+  assert.deepEqual(await names(db), ['a', 'b']);
+});
+
+test('rolls back when the transaction throws', async (t) => {
+  const db = await openTestDatabase(t);
+
+  await assert.rejects(db.transaction(async () => {
+    await db.prepare('INSERT INTO items (name) VALUES (?)').run('lost');
+    await tick();
+    throw new Error('boom');
+  })(), /boom/);
+
+  assert.deepEqual(await names(db), []);
+});
+
+test('keeps writes made outside an open transaction out of its rollback', async (t) => {
+  const db = await openTestDatabase(t);
+  let entered;
+  const inside = new Promise((resolve) => { entered = resolve; });
+
+  const failing = db.transaction(async () => {
+    await db.prepare('INSERT INTO items (name) VALUES (?)').run('inside');
+    entered();
+    await tick();
+    await tick();
+    throw new Error('boom');
+  })();
+  await inside;
+
+  // Issued while the transaction is open; it must wait rather than join it
+  const outside = db.prepare('INSERT INTO items (name) VALUES (?)').run('outside');
+
+  await assert.rejects(failing, /boom/);
+  assert.deepEqual(await outside, { changes: 1 });
+  assert.deepEqual(await names(db), ['outside']);
+});
+
+test('joins nested transactions to the outer one', async (t) => {
+  const db = await openTestDatabase(t);
+  const insert = db.prepare('INSERT INTO items (name) VALUES (?)');
+  const inner = db.transaction((name) => insert.run(name));
+
+  await assert.rejects(db.transaction(async () => {
+    await inner('nested');
+    throw new Error('boom');
+  })(), /boom/);
+  assert.deepEqual(await names(db), []);
+
+  await db.transaction(async () => {
+    await inner('nested');
+  })();
+  assert.deepEqual(await names(db), ['nested']);
+});
+
+test('runs concurrent transactions one after another', async (t) => {
+  const db = await openTestDatabase(t);
+  const order = [];
+  const step = (name) => db.transaction(async () => {
+    order.push(`${name}:begin`);
+    await tick();
+    await db.prepare('INSERT INTO items (name) VALUES (?)').run(name);
+    order.push(`${name}:end`);
+  })();
+
+  await Promise.all([step('first'), step('second')]);
+
+  assert.deepEqual(order, ['first:begin', 'first:end', 'second:begin', 'second:end']);
+  assert.deepEqual(await names(db), ['first', 'second']);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, call, register } = require('./helpers/server');
+
+async function createTaskChannel() {
+  const { token } = await register();
+  const { body: { server } } = await call('POST', '/api/servers', { name: 'Tasks' }, token);
+  const { body: { channel } } = await call('POST', `/api/servers/${server.id}/channels`, { name: 'board', type: 'tasks' }, token);
+  return { token, channelId: channel.id };
+}
+
+test.before(start);
+test.after(stop);
+
+test('deleting a task category moves its items into the first remaining one', async () => {
+  const { token, channelId } = await createTaskChannel();
+  const { body: board } = await call('GET', `/api/channel-content/tasks/${channelId}`, undefined, token);
+  const [backlog, inProgress] = board.categories;
+
+  await call('POST', `/api/channel-content/tasks/${channelId}/items`, { title: 'Ship it', category_id: inProgress.id }, token);
+
+  const res = await call('DELETE', `/api/channel-content/tasks/${channelId}/categories/${inProgress.id}`, undefined, token);
+  assert.equal(res.status, 200);
+
+  const { body: after } = await call('GET', `/api/channel-content/tasks/${channelId}`, undefined, token);
+  assert.deepEqual(after.categories.map((c) => c.name), ['Backlog', 'Done']);
+  assert.deepEqual(after.items.map((i) => [i.title, i.category_id]), [['Ship it', backlog.id]]);
+});
+
+test('the last task category cannot be deleted', async () => {
+  const { token, channelId } = await createTaskChannel();
+  const { body: board } = await call('GET', `/api/channel-content/tasks/${channelId}`, undefined, token);
+  const [last, ...rest] = board.categories;
+  for (const category of rest) {
+    await call('DELETE', `/api/channel-content/tasks/${channelId}/categories/${category.id}`, undefined, token);
+  }
+
+  const res = await call('DELETE', `/api/channel-content/tasks/${channelId}/categories/${last.id}`, undefined, token);
+  assert.equal(res.status, 400);
+});
+
+test('importing tasks stores every category and item', async () => {
+  const { token, channelId } = await createTaskChannel();
+
+  const res = await call('POST', `/api/channel-content/tasks/${channelId}/import`, {
+    categories: [
+      { name: 'Sprint', tasks: [{ title: 'One' }, { title: '' }, { title: 'Two', description: 'second' }] },
+      { name: 'Later', tasks: [{ title: 'Three' }] },
+    ],
+  }, token);
+  assert.equal(res.status, 201);
+  assert.deepEqual(res.body.imported.map((c) => c.taskCount), [2, 1]);
+
+  const { body: board } = await call('GET', `/api/channel-content/tasks/${channelId}`, undefined, token);
+  assert.deepEqual(board.categories.map((c) => c.name), ['Backlog', 'In Progress', 'Done', 'Sprint', 'Later']);
+  const sprint = board.categories.find((c) => c.name === 'Sprint');
+  assert.deepEqual(
+    board.items.filter((i) => i.category_id === sprint.id).map((i) => [i.title, i.description, i.position]),
+    [['One', '', 0], ['Two', 'second', 1]]
+  );
+});
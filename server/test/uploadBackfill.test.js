@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The storage driver reads UPLOADS_DIR when it loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'novoice-backfill-'));
+process.env.UPLOADS_DIR = path.join(dir, 'uploads');
+fs.mkdirSync(process.env.UPLOADS_DIR);
+
+const { openSqliteDatabase } = require('../database/drivers/sqlite');
+const { migrateUp, migrateDown } = require('../database/migrator');
+
+const quiet = () => {};
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function seed(db) {
+  const addUser = db.prepare('INSERT INTO users (id, username, display_name, email, password) VALUES (?, ?, ?, ?, ?)');
+  await addUser.run('owner', 'owner', 'Owner', 'owner@example.com', 'x');
+  await addUser.run('alice', 'alice', 'Alice', 'alice@example.com', 'x');
+  await db.prepare('INSERT INTO servers (id, name, owner_id, invite_code) VALUES (?, ?, ?, ?)').run('srv', 'Server', 'owner', 'abc');
+  const addChannel = db.prepare('INSERT INTO channels (id, server_id, name, type) VALUES (?, ?, ?, ?)');
+  await addChannel.run('general', 'srv', 'general', 'text');
+  await addChannel.run('rules', 'srv', 'rules', 'rules');
+}
+
+function writeLegacyFile(name, bytes) {
+  fs.writeFileSync(path.join(process.env.UPLOADS_DIR, name), bytes);
+}
+
+test('binds legacy media to every channel that links it', async (t) => {
+  const db = await openSqliteDatabase(path.join(dir, 'bind.db'));
+  t.after(() => db.close());
+  await migrateUp(db, { to: 22, log: quiet });
+  await seed(db);
+
+  writeLegacyFile('a1b2-c3.png', Buffer.alloc(12));
+  writeLegacyFile('unlinked.png', Buffer.alloc(4));
+  await db.prepare('INSERT INTO messages (id, channel_id, sender_id, content) VALUES (?, ?, ?, ?)')
+    .run('m1', 'general', 'alice', 'look ![](/uploads/a1b2-c3.png) and /uploads/missing.png and /uploads/notes.txt');
+  await db.prepare('INSERT INTO rule_blocks (id, channel_id, type, content) VALUES (?, ?, ?, ?)')
+    .run('b1', 'rules', 'image', JSON.stringify({ url: '/uploads/a1b2-c3.png' }));
+
+  await migrateUp(db, { log: quiet });
+
+  const rows = await db.prepare(
+    'SELECT uploader_id, channel_id, kind, stored_name, mime_type, size FROM uploads ORDER BY channel_id'
+  ).all();
+  assert.deepEqual(rows, [
+    { uploader_id: 'alice', channel_id: 'general', kind: 'image', stored_name: 'a1b2-c3.png', mime_type: 'image/png', size: 12 },
+    { uploader_id: 'owner', channel_id: 'rules', kind: 'image', stored_name: 'a1b2-c3.png', mime_type: 'image/png', size: 12 },
+  ]);
+
+  await migrateDown(db, { steps: 1, log: quiet });
+  assert.equal((await db.prepare('SELECT COUNT(*) AS n FROM uploads').get()).n, 0);
+});
+
+test('leaves files that already have upload rows alone', async (t) => {
+  const db = await openSqliteDatabase(path.join(dir, 'recorded.db'));
+  t.after(() => db.close());
+  await migrateUp(db, { to: 22, log: quiet });
+  await seed(db);
+
+  writeLegacyFile('abc123.webp', Buffer.alloc(8));
+  writeLegacyFile('abc123_thumb.webp', Buffer.alloc(2));
+  await db.prepare(`
+    INSERT INTO uploads (id, uploader_id, channel_id, kind, original_name, stored_name, mime_type, size, sha256, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run('u1', 'alice', 'general', 'image', 'cat.webp', 'abc123.webp', 'image/webp', 8, 'abc123', new Date().toISOString());
+  await db.prepare('INSERT INTO messages (id, channel_id, sender_id, content) VALUES (?, ?, ?, ?)')
+    .run('m1', 'general', 'alice', '/uploads/abc123.webp /uploads/abc123_thumb.webp');
+
+  await migrateUp(db, { log: quiet });
+
+  const rows = await db.prepare('SELECT id FROM uploads').all();
+  assert.deepEqual(rows, [{ id: 'u1' }]);
+});
@@ -3,6 +3,18 @@ const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../database/init');
 const { JWT_SECRET } = require('../middleware/auth');
 const { resolveMusicInputUrl } = require('../services/musicResolver');
+const { PERMISSIONS, hasPermission, can, getChannelPermissions, canInChannel } = require('../services/permissions');
+const { removeTemporaryMemberships } = require('../services/membership');
+const { recordAudit } = require('../services/auditLog');
+const { isValidEmoji, getReactionChannel, addReaction, removeReaction } = require('../services/reactions');
+const { getMessage, resolveMessageRefs, createMessage, deleteMessage } = require('../services/messages');
+const { processMentions } = require('../services/mentions');
+const { unfurlMessage } = require('../services/linkPreviews');
+const {
+  deviceRoom, isDeviceId, relayDirectMessage, relayGroupMessage, takePendingDirectMessages, DEVICE_SYNC_EVENTS,
+  relayDeviceSync,
+} = require('../services/directMessages');
+const { getGroupMemberIds } = require('../services/dmGroups');
 
 const onlineUsers = new Map(); // userId -> Set of socket ids
 const voiceChannelMembers = new Map(); // channelId -> Map<userId, user summary>
@@ -48,7 +60,6 @@ function emitWbUsers(io, session) {
   io.to(`whiteboard:${session.channelId}`).emit('whiteboard:users:update', users);
 }
 
-const DM_EXPIRY_DAYS = 7;
 const MAX_VOICE_MUSIC_QUEUE = 100;
 const MAX_VOICE_MUSIC_SEEK_SECONDS = 12 * 60 * 60;
 
@@ -299,30 +310,25 @@ function setVoiceMusicPlaybackState(session, playbackState, userId, nowMs = Date
   markVoiceMusicUpdated(session, userId, nowMs);
 }
 
-function resolveVoiceChannelForUser(channelId, userId) {
+async function resolveVoiceChannelForUser(channelId, userId) {
   if (!channelId || !userId) return null;
-  const channel = getDb().prepare(
-    'SELECT id, server_id, type FROM channels WHERE id = ?'
+  const channel = await getDb().prepare(
+    'SELECT id, server_id, category_id, permissions_synced, type FROM channels WHERE id = ?'
   ).get(channelId);
   if (!channel || channel.type !== 'voice') return null;
-
-  const member = getDb().prepare(
-    'SELECT id FROM server_members WHERE server_id = ? AND user_id = ?'
-  ).get(channel.server_id, userId);
-  if (!member) return null;
+  if (!(await canInChannel(channel, userId, PERMISSIONS.VIEW_CHANNEL))) return null;
 
   return channel;
 }
 
-function canControlVoiceMusic(io, channel, userId) {
+async function canControlVoiceMusic(io, channel, userId) {
   if (!channel || !userId) return false;
-  const server = getDb().prepare('SELECT owner_id FROM servers WHERE id = ?').get(channel.server_id);
-  if (server?.owner_id === userId) return true;
-  return hasUserInVoiceRoom(io, channel.id, userId);
+  if (hasUserInVoiceRoom(io, channel.id, userId)) return true;
+  return can(channel.server_id, userId, PERMISSIONS.MANAGE_MUSIC);
 }
 
-function loadUserMusicLabel(userId) {
-  const user = getDb().prepare('SELECT display_name, username FROM users WHERE id = ?').get(userId);
+async function loadUserMusicLabel(userId) {
+  const user = await getDb().prepare('SELECT display_name, username FROM users WHERE id = ?').get(userId);
   return normalizeLabel(user?.display_name || user?.username, 'Member', 80);
 }
 
@@ -342,6 +348,27 @@ function hasUserInVoiceRoom(io, channelId, userId) {
   return false;
 }
 
+/**
+ * Emits to the sockets in a server's room whose user can view the channel,
+ * so hidden channels don't leak messages or typing through `server:<id>`.
+ */
+async function emitToChannelViewers(io, channel, event, payload, { exceptSocketId } = {}) {
+  const room = io.sockets.adapter.rooms.get(`server:${channel.server_id}`);
+  if (!room) return;
+
+  const canView = new Map(); // userId -> boolean, a user may have several sockets
+  for (const socketId of [...room]) {
+    if (socketId === exceptSocketId) continue;
+    const roomSocket = io.sockets.sockets.get(socketId);
+    const viewerId = roomSocket?.user?.id;
+    if (!viewerId) continue;
+    if (!canView.has(viewerId)) {
+      canView.set(viewerId, await canInChannel(channel, viewerId, PERMISSIONS.VIEW_CHANNEL));
+    }
+    if (canView.get(viewerId)) roomSocket.emit(event, payload);
+  }
+}
+
 function emitVoiceState(io, channelId) {
   const participants = getVoiceParticipants(channelId);
   io.to(`voice:${channelId}`).emit('voice:state', { channelId, participants });
@@ -383,28 +410,49 @@ function leaveVoiceChannel(io, socket) {
   }
 }
 
-// Deliver DMs stored while the user was offline — ephemeral, deleted after delivery
-function deliverPendingDMs(socket, userId) {
-  const now = new Date().toISOString();
-  const pending = getDb().prepare(`
-    SELECT pd.*, u.username, u.display_name, u.avatar_color
-    FROM pending_dms pd
-    JOIN users u ON pd.sender_id = u.id
-    WHERE pd.receiver_id = ? AND pd.expires_at > ?
-    ORDER BY pd.created_at ASC
-  `).all(userId, now);
-
-  if (pending.length === 0) return;
-
-  for (const dm of pending) {
+// Deliver DMs stored while this device was offline — ephemeral, deleted after delivery
+async function deliverPendingDMs(socket, userId) {
+  if (!socket.deviceId) return;
+  for (const dm of await takePendingDirectMessages(userId, socket.deviceId)) {
     socket.emit('dm:new', { message: dm, wasPending: true });
   }
+}
+
+// Socket.IO doesn't catch listener errors: a malformed payload or a failing
+// query would otherwise surface as an unhandled rejection and end the process.
+// Failures are logged and, when the client asked for an ack, answered with { error }.
+function guardHandler(event, handler) {
+  return async (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+    try {
+      await handler(...args);
+    } catch (err) {
+      console.error(`[socket] ${event} failed:`, err);
+      if (ack) ack({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Event payloads come straight from clients; ids must be non-empty strings
+function isId(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function payloadOf(data) {
+  return data && typeof data === 'object' ? data : {};
+}
+
+async function initializeConnection(io, socket, userId) {
+  await getDb().prepare('UPDATE users SET status = ? WHERE id = ?').run('online', userId);
+  io.emit('user:status', { userId, status: 'online' });
 
-  // Delete immediately after delivery (ephemeral storage)
-  getDb().prepare('DELETE FROM pending_dms WHERE receiver_id = ?').run(userId);
+  const servers = await getDb().prepare(
+    'SELECT server_id FROM server_members WHERE user_id = ?'
+  ).all(userId);
+  servers.forEach((s) => socket.join(`server:${s.server_id}`));
 
-  // Opportunistic cleanup of any other expired DMs
-  getDb().prepare("DELETE FROM pending_dms WHERE expires_at <= ?").run(now);
+  // Deliver messages stored during offline period
+  await deliverPendingDMs(socket, userId);
 }
 
 function setupWebSocket(io) {
@@ -415,6 +463,9 @@ function setupWebSocket(io) {
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
       socket.user = decoded;
+      // The DM device this client runs as (see services/directMessages.js)
+      const { deviceId } = socket.handshake.auth;
+      socket.deviceId = isDeviceId(deviceId) ? deviceId : null;
       next();
     } catch {
       next(new Error('Invalid token'));
@@ -429,115 +480,167 @@ function setupWebSocket(io) {
     }
     onlineUsers.get(userId).add(socket.id);
 
-    getDb().prepare('UPDATE users SET status = ? WHERE id = ?').run('online', userId);
-    io.emit('user:status', { userId, status: 'online' });
-
-    const servers = getDb().prepare(
-      'SELECT server_id FROM server_members WHERE user_id = ?'
-    ).all(userId);
-    servers.forEach((s) => socket.join(`server:${s.server_id}`));
-
     socket.join(`user:${userId}`);
+    if (socket.deviceId) socket.join(deviceRoom(userId, socket.deviceId));
 
-    // Deliver messages stored during offline period
-    deliverPendingDMs(socket, userId);
+    // Database work runs after the listeners below are registered, so events
+    // the client sends right after connecting are not dropped
+    initializeConnection(io, socket, userId).catch((err) => {
+      console.error('[socket] connection setup failed:', err);
+    });
 
-    socket.on('server:subscribe', (data) => {
-      const serverId = data?.serverId;
-      if (!serverId) return;
-      const member = getDb().prepare(
+    const on = (event, handler) => socket.on(event, guardHandler(event, handler));
+
+    on('server:subscribe', async (data) => {
+      const { serverId } = payloadOf(data);
+      if (!isId(serverId)) return;
+      const member = await getDb().prepare(
         'SELECT id FROM server_members WHERE server_id = ? AND user_id = ?'
       ).get(serverId, userId);
       if (!member) return;
       socket.join(`server:${serverId}`);
     });
 
-    socket.on('server:unsubscribe', (data) => {
-      const serverId = data?.serverId;
-      if (!serverId) return;
+    on('server:unsubscribe', (data) => {
+      const { serverId } = payloadOf(data);
+      if (!isId(serverId)) return;
       socket.leave(`server:${serverId}`);
     });
 
     // Channel messages (stored on NoVoice Cloud servers)
-    socket.on('message:send', (data) => {
-      const { channelId, content } = data;
-      if (!content || !content.trim()) return;
-
-      const channel = getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
-      if (!channel) return;
-
-      const member = getDb().prepare(
-        'SELECT * FROM server_members WHERE server_id = ? AND user_id = ?'
-      ).get(channel.server_id, userId);
-      if (!member) return;
+    // Optional replyToId quotes a message; threadId posts into that message's thread
+    on('message:send', async (data) => {
+      const { channelId, content, replyToId, threadId } = payloadOf(data);
+      if (!isId(channelId) || typeof content !== 'string' || !content.trim()) return;
+      if ((replyToId != null && !isId(replyToId)) || (threadId != null && !isId(threadId))) return;
+
+      const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+      if (!channel || !['text', 'announcements'].includes(channel.type)) return;
+
+      const permissions = await getChannelPermissions(channel, userId);
+      if (!hasPermission(permissions, PERMISSIONS.VIEW_CHANNEL | PERMISSIONS.SEND_MESSAGES)) return;
+      if (channel.type === 'announcements' && !hasPermission(permissions, PERMISSIONS.POST_ANNOUNCEMENTS)) return;
+
+      const refs = await resolveMessageRefs(channelId, { replyToId, threadId });
+      if (refs.error) return;
+
+      const message = await createMessage(channelId, userId, content.trim(), refs);
+      await emitToChannelViewers(io, channel, 'message:new', { channelId, message });
+      await processMentions(io, channel, message);
+      unfurlMessage(message, (updated) => emitToChannelViewers(io, channel, 'message:updated', { channelId, message: updated }));
+    });
 
-      const id = uuidv4();
-      getDb().prepare(
-        'INSERT INTO messages (id, channel_id, sender_id, content) VALUES (?, ?, ?, ?)'
-      ).run(id, channelId, userId, content.trim());
+    // Edit own channel message
+    on('message:edit', async (data) => {
+      const { channelId, messageId, content } = payloadOf(data);
+      if (!isId(channelId) || !isId(messageId) || typeof content !== 'string' || !content.trim()) return;
+
+      const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+      const existing = channel && await getDb()
+        .prepare('SELECT * FROM messages WHERE id = ? AND channel_id = ?')
+        .get(messageId, channelId);
+      if (!existing || existing.sender_id !== userId || existing.type !== 'default') return;
+      // Same as PATCH /api/messages: no edits once sending is revoked or timed out
+      const permissions = await getChannelPermissions(channel, userId);
+      if (!hasPermission(permissions, PERMISSIONS.VIEW_CHANNEL | PERMISSIONS.SEND_MESSAGES)) return;
+
+      await getDb().prepare('UPDATE messages SET content = ?, edited_at = ? WHERE id = ?').run(
+        content.trim(), new Date().toISOString(), messageId
+      );
+
+      const message = await getMessage(messageId);
+      await emitToChannelViewers(io, channel, 'message:updated', { channelId, message });
+      await processMentions(io, channel, message);
+      unfurlMessage(message, (updated) => emitToChannelViewers(io, channel, 'message:updated', { channelId, message: updated }));
+    });
 
-      const message = getDb().prepare(`
-        SELECT m.*, u.username, u.display_name, u.avatar_color
-        FROM messages m JOIN users u ON m.sender_id = u.id
-        WHERE m.id = ?
-      `).get(id);
+    // Delete a channel message — own, or any with MANAGE_MESSAGES
+    on('message:delete', async (data) => {
+      const { channelId, messageId } = payloadOf(data);
+      if (!isId(channelId) || !isId(messageId)) return;
+
+      const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+      const existing = channel && await getDb()
+        .prepare('SELECT * FROM messages WHERE id = ? AND channel_id = ?')
+        .get(messageId, channelId);
+      if (!existing) return;
+
+      const permissions = await getChannelPermissions(channel, userId);
+      if (!hasPermission(permissions, PERMISSIONS.VIEW_CHANNEL)) return;
+      const isAuthor = existing.sender_id === userId;
+      if (!isAuthor && !hasPermission(permissions, PERMISSIONS.MANAGE_MESSAGES)) return;
+
+      await deleteMessage(existing);
+      if (!isAuthor) {
+        await recordAudit({
+          serverId: channel.server_id, actorId: userId, action: 'message.delete', targetType: 'message',
+          targetId: messageId, changes: { channel_id: channelId, author_id: existing.sender_id },
+        });
+      }
 
-      io.to(`server:${channel.server_id}`).emit('message:new', { channelId, message });
+      await emitToChannelViewers(io, channel, 'message:deleted', { channelId, messageId, threadId: existing.thread_id });
     });
 
-    // Direct messages — relay-only with offline delivery fallback
-    socket.on('dm:send', (data) => {
-      const { receiverId, content } = data;
-      if (!content || !content.trim() || !receiverId) return;
+    // Reactions — same rules as PUT/DELETE /api/reactions
+    const handleReaction = async (data, added) => {
+      const { targetType, targetId, emoji } = payloadOf(data);
+      if (!isId(targetType) || !isId(targetId) || !isValidEmoji(emoji)) return;
 
-      const sender = getDb().prepare(
-        'SELECT id, username, display_name, avatar_color FROM users WHERE id = ?'
-      ).get(userId);
-      if (!sender) return;
-
-      const message = {
-        id: uuidv4(),
-        sender_id: userId,
-        receiver_id: receiverId,
-        content: content.trim(),
-        created_at: new Date().toISOString(),
-        username: sender.username,
-        display_name: sender.display_name,
-        avatar_color: sender.avatar_color,
-      };
-
-      const receiverOnline = onlineUsers.has(receiverId);
-
-      if (receiverOnline) {
-        // Online: relay immediately, nothing stored
-        io.to(`user:${receiverId}`).emit('dm:new', { message });
-      } else {
-        // Offline: store temporarily for delivery when they reconnect (7-day TTL)
-        const expires = new Date();
-        expires.setDate(expires.getDate() + DM_EXPIRY_DAYS);
-        getDb().prepare(
-          'INSERT OR IGNORE INTO pending_dms (id, sender_id, receiver_id, content, expires_at) VALUES (?, ?, ?, ?, ?)'
-        ).run(message.id, userId, receiverId, message.content, expires.toISOString());
-      }
+      const channel = await getReactionChannel(targetType, targetId);
+      if (!channel) return;
+      const required = added
+        ? PERMISSIONS.VIEW_CHANNEL | PERMISSIONS.SEND_MESSAGES
+        : PERMISSIONS.VIEW_CHANNEL;
+      if (!hasPermission(await getChannelPermissions(channel, userId), required)) return;
+
+      const result = added
+        ? await addReaction(channel, targetType, targetId, userId, emoji)
+        : await removeReaction(targetType, targetId, userId, emoji);
+      if (!result.changed) return;
+
+      await emitToChannelViewers(io, channel, 'reaction:update', {
+        channelId: channel.id, targetType, targetId, emoji, count: result.count, userId, added,
+      });
+    };
 
-      // Echo back to all sender's devices (multi-device support)
-      io.to(`user:${userId}`).emit('dm:new', { message });
+    on('reaction:add', (data) => handleReaction(data, true));
+    on('reaction:remove', (data) => handleReaction(data, false));
+
+    // Direct messages — encrypted by the client, relay-only with offline delivery fallback
+    // Acknowledged with { message } or { error }: the sending device keeps its
+    // own plaintext copy, since no envelope entry is addressed to it
+    on('dm:send', async (data, ack) => {
+      const { receiverId, groupId, envelope } = payloadOf(data);
+      const result = groupId
+        ? await relayGroupMessage(io, userId, groupId, envelope)
+        : await relayDirectMessage(io, userId, receiverId, envelope);
+      if (typeof ack === 'function') ack(result.error ? { error: result.error } : { message: result.message });
+    });
+
+    // DM history sync between the user's own devices — end-to-end encrypted, relayed only
+    DEVICE_SYNC_EVENTS.forEach((event) => {
+      on(event, async (data, ack) => {
+        const result = await relayDeviceSync(io, socket, event, data);
+        if (typeof ack === 'function') ack(result);
+      });
     });
 
     // Voice: join channel
-    socket.on('voice:join', (data) => {
-      const channelId = data?.channelId;
-      if (!channelId) return;
+    on('voice:join', async (data) => {
+      const { channelId } = payloadOf(data);
+      if (!isId(channelId)) return;
 
-      const channel = getDb().prepare(
-        'SELECT id, server_id, type FROM channels WHERE id = ?'
+      const channel = await getDb().prepare(
+        'SELECT id, server_id, category_id, permissions_synced, type FROM channels WHERE id = ?'
       ).get(channelId);
       if (!channel || channel.type !== 'voice') return;
 
-      const member = getDb().prepare(
-        'SELECT id FROM server_members WHERE server_id = ? AND user_id = ?'
-      ).get(channel.server_id, userId);
-      if (!member) return;
+      const permissions = await getChannelPermissions(channel, userId);
+      if (permissions === null) return;
+      if (!hasPermission(permissions, PERMISSIONS.VIEW_CHANNEL | PERMISSIONS.CONNECT)) {
+        socket.emit('voice:error', { channelId, message: 'You do not have permission to join this channel' });
+        return;
+      }
 
       const currentChannelId = socketVoiceChannel.get(socket.id);
       if (currentChannelId && currentChannelId !== channelId) {
@@ -556,10 +659,12 @@ function setupWebSocket(io) {
         voiceChannelMembers.set(channelId, new Map());
       }
 
-      const voiceMember = getDb().prepare(
+      const voiceMember = await getDb().prepare(
         'SELECT id, username, display_name, avatar_color FROM users WHERE id = ?'
       ).get(userId);
       if (voiceMember) {
+        // Without SPEAK the member can listen; clients keep them muted
+        voiceMember.suppressed = !hasPermission(permissions, PERMISSIONS.SPEAK);
         voiceChannelMembers.get(channelId).set(userId, voiceMember);
       }
 
@@ -567,29 +672,22 @@ function setupWebSocket(io) {
       emitVoiceMusicState(io, channelId);
     });
 
-    socket.on('voice:leave', () => leaveVoiceChannel(io, socket));
+    on('voice:leave', () => leaveVoiceChannel(io, socket));
 
-    socket.on('voice:state:request', (data) => {
-      const channelId = data?.channelId;
-      if (!channelId) return;
+    on('voice:state:request', async (data) => {
+      const { channelId } = payloadOf(data);
+      if (!isId(channelId)) return;
 
-      const channel = getDb().prepare(
-        'SELECT id, server_id, type FROM channels WHERE id = ?'
-      ).get(channelId);
-      if (!channel || channel.type !== 'voice') return;
-
-      const member = getDb().prepare(
-        'SELECT id FROM server_members WHERE server_id = ? AND user_id = ?'
-      ).get(channel.server_id, userId);
-      if (!member) return;
+      const channel = await resolveVoiceChannelForUser(channelId, userId);
+      if (!channel) return;
 
       socket.emit('voice:state', { channelId, participants: getVoiceParticipants(channelId) });
       socket.emit('voice:music:state', toVoiceMusicSnapshot(channelId));
     });
 
-    socket.on('voice:signal', (data) => {
-      const { channelId, targetUserId, signal } = data;
-      if (!channelId || !targetUserId || !signal || targetUserId === userId) return;
+    on('voice:signal', (data) => {
+      const { channelId, targetUserId, signal } = payloadOf(data);
+      if (!isId(channelId) || !isId(targetUserId) || !signal || targetUserId === userId) return;
       if (socketVoiceChannel.get(socket.id) !== channelId) return;
 
       const members = voiceChannelMembers.get(channelId);
@@ -598,15 +696,15 @@ function setupWebSocket(io) {
       io.to(`user:${targetUserId}`).emit('voice:signal', { channelId, fromUserId: userId, signal });
     });
 
-    const withVoiceMusicControl = (rawChannelId, mutator) => {
+    const withVoiceMusicControl = async (rawChannelId, mutator) => {
       const channelId = String(rawChannelId || '').trim();
       if (!channelId) return false;
 
-      const channel = resolveVoiceChannelForUser(channelId, userId);
+      const channel = await resolveVoiceChannelForUser(channelId, userId);
       if (!channel) return false;
       voiceChannelServerMap.set(channel.id, channel.server_id);
 
-      if (!canControlVoiceMusic(io, channel, userId)) {
+      if (!await canControlVoiceMusic(io, channel, userId)) {
         socket.emit('voice:music:error', {
           channelId: channel.id,
           message: 'You need voice channel rights to control shared music.',
@@ -622,27 +720,27 @@ function setupWebSocket(io) {
       return changed;
     };
 
-    socket.on('voice:music:state:request', (data) => {
+    on('voice:music:state:request', async (data) => {
       const channelId = String(data?.channelId || '').trim();
       if (!channelId) return;
 
-      const channel = resolveVoiceChannelForUser(channelId, userId);
+      const channel = await resolveVoiceChannelForUser(channelId, userId);
       if (!channel) return;
       voiceChannelServerMap.set(channel.id, channel.server_id);
 
       socket.emit('voice:music:state', toVoiceMusicSnapshot(channel.id));
     });
 
-    socket.on('voice:music:enqueue', async (data) => {
+    on('voice:music:enqueue', async (data) => {
       const channelId = String(data?.channelId || '').trim();
       const inputUrl = String(data?.url || '').trim();
       if (!channelId || !inputUrl) return;
 
-      const channel = resolveVoiceChannelForUser(channelId, userId);
+      const channel = await resolveVoiceChannelForUser(channelId, userId);
       if (!channel) return;
       voiceChannelServerMap.set(channel.id, channel.server_id);
 
-      if (!canControlVoiceMusic(io, channel, userId)) {
+      if (!await canControlVoiceMusic(io, channel, userId)) {
         socket.emit('voice:music:error', {
           channelId: channel.id,
           message: 'You need voice channel rights to control shared music.',
@@ -679,7 +777,7 @@ function setupWebSocket(io) {
         return;
       }
 
-      const requestedByName = loadUserMusicLabel(userId);
+      const requestedByName = await loadUserMusicLabel(userId);
       const createdTracks = resolved.tracks
         .map((resolvedTrack) => createVoiceMusicTrack({
           url: resolvedTrack.url,
@@ -718,8 +816,8 @@ function setupWebSocket(io) {
       emitVoiceMusicState(io, channel.id);
     });
 
-    socket.on('voice:music:play', (data) => {
-      withVoiceMusicControl(data?.channelId, (session, channel) => {
+    on('voice:music:play', (data) => {
+      return withVoiceMusicControl(data?.channelId, (session, channel) => {
         let activeTrack = currentVoiceMusicTrack(session);
         if (!activeTrack) {
           socket.emit('voice:music:error', {
@@ -757,16 +855,16 @@ function setupWebSocket(io) {
       });
     });
 
-    socket.on('voice:music:pause', (data) => {
-      withVoiceMusicControl(data?.channelId, (session) => {
+    on('voice:music:pause', (data) => {
+      return withVoiceMusicControl(data?.channelId, (session) => {
         if (session.playbackState !== 'playing') return false;
         setVoiceMusicPlaybackState(session, 'paused', userId, Date.now());
         return true;
       });
     });
 
-    socket.on('voice:music:seek', (data) => {
-      withVoiceMusicControl(data?.channelId, (session, channel) => {
+    on('voice:music:seek', (data) => {
+      return withVoiceMusicControl(data?.channelId, (session, channel) => {
         if (!currentVoiceMusicTrack(session)) {
           socket.emit('voice:music:error', {
             channelId: channel.id,
@@ -785,8 +883,8 @@ function setupWebSocket(io) {
       });
     });
 
-    socket.on('voice:music:next', (data) => {
-      withVoiceMusicControl(data?.channelId, (session) => {
+    on('voice:music:next', (data) => {
+      return withVoiceMusicControl(data?.channelId, (session) => {
         if (session.queue.length === 0) return false;
         const nowMs = Date.now();
         if (session.currentIndex + 1 < session.queue.length) {
@@ -802,8 +900,8 @@ function setupWebSocket(io) {
       });
     });
 
-    socket.on('voice:music:previous', (data) => {
-      withVoiceMusicControl(data?.channelId, (session) => {
+    on('voice:music:previous', (data) => {
+      return withVoiceMusicControl(data?.channelId, (session) => {
         if (session.queue.length === 0 || session.currentIndex < 0) return false;
         const nowMs = Date.now();
         const currentPos = getVoiceMusicPositionSec(session, nowMs);
@@ -821,11 +919,11 @@ function setupWebSocket(io) {
       });
     });
 
-    socket.on('voice:music:set-current', (data) => {
+    on('voice:music:set-current', (data) => {
       const targetTrackId = String(data?.trackId || '').trim();
       if (!targetTrackId) return;
 
-      withVoiceMusicControl(data?.channelId, (session, channel) => {
+      return withVoiceMusicControl(data?.channelId, (session, channel) => {
         const index = session.queue.findIndex((track) => track.id === targetTrackId);
         if (index < 0) {
           socket.emit('voice:music:error', {
@@ -840,11 +938,11 @@ function setupWebSocket(io) {
       });
     });
 
-    socket.on('voice:music:remove', (data) => {
+    on('voice:music:remove', (data) => {
       const targetTrackId = String(data?.trackId || '').trim();
       if (!targetTrackId) return;
 
-      withVoiceMusicControl(data?.channelId, (session, channel) => {
+      return withVoiceMusicControl(data?.channelId, (session, channel) => {
         const index = session.queue.findIndex((track) => track.id === targetTrackId);
         if (index < 0) {
           socket.emit('voice:music:error', {
@@ -880,8 +978,8 @@ function setupWebSocket(io) {
       });
     });
 
-    socket.on('voice:music:clear', (data) => {
-      withVoiceMusicControl(data?.channelId, (session) => {
+    on('voice:music:clear', (data) => {
+      return withVoiceMusicControl(data?.channelId, (session) => {
         const nowMs = Date.now();
         session.queue = [];
         session.currentIndex = -1;
@@ -893,13 +991,13 @@ function setupWebSocket(io) {
       });
     });
 
-    socket.on('voice:music:track:duration', (data) => {
+    on('voice:music:track:duration', async (data) => {
       const channelId = String(data?.channelId || '').trim();
       const trackId = String(data?.trackId || '').trim();
       const durationSec = Number(data?.durationSec);
       if (!channelId || !trackId || !Number.isFinite(durationSec) || durationSec <= 0) return;
 
-      const channel = resolveVoiceChannelForUser(channelId, userId);
+      const channel = await resolveVoiceChannelForUser(channelId, userId);
       if (!channel) return;
       if (!hasUserInVoiceRoom(io, channel.id, userId)) return;
 
@@ -916,12 +1014,12 @@ function setupWebSocket(io) {
       emitVoiceMusicState(io, channel.id);
     });
 
-    socket.on('voice:music:track:ended', (data) => {
+    on('voice:music:track:ended', async (data) => {
       const channelId = String(data?.channelId || '').trim();
       const trackId = String(data?.trackId || '').trim();
       if (!channelId || !trackId) return;
 
-      const channel = resolveVoiceChannelForUser(channelId, userId);
+      const channel = await resolveVoiceChannelForUser(channelId, userId);
       if (!channel) return;
       if (!hasUserInVoiceRoom(io, channel.id, userId)) return;
 
@@ -946,60 +1044,86 @@ function setupWebSocket(io) {
     });
 
     // Typing indicators
-    socket.on('typing:start', (data) => {
-      const { channelId, isDM, targetId } = data;
-      const user = getDb().prepare('SELECT username, display_name FROM users WHERE id = ?').get(userId);
+    // Group DM typing goes to the other members; channelId is the group's id
+    const emitGroupTyping = async (groupId, payload) => {
+      const memberIds = await getGroupMemberIds(groupId);
+      if (!memberIds.includes(userId)) return;
+      memberIds.filter((id) => id !== userId).forEach((id) => {
+        io.to(`user:${id}`).emit('typing:update', {
+          userId, channelId: groupId, groupId, isDM: true, ...payload,
+        });
+      });
+    };
+
+    on('typing:start', async (data) => {
+      const { channelId, isDM, targetId, groupId } = payloadOf(data);
+      if (!(isDM ? isId(groupId) || isId(targetId) : isId(channelId))) return;
+      const user = await getDb().prepare('SELECT username, display_name FROM users WHERE id = ?').get(userId);
       if (!user) return;
 
-      if (isDM) {
+      if (isDM && isId(groupId)) {
+        await emitGroupTyping(groupId, { username: user.display_name, isTyping: true });
+      } else if (isDM) {
         io.to(`user:${targetId}`).emit('typing:update', {
           userId, username: user.display_name, channelId: targetId, isDM: true, isTyping: true,
         });
       } else {
-        const channel = getDb().prepare('SELECT server_id FROM channels WHERE id = ?').get(channelId);
-        if (channel) {
-          socket.to(`server:${channel.server_id}`).emit('typing:update', {
+        const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+        if (channel && await canInChannel(channel, userId, PERMISSIONS.SEND_MESSAGES)) {
+          await emitToChannelViewers(io, channel, 'typing:update', {
             userId, username: user.display_name, channelId, isTyping: true,
-          });
+          }, { exceptSocketId: socket.id });
         }
       }
     });
 
-    socket.on('typing:stop', (data) => {
-      const { channelId, isDM, targetId } = data;
-      if (isDM) {
+    on('typing:stop', async (data) => {
+      const { channelId, isDM, targetId, groupId } = payloadOf(data);
+      if (!(isDM ? isId(groupId) || isId(targetId) : isId(channelId))) return;
+      if (isDM && isId(groupId)) {
+        await emitGroupTyping(groupId, { isTyping: false });
+      } else if (isDM) {
         io.to(`user:${targetId}`).emit('typing:update', {
           userId, channelId: targetId, isDM: true, isTyping: false,
         });
       } else {
-        const channel = getDb().prepare('SELECT server_id FROM channels WHERE id = ?').get(channelId);
+        const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
         if (channel) {
-          socket.to(`server:${channel.server_id}`).emit('typing:update', {
+          await emitToChannelViewers(io, channel, 'typing:update', {
             userId, channelId, isTyping: false,
-          });
+          }, { exceptSocketId: socket.id });
         }
       }
     });
 
-    socket.on('friend:request', (data) => {
-      io.to(`user:${data.targetId}`).emit('friend:request-received', { from: userId });
+    on('friend:request', (data) => {
+      const { targetId } = payloadOf(data);
+      if (!isId(targetId)) return;
+      io.to(`user:${targetId}`).emit('friend:request-received', { from: userId });
     });
 
     // ── Channel content subscriptions (calendar, tasks, forum, rules) ──────
-    socket.on('channel:subscribe', ({ channelId }) => {
-      if (channelId) socket.join(`channel:${channelId}`);
+    on('channel:subscribe', async (data) => {
+      const { channelId } = payloadOf(data);
+      if (!isId(channelId)) return;
+      const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+      if (channel && await canInChannel(channel, userId, PERMISSIONS.VIEW_CHANNEL)) {
+        socket.join(`channel:${channelId}`);
+      }
     });
-    socket.on('channel:unsubscribe', ({ channelId }) => {
-      if (channelId) socket.leave(`channel:${channelId}`);
+    on('channel:unsubscribe', (data) => {
+      const { channelId } = payloadOf(data);
+      if (isId(channelId)) socket.leave(`channel:${channelId}`);
     });
 
     // ── Whiteboard ───────────────────────────────────────────────────────────
-    socket.on('whiteboard:join', ({ channelId } = {}) => {
+    on('whiteboard:join', async (data) => {
+      const { channelId } = payloadOf(data);
       if (!channelId) return;
       const voiceChId = socketVoiceChannel.get(socket.id);
       if (voiceChId !== String(channelId)) return; // must be in the voice channel
 
-      const dbUser = getDb().prepare('SELECT display_name FROM users WHERE id = ?').get(userId);
+      const dbUser = await getDb().prepare('SELECT display_name FROM users WHERE id = ?').get(userId);
       const displayName = dbUser?.display_name || 'User';
 
       const session = getOrCreateWbSession(String(channelId), userId);
@@ -1015,7 +1139,8 @@ function setupWebSocket(io) {
       emitWbUsers(io, session);
     });
 
-    socket.on('whiteboard:leave', ({ channelId } = {}) => {
+    on('whiteboard:leave', (data) => {
+      const { channelId } = payloadOf(data);
       if (!channelId) return;
       const session = whiteboardSessions.get(String(channelId));
       if (!session) return;
@@ -1024,14 +1149,16 @@ function setupWebSocket(io) {
       emitWbUsers(io, session);
     });
 
-    socket.on('whiteboard:cursor', ({ channelId, x, y } = {}) => {
+    on('whiteboard:cursor', (data) => {
+      const { channelId, x, y } = payloadOf(data);
       const session = whiteboardSessions.get(String(channelId));
       if (!session || !session.activeUsers.has(userId)) return;
       session.activeUsers.get(userId).cursor = { x: Number(x) || 0, y: Number(y) || 0 };
       socket.to(`whiteboard:${channelId}`).emit('whiteboard:cursor', { userId, x, y });
     });
 
-    socket.on('whiteboard:element:add', ({ channelId, element } = {}) => {
+    on('whiteboard:element:add', (data) => {
+      const { channelId, element } = payloadOf(data);
       const session = whiteboardSessions.get(String(channelId));
       if (!session || !element) return;
       if (session.permissions.get(userId) === false && userId !== session.creatorId) return;
@@ -1040,7 +1167,8 @@ function setupWebSocket(io) {
       io.to(`whiteboard:${channelId}`).emit('whiteboard:element:added', { element: el });
     });
 
-    socket.on('whiteboard:element:update', ({ channelId, element } = {}) => {
+    on('whiteboard:element:update', (data) => {
+      const { channelId, element } = payloadOf(data);
       const session = whiteboardSessions.get(String(channelId));
       if (!session || !element?.id) return;
       if (session.permissions.get(userId) === false && userId !== session.creatorId) return;
@@ -1050,7 +1178,8 @@ function setupWebSocket(io) {
       io.to(`whiteboard:${channelId}`).emit('whiteboard:element:updated', { element: session.elements[idx] });
     });
 
-    socket.on('whiteboard:element:delete', ({ channelId, elementId } = {}) => {
+    on('whiteboard:element:delete', (data) => {
+      const { channelId, elementId } = payloadOf(data);
       const session = whiteboardSessions.get(String(channelId));
       if (!session || !elementId) return;
       if (session.permissions.get(userId) === false && userId !== session.creatorId) return;
@@ -1058,7 +1187,8 @@ function setupWebSocket(io) {
       io.to(`whiteboard:${channelId}`).emit('whiteboard:element:deleted', { elementId });
     });
 
-    socket.on('whiteboard:stroke:add', ({ channelId, stroke } = {}) => {
+    on('whiteboard:stroke:add', (data) => {
+      const { channelId, stroke } = payloadOf(data);
       const session = whiteboardSessions.get(String(channelId));
       if (!session || !stroke?.points?.length) return;
       if (session.permissions.get(userId) === false && userId !== session.creatorId) return;
@@ -1067,7 +1197,8 @@ function setupWebSocket(io) {
       io.to(`whiteboard:${channelId}`).emit('whiteboard:stroke:added', { stroke: s });
     });
 
-    socket.on('whiteboard:clear', ({ channelId } = {}) => {
+    on('whiteboard:clear', (data) => {
+      const { channelId } = payloadOf(data);
       const session = whiteboardSessions.get(String(channelId));
       if (!session || userId !== session.creatorId) return;
       session.elements = [];
@@ -1075,7 +1206,8 @@ function setupWebSocket(io) {
       io.to(`whiteboard:${channelId}`).emit('whiteboard:cleared');
     });
 
-    socket.on('whiteboard:permission:set', ({ channelId, targetUserId, canDraw } = {}) => {
+    on('whiteboard:permission:set', (data) => {
+      const { channelId, targetUserId, canDraw } = payloadOf(data);
       const session = whiteboardSessions.get(String(channelId));
       if (!session || userId !== session.creatorId || !targetUserId) return;
       if (String(targetUserId) === session.creatorId) return;
@@ -1085,7 +1217,7 @@ function setupWebSocket(io) {
       });
     });
 
-    socket.on('disconnect', () => {
+    on('disconnect', async () => {
       // Clean up whiteboard presence on disconnect
       whiteboardSessions.forEach((session) => {
         if (session.activeUsers.has(userId)) {
@@ -1101,12 +1233,63 @@ function setupWebSocket(io) {
         userSockets.delete(socket.id);
         if (userSockets.size === 0) {
           onlineUsers.delete(userId);
-          getDb().prepare('UPDATE users SET status = ? WHERE id = ?').run('offline', userId);
+          await getDb().prepare('UPDATE users SET status = ? WHERE id = ?').run('offline', userId);
           io.emit('user:status', { userId, status: 'offline' });
+
+          // Temporary memberships end with the session
+          const leftServerIds = await removeTemporaryMemberships(userId);
+          leftServerIds.forEach((serverId) => io.to(`server:${serverId}`).emit('server:updated', { serverId }));
         }
       }
     });
   });
 }
 
-module.exports = { setupWebSocket, onlineUsers };
+// ── Moderation hooks (called from routes/servers.js) ───────────────────────
+
+/**
+ * Drops a kicked or banned user's sockets out of every room of the server,
+ * voice and whiteboards included, and tells their clients the server is gone.
+ */
+async function removeUserFromServer(io, serverId, userId, reason) {
+  if (!io) return;
+  const channels = await getDb().prepare('SELECT id FROM channels WHERE server_id = ?').all(serverId);
+
+  for (const socketId of onlineUsers.get(userId) || []) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) continue;
+
+    const voiceChannelId = socketVoiceChannel.get(socketId);
+    if (voiceChannelId && voiceChannelServerMap.get(voiceChannelId) === serverId) {
+      socket.emit('voice:error', { channelId: voiceChannelId, message: 'You were removed from this server' });
+      leaveVoiceChannel(io, socket);
+    }
+
+    socket.leave(`server:${serverId}`);
+    for (const { id } of channels) {
+      socket.leave(`channel:${id}`);
+      socket.leave(`whiteboard:${id}`);
+      const session = whiteboardSessions.get(id);
+      if (session?.activeUsers.delete(userId)) emitWbUsers(io, session);
+    }
+  }
+
+  io.to(`user:${userId}`).emit('server:removed', { serverId, reason });
+}
+
+/**
+ * Re-checks SPEAK for a member sitting in one of the server's voice channels,
+ * e.g. after a timeout starts, and again once it runs out.
+ */
+async function refreshVoiceSuppression(io, serverId, userId) {
+  for (const [channelId, members] of voiceChannelMembers) {
+    if (voiceChannelServerMap.get(channelId) !== serverId || !members.has(userId)) continue;
+
+    const channel = await getDb().prepare('SELECT * FROM channels WHERE id = ?').get(channelId);
+    const permissions = channel ? await getChannelPermissions(channel, userId) : null;
+    members.get(userId).suppressed = !hasPermission(permissions, PERMISSIONS.SPEAK);
+    emitVoiceState(io, channelId);
+  }
+}
+
+module.exports = { setupWebSocket, onlineUsers, emitToChannelViewers, removeUserFromServer, refreshVoiceSuppression };
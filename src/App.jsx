@@ -3,6 +3,7 @@ import { AuthProvider, useAuth } from './context/AuthContext';
 import { SocketProvider } from './context/SocketContext';
 import { AppProvider } from './context/AppContext';
 import { VoiceProvider } from './context/VoiceContext';
+import { DMSyncProvider } from './context/DMSyncContext';
 import TitleBar from './components/TitleBar';
 import Login from './pages/Login';
 import Home from './pages/Home';
@@ -74,10 +75,12 @@ function AppContent() {
       <AppErrorBoundary>
         <AppProvider>
           <VoiceProvider>
-            <div className="h-screen w-screen flex flex-col bg-black overflow-hidden">
-              <TitleBar />
-              <Home />
-            </div>
+            <DMSyncProvider>
+              <div className="h-screen w-screen flex flex-col bg-black overflow-hidden">
+                <TitleBar />
+                <Home />
+              </div>
+            </DMSyncProvider>
           </VoiceProvider>
         </AppProvider>
       </AppErrorBoundary>
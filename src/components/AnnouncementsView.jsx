@@ -8,7 +8,10 @@ import {
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../context/SocketContext';
+import { PERMISSIONS, hasPermission, getServerPermissions, getChannelPermissions } from '../utils/permissions';
+import { setReactionSummary, applyReactionUpdate, updateReactionsIn } from '../utils/reactions';
 import MessageContent from './MessageContent';
+import ReactionBar from './ReactionBar';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 function formatTimestamp(iso) {
@@ -265,8 +268,11 @@ export default function AnnouncementsView({ channel, serverId }) {
   const contentRef = useRef(null);
   const editRef    = useRef(null);
 
-  const serverObj = serverDetails[serverId]?.server;
-  const isOwner   = serverObj?.owner_id === user?.id;
+  const canPost = hasPermission(getServerPermissions(serverDetails[serverId], user?.id), PERMISSIONS.POST_ANNOUNCEMENTS);
+  const canReact = hasPermission(
+    getChannelPermissions(serverDetails[serverId]?.channels?.find((c) => c.id === channel?.id)),
+    PERMISSIONS.SEND_MESSAGES,
+  );
 
   useEffect(() => {
     const ta = contentRef.current;
@@ -306,6 +312,32 @@ export default function AnnouncementsView({ channel, serverId }) {
     };
   }, [socket, ownSocket, channel?.id, load]);
 
+  useEffect(() => {
+    if (!channel?.id) return;
+    const h = (update) => {
+      if (update.channelId !== channel.id || update.targetType !== 'announcement') return;
+      setAnnouncements(prev => updateReactionsIn(prev, update.targetId, r => applyReactionUpdate(r, update, user?.id)));
+    };
+    socket?.on('reaction:update', h);
+    ownSocket?.on('reaction:update', h);
+    return () => {
+      socket?.off('reaction:update', h);
+      ownSocket?.off('reaction:update', h);
+    };
+  }, [socket, ownSocket, channel?.id, user?.id]);
+
+  // ── Reactions ──────────────────────────────────────────────────────────────
+  const handleToggleReaction = async (id, emoji, me) => {
+    try {
+      const summary = me
+        ? await activeServerApi.removeReaction('announcement', id, emoji)
+        : await activeServerApi.addReaction('announcement', id, emoji);
+      setAnnouncements(prev => updateReactionsIn(prev, id, r => setReactionSummary(r, summary)));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
   // ── Create ─────────────────────────────────────────────────────────────────
   const handleCreate = async () => {
     if (!content.trim() || submitting) return;
@@ -359,7 +391,7 @@ export default function AnnouncementsView({ channel, serverId }) {
           <Megaphone size={15} className="text-nv-text-tertiary shrink-0" />
           <span className="text-sm font-semibold text-nv-text-primary truncate">{channel.name}</span>
         </div>
-        {isOwner && (
+        {canPost && (
           <button
             onClick={() => setShowCreate(p => !p)}
             className={`flex items-center gap-1.5 px-2.5 py-1 rounded-lg text-xs transition-all ${
@@ -376,7 +408,7 @@ export default function AnnouncementsView({ channel, serverId }) {
 
       {/* ── Create form ────────────────────────────────────────────────────── */}
       <AnimatePresence>
-        {showCreate && isOwner && (
+        {showCreate && canPost && (
           <motion.div
             initial={{ opacity: 0, height: 0 }}
             animate={{ opacity: 1, height: 'auto' }}
@@ -432,7 +464,7 @@ export default function AnnouncementsView({ channel, serverId }) {
               <Megaphone size={20} className="text-nv-text-tertiary" />
             </div>
             <p className="text-sm font-medium text-nv-text-secondary">No announcements yet</p>
-            {isOwner && <p className="text-xs text-nv-text-tertiary mt-1">Click "New Announcement" to post one.</p>}
+            {canPost && <p className="text-xs text-nv-text-tertiary mt-1">Click "New Announcement" to post one.</p>}
           </div>
         )}
 
@@ -474,7 +506,7 @@ export default function AnnouncementsView({ channel, serverId }) {
                       <span className="text-[11px] text-nv-text-tertiary/70 mr-1">
                         {a.creator_display_name || a.creator_username || 'Unknown'}
                       </span>
-                      {isOwner && !isEditing && (
+                      {canPost && !isEditing && (
                         <>
                           <button
                             onClick={() => startEdit(a)}
@@ -528,7 +560,15 @@ export default function AnnouncementsView({ channel, serverId }) {
                         </div>
                       </div>
                     ) : (
-                      <MessageContent content={a.content} />
+                      <>
+                        <MessageContent content={a.content} />
+                        <ReactionBar
+                          reactions={a.reactions}
+                          canReact={canReact}
+                          onToggle={(emoji, me) => handleToggleReaction(a.id, emoji, me)}
+                          className="mt-2"
+                        />
+                      </>
                     )}
                   </div>
                 </motion.div>
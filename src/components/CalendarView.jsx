@@ -15,6 +15,7 @@ import {
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../context/SocketContext';
+import { PERMISSIONS, hasPermission, getServerPermissions } from '../utils/permissions';
 
 const EVENT_COLORS = ['#007AFF', '#34C759', '#FF9500', '#FF3B30', '#AF52DE', '#FF2D55', '#5AC8FA', '#FFCC00'];
 const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
@@ -78,8 +79,7 @@ export default function CalendarView({ channel, serverId }) {
   const { user } = useAuth();
   const { socket } = useSocket();
 
-  const server = serverDetails[serverId]?.server;
-  const isOwner = server?.owner_id === user?.id;
+  const canManageEvents = hasPermission(getServerPermissions(serverDetails[serverId], user?.id), PERMISSIONS.MANAGE_EVENTS);
 
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -205,7 +205,7 @@ export default function CalendarView({ channel, serverId }) {
           </button>
         </div>
 
-        {isOwner && (
+        {canManageEvents && (
           <button
             onClick={() => setShowForm((v) => !v)}
             className="flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
@@ -305,7 +305,7 @@ export default function CalendarView({ channel, serverId }) {
             </div>
             <h3 className="text-base font-semibold text-nv-text-primary mb-1">No events yet</h3>
             <p className="text-sm text-nv-text-secondary">
-              {isOwner ? 'Add the first event above.' : 'No events have been scheduled.'}
+              {canManageEvents ? 'Add the first event above.' : 'No events have been scheduled.'}
             </p>
           </motion.div>
         ) : viewMode === 'month' ? (
@@ -393,7 +393,7 @@ export default function CalendarView({ channel, serverId }) {
                 <p className="text-[10px] font-semibold uppercase tracking-[0.08em] text-nv-text-tertiary px-1 mb-2">Upcoming</p>
                 <div className="space-y-2">
                   {upcoming.map((event) => (
-                    <EventCard key={event.id} event={event} isOwner={isOwner} onDelete={handleDelete} />
+                    <EventCard key={event.id} event={event} canManageEvents={canManageEvents} onDelete={handleDelete} />
                   ))}
                 </div>
               </div>
@@ -403,7 +403,7 @@ export default function CalendarView({ channel, serverId }) {
                 <p className="text-[10px] font-semibold uppercase tracking-[0.08em] text-nv-text-tertiary px-1 mb-2">Past</p>
                 <div className="space-y-2 opacity-60">
                   {past.map((event) => (
-                    <EventCard key={event.id} event={event} isOwner={isOwner} onDelete={handleDelete} />
+                    <EventCard key={event.id} event={event} canManageEvents={canManageEvents} onDelete={handleDelete} />
                   ))}
                 </div>
               </div>
@@ -415,7 +415,7 @@ export default function CalendarView({ channel, serverId }) {
   );
 }
 
-function EventCard({ event, isOwner, onDelete }) {
+function EventCard({ event, canManageEvents, onDelete }) {
   return (
     <motion.div
       initial={{ opacity: 0, y: 4 }}
@@ -437,7 +437,7 @@ function EventCard({ event, isOwner, onDelete }) {
           <p className="text-xs text-nv-text-secondary mt-1 line-clamp-2">{event.description}</p>
         )}
       </div>
-      {isOwner && (
+      {canManageEvents && (
         <button
           onClick={() => onDelete(event.id)}
           className="w-7 h-7 rounded-lg flex items-center justify-center opacity-0 group-hover:opacity-100 text-nv-text-tertiary hover:text-nv-danger hover:bg-nv-danger/10 transition-all shrink-0"
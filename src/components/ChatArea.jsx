@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { Fragment, useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Hash,
@@ -20,14 +20,43 @@ import {
   ChevronDown,
   Check,
   SlidersHorizontal,
+  Pencil,
+  Trash2,
+  Reply,
+  X,
+  Search,
+  AtSign,
+  Pin,
+  PinOff,
+  Shield,
+  ShieldCheck,
+  ShieldAlert,
+  Download,
+  Upload,
+  Settings,
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useApp } from '../context/AppContext';
 import { useSocket } from '../context/SocketContext';
 import { useVoice } from '../context/VoiceContext';
+import { PERMISSIONS, hasPermission, getServerPermissions, getChannelPermissions } from '../utils/permissions';
+import { getSafetyNumber, getVerificationState } from '../utils/dmCrypto';
 import UserAvatar from './UserAvatar';
 import MessageInput from './MessageInput';
 import MessageContent from './MessageContent';
+import ReactionBar from './ReactionBar';
+import LinkEmbeds from './LinkEmbeds';
+import SafetyNumberModal from './SafetyNumberModal';
+import DMArchiveModal from './DMArchiveModal';
+import DMHistoryLock from './DMHistoryLock';
+import DMSearchPanel from './DMSearchPanel';
+import DMGroupModal from './DMGroupModal';
+import GroupIcon from './GroupIcon';
+import ReplyQuote from './ReplyQuote';
+import ThreadPanel from './ThreadPanel';
+import SearchPanel from './SearchPanel';
+import MentionsPanel from './MentionsPanel';
+import PinsPanel from './PinsPanel';
 import RulesView from './RulesView';
 import CalendarView from './CalendarView';
 import TasksView from './TasksView';
@@ -68,8 +97,19 @@ function formatTime(dateStr) {
   return `${d.toLocaleDateString()} ${time}`;
 }
 
+// Pages of older history jumpToMessage walks back through before giving up
+const JUMP_MAX_PAGES = 10;
+
+// Notices like 'pin' are posted by the server; DM messages carry no type
+function isSystemMessage(msg) {
+  return Boolean(msg.type) && msg.type !== 'default';
+}
+
 function shouldGroup(prev, curr) {
   if (!prev) return false;
+  if (isSystemMessage(prev) || isSystemMessage(curr)) return false;
+  // Replies show their quote above the message, so they always start a group
+  if (curr.reply_to_id) return false;
   if (prev.sender_id !== curr.sender_id) return false;
   const diff = new Date(curr.created_at) - new Date(prev.created_at);
   return diff < 5 * 60 * 1000;
@@ -88,7 +128,8 @@ function deviceSubLabel(device) {
 
 export default function ChatArea({ onToggleMembers, showMembers }) {
   const { user } = useAuth();
-  const { activeView, activeChannel, serverDetails, onlineUsers, activeServerApi, ownSocket, dmMessages, loadDMHistory } = useApp();
+  const { activeView, setActiveView, activeChannel, setActiveChannel, servers, serverDetails, onlineUsers, activeServerApi, ownSocket, dmMessages, loadDMHistory, sendDM } = useApp();
+  const { friends, loadOlderDMs, dmHistory, dmStoreState, dmGroups, sendGroupDM } = useApp();
   const { socket } = useSocket();
   const {
     activeVoiceChannelId,
@@ -159,13 +200,37 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
   const [showFxMenu, setShowFxMenu] = useState(false);
   const [showMicDeviceList, setShowMicDeviceList] = useState(false);
   const [showOutputDeviceList, setShowOutputDeviceList] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editContent, setEditContent] = useState('');
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [threadRootId, setThreadRootId] = useState(null);
+  const [highlightId, setHighlightId] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState(null);
+  const [showMentions, setShowMentions] = useState(false);
+  const [showPins, setShowPins] = useState(false);
+  const [unreadMarker, setUnreadMarker] = useState(null);
+  const [dmSendError, setDmSendError] = useState('');
+  const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+  const [dmArchiveMode, setDmArchiveMode] = useState(null); // 'export' | 'import'
+  const [loadingOlderDMs, setLoadingOlderDMs] = useState(false);
+  const pendingDMJumpRef = useRef(null);
+  const [dmVerification, setDmVerification] = useState('unverified');
+  const [showGroupSettings, setShowGroupSettings] = useState(false);
 
   const messagesEndRef = useRef(null);
   const containerRef = useRef(null);
   const activeConversationRef = useRef('none');
   const voiceControlsRef = useRef(null);
+  const pendingJumpRef = useRef(null);
 
-  const isDM = activeView?.type === 'friend';
+  const isFriendDM = activeView?.type === 'friend';
+  const isGroupDM = activeView?.type === 'group';
+  const isDM = isFriendDM || isGroupDM;
+  // Kept current by dm-group:updated, unlike activeView.data
+  const group = isGroupDM ? dmGroups.find((g) => g.id === activeView?.id) || activeView?.data : null;
+  const dmName = isGroupDM ? group?.name : activeView?.data?.display_name;
 
   // DMs come from AppContext in-memory store; channel messages from local state
   const currentMessages = isDM ? (dmMessages[activeView?.id] || []) : messages;
@@ -177,7 +242,7 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
   const isForum = activeChannel?.type === 'forum';
   const isAnnouncements = activeChannel?.type === 'announcements';
   const isInThisVoiceChannel = isVoice && activeVoiceChannelId === activeChannel?.id;
-  const channelName = isDM ? activeView?.data?.display_name : activeChannel?.name;
+  const channelName = isDM ? dmName : activeChannel?.name;
 
   const activeConversationKey = isDM
     ? `dm:${activeView?.id || ''}`
@@ -212,7 +277,15 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
       try {
         const data = await activeServerApi.getMessages(activeChannel.id);
         if (activeConversationRef.current !== conversationKey) return;
-        setMessages(data.messages || []);
+        const latest = data.messages || [];
+        // Keep older pages fetched by jumpToMessage below the refreshed window
+        setMessages((prev) => {
+          const oldest = latest[0]?.created_at;
+          const older = oldest
+            ? prev.filter((m) => m.channel_id === activeChannel.id && m.created_at < oldest)
+            : [];
+          return [...older, ...latest];
+        });
       } catch (err) {
         if (activeConversationRef.current === conversationKey) {
           console.error(err);
@@ -223,7 +296,7 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
         }
       }
     },
-    [isDM, activeChannel?.id, isVoice, activeConversationKey, activeServerApi, activeView?.id, loadDMHistory]
+    [isDM, activeChannel?.id, isVoice, activeConversationKey, activeServerApi, activeView?.id, loadDMHistory, dmStoreState]
   );
 
   useEffect(() => {
@@ -243,10 +316,35 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
       if (activeChannel?.id === channelId) loadMessages(false);
     };
 
-    const handleTyping = ({ userId, username, channelId, isDM: isDMTyping, isTyping }) => {
+    const handleMessageUpdated = ({ channelId, message }) => {
+      if (activeChannel?.id !== channelId) return;
+      setMessages((prev) => prev.map((m) => (m.id === message.id ? { ...message, reactions: m.reactions } : m)));
+    };
+
+    const handlePinUpdate = ({ channelId, message }) => {
+      if (activeChannel?.id !== channelId) return;
+      setMessages((prev) => prev.map((m) => (m.id === message.id ? { ...message, reactions: m.reactions } : m)));
+    };
+
+    const handleReactionUpdate = (event) => {
+      if (activeChannel?.id !== event.channelId || event.targetType !== 'message') return;
+      setMessages((prev) => updateReactionsIn(prev, event.targetId, (r) => applyReactionUpdate(r, event, user?.id)));
+    };
+
+    const handleMessageDeleted = ({ channelId, messageId, threadId }) => {
+      if (activeChannel?.id !== channelId) return;
+      setMessages((prev) => prev
+        .filter((m) => m.id !== messageId)
+        .map((m) => (m.id === threadId ? { ...m, thread_count: Math.max(0, (m.thread_count || 0) - 1) } : m)));
+      setEditingId((current) => (current === messageId ? null : current));
+      setReplyingTo((current) => (current?.id === messageId ? null : current));
+      setThreadRootId((current) => (current === messageId ? null : current));
+    };
+
+    const handleTyping = ({ userId, username, channelId, isDM: isDMTyping, groupId, isTyping }) => {
       if (userId === user.id) return;
       const isRelevant = isDMTyping
-        ? isDM && userId === activeView?.id
+        ? isDM && (groupId ? groupId === activeView?.id : userId === activeView?.id)
         : channelId === activeChannel?.id;
       if (!isRelevant) return;
 
@@ -263,11 +361,27 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
     // Channel message events: own/local servers use ownSocket, NoVoice Cloud uses central socket
     socket?.on('message:new', handleNewMessage);
     ownSocket?.on('message:new', handleNewMessage);
+    socket?.on('message:updated', handleMessageUpdated);
+    ownSocket?.on('message:updated', handleMessageUpdated);
+    socket?.on('message:deleted', handleMessageDeleted);
+    ownSocket?.on('message:deleted', handleMessageDeleted);
+    socket?.on('pin:update', handlePinUpdate);
+    ownSocket?.on('pin:update', handlePinUpdate);
+    socket?.on('reaction:update', handleReactionUpdate);
+    ownSocket?.on('reaction:update', handleReactionUpdate);
     socket?.on('typing:update', handleTyping);
 
     return () => {
       socket?.off('message:new', handleNewMessage);
       ownSocket?.off('message:new', handleNewMessage);
+      socket?.off('message:updated', handleMessageUpdated);
+      ownSocket?.off('message:updated', handleMessageUpdated);
+      socket?.off('message:deleted', handleMessageDeleted);
+      ownSocket?.off('message:deleted', handleMessageDeleted);
+      socket?.off('pin:update', handlePinUpdate);
+      ownSocket?.off('pin:update', handlePinUpdate);
+      socket?.off('reaction:update', handleReactionUpdate);
+      ownSocket?.off('reaction:update', handleReactionUpdate);
       socket?.off('typing:update', handleTyping);
     };
   }, [socket, ownSocket, isDM, activeView?.id, activeChannel?.id, user?.id, loadMessages]);
@@ -307,14 +421,281 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
     (content) => {
       if (!content.trim()) return;
       if (isDM) {
-        socket?.emit('dm:send', { receiverId: activeView.id, content });
+        // Encrypted for the friend's (or members') and our own devices; the server only relays it
+        (isGroupDM ? sendGroupDM : sendDM)(activeView.id, content)
+          .then(() => setDmSendError(''))
+          .catch((err) => setDmSendError(err.message));
       } else if (activeChannel) {
-        socket?.emit('message:send', { channelId: activeChannel.id, content });
+        socket?.emit('message:send', { channelId: activeChannel.id, content, replyToId: replyingTo?.id });
+        setReplyingTo(null);
       }
     },
-    [socket, isDM, activeView?.id, activeChannel?.id]
+    [socket, isDM, isGroupDM, activeView?.id, activeChannel?.id, replyingTo?.id, sendDM, sendGroupDM]
   );
 
+  // Header shield for the DM's verification state (SafetyNumberModal)
+  useEffect(() => {
+    setDmSendError('');
+    setShowSafetyNumber(false);
+    setShowGroupSettings(false);
+    setDmVerification('unverified');
+    if (!isFriendDM || !user?.id || !activeView?.id) return undefined;
+    let cancelled = false;
+    const friendId = activeView.id;
+    getSafetyNumber(user.id, friendId)
+      .then(({ groups }) => {
+        if (!cancelled) setDmVerification(getVerificationState(user.id, friendId, groups.join('')));
+      })
+      .catch(console.error);
+    return () => { cancelled = true; };
+  }, [isFriendDM, activeView?.id, user?.id]);
+
+  // ── Replies and threads ──────────────────────────────────────────────────
+  useEffect(() => {
+    setReplyingTo(null);
+    setThreadRootId(null);
+  }, [activeConversationKey]);
+
+  const threadRoot = threadRootId ? messages.find((m) => m.id === threadRootId) : null;
+
+  const highlightMessage = (messageId) => {
+    document.getElementById(`message-${messageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setHighlightId(messageId);
+    setTimeout(() => setHighlightId((current) => (current === messageId ? null : current)), 2000);
+  };
+
+  // Scrolls to a quoted message, paging back through history when it isn't loaded yet
+  const jumpToMessage = async (messageId) => {
+    if (messages.some((m) => m.id === messageId)) {
+      highlightMessage(messageId);
+      return;
+    }
+    const conversationKey = activeConversationKey;
+    let loaded = messages;
+    for (let page = 0; page < JUMP_MAX_PAGES && loaded.length > 0; page += 1) {
+      try {
+        const data = await activeServerApi.getMessages(activeChannel.id, { before: loaded[0].created_at });
+        if (activeConversationRef.current !== conversationKey) return;
+        const older = data.messages || [];
+        if (older.length === 0) break;
+        loaded = [...older, ...loaded];
+        setMessages((prev) => [...older.filter((m) => !prev.some((p) => p.id === m.id)), ...prev]);
+        if (older.some((m) => m.id === messageId)) {
+          setTimeout(() => highlightMessage(messageId), 50);
+          return;
+        }
+      } catch (err) {
+        console.error(err);
+        return;
+      }
+    }
+  };
+
+  // ── Search ───────────────────────────────────────────────────────────────
+  const submitSearch = (e) => {
+    e.preventDefault();
+    const query = searchInput.trim();
+    if (!query) return;
+    setShowMentions(false);
+    setShowPins(false);
+    // DMs are searched in the local history, across all conversations
+    setSearch(isDM ? { dm: true, query } : { serverId: activeView.id, query });
+  };
+
+  // ── DM history ───────────────────────────────────────────────────────────
+  const loadOlderDMPage = async () => {
+    const friendId = activeView?.id;
+    const oldest = currentMessages[0]?.created_at;
+    if (!friendId || !oldest) return;
+    const container = containerRef.current;
+    const previousHeight = container?.scrollHeight || 0;
+    setLoadingOlderDMs(true);
+    try {
+      await loadOlderDMs(friendId, oldest);
+      // Keep the messages the user was reading in place
+      requestAnimationFrame(() => {
+        if (container) container.scrollTop += container.scrollHeight - previousHeight;
+      });
+    } catch (err) {
+      console.error(err);
+    }
+    setLoadingOlderDMs(false);
+  };
+
+  // Pages back through local history until the message is loaded
+  const jumpToDMMessage = async ({ id, created_at: createdAt }) => {
+    const friendId = activeView?.id;
+    let oldest = (dmMessages[friendId] || [])[0]?.created_at;
+    try {
+      while (oldest && oldest > createdAt) {
+        const older = await loadOlderDMs(friendId, oldest);
+        if (older.length === 0) break;
+        oldest = older[0].created_at;
+      }
+    } catch (err) {
+      console.error(err);
+    }
+    setTimeout(() => highlightMessage(id), 50);
+  };
+
+  const openDMResult = (result) => {
+    const conversationId = result.group_id || result.friend_id;
+    if (conversationId === activeView?.id) {
+      jumpToDMMessage(result);
+      return;
+    }
+    const view = result.group_id
+      ? dmGroups.filter((g) => g.id === result.group_id).map((g) => ({ type: 'group', id: g.id, data: g }))[0]
+      : friends.filter((f) => f.id === result.friend_id).map((f) => ({ type: 'friend', id: f.id, data: f }))[0];
+    if (!view) return;
+    pendingDMJumpRef.current = { ...result, conversationId };
+    setActiveView(view);
+  };
+
+  // Waits for the target conversation's history before jumping
+  useEffect(() => {
+    const pending = pendingDMJumpRef.current;
+    if (!pending || !isDM || activeView?.id !== pending.conversationId) return;
+    if (!dmMessages[pending.conversationId]?.length) return;
+    pendingDMJumpRef.current = null;
+    jumpToDMMessage(pending);
+  }, [dmMessages, isDM, activeView?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Opens a search result, inbox mention or pin in its server and channel. Thread
+  // replies open the thread next to their root message.
+  const openMessageInContext = (result) => {
+    const messageId = result.thread_id || result.id;
+    if (result.channel_id === activeChannel?.id) {
+      jumpToMessage(messageId);
+      if (result.thread_id) setThreadRootId(result.thread_id);
+      return;
+    }
+
+    const serverId = result.server_id || activeView?.id;
+    const server = servers.find((s) => s.id === serverId);
+    if (!server) return;
+    const channel = serverDetails[serverId]?.channels?.find((c) => c.id === result.channel_id)
+      || { id: result.channel_id, server_id: serverId, name: result.channel_name, type: 'text' };
+
+    pendingJumpRef.current = { channelId: channel.id, messageId, threadId: result.thread_id };
+    if (activeView?.type !== 'server' || activeView.id !== serverId) {
+      setActiveView({ type: 'server', id: serverId, data: server });
+    }
+    setActiveChannel(channel);
+  };
+
+  // Waits for the target channel's messages before jumping
+  useEffect(() => {
+    const pending = pendingJumpRef.current;
+    if (!pending || loading || pending.channelId !== activeChannel?.id) return;
+    if (!messages.some((m) => m.channel_id === pending.channelId)) return;
+    pendingJumpRef.current = null;
+    jumpToMessage(pending.messageId);
+    if (pending.threadId) setThreadRootId(pending.threadId);
+  }, [messages, loading, activeChannel?.id]);
+
+  // ── Read state ───────────────────────────────────────────────────────────
+  // Only servers listed by GET /api/servers carry read markers
+  const channelUnread = isDM
+    ? null
+    : servers.find((s) => s.id === activeView?.id)?.unreads?.channels?.[activeChannel?.id] || null;
+
+  // Remember where the user left off so the divider stays put while reading
+  useEffect(() => {
+    setUnreadMarker(channelUnread?.unread_count > 0 ? channelUnread.last_read_at : null);
+  }, [activeConversationKey]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const mentionTotal = servers.reduce((total, s) => total + (s.unreads?.mention_count || 0), 0);
+
+  const latestMessage = isDM ? null : messages[messages.length - 1];
+  const firstUnreadId = unreadMarker
+    ? messages.find((m) => m.created_at > unreadMarker && m.sender_id !== user?.id)?.id
+    : null;
+
+  useEffect(() => {
+    if (loading || !latestMessage || !channelUnread) return;
+    if (latestMessage.channel_id !== activeChannel?.id || latestMessage.created_at <= channelUnread.last_read_at) return;
+
+    const markRead = () => {
+      if (document.visibilityState !== 'visible') return;
+      activeServerApi.markChannelRead(latestMessage.channel_id, latestMessage.id).catch(console.error);
+    };
+    markRead();
+    document.addEventListener('visibilitychange', markRead);
+    return () => document.removeEventListener('visibilitychange', markRead);
+  }, [loading, latestMessage?.id, channelUnread?.last_read_at, activeChannel?.id, activeServerApi]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // ── Editing / deleting channel messages ──────────────────────────────────
+  const startEdit = (msg) => {
+    setEditingId(msg.id);
+    setEditContent(msg.content);
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setEditContent('');
+  };
+
+  const saveEdit = async (msg) => {
+    const content = editContent.trim();
+    if (!content) return;
+    if (content === msg.content) {
+      cancelEdit();
+      return;
+    }
+    setSavingEdit(true);
+    try {
+      const data = await activeServerApi.editMessage(activeChannel.id, msg.id, content);
+      setMessages((prev) => prev.map((m) => (m.id === msg.id ? { ...data.message, reactions: m.reactions } : m)));
+      cancelEdit();
+    } catch (err) {
+      console.error(err);
+    }
+    setSavingEdit(false);
+  };
+
+  const handleDeleteMessage = async (msg) => {
+    if (!window.confirm('Delete this message?')) return;
+    try {
+      await activeServerApi.deleteMessage(activeChannel.id, msg.id);
+      setMessages((prev) => prev.filter((m) => m.id !== msg.id));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleSuppressEmbeds = async (msg) => {
+    try {
+      const data = await activeServerApi.suppressEmbeds(activeChannel.id, msg.id);
+      setMessages((prev) => prev.map((m) => (m.id === msg.id ? { ...data.message, reactions: m.reactions } : m)));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  // The pin notice arrives through message:new like any other message
+  const handleTogglePin = async (msg) => {
+    try {
+      const data = msg.pinned_at
+        ? await activeServerApi.unpinMessage(activeChannel.id, msg.id)
+        : await activeServerApi.pinMessage(activeChannel.id, msg.id);
+      setMessages((prev) => prev.map((m) => (m.id === msg.id ? { ...data.message, reactions: m.reactions } : m)));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleToggleReaction = async (msg, emoji, me) => {
+    try {
+      const summary = me
+        ? await activeServerApi.removeReaction('message', msg.id, emoji)
+        : await activeServerApi.addReaction('message', msg.id, emoji);
+      setMessages((prev) => updateReactionsIn(prev, msg.id, (r) => setReactionSummary(r, summary)));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
   const handleJoinVoice = useCallback(() => {
     if (activeChannel?.id) joinVoice(activeChannel.id);
   }, [activeChannel?.id, joinVoice]);
@@ -350,8 +731,16 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
     if (!showOutputMenu) setShowOutputDeviceList(false);
   }, [showOutputMenu]);
 
-  const serverObj = serverDetails[activeView?.id]?.server;
-  const isOwner = serverObj?.owner_id === user?.id;
+  const serverPermissions = getServerPermissions(serverDetails[activeView?.id], user?.id);
+  const canPostAnnouncements = hasPermission(serverPermissions, PERMISSIONS.POST_ANNOUNCEMENTS);
+  const canManageMusic = hasPermission(serverPermissions, PERMISSIONS.MANAGE_MUSIC);
+  const channelPermissions = getChannelPermissions(
+    serverDetails[activeView?.id]?.channels?.find((c) => c.id === activeChannel?.id)
+  );
+  const canSendMessages = isDM || hasPermission(channelPermissions, PERMISSIONS.SEND_MESSAGES);
+  const canManageMessages = !isDM && hasPermission(channelPermissions, PERMISSIONS.MANAGE_MESSAGES);
+  const timeoutUntil = !isDM
+    && serverDetails[activeView?.id]?.members?.find((m) => m.id === user?.id)?.timeout_until;
 
   // ── Special channel type routing ──────────────────────────────────────────
   if (isRules) {
@@ -447,7 +836,7 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
     const micButtonLabel = inputMode === 'ptt'
       ? (pttPressed && !selfMuted ? 'Talking' : 'PTT')
       : (selfMuted ? 'Muted' : 'Mic');
-    const canControlMusic = isOwner || isInThisVoiceChannel;
+    const canControlMusic = canManageMusic || isInThisVoiceChannel;
     const musicStateForChannel = voiceMusicState?.channelId === activeChannel?.id
       ? voiceMusicState
       : null;
@@ -473,7 +862,7 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
             channelId={activeChannel?.id}
             canControlMusic={canControlMusic}
             isInThisVoiceChannel={isInThisVoiceChannel}
-            isOwner={isOwner}
+            canManageMusic={canManageMusic}
             musicState={voiceMusicState}
             musicPositionSec={voiceMusicPositionSec}
             musicError={voiceMusicError}
@@ -1133,155 +1522,558 @@ export default function ChatArea({ onToggleMembers, showMembers }) {
   }
 
   return (
-    <div className="flex-1 flex flex-col bg-nv-content min-w-0">
-      {/* Channel header */}
-      <div className="h-12 flex items-center px-4 border-b border-white/[0.05] shrink-0 gap-2">
-        <div className="flex items-center gap-2 flex-1 min-w-0">
-          {isDM ? (
-            <UserAvatar user={activeView?.data} size="xs" />
-          ) : (() => {
-            const HIcon = CHANNEL_HEADER_ICONS[activeChannel?.type] || Hash;
-            return <HIcon size={16} className="text-nv-text-tertiary shrink-0" />;
+    <>
+      <div className="flex-1 flex flex-col bg-nv-content min-w-0">
+        {/* Channel header */}
+        <div className="h-12 flex items-center px-4 border-b border-white/[0.05] shrink-0 gap-2">
+          <div className="flex items-center gap-2 flex-1 min-w-0">
+            {isGroupDM ? (
+              <GroupIcon group={group} size="xs" />
+            ) : isDM ? (
+              <UserAvatar user={activeView?.data} size="xs" />
+            ) : (() => {
+              const HIcon = CHANNEL_HEADER_ICONS[activeChannel?.type] || Hash;
+              return <HIcon size={16} className="text-nv-text-tertiary shrink-0" />;
+            })()}
+            <span className="text-sm font-semibold text-nv-text-primary truncate">
+              {channelName || 'Select a channel'}
+            </span>
+          </div>
+
+          {isGroupDM && (
+            <button
+              onClick={() => setShowGroupSettings(true)}
+              className="w-8 h-8 rounded-lg flex items-center justify-center transition-all shrink-0 text-nv-text-tertiary hover:bg-white/5 hover:text-nv-text-secondary"
+              title="Group settings"
+            >
+              <Settings size={15} />
+            </button>
+          )}
+
+          {isFriendDM && (() => {
+            const ShieldIcon = { verified: ShieldCheck, changed: ShieldAlert }[dmVerification] || Shield;
+            return (
+              <button
+                onClick={() => setShowSafetyNumber(true)}
+                className={`w-8 h-8 rounded-lg flex items-center justify-center transition-all shrink-0 hover:bg-white/5 ${
+                  dmVerification === 'verified'
+                    ? 'text-nv-accent'
+                    : dmVerification === 'changed'
+                      ? 'text-nv-warning'
+                      : 'text-nv-text-tertiary hover:text-nv-text-secondary'
+                }`}
+                title={dmVerification === 'changed' ? 'Safety number changed — verify again' : 'Verify encryption'}
+              >
+                <ShieldIcon size={15} />
+              </button>
+            );
           })()}
-          <span className="text-sm font-semibold text-nv-text-primary truncate">
-            {channelName || 'Select a channel'}
-          </span>
-        </div>
 
-        {!isDM && onToggleMembers && (
+          {isDM && (
+            <>
+              <button
+                onClick={() => setDmArchiveMode('export')}
+                disabled={dmStoreState !== 'unlocked'}
+                className="w-8 h-8 rounded-lg flex items-center justify-center transition-all shrink-0 text-nv-text-tertiary hover:bg-white/5 hover:text-nv-text-secondary disabled:opacity-40 disabled:pointer-events-none"
+                title="Export conversation"
+              >
+                <Download size={15} />
+              </button>
+              <button
+                onClick={() => setDmArchiveMode('import')}
+                disabled={dmStoreState !== 'unlocked'}
+                className="w-8 h-8 rounded-lg flex items-center justify-center transition-all shrink-0 text-nv-text-tertiary hover:bg-white/5 hover:text-nv-text-secondary disabled:opacity-40 disabled:pointer-events-none"
+                title="Import conversation"
+              >
+                <Upload size={15} />
+              </button>
+            </>
+          )}
+
           <button
-            onClick={onToggleMembers}
-            className={`w-8 h-8 rounded-lg flex items-center justify-center transition-all shrink-0 ${
-              showMembers
+            onClick={() => { setShowMentions((v) => !v); setShowPins(false); setSearch(null); }}
+            className={`relative w-8 h-8 rounded-lg flex items-center justify-center transition-all shrink-0 ${
+              showMentions
                 ? 'bg-white/10 text-nv-text-primary'
                 : 'text-nv-text-tertiary hover:bg-white/5 hover:text-nv-text-secondary'
             }`}
-            title="Toggle member list"
+            title="Mentions"
           >
-            <UsersRound size={15} />
+            <AtSign size={15} />
+            {mentionTotal > 0 && (
+              <span className="absolute -top-0.5 -right-0.5 min-w-[14px] h-3.5 px-0.5 rounded-full bg-nv-danger text-[8px] font-bold flex items-center justify-center text-white leading-none">
+                {mentionTotal > 99 ? '99+' : mentionTotal}
+              </span>
+            )}
           </button>
-        )}
-      </div>
 
-      {/* Messages */}
-      <div
-        ref={containerRef}
-        className="flex-1 overflow-y-auto px-4 py-4 space-y-0.5"
-      >
-        {loading && (
-          <div className="flex items-center justify-center py-8">
-            <div className="w-5 h-5 rounded-full border-2 border-nv-accent border-t-transparent animate-spin" />
-          </div>
-        )}
+          {!isDM && (
+            <button
+              onClick={() => { setShowPins((v) => !v); setShowMentions(false); setSearch(null); }}
+              className={`w-8 h-8 rounded-lg flex items-center justify-center transition-all shrink-0 ${
+                showPins
+                  ? 'bg-white/10 text-nv-text-primary'
+                  : 'text-nv-text-tertiary hover:bg-white/5 hover:text-nv-text-secondary'
+              }`}
+              title="Pinned messages"
+            >
+              <Pin size={15} />
+            </button>
+          )}
 
-        {!loading && currentMessages.length === 0 && (
-          <motion.div
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            className="flex flex-col items-center justify-center py-12"
-          >
-            <div className="w-16 h-16 rounded-2xl bg-nv-surface/30 flex items-center justify-center mb-4">
-              {isDM ? (
-                <UserAvatar user={activeView?.data} size="lg" />
-              ) : (
-                <Hash size={28} className="text-nv-text-tertiary" />
-              )}
+          <form onSubmit={submitSearch} className="relative shrink-0">
+            <Search size={12} className="absolute left-2.5 top-1/2 -translate-y-1/2 text-nv-text-tertiary pointer-events-none" />
+            <input
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder={isDM ? 'Search DMs' : 'Search'}
+              title={isDM
+                ? 'Search your DMs — only on this device, the server has no copy'
+                : 'Search messages — filters: from:, in:#, has:image|video|file|link, before:, after:'}
+              className="w-44 focus:w-60 h-7 pl-7 pr-2.5 rounded-lg bg-white/[0.04] border border-white/[0.06] text-xs text-nv-text-primary placeholder:text-nv-text-tertiary focus:outline-none focus:border-nv-accent/40 transition-all"
+            />
+          </form>
+
+          {!isDM && onToggleMembers && (
+            <button
+              onClick={onToggleMembers}
+              className={`w-8 h-8 rounded-lg flex items-center justify-center transition-all shrink-0 ${
+                showMembers
+                  ? 'bg-white/10 text-nv-text-primary'
+                  : 'text-nv-text-tertiary hover:bg-white/5 hover:text-nv-text-secondary'
+              }`}
+              title="Toggle member list"
+            >
+              <UsersRound size={15} />
+            </button>
+          )}
+        </div>
+
+        {isDM && dmStoreState === 'locked' && <DMHistoryLock />}
+
+        {/* Messages */}
+        <div
+          ref={containerRef}
+          className="flex-1 overflow-y-auto px-4 py-4 space-y-0.5"
+        >
+          {isDM && !loading && dmHistory[activeView?.id]?.hasMore && currentMessages.length > 0 && (
+            <div className="flex justify-center pb-3">
+              <button
+                onClick={loadOlderDMPage}
+                disabled={loadingOlderDMs}
+                className="text-[11px] px-3 py-1 rounded-lg text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.04] disabled:opacity-40 transition-all"
+              >
+                {loadingOlderDMs ? 'Loading…' : 'Load older messages'}
+              </button>
             </div>
-            <h3 className="text-lg font-semibold text-nv-text-primary mb-1">
-              {isDM
-                ? `Chat with ${activeView?.data?.display_name}`
-                : `Welcome to #${activeChannel?.name}`}
-            </h3>
-            <p className="text-sm text-nv-text-secondary">
-              Send the first message to start the conversation.
-            </p>
-          </motion.div>
-        )}
+          )}
 
-        {currentMessages.map((msg, i) => {
-          const isOwn = msg.sender_id === user.id;
-          const grouped = shouldGroup(currentMessages[i - 1], msg);
+          {loading && (
+            <div className="flex items-center justify-center py-8">
+              <div className="w-5 h-5 rounded-full border-2 border-nv-accent border-t-transparent animate-spin" />
+            </div>
+          )}
 
-          return (
+          {!loading && currentMessages.length === 0 && (
             <motion.div
-              key={msg.id}
-              initial={{ opacity: 0, y: 4 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ duration: 0.12 }}
-              className={`flex gap-3 px-2 py-0.5 rounded-lg hover:bg-white/[0.025] transition-colors group ${
-                grouped ? '' : 'mt-3'
-              }`}
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              className="flex flex-col items-center justify-center py-12"
             >
-              <div className="w-10 shrink-0">
-                {!grouped && <UserAvatar user={msg} size="md" />}
-              </div>
-              <div className="flex-1 min-w-0">
-                {!grouped && (
-                  <div className="flex items-baseline gap-2 mb-0.5">
-                    <span
-                      className={`text-sm font-semibold ${
-                        isOwn ? 'text-nv-accent' : 'text-nv-text-primary'
-                      }`}
-                    >
-                      {msg.display_name}
-                    </span>
-                    <span className="text-[10px] text-nv-text-tertiary">
-                      {formatTime(msg.created_at)}
-                    </span>
-                  </div>
+              <div className="w-16 h-16 rounded-2xl bg-nv-surface/30 flex items-center justify-center mb-4">
+                {isGroupDM ? (
+                  <GroupIcon group={group} size="xl" />
+                ) : isDM ? (
+                  <UserAvatar user={activeView?.data} size="lg" />
+                ) : (
+                  <Hash size={28} className="text-nv-text-tertiary" />
                 )}
-                <MessageContent content={msg.content} />
               </div>
+              <h3 className="text-lg font-semibold text-nv-text-primary mb-1">
+                {isDM
+                  ? `Chat with ${dmName}`
+                  : `Welcome to #${activeChannel?.name}`}
+              </h3>
+              <p className="text-sm text-nv-text-secondary">
+                Send the first message to start the conversation.
+              </p>
             </motion.div>
-          );
-        })}
+          )}
 
-        <div ref={messagesEndRef} />
-      </div>
+          {currentMessages.map((msg, i) => {
+            const isOwn = msg.sender_id === user.id;
+            const grouped = shouldGroup(currentMessages[i - 1], msg);
+            const isEditing = editingId === msg.id;
+            // DMs are relayed, not stored — only channel messages can be changed
+            const canEdit = !isDM && isOwn;
+            const canDelete = !isDM && (isOwn || canManageMessages);
+            const canReply = !isDM && canSendMessages;
+            const unreadDivider = msg.id === firstUnreadId && (
+              <div className="flex items-center gap-2 pt-3 pb-1 select-none">
+                <div className="flex-1 h-px bg-nv-danger/40" />
+                <span className="text-[10px] font-semibold uppercase tracking-wider text-nv-danger">New messages</span>
+              </div>
+            );
 
-      {/* Typing indicator */}
-      <AnimatePresence>
-        {typingUsers.length > 0 && (
-          <motion.div
-            initial={{ opacity: 0, height: 0 }}
-            animate={{ opacity: 1, height: 24 }}
-            exit={{ opacity: 0, height: 0 }}
-            className="px-4 flex items-center"
-          >
-            <span className="text-xs text-nv-text-tertiary flex items-center gap-1.5">
-              <span className="flex gap-0.5">
-                <span className="w-1 h-1 rounded-full bg-nv-text-tertiary animate-bounce [animation-delay:0ms]" />
-                <span className="w-1 h-1 rounded-full bg-nv-text-tertiary animate-bounce [animation-delay:150ms]" />
-                <span className="w-1 h-1 rounded-full bg-nv-text-tertiary animate-bounce [animation-delay:300ms]" />
+            if (msg.type === 'pin') {
+              return (
+                <Fragment key={msg.id}>
+                  {unreadDivider}
+                  <div
+                    id={`message-${msg.id}`}
+                    className={`relative flex items-center gap-3 px-2 py-1 mt-3 rounded-lg transition-colors group ${
+                      highlightId === msg.id ? 'bg-nv-accent/[0.08]' : 'hover:bg-white/[0.025]'
+                    }`}
+                  >
+                    <div className="w-10 shrink-0 flex justify-center">
+                      <Pin size={14} className="text-nv-text-tertiary" />
+                    </div>
+                    <p className="flex-1 min-w-0 text-xs text-nv-text-secondary">
+                      <span className="font-semibold text-nv-text-primary">{msg.display_name}</span>
+                      {' pinned '}
+                      {msg.reply_to ? (
+                        <button onClick={() => jumpToMessage(msg.reply_to_id)} className="font-medium text-nv-text-primary hover:underline">
+                          a message
+                        </button>
+                      ) : 'a message that has since been deleted'}
+                      {' to this channel. See all '}
+                      <button
+                        onClick={() => { setShowPins(true); setShowMentions(false); setSearch(null); }}
+                        className="font-medium text-nv-text-primary hover:underline"
+                      >
+                        pinned messages
+                      </button>
+                      .
+                      <span className="ml-2 text-[10px] text-nv-text-tertiary">{formatTime(msg.created_at)}</span>
+                    </p>
+                    {canDelete && (
+                      <button
+                        onClick={() => handleDeleteMessage(msg)}
+                        className="w-6 h-6 rounded-md flex items-center justify-center opacity-0 group-hover:opacity-100 text-nv-text-tertiary hover:text-nv-danger hover:bg-nv-danger/10 transition-all shrink-0"
+                        title="Delete message"
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    )}
+                  </div>
+                </Fragment>
+              );
+            }
+
+            return (
+              <Fragment key={msg.id}>
+                {unreadDivider}
+                <motion.div
+                  initial={{ opacity: 0, y: 4 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.12 }}
+                  id={`message-${msg.id}`}
+                  className={`relative flex gap-3 px-2 py-0.5 rounded-lg transition-colors group ${
+                    grouped ? '' : 'mt-3'
+                  } ${highlightId === msg.id ? 'bg-nv-accent/[0.08]' : 'hover:bg-white/[0.025]'}`}
+                >
+                  {(canEdit || canDelete || canReply || canManageMessages) && !isEditing && (
+                    <div className="absolute right-2 -top-2 flex items-center gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity rounded-lg bg-nv-channels border border-white/[0.06] shadow-elevation-1 p-0.5">
+                      {canReply && (
+                        <>
+                          <button
+                            onClick={() => setReplyingTo(msg)}
+                            className="w-6 h-6 rounded-md flex items-center justify-center text-nv-text-tertiary hover:text-nv-accent hover:bg-nv-accent/10 transition-all"
+                            title="Reply"
+                          >
+                            <Reply size={12} />
+                          </button>
+                          <button
+                            onClick={() => setThreadRootId(msg.id)}
+                            className="w-6 h-6 rounded-md flex items-center justify-center text-nv-text-tertiary hover:text-nv-accent hover:bg-nv-accent/10 transition-all"
+                            title={msg.thread_count ? 'Open thread' : 'Start thread'}
+                          >
+                            <MessagesSquare size={12} />
+                          </button>
+                        </>
+                      )}
+                      {canManageMessages && (
+                        <button
+                          onClick={() => handleTogglePin(msg)}
+                          className="w-6 h-6 rounded-md flex items-center justify-center text-nv-text-tertiary hover:text-nv-accent hover:bg-nv-accent/10 transition-all"
+                          title={msg.pinned_at ? 'Unpin message' : 'Pin message'}
+                        >
+                          {msg.pinned_at ? <PinOff size={12} /> : <Pin size={12} />}
+                        </button>
+                      )}
+                      {canEdit && (
+                        <button
+                          onClick={() => startEdit(msg)}
+                          className="w-6 h-6 rounded-md flex items-center justify-center text-nv-text-tertiary hover:text-nv-accent hover:bg-nv-accent/10 transition-all"
+                          title="Edit message"
+                        >
+                          <Pencil size={12} />
+                        </button>
+                      )}
+                      {canDelete && (
+                        <button
+                          onClick={() => handleDeleteMessage(msg)}
+                          className="w-6 h-6 rounded-md flex items-center justify-center text-nv-text-tertiary hover:text-nv-danger hover:bg-nv-danger/10 transition-all"
+                          title="Delete message"
+                        >
+                          <Trash2 size={12} />
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  <div className="w-10 shrink-0">
+                    {!grouped && <UserAvatar user={msg} size="md" />}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    {msg.reply_to_id && <ReplyQuote parent={msg.reply_to} onJump={jumpToMessage} />}
+                    {!grouped && (
+                      <div className="flex items-baseline gap-2 mb-0.5">
+                        <span
+                          className={`text-sm font-semibold ${
+                            isOwn ? 'text-nv-accent' : 'text-nv-text-primary'
+                          }`}
+                        >
+                          {msg.display_name}
+                        </span>
+                        <span className="text-[10px] text-nv-text-tertiary">
+                          {formatTime(msg.created_at)}
+                        </span>
+                      </div>
+                    )}
+                    {isEditing ? (
+                      <div className="rounded-xl bg-nv-surface/40 border border-white/[0.07] mt-0.5">
+                        <textarea
+                          value={editContent}
+                          onChange={(e) => setEditContent(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Escape') cancelEdit();
+                            if (e.key === 'Enter' && !e.shiftKey) {
+                              e.preventDefault();
+                              saveEdit(msg);
+                            }
+                          }}
+                          rows={2}
+                          autoFocus
+                          className="w-full bg-transparent text-sm text-nv-text-primary resize-none focus:outline-none leading-relaxed px-3 pt-2 pb-1"
+                        />
+                        <div className="flex items-center justify-between px-3 pb-2">
+                          <span className="text-[10px] text-nv-text-tertiary">Escape to cancel · Enter to save</span>
+                          <div className="flex items-center gap-1.5">
+                            <button
+                              onClick={cancelEdit}
+                              className="px-2.5 py-1 rounded-lg text-[11px] text-nv-text-tertiary hover:text-nv-text-primary transition-colors"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={() => saveEdit(msg)}
+                              disabled={!editContent.trim() || savingEdit}
+                              className="flex items-center gap-1 px-2.5 py-1 rounded-lg text-[11px] font-medium bg-nv-accent/20 text-nv-accent hover:bg-nv-accent/30 transition-all disabled:opacity-40"
+                            >
+                              <Check size={10} />
+                              Save
+                            </button>
+                          </div>
+                        </div>
+                      </div>
+                    ) : (
+                      <>
+                        {msg.undecryptable ? (
+                          <p className="text-sm italic text-nv-text-tertiary">
+                            This message can't be decrypted on this device.
+                          </p>
+                        ) : (
+                          <MessageContent content={msg.content} attachments={msg.attachments} />
+                        )}
+                        <LinkEmbeds
+                          embeds={msg.embeds}
+                          onSuppress={canDelete ? () => handleSuppressEmbeds(msg) : undefined}
+                        />
+                        {msg.edited_at && (
+                          <span
+                            className="text-[10px] text-nv-text-tertiary"
+                            title={`Edited ${new Date(msg.edited_at).toLocaleString()}`}
+                          >
+                            (edited)
+                          </span>
+                        )}
+                        {msg.pinned_at && (
+                          <span
+                            className="inline-flex items-center gap-0.5 ml-1 text-[10px] text-nv-text-tertiary"
+                            title={`Pinned ${new Date(msg.pinned_at).toLocaleString()}`}
+                          >
+                            <Pin size={9} />
+                            pinned
+                          </span>
+                        )}
+                        {!isDM && (
+                          <ReactionBar
+                            reactions={msg.reactions}
+                            canReact={canSendMessages}
+                            onToggle={(emoji, me) => handleToggleReaction(msg, emoji, me)}
+                            className={msg.reactions?.length ? 'mt-1' : 'absolute right-2 bottom-0.5'}
+                            pickerClassName="absolute bottom-full right-0 mb-2"
+                          />
+                        )}
+                        {msg.thread_count > 0 && (
+                          <button
+                            onClick={() => setThreadRootId(msg.id)}
+                            className="flex items-center gap-1.5 mt-1 px-2 py-1 rounded-lg text-[11px] font-medium text-nv-accent bg-nv-accent/[0.06] hover:bg-nv-accent/[0.12] transition-all"
+                          >
+                            <MessagesSquare size={11} />
+                            {msg.thread_count} {msg.thread_count === 1 ? 'reply' : 'replies'}
+                            {msg.thread_last_at && (
+                              <span className="font-normal text-nv-text-tertiary">· {formatTime(msg.thread_last_at)}</span>
+                            )}
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                </motion.div>
+              </Fragment>
+            );
+          })}
+
+          <div ref={messagesEndRef} />
+        </div>
+
+        {/* Typing indicator */}
+        <AnimatePresence>
+          {typingUsers.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, height: 0 }}
+              animate={{ opacity: 1, height: 24 }}
+              exit={{ opacity: 0, height: 0 }}
+              className="px-4 flex items-center"
+            >
+              <span className="text-xs text-nv-text-tertiary flex items-center gap-1.5">
+                <span className="flex gap-0.5">
+                  <span className="w-1 h-1 rounded-full bg-nv-text-tertiary animate-bounce [animation-delay:0ms]" />
+                  <span className="w-1 h-1 rounded-full bg-nv-text-tertiary animate-bounce [animation-delay:150ms]" />
+                  <span className="w-1 h-1 rounded-full bg-nv-text-tertiary animate-bounce [animation-delay:300ms]" />
+                </span>
+                {typingUsers.map((u) => u.username).join(', ')} is typing...
               </span>
-              {typingUsers.map((u) => u.username).join(', ')} is typing...
-            </span>
-          </motion.div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {replyingTo && (
+          <div className="flex items-center gap-2 mx-4 px-3 py-1.5 rounded-t-xl bg-white/[0.03] border border-b-0 border-white/[0.06] text-[11px] text-nv-text-tertiary">
+            <Reply size={11} className="shrink-0" />
+            <span className="shrink-0">Replying to</span>
+            <span className="font-medium text-nv-text-secondary truncate">{replyingTo.display_name}</span>
+            <button
+              onClick={() => setReplyingTo(null)}
+              title="Cancel reply"
+              className="ml-auto w-5 h-5 rounded-md flex items-center justify-center hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
+            >
+              <X size={11} />
+            </button>
+          </div>
         )}
-      </AnimatePresence>
 
-      {/* Message input — hidden for non-owners in announcements channels */}
-      {(!isAnnouncements || isOwner) ? (
-        <MessageInput
-          onSend={handleSend}
-          placeholder={
-            isDM
-              ? `Message ${activeView?.data?.display_name}`
-              : isAnnouncements
-              ? `Announce to #${activeChannel?.name || ''}`
-              : `Message #${activeChannel?.name || ''}`
-          }
-          channelId={isDM ? activeView?.id : activeChannel?.id}
-          isDM={isDM}
-          targetId={isDM ? activeView?.id : null}
+        {/* Message input — hidden without SEND_MESSAGES, or POST_ANNOUNCEMENTS in announcements */}
+        {isDM && dmSendError && (
+          <p className="px-4 pt-1.5 text-[11px] text-nv-danger">{dmSendError}</p>
+        )}
+        {canSendMessages && (!isAnnouncements || canPostAnnouncements) ? (
+          <MessageInput
+            onSend={handleSend}
+            placeholder={
+              isDM
+                ? `Message ${dmName}`
+                : isAnnouncements
+                ? `Announce to #${activeChannel?.name || ''}`
+                : `Message #${activeChannel?.name || ''}`
+            }
+            channelId={isDM ? activeView?.id : activeChannel?.id}
+            isDM={isDM}
+            targetId={isFriendDM ? activeView?.id : null}
+            groupId={isGroupDM ? activeView?.id : null}
+          />
+        ) : (
+          <div className="px-4 py-3 border-t border-white/[0.05] text-center">
+            <p className="text-xs text-nv-text-tertiary">
+              {timeoutUntil
+                ? `You are timed out until ${new Date(timeoutUntil).toLocaleString()}.`
+                : 'You do not have permission to send messages in this channel.'}
+            </p>
+          </div>
+        )}
+      </div>
+      <AnimatePresence>
+        {threadRoot && (
+          <ThreadPanel
+            key={threadRoot.id}
+            channel={activeChannel}
+            root={threadRoot}
+            canSendMessages={canSendMessages}
+            canManageMessages={canManageMessages}
+            onClose={() => setThreadRootId(null)}
+          />
+        )}
+      </AnimatePresence>
+      <AnimatePresence>
+        {search?.dm && isDM && (
+          <DMSearchPanel
+            key={search.query}
+            query={search.query}
+            onJump={openDMResult}
+            onClose={() => setSearch(null)}
+          />
+        )}
+        {search && !isDM && search.serverId === activeView?.id && (
+          <SearchPanel
+            key={search.query}
+            serverId={search.serverId}
+            query={search.query}
+            onJump={openMessageInContext}
+            onClose={() => setSearch(null)}
+          />
+        )}
+      </AnimatePresence>
+      <AnimatePresence>
+        {showMentions && (
+          <MentionsPanel
+            onJump={openMessageInContext}
+            onClose={() => setShowMentions(false)}
+          />
+        )}
+      </AnimatePresence>
+      <AnimatePresence>
+        {showPins && !isDM && activeChannel && (
+          <PinsPanel
+            key={activeChannel.id}
+            channel={activeChannel}
+            canManageMessages={canManageMessages}
+            onJump={openMessageInContext}
+            onClose={() => setShowPins(false)}
+          />
+        )}
+      </AnimatePresence>
+      {isFriendDM && (
+        <SafetyNumberModal
+          isOpen={showSafetyNumber}
+          onClose={() => setShowSafetyNumber(false)}
+          friend={activeView?.data}
+          onChange={setDmVerification}
         />
-      ) : (
-        <div className="px-4 py-3 border-t border-white/[0.05] text-center">
-          <p className="text-xs text-nv-text-tertiary">
-            Only the server owner can post announcements.
-          </p>
-        </div>
       )}
-    </div>
+      {isDM && (
+        <DMArchiveModal
+          isOpen={Boolean(dmArchiveMode)}
+          mode={dmArchiveMode}
+          onClose={() => setDmArchiveMode(null)}
+          friend={isGroupDM ? { id: activeView?.id, display_name: dmName } : activeView?.data}
+          // Shows what was imported into the open conversation (newest page)
+          onImported={({ friendId }) => { if (friendId === activeView?.id) loadOlderDMs(friendId).catch(console.error); }}
+        />
+      )}
+      {isGroupDM && group && (
+        <DMGroupModal isOpen={showGroupSettings} onClose={() => setShowGroupSettings(false)} group={group} />
+      )}
+    </>
   );
 }
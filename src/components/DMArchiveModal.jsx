@@ -0,0 +1,144 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Check, FileUp, Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import { useAuth } from '../context/AuthContext';
+import { exportConversation, importConversation } from '../utils/dmStorage';
+
+// ── DMArchiveModal ───────────────────────────────────────────────────────────
+// Exports the conversation with `friend` to a passphrase-encrypted file, or
+// (mode 'import') adds one back to local history. `onImported(result)` gets
+// { friendId, imported } so the open conversation can reload.
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export default function DMArchiveModal({ isOpen, onClose, mode, friend, onImported }) {
+  const { user } = useAuth();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [file, setFile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const isExport = mode === 'export';
+
+  const handleClose = () => {
+    setPassphrase('');
+    setConfirm('');
+    setFile(null);
+    setError('');
+    setSuccess('');
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    if (isExport && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (isExport && passphrase !== confirm) {
+      setError('The passphrases do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      if (isExport) {
+        const { blob, count } = await exportConversation(user.id, friend.id, passphrase);
+        const date = new Date().toISOString().slice(0, 10);
+        downloadBlob(blob, `novoice-dm-${friend.username || friend.id}-${date}.json`);
+        setSuccess(`Exported ${count} message${count === 1 ? '' : 's'}`);
+      } else {
+        const result = await importConversation(user.id, await file.text(), passphrase);
+        setSuccess(result.imported === 0
+          ? 'Everything in this archive was already here'
+          : `Imported ${result.imported} message${result.imported === 1 ? '' : 's'}`);
+        onImported?.(result);
+      }
+      setPassphrase('');
+      setConfirm('');
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title={isExport ? 'Export conversation' : 'Import conversation'}>
+      <p className="text-sm text-nv-text-secondary mb-4">
+        {isExport
+          ? `Saves your DMs with ${friend?.display_name} to a file, encrypted with a passphrase. You need the passphrase to import it on another device.`
+          : 'Adds the messages of an exported conversation archive to your local history.'}
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {!isExport && (
+          <label className="nv-input flex items-center gap-2 cursor-pointer">
+            <FileUp size={16} className="text-nv-text-tertiary shrink-0" />
+            <span className={`truncate ${file ? 'text-nv-text-primary' : 'text-nv-text-tertiary'}`}>
+              {file ? file.name : 'Choose an archive file'}
+            </span>
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => { setFile(e.target.files?.[0] || null); setError(''); setSuccess(''); }}
+            />
+          </label>
+        )}
+        <input
+          type="password"
+          placeholder="Passphrase"
+          value={passphrase}
+          onChange={(e) => { setPassphrase(e.target.value); setError(''); }}
+          className="nv-input"
+          autoFocus
+        />
+        {isExport && (
+          <input
+            type="password"
+            placeholder="Repeat passphrase"
+            value={confirm}
+            onChange={(e) => { setConfirm(e.target.value); setError(''); }}
+            className="nv-input"
+          />
+        )}
+
+        {error && <p className="text-nv-danger text-xs font-medium">{error}</p>}
+        {success && (
+          <p className="text-nv-accent text-xs font-medium flex items-center gap-1">
+            <Check size={14} />
+            {success}
+          </p>
+        )}
+
+        <div className="flex justify-end gap-2 pt-2">
+          <button type="button" onClick={handleClose} className="nv-button-ghost">
+            {success ? 'Done' : 'Cancel'}
+          </button>
+          <motion.button
+            type="submit"
+            disabled={loading || !passphrase || (!isExport && !file)}
+            whileTap={{ scale: 0.97 }}
+            className="nv-button-primary disabled:opacity-40"
+          >
+            {loading ? <Loader2 size={16} className="animate-spin" /> : isExport ? 'Export' : 'Import'}
+          </motion.button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,256 @@
+import { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Check, Crown, Loader2, LogOut, Smile, X } from 'lucide-react';
+import Modal from './Modal';
+import EmojiPicker from './EmojiPicker';
+import GroupIcon from './GroupIcon';
+import UserAvatar from './UserAvatar';
+import api from '../utils/api';
+import { useAuth } from '../context/AuthContext';
+import { useApp } from '../context/AppContext';
+
+// ── DMGroupModal ─────────────────────────────────────────────────────────────
+// Starts a group DM with some friends (no `group`), or manages one: name and
+// icon, adding friends, removing members (owner only) and leaving. Mirrors
+// the limits of server/services/dmGroups.js.
+
+const MAX_GROUP_MEMBERS = 10;
+
+export default function DMGroupModal({ isOpen, onClose, group = null }) {
+  const { user } = useAuth();
+  const { friends, setDmGroups, activeView, setActiveView } = useApp();
+  const [name, setName] = useState('');
+  const [icon, setIcon] = useState(null);
+  const [showPicker, setShowPicker] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const memberIds = new Set(group?.members.map((m) => m.id) || []);
+  const isOwner = group?.owner_id === user?.id;
+  const candidates = friends.filter((f) => !memberIds.has(f.id));
+  const room = MAX_GROUP_MEMBERS - (group ? group.members.length : 1);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(group?.name || '');
+    setIcon(group?.icon || null);
+    setSelected([]);
+    setShowPicker(false);
+    setError('');
+  }, [isOpen, group?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const storeGroup = (updated) => {
+    setDmGroups((prev) => [updated, ...prev.filter((g) => g.id !== updated.id)]);
+  };
+
+  const run = async (task) => {
+    setLoading(true);
+    setError('');
+    try {
+      await task();
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  const toggleFriend = (friendId) => {
+    setSelected((prev) => (prev.includes(friendId)
+      ? prev.filter((id) => id !== friendId)
+      : prev.length < room ? [...prev, friendId] : prev));
+  };
+
+  const handleCreate = () => run(async () => {
+    const data = await api.createDMGroup({ name: name.trim() || undefined, icon, memberIds: selected });
+    storeGroup(data.group);
+    setActiveView({ type: 'group', id: data.group.id, data: data.group });
+    onClose();
+  });
+
+  const handleSave = () => run(async () => {
+    const data = await api.updateDMGroup(group.id, { name: name.trim(), icon });
+    storeGroup(data.group);
+  });
+
+  const handleAdd = () => run(async () => {
+    const data = await api.addDMGroupMembers(group.id, selected);
+    storeGroup(data.group);
+    setSelected([]);
+  });
+
+  const handleRemove = (memberId) => run(async () => {
+    const data = await api.removeDMGroupMember(group.id, memberId);
+    if (memberId !== user.id) {
+      storeGroup(data.group);
+      return;
+    }
+    setDmGroups((prev) => prev.filter((g) => g.id !== group.id));
+    if (activeView?.type === 'group' && activeView.id === group.id) setActiveView(null);
+    onClose();
+  });
+
+  const detailsChanged = group && (name.trim() !== group.name || icon !== (group.icon || null));
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={group ? 'Group settings' : 'New group DM'}>
+      {!group && (
+        <p className="text-sm text-nv-text-secondary mb-4">
+          Pick at least two friends. Group DMs are end-to-end encrypted like any DM, for up
+          to {MAX_GROUP_MEMBERS} people.
+        </p>
+      )}
+
+      <div className="space-y-4">
+        <div className="flex items-center gap-3">
+          <div className="relative">
+            <button
+              type="button"
+              onClick={() => setShowPicker((v) => !v)}
+              className="relative rounded-full hover:opacity-80 transition-opacity"
+              title="Choose an icon"
+            >
+              <GroupIcon group={{ icon, icon_color: group?.icon_color }} size="md" />
+              <span className="absolute -bottom-0.5 -right-0.5 w-4 h-4 rounded-full bg-nv-channels border border-white/[0.1] flex items-center justify-center">
+                <Smile size={10} className="text-nv-text-secondary" />
+              </span>
+            </button>
+            <AnimatePresence>
+              {showPicker && (
+                <EmojiPicker
+                  onSelect={(emoji) => { setIcon(emoji); setShowPicker(false); }}
+                  className="absolute top-full left-0 mt-2"
+                />
+              )}
+            </AnimatePresence>
+          </div>
+          <input
+            type="text"
+            placeholder={group ? 'Group name' : 'Group name (optional)'}
+            value={name}
+            maxLength={64}
+            onChange={(e) => setName(e.target.value)}
+            className="nv-input flex-1"
+          />
+          {icon && (
+            <button
+              type="button"
+              onClick={() => setIcon(null)}
+              className="text-[11px] text-nv-text-tertiary hover:text-nv-text-secondary shrink-0"
+            >
+              Remove icon
+            </button>
+          )}
+        </div>
+
+        {group && (
+          <div className="space-y-1">
+            <p className="text-[11px] font-semibold uppercase tracking-wider text-nv-text-tertiary">
+              Members — {group.members.length}
+            </p>
+            {group.members.map((member) => (
+              <div key={member.id} className="flex items-center gap-2.5 px-2 py-1.5 rounded-lg hover:bg-white/[0.03]">
+                <UserAvatar user={member} size="xs" />
+                <span className="flex-1 min-w-0 text-xs text-nv-text-primary truncate">
+                  {member.display_name}
+                  {member.id === user?.id && <span className="text-nv-text-tertiary"> (you)</span>}
+                </span>
+                {member.id === group.owner_id && <Crown size={12} className="text-nv-warning shrink-0" />}
+                {isOwner && member.id !== user?.id && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(member.id)}
+                    disabled={loading}
+                    className="w-5 h-5 rounded-md flex items-center justify-center text-nv-text-tertiary hover:text-nv-danger hover:bg-white/[0.06] disabled:opacity-40"
+                    title="Remove from group"
+                  >
+                    <X size={11} />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-1">
+          <p className="text-[11px] font-semibold uppercase tracking-wider text-nv-text-tertiary">
+            {group ? 'Add friends' : 'Friends'}
+            {room > 0 && ` — ${selected.length}/${room}`}
+          </p>
+          {candidates.length === 0 ? (
+            <p className="text-xs text-nv-text-tertiary px-2 py-1.5">
+              {group ? 'All your friends are in this group.' : 'Add some friends first.'}
+            </p>
+          ) : room <= 0 ? (
+            <p className="text-xs text-nv-text-tertiary px-2 py-1.5">This group is full.</p>
+          ) : (
+            <div className="max-h-48 overflow-y-auto space-y-0.5">
+              {candidates.map((friend) => {
+                const checked = selected.includes(friend.id);
+                return (
+                  <button
+                    key={friend.id}
+                    type="button"
+                    onClick={() => toggleFriend(friend.id)}
+                    className="w-full flex items-center gap-2.5 px-2 py-1.5 rounded-lg hover:bg-white/[0.04] text-left"
+                  >
+                    <UserAvatar user={friend} size="xs" />
+                    <span className="flex-1 min-w-0 text-xs text-nv-text-primary truncate">{friend.display_name}</span>
+                    <span className={`w-4 h-4 rounded-md border flex items-center justify-center shrink-0 ${
+                      checked ? 'bg-nv-accent border-nv-accent text-white' : 'border-white/[0.15]'
+                    }`}>
+                      {checked && <Check size={11} />}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {error && <p className="text-nv-danger text-xs font-medium">{error}</p>}
+
+        <div className="flex items-center justify-end gap-2 pt-2">
+          {group ? (
+            <>
+              <button
+                type="button"
+                onClick={() => handleRemove(user.id)}
+                disabled={loading}
+                className="mr-auto flex items-center gap-1.5 text-xs text-nv-danger hover:underline disabled:opacity-40"
+              >
+                <LogOut size={13} />
+                Leave group
+              </button>
+              {selected.length > 0 && (
+                <button type="button" onClick={handleAdd} disabled={loading} className="nv-button-ghost">
+                  Add {selected.length}
+                </button>
+              )}
+              <motion.button
+                onClick={handleSave}
+                disabled={loading || !detailsChanged || !name.trim()}
+                whileTap={{ scale: 0.97 }}
+                className="nv-button-primary disabled:opacity-40"
+              >
+                {loading ? <Loader2 size={16} className="animate-spin" /> : 'Save'}
+              </motion.button>
+            </>
+          ) : (
+            <>
+              <button type="button" onClick={onClose} className="nv-button-ghost">Cancel</button>
+              <motion.button
+                onClick={handleCreate}
+                disabled={loading || selected.length < 2}
+                whileTap={{ scale: 0.97 }}
+                className="nv-button-primary disabled:opacity-40"
+              >
+                {loading ? <Loader2 size={16} className="animate-spin" /> : 'Create group'}
+              </motion.button>
+            </>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
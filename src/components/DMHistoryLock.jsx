@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { Lock, Loader2 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { unlockDMStore, resetDMStore } from '../utils/dmStorage';
+
+// ── DMHistoryLock ────────────────────────────────────────────────────────────
+// Shown above a DM while the encrypted local history is locked — after a
+// sign-in that restored the session without the password, or when the
+// password changed since the history was created. New messages still arrive
+// and are saved once it's unlocked. "Start over" deletes the old history.
+export default function DMHistoryLock() {
+  const { user } = useAuth();
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [confirmReset, setConfirmReset] = useState(false);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      await unlockDMStore(user.id, { password });
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  const handleReset = async () => {
+    if (!confirmReset) {
+      setConfirmReset(true);
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      await resetDMStore(user.id);
+      if (password) await unlockDMStore(user.id, { password });
+    } catch (err) {
+      setError(err.message);
+    }
+    setConfirmReset(false);
+    setLoading(false);
+  };
+
+  return (
+    <div className="mx-4 mt-3 px-3 py-2.5 rounded-xl bg-nv-warning/10 border border-nv-warning/20">
+      <div className="flex items-center gap-2 text-xs text-nv-text-secondary">
+        <Lock size={13} className="text-nv-warning shrink-0" />
+        <span>Your DM history on this device is encrypted. Enter your password to read it.</span>
+      </div>
+      <form onSubmit={handleUnlock} className="flex items-center gap-2 mt-2">
+        <input
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => { setPassword(e.target.value); setError(''); }}
+          className="flex-1 min-w-0 px-2.5 py-1.5 rounded-lg bg-black/20 border border-white/[0.06] text-xs text-nv-text-primary placeholder:text-nv-text-tertiary outline-none focus:border-nv-accent/40"
+        />
+        <button
+          type="submit"
+          disabled={loading || !password}
+          className="px-3 py-1.5 rounded-lg text-xs font-medium bg-nv-accent/20 text-nv-accent hover:bg-nv-accent/30 disabled:opacity-40 transition-all"
+        >
+          {loading ? <Loader2 size={13} className="animate-spin" /> : 'Unlock'}
+        </button>
+        <button
+          type="button"
+          onClick={handleReset}
+          disabled={loading || (confirmReset && !password)}
+          title="Delete the history you can't unlock and keep new messages with this password"
+          className={`px-2 py-1.5 rounded-lg text-[11px] transition-all disabled:opacity-40 ${
+            confirmReset ? 'text-nv-danger bg-nv-danger/10' : 'text-nv-text-tertiary hover:text-nv-text-secondary'
+          }`}
+        >
+          {confirmReset ? 'Delete old history?' : 'Start over'}
+        </button>
+      </form>
+      {confirmReset && !password && (
+        <p className="text-[11px] text-nv-text-tertiary mt-1.5">Enter your current password first, then confirm.</p>
+      )}
+      {error && <p className="text-[11px] text-nv-danger mt-1.5">{error}</p>}
+    </div>
+  );
+}
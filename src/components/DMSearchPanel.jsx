@@ -0,0 +1,115 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { X, Search, AtSign } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useApp } from '../context/AppContext';
+import UserAvatar from './UserAvatar';
+import { toPlainText } from './MessageContent';
+import { formatDate, highlight } from './SearchPanel';
+import { searchMessages } from '../utils/dmStorage';
+
+const SEARCH_PAGE_SIZE = 25;
+
+// ── DMSearchPanel ────────────────────────────────────────────────────────────
+// Full-text search of the local DM history across all conversations, newest
+// first. It runs on this device only — the server never has DMs to search.
+// `onJump(result)` opens the conversation at the message.
+export default function DMSearchPanel({ query, onJump, onClose }) {
+  const { user } = useAuth();
+  const { friends, dmGroups, dmStoreState } = useApp();
+  const [results, setResults] = useState([]);
+  const [terms, setTerms] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async (before) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await searchMessages(user.id, query, { before, limit: SEARCH_PAGE_SIZE });
+      setResults((prev) => (before ? [...prev, ...data.results] : data.results));
+      setTerms(data.terms);
+      setHasMore(data.results.length === SEARCH_PAGE_SIZE);
+    } catch (err) {
+      setError(err.message);
+      if (!before) setResults([]);
+    }
+    setLoading(false);
+  }, [user.id, query, dmStoreState]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const conversationName = (result) => (result.group_id
+    ? dmGroups.find((g) => g.id === result.group_id)?.name || 'Former group'
+    : friends.find((f) => f.id === result.friend_id)?.display_name || 'Unknown');
+
+  return (
+    <motion.div
+      initial={{ width: 0, opacity: 0 }}
+      animate={{ width: 340, opacity: 1 }}
+      exit={{ width: 0, opacity: 0 }}
+      transition={{ duration: 0.22, ease: [0.25, 0.1, 0.25, 1] }}
+      className="h-full bg-nv-channels border-l border-white/[0.04] flex flex-col shrink-0 overflow-hidden"
+    >
+      <div className="h-12 flex items-center gap-2 px-4 border-b border-white/[0.05] shrink-0">
+        <Search size={15} className="text-nv-text-tertiary shrink-0" />
+        <span className="text-sm font-semibold text-nv-text-primary truncate flex-1">
+          {loading && results.length === 0 ? 'Searching…' : `${results.length}${hasMore ? '+' : ''} results`}
+        </span>
+        <button
+          onClick={onClose}
+          title="Close search"
+          className="w-7 h-7 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-2 py-2 space-y-1">
+        {error && <p className="text-xs text-nv-danger px-2 py-1">{error}</p>}
+
+        {dmStoreState !== 'unlocked' && (
+          <p className="text-xs text-nv-text-tertiary text-center py-10">Unlock your DM history to search it</p>
+        )}
+
+        {dmStoreState === 'unlocked' && !loading && !error && results.length === 0 && (
+          <p className="text-xs text-nv-text-tertiary text-center py-10">No messages found</p>
+        )}
+
+        {results.map((result) => (
+          <button
+            key={result.id}
+            onClick={() => onJump(result)}
+            className="w-full text-left flex gap-2.5 px-2.5 py-2 rounded-xl hover:bg-white/[0.04] transition-colors"
+          >
+            <UserAvatar user={result} size="xs" />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-1.5 text-[10px] text-nv-text-tertiary">
+                <span className="text-xs font-medium text-nv-text-primary truncate">{result.display_name}</span>
+                <AtSign size={10} className="shrink-0" />
+                <span className="truncate">{conversationName(result)}</span>
+                <span className="ml-auto shrink-0">{formatDate(result.created_at)}</span>
+              </div>
+              <p className="text-xs text-nv-text-secondary mt-0.5 line-clamp-3 break-words">
+                {highlight(toPlainText(result.content), terms)}
+              </p>
+            </div>
+          </button>
+        ))}
+
+        {hasMore && (
+          <button
+            onClick={() => load(results[results.length - 1]?.created_at)}
+            disabled={loading}
+            className="w-full text-[11px] py-1.5 rounded-lg text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.04] disabled:opacity-40"
+          >
+            {loading ? 'Loading…' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Check, Loader2, Smartphone } from 'lucide-react';
+import Modal from './Modal';
+import { useApp } from '../context/AppContext';
+import { useDMSync } from '../context/DMSyncContext';
+
+// ── DMSyncModal ──────────────────────────────────────────────────────────────
+// Copies the DM history of another device onto this one. The other devices
+// each show a code; the user allows the copy on the one showing the same code
+// as here. Closing the modal doesn't stop a copy that's under way.
+
+/** How a device of the user is told apart in the sync screens. */
+export function deviceLabel(devices, deviceId) {
+  const addedAt = devices[deviceId];
+  return addedAt ? `Device added ${new Date(addedAt).toLocaleDateString()}` : 'Another device';
+}
+
+const STATUS_COPY = {
+  declined: 'Your other devices declined the copy.',
+  done: 'Your DM history is on this device now.',
+};
+
+export default function DMSyncModal({ isOpen, onClose }) {
+  const { dmStoreState } = useApp();
+  const { devices, syncRequest, startSync, retrySync, cancelSync } = useDMSync();
+  const [error, setError] = useState('');
+  const [starting, setStarting] = useState(false);
+
+  const handleStart = async () => {
+    setError('');
+    setStarting(true);
+    try {
+      await startSync();
+    } catch (err) {
+      setError(err.message);
+    }
+    setStarting(false);
+  };
+
+  const status = syncRequest?.status;
+  const transferring = status === 'syncing' || status === 'stalled';
+  const percent = syncRequest?.total
+    ? Math.min(100, Math.round((syncRequest.received / syncRequest.total) * 100))
+    : 0;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Copy DMs from another device">
+      <p className="text-sm text-nv-text-secondary mb-4">
+        Your DMs are only stored on your devices. Copy the history from another device where
+        you're signed in — it travels end-to-end encrypted, the server only passes it on.
+      </p>
+
+      {!syncRequest && (
+        <>
+          {dmStoreState !== 'unlocked' && (
+            <p className="text-xs text-nv-warning mb-3">Unlock your DM history on this device first.</p>
+          )}
+          {error && <p className="text-nv-danger text-xs font-medium mb-3">{error}</p>}
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="nv-button-ghost">Cancel</button>
+            <motion.button
+              onClick={handleStart}
+              disabled={starting || dmStoreState !== 'unlocked'}
+              whileTap={{ scale: 0.97 }}
+              className="nv-button-primary disabled:opacity-40"
+            >
+              {starting ? <Loader2 size={16} className="animate-spin" /> : 'Start'}
+            </motion.button>
+          </div>
+        </>
+      )}
+
+      {status === 'waiting' && (
+        <div className="space-y-3">
+          <p className="text-xs text-nv-text-secondary">
+            Open NoVoice on your other device and allow the copy there — but only if it shows the
+            same code as here.
+          </p>
+          {syncRequest.offers.length === 0 ? (
+            <p className="flex items-center gap-2 text-xs text-nv-text-tertiary py-3">
+              <Loader2 size={13} className="animate-spin" />
+              Waiting for your other devices…
+            </p>
+          ) : (
+            syncRequest.offers.map((offer) => (
+              <div key={offer.device} className="flex items-center gap-3 px-3 py-2.5 rounded-xl bg-black/30 border border-white/[0.06]">
+                <Smartphone size={14} className="text-nv-text-tertiary shrink-0" />
+                <span className="flex-1 min-w-0 text-xs text-nv-text-secondary truncate">{deviceLabel(devices, offer.device)}</span>
+                <span className="font-mono text-lg text-nv-text-primary tracking-widest">{offer.code}</span>
+              </div>
+            ))
+          )}
+          <div className="flex justify-end gap-2 pt-1">
+            <button type="button" onClick={cancelSync} className="nv-button-ghost">Cancel</button>
+            <button type="button" onClick={retrySync} className="nv-button-ghost">Ask again</button>
+          </div>
+        </div>
+      )}
+
+      {transferring && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between text-xs text-nv-text-secondary">
+            <span>{deviceLabel(devices, syncRequest.peer)}</span>
+            <span>
+              {syncRequest.received}
+              {syncRequest.total !== null && ` / ${syncRequest.total}`} messages
+            </span>
+          </div>
+          <div className="h-1.5 rounded-full bg-white/[0.06] overflow-hidden">
+            <div className="h-full bg-nv-accent transition-all" style={{ width: `${percent}%` }} />
+          </div>
+          {status === 'stalled' && (
+            <p className="text-xs text-nv-warning">
+              The other device is offline or its history is locked. The copy goes on from here
+              once it's back.
+            </p>
+          )}
+          <div className="flex justify-end gap-2 pt-1">
+            <button type="button" onClick={cancelSync} className="nv-button-ghost">Stop</button>
+            {status === 'stalled' && (
+              <button type="button" onClick={retrySync} className="nv-button-ghost">Retry</button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {(status === 'done' || status === 'declined' || status === 'failed') && (
+        <div className="space-y-3">
+          {status === 'done' ? (
+            <p className="text-nv-accent text-xs font-medium flex items-center gap-1">
+              <Check size={14} />
+              {STATUS_COPY.done} {syncRequest.received} message{syncRequest.received === 1 ? '' : 's'} copied.
+            </p>
+          ) : (
+            <p className="text-nv-danger text-xs font-medium">{syncRequest.error || STATUS_COPY[status]}</p>
+          )}
+          <div className="flex justify-end">
+            <button type="button" onClick={() => { cancelSync(); onClose(); }} className="nv-button-primary">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Loader2 } from 'lucide-react';
+import Modal from './Modal';
+import { useApp } from '../context/AppContext';
+import { useDMSync } from '../context/DMSyncContext';
+import { deviceLabel } from './DMSyncModal';
+
+// ── DMSyncPrompt ─────────────────────────────────────────────────────────────
+// Asks whether another device may copy this device's DM history, one request
+// at a time. The code must match the one the asking device shows; closing the
+// prompt declines.
+export default function DMSyncPrompt() {
+  const { dmStoreState } = useApp();
+  const { devices, syncPrompts, respondToSync } = useDMSync();
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const prompt = syncPrompts[0];
+
+  const respond = async (allow) => {
+    setLoading(true);
+    setError('');
+    try {
+      await respondToSync(prompt.id, allow);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <Modal isOpen={Boolean(prompt)} onClose={() => !loading && respond(false)} title="Copy your DMs?">
+      {prompt && (
+        <>
+          <p className="text-sm text-nv-text-secondary mb-4">
+            {deviceLabel(devices, prompt.device)} asks for a copy of your DM history. Allow it
+            only if it's your device and it shows this code:
+          </p>
+          <div className="px-4 py-3 rounded-xl bg-black/30 border border-white/[0.06] font-mono text-2xl text-nv-text-primary text-center tracking-widest">
+            {prompt.code}
+          </div>
+
+          {dmStoreState !== 'unlocked' && (
+            <p className="text-xs text-nv-warning mt-3">Unlock your DM history on this device to send it.</p>
+          )}
+          {error && <p className="text-nv-danger text-xs font-medium mt-3">{error}</p>}
+
+          <div className="flex justify-end gap-2 pt-4">
+            <button type="button" onClick={() => respond(false)} disabled={loading} className="nv-button-ghost">
+              Decline
+            </button>
+            <motion.button
+              onClick={() => respond(true)}
+              disabled={loading || dmStoreState !== 'unlocked'}
+              whileTap={{ scale: 0.97 }}
+              className="nv-button-primary disabled:opacity-40"
+            >
+              {loading ? <Loader2 size={16} className="animate-spin" /> : 'Allow'}
+            </motion.button>
+          </div>
+        </>
+      )}
+    </Modal>
+  );
+}
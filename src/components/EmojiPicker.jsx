@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+
+// ── Emoji data ─────────────────────────────────────────────────────────────────
+const EMOJI_DATA = [
+  {
+    cat: '😀', name: 'Smileys',
+    emojis: ['😀','😃','😄','😁','😆','😅','🤣','😂','🙂','🙃','😉','😊','😇','🥰','😍','🤩','😘','😗','😚','😙','😋','😛','😜','🤪','😝','🤑','🤗','🤭','🤫','🤔','🤐','🤨','😐','😑','😶','😏','😒','🙄','😬','🤥','😌','😔','😪','🤤','😴','😷','🤒','🤕','🤢','🤮','🤧','🥵','🥶','🥴','😵','🤯','🤠','🥳','😎','🤓','🧐','😕','🙁','☹️','😮','😯','😲','😳','🥺','😦','😧','😨','😰','😥','😢','😭','😱','😖','😣','😞','😩','😫','🥱','😤','😡','😠','🤬','😈','👿','💀','☠️','💩','🤡','👹','👺','👻','👽','👾','🤖'],
+  },
+  {
+    cat: '👋', name: 'People',
+    emojis: ['👋','🤚','🖐️','✋','🖖','👌','🤌','🤏','✌️','🤞','🤟','🤘','🤙','👈','👉','👆','👇','☝️','👍','👎','✊','👊','🤛','🤜','👏','🙌','👐','🤲','🤝','🙏','💅','🤳','💪','🦵','🦶','👂','👃','🧠','🦷','🦴','👀','👁️','👅','💋','🫀','🫁','🦾','🦿','🧏','💆','💇','🚶','🧍','🧎','🏃','💃','🕺','👯','🧖','🧗','🧘','👶','🧒','👦','👧','🧑','👱','👨','🧔','👩','🧓','👴','👵','👮','🕵️','💂','🥷','👷','🫅','🤴','👸','🎅','🤶','🦸','🦹','🧙','🧚','🧛','🧜','🧝','🧞','🧟','🧌'],
+  },
+  {
+    cat: '🐶', name: 'Animals',
+    emojis: ['🐶','🐱','🐭','🐹','🐰','🦊','🐻','🐼','🐨','🐯','🦁','🐮','🐷','🐸','🐵','🙈','🙉','🙊','🐔','🐧','🐦','🐤','🦆','🦅','🦉','🦇','🐺','🐗','🦄','🐝','🪱','🐛','🦋','🐌','🐞','🐜','🪲','🦟','🦗','🕷️','🐢','🐍','🦎','🐊','🦕','🦖','🦈','🐬','🐋','🦑','🦞','🦀','🐡','🐠','🐟','🐅','🐆','🦓','🦍','🐘','🦛','🦏','🐪','🐫','🦒','🦘','🦬','🐃','🐂','🐄','🐎','🐖','🐏','🐑','🦙','🐐','🦌','🐕','🐩','🦮','🐈','🐓','🦃','🦚','🦜','🐇','🦝','🦨','🦡','🦦','🦥','🐿️','🦔'],
+  },
+  {
+    cat: '🍎', name: 'Food',
+    emojis: ['🍎','🍊','🍋','🍇','🍓','🫐','🍈','🍑','🍒','🍍','🥭','🥝','🍅','🫒','🥑','🍆','🥔','🥕','🌽','🌶️','🧄','🧅','🥜','🫘','🍞','🥐','🥖','🧀','🥚','🍳','🧈','🥞','🧇','🥓','🥩','🍗','🍖','🌭','🍔','🍟','🍕','🌮','🌯','🥙','🧆','🥗','🥘','🫕','🍝','🍜','🍲','🍛','🍣','🍱','🥟','🍤','🍙','🍚','🍘','🍥','🥮','🍢','🧁','🍰','🎂','🍮','🍭','🍬','🍫','🍿','🍩','🍪','🍦','🍧','🍨','☕','🍵','🧃','🥤','🧋','🍺','🍻','🥂','🍷','🥃','🍸','🍹','🧉','🍾','🧊'],
+  },
+  {
+    cat: '⚽', name: 'Activities',
+    emojis: ['⚽','🏀','🏈','⚾','🥎','🎾','🏐','🏉','🥏','🎱','🏓','🏸','🏒','🥊','🥋','🎯','🎮','🕹️','🎲','♟️','🎭','🎨','🖼️','🎪','🤹','🎠','🎡','🎢','🎤','🎧','🎼','🎹','🥁','🪘','🎸','🎺','🎷','🎻','🪗','🎬','🎥','📽️','🏋️','🤸','🤺','🏇','⛷️','🏂','🪂','🏊','🤽','🚣','🧗','🚵','🚴','🏆','🥇','🥈','🥉','🏅','🎖️','🎗️','🎫','🎟️','🤼','🏄','🤿','🏌️','🏇','⛹️','🤾'],
+  },
+  {
+    cat: '✈️', name: 'Travel',
+    emojis: ['✈️','🚀','🛸','🚁','🛶','⛵','🚤','🛥️','🛳️','⛴️','🚢','🚂','🚃','🚄','🚅','🚆','🚇','🚈','🚉','🚊','🚝','🚞','🚋','🚌','🚍','🚎','🏎️','🚐','🚑','🚒','🚓','🚕','🚗','🚙','🛻','🚚','🚛','🚜','🛵','🏍️','🚲','🛴','🛹','🛼','⛽','🛞','🚦','🚥','🛑','🗺️','🧭','⛰️','🏔️','🌋','🗻','🏕️','🏖️','🏜️','🏝️','🏞️','🏟️','🏛️','🏗️','🏘️','🏠','🏡','🏢','🏣','🏤','🏥','🏦','🏨','🏩','🏪','🏫','🏬','🏭','🏯','🏰','💒','🗼','🗽','⛪','🕌','🛕'],
+  },
+  {
+    cat: '💡', name: 'Objects',
+    emojis: ['💡','🔦','🕯️','💰','💳','💎','⚖️','🔧','🔨','⚒️','🛠️','⛏️','🔩','🪛','🔬','🔭','📡','🛒','🚪','🪞','🛏️','🛁','🧹','🧺','🧻','🧼','🧽','🪣','🏮','🧯','🛡️','⚙️','📱','💻','⌨️','🖥️','🖨️','🖱️','💾','💿','📀','📷','📸','📹','📺','📻','📞','☎️','📟','📠','⌚','⏰','⏱️','⏳','📚','📖','📰','📝','✏️','🖊️','🖋️','📌','📍','📎','📏','📐','✂️','🔒','🔓','🔑','🗝️','🪆','🧸','🪀','🪁','🎀','🎁','🛍️'],
+  },
+  {
+    cat: '❤️', name: 'Symbols',
+    emojis: ['❤️','🧡','💛','💚','💙','💜','🖤','🤍','🤎','💔','❣️','💕','💞','💓','💗','💖','💘','💝','💟','☮️','✝️','☪️','🕉️','☸️','✡️','🛐','☯️','♈','♉','♊','♋','♌','♍','♎','♏','♐','♑','♒','♓','🔀','🔁','🔂','▶️','⏩','◀️','⏪','🔼','🔽','⏸️','⏹️','⏺️','🎦','🔅','🔆','📶','🔔','🔇','🔈','🔉','🔊','📢','📣','❓','❗','‼️','⁉️','💯','🔴','🟠','🟡','🟢','🔵','🟣','⚫','⚪','🟤','🔶','🔷','🔸','🔹','🔺','🔻','💠','🔘','⬛','⬜','▪️','▫️','🔲','🔳'],
+  },
+];
+
+// ── Component ──────────────────────────────────────────────────────────────────
+// Category tabs plus a grid; the caller positions it through `className` and
+// decides when to close it.
+export default function EmojiPicker({ onSelect, className = '' }) {
+  const [emojiCat, setEmojiCat] = useState(0);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 4, scale: 0.96 }}
+      animate={{ opacity: 1, y: 0, scale: 1 }}
+      exit={{ opacity: 0, y: 4, scale: 0.96 }}
+      transition={{ duration: 0.12 }}
+      className={`${className} w-72 z-50 rounded-2xl bg-nv-channels border border-white/[0.08] shadow-2xl overflow-hidden`}
+    >
+      {/* Category tabs */}
+      <div className="flex items-center gap-0.5 px-2 py-1.5 border-b border-white/[0.06] overflow-x-auto scrollbar-hide">
+        {EMOJI_DATA.map((cat, ci) => (
+          <button
+            key={ci}
+            type="button"
+            onClick={() => setEmojiCat(ci)}
+            title={cat.name}
+            className={`text-base px-1.5 py-0.5 rounded-lg shrink-0 transition-colors ${
+              emojiCat === ci ? 'bg-nv-accent/20' : 'hover:bg-white/[0.06]'
+            }`}
+          >
+            {cat.cat}
+          </button>
+        ))}
+      </div>
+
+      {/* Category name */}
+      <p className="text-[10px] text-nv-text-tertiary uppercase tracking-wide px-3 pt-2 pb-1">
+        {EMOJI_DATA[emojiCat]?.name}
+      </p>
+
+      {/* Emoji grid */}
+      <div className="px-2 pb-2 h-44 overflow-y-auto">
+        <div className="grid grid-cols-9 gap-0.5">
+          {EMOJI_DATA[emojiCat]?.emojis.map((emoji, ei) => (
+            <button
+              key={ei}
+              type="button"
+              onClick={() => onSelect(emoji)}
+              className="text-xl p-1 rounded-lg hover:bg-white/[0.08] transition-colors flex items-center justify-center leading-none"
+              title={emoji}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      </div>
+    </motion.div>
+  );
+}
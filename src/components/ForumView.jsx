@@ -4,7 +4,10 @@ import { MessagesSquare, ArrowLeft, Plus, Send, Trash2, MessageCircle, X } from
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../context/SocketContext';
+import { PERMISSIONS, hasPermission, getServerPermissions, getChannelPermissions } from '../utils/permissions';
+import { setReactionSummary, applyReactionUpdate, updateReactionsIn } from '../utils/reactions';
 import UserAvatar from './UserAvatar';
+import ReactionBar from './ReactionBar';
 
 function formatTime(dateStr) {
   const d = new Date(dateStr);
@@ -21,8 +24,11 @@ export default function ForumView({ channel, serverId }) {
   const { user } = useAuth();
   const { socket } = useSocket();
 
-  const server = serverDetails[serverId]?.server;
-  const isOwner = server?.owner_id === user?.id;
+  const canModerate = hasPermission(getServerPermissions(serverDetails[serverId], user?.id), PERMISSIONS.MANAGE_MESSAGES);
+  const canReact = hasPermission(
+    getChannelPermissions(serverDetails[serverId]?.channels?.find((c) => c.id === channel.id)),
+    PERMISSIONS.SEND_MESSAGES,
+  );
 
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -83,7 +89,39 @@ export default function ForumView({ channel, serverId }) {
 
   useEffect(() => {
     repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [activePost?.replies]);
+  }, [activePost?.replies?.length]);
+
+  // Applies a reaction change to whichever copies of the target are loaded
+  const updateTargetReactions = useCallback((targetType, targetId, update) => {
+    if (targetType === 'forum_post') {
+      setPosts((prev) => updateReactionsIn(prev, targetId, update));
+      setActivePost((prev) => (prev?.post.id === targetId
+        ? { ...prev, post: { ...prev.post, reactions: update(prev.post.reactions) } }
+        : prev));
+    } else if (targetType === 'forum_reply') {
+      setActivePost((prev) => (prev ? { ...prev, replies: updateReactionsIn(prev.replies, targetId, update) } : prev));
+    }
+  }, []);
+
+  useEffect(() => {
+    const handler = (event) => {
+      if (event.channelId !== channel.id) return;
+      updateTargetReactions(event.targetType, event.targetId, (r) => applyReactionUpdate(r, event, user?.id));
+    };
+    socket?.on('reaction:update', handler);
+    return () => socket?.off('reaction:update', handler);
+  }, [socket, channel.id, user?.id, updateTargetReactions]);
+
+  const handleToggleReaction = async (targetType, targetId, emoji, me) => {
+    try {
+      const summary = me
+        ? await activeServerApi.removeReaction(targetType, targetId, emoji)
+        : await activeServerApi.addReaction(targetType, targetId, emoji);
+      updateTargetReactions(targetType, targetId, (r) => setReactionSummary(r, summary));
+    } catch (err) {
+      console.error(err);
+    }
+  };
 
   const handleCreatePost = async (e) => {
     e.preventDefault();
@@ -140,7 +178,7 @@ export default function ForumView({ channel, serverId }) {
   // ── Post detail view ──
   if (activePost) {
     const { post, replies } = activePost;
-    const canDeletePost = isOwner || post.author_id === user?.id;
+    const canDeletePost = canModerate || post.author_id === user?.id;
     return (
       <div className="flex-1 flex flex-col bg-nv-content min-w-0">
         <div className="h-12 flex items-center px-4 border-b border-white/[0.05] shrink-0 gap-2">
@@ -179,6 +217,12 @@ export default function ForumView({ channel, serverId }) {
                   <span className="ml-auto text-[11px] text-nv-text-tertiary">{formatTime(post.created_at)}</span>
                 </div>
                 <p className="text-sm text-nv-text-primary/90 leading-relaxed whitespace-pre-wrap">{post.content}</p>
+                <ReactionBar
+                  reactions={post.reactions}
+                  canReact={canReact}
+                  onToggle={(emoji, me) => handleToggleReaction('forum_post', post.id, emoji, me)}
+                  className="mt-3"
+                />
               </div>
 
               {/* Replies */}
@@ -189,7 +233,7 @@ export default function ForumView({ channel, serverId }) {
                   </p>
                   <div className="space-y-2 pl-4 border-l border-white/[0.06]">
                     {replies.map((reply) => {
-                      const canDelete = isOwner || reply.author_id === user?.id;
+                      const canDelete = canModerate || reply.author_id === user?.id;
                       return (
                         <motion.div
                           key={reply.id}
@@ -204,6 +248,12 @@ export default function ForumView({ channel, serverId }) {
                               <span className="text-[10px] text-nv-text-tertiary">{formatTime(reply.created_at)}</span>
                             </div>
                             <p className="text-sm text-nv-text-primary/80 mt-0.5 leading-relaxed">{reply.content}</p>
+                            <ReactionBar
+                              reactions={reply.reactions}
+                              canReact={canReact}
+                              onToggle={(emoji, me) => handleToggleReaction('forum_reply', reply.id, emoji, me)}
+                              className="mt-1.5"
+                            />
                           </div>
                           {canDelete && (
                             <button
@@ -354,9 +404,15 @@ export default function ForumView({ channel, serverId }) {
                         <MessageCircle size={10} />
                         {post.reply_count}
                       </span>
+                      {post.reactions?.map(({ emoji, count }) => (
+                        <span key={emoji} className="flex items-center gap-0.5 text-[10px] text-nv-text-tertiary">
+                          <span className="text-xs leading-none">{emoji}</span>
+                          {count}
+                        </span>
+                      ))}
                     </div>
                   </div>
-                  {(isOwner || post.author_id === user?.id) && (
+                  {(canModerate || post.author_id === user?.id) && (
                     <button
                       onClick={(e) => { e.stopPropagation(); handleDeletePost(post.id); }}
                       className="w-7 h-7 rounded-lg flex items-center justify-center opacity-0 group-hover:opacity-100 text-nv-text-tertiary hover:text-nv-danger hover:bg-nv-danger/10 transition-all shrink-0"
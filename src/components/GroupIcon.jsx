@@ -0,0 +1,21 @@
+import { Users } from 'lucide-react';
+
+// A group DM's emoji icon on its colour, or a group glyph without one
+export default function GroupIcon({ group, size = 'md' }) {
+  const sizes = {
+    xs: { box: 'w-6 h-6 text-xs', icon: 12 },
+    sm: { box: 'w-8 h-8 text-sm', icon: 14 },
+    md: { box: 'w-10 h-10 text-lg', icon: 18 },
+    lg: { box: 'w-12 h-12 text-xl', icon: 22 },
+    xl: { box: 'w-16 h-16 text-3xl', icon: 28 },
+  };
+
+  return (
+    <div
+      className={`${sizes[size].box} rounded-full flex items-center justify-center text-white shrink-0`}
+      style={{ backgroundColor: group?.icon_color || '#636366' }}
+    >
+      {group?.icon || <Users size={sizes[size].icon} />}
+    </div>
+  );
+}
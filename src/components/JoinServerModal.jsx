@@ -1,6 +1,6 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Loader2, LogIn } from 'lucide-react';
+import { Loader2, LogIn, Users, Clock } from 'lucide-react';
 import Modal from './Modal';
 import api from '../utils/api';
 import { useApp } from '../context/AppContext';
@@ -12,6 +12,33 @@ export default function JoinServerModal({ isOpen, onClose }) {
   const [inviteCode, setInviteCode] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+
+  // Look the code up once the user stops typing
+  useEffect(() => {
+    const code = inviteCode.trim();
+    setPreview(null);
+    if (!code) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setPreviewLoading(true);
+      try {
+        const data = await api.getInvitePreview(code);
+        if (!cancelled) setPreview(data);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      }
+      if (!cancelled) setPreviewLoading(false);
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      setPreviewLoading(false);
+    };
+  }, [inviteCode]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -38,6 +65,7 @@ export default function JoinServerModal({ isOpen, onClose }) {
   const handleClose = () => {
     setInviteCode('');
     setError('');
+    setPreview(null);
     onClose();
   };
 
@@ -60,6 +88,45 @@ export default function JoinServerModal({ isOpen, onClose }) {
           autoFocus
         />
 
+        <AnimatePresence>
+          {preview && (
+            <motion.div
+              initial={{ opacity: 0, y: -5 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0 }}
+              className="flex items-center gap-3 p-3 rounded-xl bg-white/[0.04] border border-white/[0.06]"
+            >
+              <div
+                className="w-10 h-10 rounded-xl flex items-center justify-center text-white text-sm font-bold shrink-0"
+                style={{ backgroundColor: preview.server.icon_color }}
+              >
+                {preview.server.name[0].toUpperCase()}
+              </div>
+              <div className="min-w-0">
+                <p className="text-sm font-semibold text-nv-text-primary truncate">{preview.server.name}</p>
+                <p className="flex items-center gap-1 text-[11px] text-nv-text-tertiary mt-0.5">
+                  <Users size={11} />
+                  {preview.server.member_count} {preview.server.member_count === 1 ? 'member' : 'members'}
+                  {preview.invite.expires_at && (
+                    <>
+                      <Clock size={11} className="ml-1.5" />
+                      Expires {new Date(preview.invite.expires_at).toLocaleString()}
+                    </>
+                  )}
+                </p>
+                {preview.invite.temporary && (
+                  <p className="text-[11px] text-nv-warning mt-0.5">
+                    Temporary membership — you leave when you go offline unless you get a role.
+                  </p>
+                )}
+                {preview.isMember && (
+                  <p className="text-[11px] text-nv-text-secondary mt-0.5">You are already a member.</p>
+                )}
+              </div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
         <AnimatePresence>
           {error && (
             <motion.p
@@ -79,7 +146,7 @@ export default function JoinServerModal({ isOpen, onClose }) {
           </button>
           <motion.button
             type="submit"
-            disabled={loading || !inviteCode.trim()}
+            disabled={loading || previewLoading || !inviteCode.trim() || preview?.isMember}
             whileTap={{ scale: 0.97 }}
             className="nv-button-primary disabled:opacity-40 flex items-center gap-2"
           >
@@ -0,0 +1,72 @@
+import { X } from 'lucide-react';
+
+// ── LinkEmbeds ───────────────────────────────────────────────────────────────
+// Link previews under a message. `embeds` is the message's list as unfurled
+// by the server; `onSuppress` (author or message managers only) removes them
+// from the message for everyone.
+const openExternal = (e) => e.stopPropagation();
+
+function EmbedImage({ image, className }) {
+  return (
+    <img src={image.url} alt="" loading="lazy" referrerPolicy="no-referrer"
+      width={image.width || undefined} height={image.height || undefined}
+      className={className}
+      onError={(e) => { e.currentTarget.style.display = 'none'; }}
+    />
+  );
+}
+
+function LinkEmbed({ embed }) {
+  if (embed.type === 'image') {
+    return (
+      <a href={embed.url} target="_blank" rel="noopener noreferrer" onClick={openExternal} className="block w-fit">
+        <EmbedImage image={embed.image}
+          className="max-w-xs max-h-64 rounded-xl object-contain bg-black/20 border border-white/[0.05]"
+        />
+      </a>
+    );
+  }
+
+  return (
+    <div className="flex gap-3 max-w-md px-3 py-2.5 rounded-xl bg-nv-surface/40 border border-white/[0.07] border-l-2 border-l-nv-accent/60">
+      <div className="flex-1 min-w-0">
+        {embed.site_name && (
+          <span className="block text-[10px] text-nv-text-tertiary truncate">{embed.site_name}</span>
+        )}
+        {embed.title && (
+          <a href={embed.url} target="_blank" rel="noopener noreferrer" onClick={openExternal}
+            className="block text-sm font-semibold text-nv-accent hover:underline underline-offset-2 line-clamp-2"
+          >
+            {embed.title}
+          </a>
+        )}
+        {embed.description && (
+          <p className="text-xs text-nv-text-secondary leading-relaxed mt-0.5 line-clamp-3">{embed.description}</p>
+        )}
+      </div>
+      {embed.image && (
+        <EmbedImage image={embed.image} className="w-16 h-16 rounded-lg object-cover shrink-0 bg-black/20" />
+      )}
+    </div>
+  );
+}
+
+export default function LinkEmbeds({ embeds, onSuppress }) {
+  if (!embeds?.length) return null;
+
+  return (
+    <div className="group/embeds relative flex flex-col gap-1.5 mt-1.5 mb-0.5 w-fit max-w-full">
+      {embeds.map((embed) => <LinkEmbed key={embed.url} embed={embed} />)}
+      {onSuppress && (
+        <button
+          type="button"
+          onClick={(e) => { e.stopPropagation(); onSuppress(); }}
+          title="Remove previews"
+          className="absolute -right-7 top-0 w-5 h-5 rounded-md flex items-center justify-center opacity-0 group-hover/embeds:opacity-100 text-nv-text-tertiary hover:text-nv-danger hover:bg-nv-danger/10 transition-all"
+        >
+          <X size={11} />
+        </button>
+      )}
+    </div>
+  );
+}
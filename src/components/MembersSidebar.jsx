@@ -14,6 +14,7 @@ export default function MembersSidebar({ isOpen }) {
   const details = serverDetails[serverId];
   const server = details?.server;
   const members = details?.members || [];
+  const rolesById = new Map((details?.roles || []).map((role) => [role.id, role]));
 
   const voiceParticipantIds = new Set(voiceParticipants.map((p) => p.id));
 
@@ -21,6 +22,15 @@ export default function MembersSidebar({ isOpen }) {
   const owner = members.find((m) => m.id === server?.owner_id);
   const regularMembers = members.filter((m) => m.id !== server?.owner_id);
 
+  // Highest assigned role that has a color
+  const getRoleColor = (member) => {
+    const colored = (member.role_ids || [])
+      .map((id) => rolesById.get(id))
+      .filter((role) => role?.color)
+      .sort((a, b) => b.position - a.position);
+    return colored[0]?.color || null;
+  };
+
   const getMemberColor = (member) => {
     if (member.id === server?.owner_id) return 'text-nv-danger';
     if (member.id === user?.id) return 'text-nv-accent';
@@ -32,6 +42,7 @@ export default function MembersSidebar({ isOpen }) {
     const inVoice = voiceParticipantIds.has(member.id);
     const isMe = member.id === user?.id;
     const isOwner = member.id === server?.owner_id;
+    const roleColor = isOwner ? null : getRoleColor(member);
 
     return (
       <motion.div
@@ -47,6 +58,7 @@ export default function MembersSidebar({ isOpen }) {
           <div className="flex items-center gap-1">
             <span
               className={`text-xs font-medium truncate ${getMemberColor(member)}`}
+              style={roleColor ? { color: roleColor } : undefined}
             >
               {member.display_name}
               {isMe && ' (you)'}
@@ -0,0 +1,136 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { X, AtSign, Hash, Check } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useSocket } from '../context/SocketContext';
+import api from '../utils/api';
+import UserAvatar from './UserAvatar';
+import { toPlainText } from './MessageContent';
+
+const MENTIONS_PAGE_SIZE = 25;
+
+function formatDate(dateStr) {
+  const d = new Date(dateStr);
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+// ── MentionsPanel ────────────────────────────────────────────────────────────
+// The user's mentions inbox across servers, newest first. Follows mention:new
+// live; `onJump(mention)` opens the message in its channel.
+export default function MentionsPanel({ onJump, onClose }) {
+  const { servers, serverDetails } = useApp();
+  const { socket } = useSocket();
+  const [mentions, setMentions] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async (before) => {
+    setLoading(true);
+    try {
+      const data = await api.getMentions({ before, limit: MENTIONS_PAGE_SIZE });
+      const page = data.mentions || [];
+      setMentions((prev) => (before ? [...prev, ...page] : page));
+      setHasMore(page.length === MENTIONS_PAGE_SIZE);
+    } catch (err) {
+      console.error(err);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const handleMention = ({ serverId, message }) => {
+      setMentions((prev) => (prev.some((m) => m.id === message.id) ? prev : [{ ...message, server_id: serverId }, ...prev]));
+    };
+    socket.on('mention:new', handleMention);
+    return () => socket.off('mention:new', handleMention);
+  }, [socket]);
+
+  const dismiss = async (e, mention) => {
+    e.stopPropagation();
+    setMentions((prev) => prev.filter((m) => m.id !== mention.id));
+    try {
+      await api.dismissMention(mention.id);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ width: 0, opacity: 0 }}
+      animate={{ width: 340, opacity: 1 }}
+      exit={{ width: 0, opacity: 0 }}
+      transition={{ duration: 0.22, ease: [0.25, 0.1, 0.25, 1] }}
+      className="h-full bg-nv-channels border-l border-white/[0.04] flex flex-col shrink-0 overflow-hidden"
+    >
+      <div className="h-12 flex items-center gap-2 px-4 border-b border-white/[0.05] shrink-0">
+        <AtSign size={15} className="text-nv-text-tertiary shrink-0" />
+        <span className="text-sm font-semibold text-nv-text-primary flex-1">Mentions</span>
+        <button
+          onClick={onClose}
+          title="Close mentions"
+          className="w-7 h-7 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-2 py-2 space-y-1">
+        {!loading && mentions.length === 0 && (
+          <p className="text-xs text-nv-text-tertiary text-center py-10">You're all caught up</p>
+        )}
+
+        {mentions.map((mention) => {
+          const details = serverDetails[mention.server_id];
+          // Live mentions arrive without the joined names
+          const serverName = mention.server_name || servers.find((s) => s.id === mention.server_id)?.name;
+          const channelName = mention.channel_name
+            || details?.channels?.find((c) => c.id === mention.channel_id)?.name;
+          return (
+            <div
+              key={mention.id}
+              onClick={() => onJump(mention)}
+              className="group w-full text-left flex gap-2.5 px-2.5 py-2 rounded-xl hover:bg-white/[0.04] transition-colors cursor-pointer"
+            >
+              <UserAvatar user={mention} size="xs" />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-1.5 text-[10px] text-nv-text-tertiary">
+                  <span className="text-xs font-medium text-nv-text-primary truncate">{mention.display_name}</span>
+                  {serverName && <span className="truncate">{serverName}</span>}
+                  <Hash size={10} className="shrink-0" />
+                  <span className="truncate">{channelName}</span>
+                  <span className="ml-auto shrink-0">{formatDate(mention.created_at)}</span>
+                </div>
+                <p className="text-xs text-nv-text-secondary mt-0.5 line-clamp-3 break-words">
+                  {toPlainText(mention.content, details)}
+                </p>
+              </div>
+              <button
+                onClick={(e) => dismiss(e, mention)}
+                title="Mark as done"
+                className="w-6 h-6 rounded-md flex items-center justify-center opacity-0 group-hover:opacity-100 text-nv-text-tertiary hover:text-nv-accent hover:bg-nv-accent/10 transition-all shrink-0 self-start"
+              >
+                <Check size={12} />
+              </button>
+            </div>
+          );
+        })}
+
+        {hasMore && (
+          <button
+            onClick={() => load(mentions[mentions.length - 1]?.created_at)}
+            disabled={loading}
+            className="w-full text-[11px] py-1.5 rounded-lg text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.04] disabled:opacity-40"
+          >
+            {loading ? 'Loading…' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -1,4 +1,12 @@
-import { useMemo } from 'react';
+import { useMemo, useState, useEffect, useCallback } from 'react';
+import { FileText, FileArchive, FileAudio, File as FileIcon, Download, Lock } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useAuth } from '../context/AuthContext';
+import api from '../utils/api';
+import { getMentionLabel } from '../utils/mentions';
+import {
+  formatBytes, parseFileToken, parseEncryptedToken, uploadKind, withMediaToken, decryptBlob,
+} from '../utils/uploads';
 
 // ── Tokenizer ─────────────────────────────────────────────────────────────────
 // Converts raw string into a flat token list. Each token is one of:
@@ -13,7 +21,14 @@ import { useMemo } from 'react';
 //   { type: 'codeblock', value: string }
 //   { type: 'image',     value: url }
 //   { type: 'video',     value: url }
+//   { type: 'file',      url, size, name }
+//   { type: 'encrypted', url, size, mimeType, key, name }
 //   { type: 'link',      label, url }
+//   { type: 'mention_user' | 'mention_role' | 'mention_channel', value: id }
+//   { type: 'mention_everyone' }
+
+const MENTION_TOKEN = /<(@&|@|#)([\w-]+)>/y;
+const MENTION_TYPES = { '@': 'mention_user', '@&': 'mention_role', '#': 'mention_channel' };
 
 function tokenize(raw) {
   const tokens = [];
@@ -57,6 +72,26 @@ function tokenize(raw) {
       }
     }
 
+    // File card — a file: token, see utils/uploads.js
+    if (raw.startsWith('[file:', i)) {
+      const end = raw.indexOf(']', i + 6);
+      if (end !== -1) {
+        flushText(i);
+        tokens.push({ type: 'file', ...parseFileToken(raw.slice(i + 6, end)) });
+        i = end + 1; textStart = i; continue;
+      }
+    }
+
+    // Encrypted DM attachment [enc:url|size|type|key|name]
+    if (raw.startsWith('[enc:', i)) {
+      const end = raw.indexOf(']', i + 5);
+      if (end !== -1) {
+        flushText(i);
+        tokens.push({ type: 'encrypted', ...parseEncryptedToken(raw.slice(i + 5, end)) });
+        i = end + 1; textStart = i; continue;
+      }
+    }
+
     // Bold ** (toggle)
     if (raw.startsWith('**', i)) {
       flushText(i);
@@ -109,6 +144,22 @@ function tokenize(raw) {
       i += 4; textStart = i; continue;
     }
 
+    // Mentions <@id> <@&id> <#id> and @everyone
+    if (raw[i] === '<') {
+      MENTION_TOKEN.lastIndex = i;
+      const match = MENTION_TOKEN.exec(raw);
+      if (match) {
+        flushText(i);
+        tokens.push({ type: MENTION_TYPES[match[1]], value: match[2] });
+        i += match[0].length; textStart = i; continue;
+      }
+    }
+    if (raw.startsWith('@everyone', i) && !/\w/.test(raw[i - 1] || '') && !/\w/.test(raw[i + 9] || '')) {
+      flushText(i);
+      tokens.push({ type: 'mention_everyone' });
+      i += 9; textStart = i; continue;
+    }
+
     // Link [label](url)
     if (raw[i] === '[') {
       const bracketEnd = raw.indexOf('](', i + 1);
@@ -165,10 +216,151 @@ function parseContent(raw) {
   return processTokens(tokenize(raw));
 }
 
+// Markup-free text for previews such as search results. `details` (a server
+// details payload) names the mentioned members, roles and channels.
+export function toPlainText(raw, details) {
+  if (!raw || typeof raw !== 'string') return '';
+  return tokenize(raw).map((token) => {
+    if (token.type === 'text' || token.type === 'codeblock') return token.value;
+    if (token.type.startsWith('mention_')) return getMentionLabel(token, details);
+    if (token.type === 'link') return token.label || token.url;
+    if (token.type === 'image') return '[image]';
+    if (token.type === 'video') return '[video]';
+    if (token.type === 'file' || token.type === 'encrypted') return `[${token.name}]`;
+    return '';
+  }).join('');
+}
+
 // ── Renderer ──────────────────────────────────────────────────────────────────
-const BLOCK_TYPES = new Set(['codeblock', 'image', 'video']);
+const BLOCK_TYPES = new Set(['codeblock', 'image', 'video', 'file', 'encrypted']);
+
+// Segments whose links may need the media token
+const UPLOAD_TYPES = new Set(['image', 'video', 'file', 'encrypted']);
+
+const ARCHIVE_EXTENSIONS = ['zip', 'rar', '7z', 'tar', 'gz', 'tgz', 'bz2', 'xz'];
+const TEXT_EXTENSIONS = ['pdf', 'txt', 'md', 'doc', 'docx', 'odt', 'rtf', 'csv', 'json', 'log'];
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'flac', 'm4a', 'aac', 'opus'];
+
+function fileIconFor(name) {
+  const ext = name.split('.').pop().toLowerCase();
+  if (ARCHIVE_EXTENSIONS.includes(ext)) return FileArchive;
+  if (AUDIO_EXTENSIONS.includes(ext)) return FileAudio;
+  if (TEXT_EXTENSIONS.includes(ext)) return FileText;
+  return FileIcon;
+}
+
+// Inline media box, matching max-w-xs / max-h-64
+const MEDIA_MAX_WIDTH = 320;
+const MEDIA_MAX_HEIGHT = 256;
+
+/** The upload (from message.attachments) a media URL points at, with the URL's server prefix. */
+function findAttachment(url, attachments) {
+  const attachment = attachments?.find((a) => url.endsWith(a.url));
+  return attachment ? { attachment, base: url.slice(0, -attachment.url.length) } : null;
+}
+
+/** Reserves the rendered size of media with known dimensions, so it doesn't reflow on load. */
+function mediaBox({ width, height }) {
+  if (!width || !height) return undefined;
+  const scale = Math.min(1, MEDIA_MAX_WIDTH / width, MEDIA_MAX_HEIGHT / height);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+function imageSrcSet(found, src, authorize) {
+  const { attachment, base } = found;
+  const candidates = ['thumb', 'preview']
+    .map((name) => attachment.variants?.[name])
+    .filter(Boolean)
+    .map((v) => `${authorize(`${base}${v.url}`)} ${v.width}w`);
+  return candidates.length > 0 ? [...candidates, `${src} ${attachment.width}w`].join(', ') : undefined;
+}
+
+const FILE_CARD = 'group/file flex items-center gap-3 max-w-xs mt-1.5 mb-0.5 px-3 py-2.5 rounded-xl bg-nv-surface/40 border border-white/[0.07] hover:border-nv-accent/30 transition-colors';
+
+// ── Encrypted attachments ─────────────────────────────────────────────────────
+// Fetched as ciphertext and decrypted with the key from the message. Images
+// and videos decrypt as soon as they render; other files when clicked.
+function EncryptedAttachment({ seg, authorize }) {
+  const src = authorize(seg.url);
+  const kind = uploadKind(seg.mimeType);
+  const inline = kind === 'image' || kind === 'video';
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [failed, setFailed] = useState(false);
+
+  const decrypt = useCallback(async () => {
+    const response = await fetch(src);
+    if (!response.ok) throw new Error(`Download failed (${response.status})`);
+    const blob = await decryptBlob(await response.arrayBuffer(), seg.key, seg.mimeType);
+    return URL.createObjectURL(blob);
+  }, [src, seg.key, seg.mimeType]);
+
+  useEffect(() => {
+    if (!inline || !src) return undefined;
+    let cancelled = false;
+    let url = null;
+    decrypt()
+      .then((decrypted) => {
+        if (cancelled) URL.revokeObjectURL(decrypted);
+        else { url = decrypted; setObjectUrl(decrypted); }
+      })
+      .catch(() => { if (!cancelled) setFailed(true); });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [inline, src, decrypt]);
+
+  const download = async (e) => {
+    e.stopPropagation();
+    if (!src || busy) return;
+    setBusy(true);
+    try {
+      const url = await decrypt();
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = seg.name;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch {
+      setFailed(true);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (inline && objectUrl) {
+    return kind === 'image' ? (
+      <img src={objectUrl} alt={seg.name}
+        className="max-w-xs max-h-64 rounded-xl mt-1.5 mb-0.5 object-contain bg-black/20 border border-white/[0.05]"
+      />
+    ) : (
+      <video src={objectUrl} controls
+        className="max-w-xs max-h-64 rounded-xl mt-1.5 mb-0.5 bg-black/40 border border-white/[0.05]"
+      />
+    );
+  }
 
-function renderSegment(seg, idx) {
+  const Icon = fileIconFor(seg.name);
+  const status = failed ? 'Could not decrypt' : inline || busy ? 'Decrypting…' : formatBytes(seg.size);
+  return (
+    <button type="button" onClick={inline ? (e) => e.stopPropagation() : download} className={`${FILE_CARD} w-full text-left`}>
+      <Icon size={22} className="text-nv-accent shrink-0" />
+      <span className="flex-1 min-w-0">
+        <span className="block text-sm text-nv-text-primary truncate">{seg.name}</span>
+        <span className={`flex items-center gap-1 text-[10px] ${failed ? 'text-nv-danger' : 'text-nv-text-tertiary'}`}>
+          <Lock size={9} className="shrink-0" />
+          {status}
+        </span>
+      </span>
+      {!inline && <Download size={15} className="text-nv-text-tertiary group-hover/file:text-nv-accent transition-colors shrink-0" />}
+    </button>
+  );
+}
+
+const MENTION_CHIP = 'inline-block px-1 rounded-md font-medium transition-colors';
+
+function renderSegment(seg, idx, mentions, media) {
   switch (seg.type) {
     case 'styled': {
       const { content, bold, underline, strike, color, fontSize } = seg;
@@ -205,20 +397,102 @@ function renderSegment(seg, idx) {
         </a>
       );
 
-    case 'image':
-      return (
-        <img key={idx} src={seg.value} alt="" loading="lazy"
+    case 'image': {
+      const found = findAttachment(seg.value, media.attachments);
+      const box = found && mediaBox(found.attachment);
+      const src = media.authorize(seg.value);
+      if (!src) {
+        // Waiting for the media token; keep the image's space
+        return box ? <div key={idx} style={box} className="rounded-xl mt-1.5 mb-0.5 bg-black/20" /> : null;
+      }
+      const image = (
+        <img key={idx} src={src} alt="" loading="lazy"
+          srcSet={box ? imageSrcSet(found, src, media.authorize) : undefined}
+          sizes={box ? `${box.width}px` : undefined}
+          width={box?.width} height={box?.height} style={box}
           className="max-w-xs max-h-64 rounded-xl mt-1.5 mb-0.5 object-contain bg-black/20 border border-white/[0.05]"
           onError={(e) => { e.currentTarget.style.display = 'none'; }}
         />
       );
+      if (!box) return image;
+      // Variants stand in for the original in the message; the link opens it
+      return (
+        <a key={idx} href={src} target="_blank" rel="noopener noreferrer"
+          onClick={(e) => e.stopPropagation()} className="block w-fit"
+        >
+          {image}
+        </a>
+      );
+    }
 
-    case 'video':
+    case 'video': {
+      const found = findAttachment(seg.value, media.attachments);
+      const box = found && mediaBox(found.attachment);
+      const poster = found?.attachment.variants?.poster;
+      const src = media.authorize(seg.value);
+      if (!src) {
+        return box ? <div key={idx} style={box} className="rounded-xl mt-1.5 mb-0.5 bg-black/40" /> : null;
+      }
       return (
-        <video key={idx} src={seg.value} controls
+        <video key={idx} src={src} controls
+          poster={poster ? media.authorize(`${found.base}${poster.url}`) : undefined}
+          preload={poster ? 'metadata' : undefined}
+          width={box?.width} height={box?.height} style={box}
           className="max-w-xs max-h-64 rounded-xl mt-1.5 mb-0.5 bg-black/40 border border-white/[0.05]"
         />
       );
+    }
+
+    case 'file': {
+      const Icon = fileIconFor(seg.name);
+      return (
+        <a key={idx} href={media.authorize(seg.url) || undefined} target="_blank" rel="noopener noreferrer" download={seg.name}
+          onClick={(e) => e.stopPropagation()}
+          className={FILE_CARD}
+        >
+          <Icon size={22} className="text-nv-accent shrink-0" />
+          <span className="flex-1 min-w-0">
+            <span className="block text-sm text-nv-text-primary truncate">{seg.name}</span>
+            {seg.size > 0 && <span className="block text-[10px] text-nv-text-tertiary">{formatBytes(seg.size)}</span>}
+          </span>
+          <Download size={15} className="text-nv-text-tertiary group-hover/file:text-nv-accent transition-colors shrink-0" />
+        </a>
+      );
+    }
+
+    case 'encrypted':
+      return <EncryptedAttachment key={idx} seg={seg} authorize={media.authorize} />;
+
+    case 'mention_user':
+    case 'mention_role':
+    case 'mention_everyone': {
+      const role = seg.type === 'mention_role' ? mentions.details?.roles?.find((r) => r.id === seg.value) : null;
+      const isMe = seg.type === 'mention_everyone'
+        || (seg.type === 'mention_user' && seg.value === mentions.userId)
+        || Boolean(role && mentions.roleIds.includes(role.id));
+      return (
+        <span
+          key={idx}
+          className={`${MENTION_CHIP} ${isMe ? 'bg-nv-warning/20 text-nv-warning' : 'bg-nv-accent/15 text-nv-accent'}`}
+          style={role?.color && !isMe ? { color: role.color, backgroundColor: `${role.color}26` } : undefined}
+        >
+          {getMentionLabel(seg, mentions.details)}
+        </span>
+      );
+    }
+
+    case 'mention_channel': {
+      const channel = mentions.details?.channels?.find((c) => c.id === seg.value);
+      return (
+        <span
+          key={idx}
+          onClick={channel ? (e) => { e.stopPropagation(); mentions.openChannel(channel); } : undefined}
+          className={`${MENTION_CHIP} bg-nv-accent/15 text-nv-accent ${channel ? 'cursor-pointer hover:bg-nv-accent/25' : ''}`}
+        >
+          {getMentionLabel(seg, mentions.details)}
+        </span>
+      );
+    }
 
     default:
       return null;
@@ -226,21 +500,63 @@ function renderSegment(seg, idx) {
 }
 
 // ── Component ─────────────────────────────────────────────────────────────────
-export default function MessageContent({ content }) {
+// The active server's media token for upload links, or null until loaded.
+// Refreshed as the API client renews it; `client` null skips the request.
+const MEDIA_TOKEN_POLL_MS = 5 * 60 * 1000;
+
+function useMediaToken(client) {
+  const [token, setToken] = useState(null);
+  useEffect(() => {
+    if (!client) return undefined;
+    let cancelled = false;
+    const load = () => client.getMediaToken()
+      .then((next) => { if (!cancelled) setToken(next); })
+      .catch(console.error);
+    load();
+    const timer = setInterval(load, MEDIA_TOKEN_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [client]);
+  return token;
+}
+
+// `attachments` are the message's uploads from the API; they give inline media
+// its size and resized variants before it loads.
+export default function MessageContent({ content, attachments }) {
+  const { activeView, serverDetails, setActiveChannel, activeServerApi } = useApp();
+  const { user } = useAuth();
   const segments = useMemo(() => parseContent(content), [content]);
   const hasBlock = segments.some((s) => BLOCK_TYPES.has(s.type));
 
+  const mediaClient = activeServerApi || api;
+  const needsToken = segments.some((s) => UPLOAD_TYPES.has(s.type));
+  const mediaToken = useMediaToken(needsToken ? mediaClient : null);
+  const media = {
+    attachments,
+    authorize: (url) => withMediaToken(url, mediaClient.serverBase, mediaToken),
+  };
+
+  const details = activeView?.type === 'server' ? serverDetails[activeView.id] : null;
+  const mentions = {
+    details,
+    userId: user?.id,
+    roleIds: details?.members?.find((m) => m.id === user?.id)?.role_ids || [],
+    openChannel: setActiveChannel,
+  };
+
   if (hasBlock) {
     return (
       <div className="text-sm text-nv-text-primary/90 leading-relaxed break-words">
-        {segments.map((seg, idx) => renderSegment(seg, idx))}
+        {segments.map((seg, idx) => renderSegment(seg, idx, mentions, media))}
       </div>
     );
   }
 
   return (
     <p className="text-sm text-nv-text-primary/90 break-words leading-relaxed">
-      {segments.map((seg, idx) => renderSegment(seg, idx))}
+      {segments.map((seg, idx) => renderSegment(seg, idx, mentions, media))}
     </p>
   );
 }
@@ -13,11 +13,19 @@ import {
   Image as ImageIcon,
   Film,
   Video,
+  Paperclip,
   X,
   CaseSensitive,
+  AtSign,
+  Hash,
 } from 'lucide-react';
 import { useSocket } from '../context/SocketContext';
 import { useApp } from '../context/AppContext';
+import { getMentionQuery, getMentionSuggestions, encodeMentions } from '../utils/mentions';
+import { uploadKind, formatBytes, attachmentMarkup, encryptFile, encryptedAttachmentMarkup } from '../utils/uploads';
+import api from '../utils/api';
+import EmojiPicker from './EmojiPicker';
+import UserAvatar from './UserAvatar';
 
 // ── Format markers ─────────────────────────────────────────────────────────────
 const MARKERS = {
@@ -42,51 +50,22 @@ const PRESET_COLORS = [
   '#FFFFFF', '#AEAEB2', '#636366', '#A2845E',
 ];
 
-// ── Emoji data ─────────────────────────────────────────────────────────────────
-const EMOJI_DATA = [
-  {
-    cat: '😀', name: 'Smileys',
-    emojis: ['😀','😃','😄','😁','😆','😅','🤣','😂','🙂','🙃','😉','😊','😇','🥰','😍','🤩','😘','😗','😚','😙','😋','😛','😜','🤪','😝','🤑','🤗','🤭','🤫','🤔','🤐','🤨','😐','😑','😶','😏','😒','🙄','😬','🤥','😌','😔','😪','🤤','😴','😷','🤒','🤕','🤢','🤮','🤧','🥵','🥶','🥴','😵','🤯','🤠','🥳','😎','🤓','🧐','😕','🙁','☹️','😮','😯','😲','😳','🥺','😦','😧','😨','😰','😥','😢','😭','😱','😖','😣','😞','😩','😫','🥱','😤','😡','😠','🤬','😈','👿','💀','☠️','💩','🤡','👹','👺','👻','👽','👾','🤖'],
-  },
-  {
-    cat: '👋', name: 'People',
-    emojis: ['👋','🤚','🖐️','✋','🖖','👌','🤌','🤏','✌️','🤞','🤟','🤘','🤙','👈','👉','👆','👇','☝️','👍','👎','✊','👊','🤛','🤜','👏','🙌','👐','🤲','🤝','🙏','💅','🤳','💪','🦵','🦶','👂','👃','🧠','🦷','🦴','👀','👁️','👅','💋','🫀','🫁','🦾','🦿','🧏','💆','💇','🚶','🧍','🧎','🏃','💃','🕺','👯','🧖','🧗','🧘','👶','🧒','👦','👧','🧑','👱','👨','🧔','👩','🧓','👴','👵','👮','🕵️','💂','🥷','👷','🫅','🤴','👸','🎅','🤶','🦸','🦹','🧙','🧚','🧛','🧜','🧝','🧞','🧟','🧌'],
-  },
-  {
-    cat: '🐶', name: 'Animals',
-    emojis: ['🐶','🐱','🐭','🐹','🐰','🦊','🐻','🐼','🐨','🐯','🦁','🐮','🐷','🐸','🐵','🙈','🙉','🙊','🐔','🐧','🐦','🐤','🦆','🦅','🦉','🦇','🐺','🐗','🦄','🐝','🪱','🐛','🦋','🐌','🐞','🐜','🪲','🦟','🦗','🕷️','🐢','🐍','🦎','🐊','🦕','🦖','🦈','🐬','🐋','🦑','🦞','🦀','🐡','🐠','🐟','🐅','🐆','🦓','🦍','🐘','🦛','🦏','🐪','🐫','🦒','🦘','🦬','🐃','🐂','🐄','🐎','🐖','🐏','🐑','🦙','🐐','🦌','🐕','🐩','🦮','🐈','🐓','🦃','🦚','🦜','🐇','🦝','🦨','🦡','🦦','🦥','🐿️','🦔'],
-  },
-  {
-    cat: '🍎', name: 'Food',
-    emojis: ['🍎','🍊','🍋','🍇','🍓','🫐','🍈','🍑','🍒','🍍','🥭','🥝','🍅','🫒','🥑','🍆','🥔','🥕','🌽','🌶️','🧄','🧅','🥜','🫘','🍞','🥐','🥖','🧀','🥚','🍳','🧈','🥞','🧇','🥓','🥩','🍗','🍖','🌭','🍔','🍟','🍕','🌮','🌯','🥙','🧆','🥗','🥘','🫕','🍝','🍜','🍲','🍛','🍣','🍱','🥟','🍤','🍙','🍚','🍘','🍥','🥮','🍢','🧁','🍰','🎂','🍮','🍭','🍬','🍫','🍿','🍩','🍪','🍦','🍧','🍨','☕','🍵','🧃','🥤','🧋','🍺','🍻','🥂','🍷','🥃','🍸','🍹','🧉','🍾','🧊'],
-  },
-  {
-    cat: '⚽', name: 'Activities',
-    emojis: ['⚽','🏀','🏈','⚾','🥎','🎾','🏐','🏉','🥏','🎱','🏓','🏸','🏒','🥊','🥋','🎯','🎮','🕹️','🎲','♟️','🎭','🎨','🖼️','🎪','🤹','🎠','🎡','🎢','🎤','🎧','🎼','🎹','🥁','🪘','🎸','🎺','🎷','🎻','🪗','🎬','🎥','📽️','🏋️','🤸','🤺','🏇','⛷️','🏂','🪂','🏊','🤽','🚣','🧗','🚵','🚴','🏆','🥇','🥈','🥉','🏅','🎖️','🎗️','🎫','🎟️','🤼','🏄','🤿','🏌️','🏇','⛹️','🤾'],
-  },
-  {
-    cat: '✈️', name: 'Travel',
-    emojis: ['✈️','🚀','🛸','🚁','🛶','⛵','🚤','🛥️','🛳️','⛴️','🚢','🚂','🚃','🚄','🚅','🚆','🚇','🚈','🚉','🚊','🚝','🚞','🚋','🚌','🚍','🚎','🏎️','🚐','🚑','🚒','🚓','🚕','🚗','🚙','🛻','🚚','🚛','🚜','🛵','🏍️','🚲','🛴','🛹','🛼','⛽','🛞','🚦','🚥','🛑','🗺️','🧭','⛰️','🏔️','🌋','🗻','🏕️','🏖️','🏜️','🏝️','🏞️','🏟️','🏛️','🏗️','🏘️','🏠','🏡','🏢','🏣','🏤','🏥','🏦','🏨','🏩','🏪','🏫','🏬','🏭','🏯','🏰','💒','🗼','🗽','⛪','🕌','🛕'],
-  },
-  {
-    cat: '💡', name: 'Objects',
-    emojis: ['💡','🔦','🕯️','💰','💳','💎','⚖️','🔧','🔨','⚒️','🛠️','⛏️','🔩','🪛','🔬','🔭','📡','🛒','🚪','🪞','🛏️','🛁','🧹','🧺','🧻','🧼','🧽','🪣','🏮','🧯','🛡️','⚙️','📱','💻','⌨️','🖥️','🖨️','🖱️','💾','💿','📀','📷','📸','📹','📺','📻','📞','☎️','📟','📠','⌚','⏰','⏱️','⏳','📚','📖','📰','📝','✏️','🖊️','🖋️','📌','📍','📎','📏','📐','✂️','🔒','🔓','🔑','🗝️','🪆','🧸','🪀','🪁','🎀','🎁','🛍️'],
-  },
-  {
-    cat: '❤️', name: 'Symbols',
-    emojis: ['❤️','🧡','💛','💚','💙','💜','🖤','🤍','🤎','💔','❣️','💕','💞','💓','💗','💖','💘','💝','💟','☮️','✝️','☪️','🕉️','☸️','✡️','🛐','☯️','♈','♉','♊','♋','♌','♍','♎','♏','♐','♑','♒','♓','🔀','🔁','🔂','▶️','⏩','◀️','⏪','🔼','🔽','⏸️','⏹️','⏺️','🎦','🔅','🔆','📶','🔔','🔇','🔈','🔉','🔊','📢','📣','❓','❗','‼️','⁉️','💯','🔴','🟠','🟡','🟢','🔵','🟣','⚫','⚪','🟤','🔶','🔷','🔸','🔹','🔺','🔻','💠','🔘','⬛','⬜','▪️','▫️','🔲','🔳'],
-  },
-];
-
 // ── Component ──────────────────────────────────────────────────────────────────
-export default function MessageInput({ onSend, placeholder, channelId, isDM, targetId }) {
+export default function MessageInput({ onSend, placeholder, channelId, isDM, targetId, groupId }) {
   const { socket } = useSocket();
-  const { activeServerApi } = useApp();
+  const { activeServerApi, activeView, serverDetails } = useApp();
 
   // Core input state
   const [value, setValue] = useState('');
   const inputRef = useRef(null);
 
+  // Mention autocomplete — labels picked so far map to the id tokens sent
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const pickedMentionsRef = useRef(new Map());
+  const mentionDetails = !isDM && activeView?.type === 'server' ? serverDetails[activeView.id] : null;
+  const mentionSuggestions = mentionQuery ? getMentionSuggestions(mentionDetails, mentionQuery) : [];
+
   // Format tracking: which opening markers have been inserted but not yet closed
   const [formatOpen, setFormatOpen] = useState(new Set());
   const [activeColor, setActiveColor] = useState(null);
@@ -109,12 +88,11 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
   // GIF URL input
   const [gifUrl, setGifUrl] = useState('');
 
-  // Emoji selected category
-  const [emojiCat, setEmojiCat] = useState(0);
 
   // Upload state
   const [uploading, setUploading] = useState(false);
   const [uploadError, setUploadError] = useState('');
+  const [uploadLimits, setUploadLimits] = useState(null);
 
   // Typing indicator
   const typingRef = useRef(false);
@@ -130,6 +108,7 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
   // Hidden file inputs
   const imageInputRef = useRef(null);
   const videoInputRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   // ── Auto-resize textarea ───────────────────────────────────────────────────
   useEffect(() => {
@@ -255,12 +234,29 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
   }, [insertAtCursor]);
 
   // ── File upload ────────────────────────────────────────────────────────────
-  const handleFileUpload = useCallback(async (file, type) => {
+  // Limits are per server and configurable there; until they load the server
+  // is left to reject oversized files
+  const uploadApi = activeServerApi || api;
+
+  useEffect(() => {
+    let cancelled = false;
+    setUploadLimits(null);
+    uploadApi.getUploadLimits()
+      .then((data) => { if (!cancelled) setUploadLimits(data.limits); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [uploadApi]);
+
+  const limitHint = (kind) => (uploadLimits?.[kind] ? ` (max ${formatBytes(uploadLimits[kind])})` : '');
+
+  const handleFileUpload = useCallback(async (file) => {
     if (!file) return;
 
-    const maxBytes = type === 'video' ? 50 * 1024 * 1024 : 8 * 1024 * 1024;
-    if (file.size > maxBytes) {
-      alert(`File too large. Maximum size for ${type}s is ${maxBytes / 1024 / 1024} MB.`);
+    // DM files upload as ciphertext, which the server limits like any file
+    const kind = isDM ? 'file' : uploadKind(file.type);
+    const maxBytes = uploadLimits?.[kind];
+    if (maxBytes && file.size > maxBytes) {
+      alert(`File too large. Maximum size for ${kind} uploads is ${formatBytes(maxBytes)}.`);
       return;
     }
 
@@ -268,31 +264,16 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
     setUploadError('');
     let errorMsg = '';
     try {
-      const base64 = await new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
-      });
-
-      const serverBase = activeServerApi?.serverBase ?? 'http://localhost:3001';
-      const resp = await fetch(`${serverBase}/api/uploads/${type}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${localStorage.getItem('nv_token')}`,
-        },
-        body: JSON.stringify({ data: base64, mime: file.type }),
-      });
-
-      if (!resp.ok) {
-        const err = await resp.json().catch(() => ({ error: 'Upload failed' }));
-        throw new Error(err.error || 'Upload failed');
+      if (isDM) {
+        const { blob, key } = await encryptFile(file);
+        const { upload } = await uploadApi.uploadFile(
+          new File([blob], 'attachment'), groupId ? { dmGroupId: groupId } : { dmUserId: targetId }
+        );
+        insertAtCursor(encryptedAttachmentMarkup(upload, uploadApi.serverBase, file, key));
+      } else {
+        const { upload } = await uploadApi.uploadFile(file, { channelId });
+        insertAtCursor(attachmentMarkup(upload, uploadApi.serverBase));
       }
-
-      const { url } = await resp.json();
-      const fullUrl = `${serverBase}${url}`;
-      insertAtCursor(type === 'video' ? `[vid:${fullUrl}]` : `[img:${fullUrl}]`);
     } catch (err) {
       errorMsg = err.message || 'Upload failed';
     } finally {
@@ -303,7 +284,7 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
       }
       requestAnimationFrame(() => inputRef.current?.focus());
     }
-  }, [activeServerApi, insertAtCursor]);
+  }, [uploadApi, uploadLimits, isDM, channelId, targetId, groupId, insertAtCursor]);
 
   // ── GIF URL insert ─────────────────────────────────────────────────────────
   const confirmGif = useCallback(() => {
@@ -313,19 +294,34 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
     setShowGifInput(false);
   }, [gifUrl, insertAtCursor]);
 
+  // ── Mentions ───────────────────────────────────────────────────────────────
+  const pickMention = useCallback((suggestion) => {
+    if (!mentionQuery) return;
+    const end = mentionQuery.start + 1 + mentionQuery.query.length;
+    const text = `${suggestion.label} `;
+    setValue(value.slice(0, mentionQuery.start) + text + value.slice(end));
+    pickedMentionsRef.current.set(suggestion.label, suggestion.token);
+    setMentionQuery(null);
+    requestAnimationFrame(() => {
+      const caret = mentionQuery.start + text.length;
+      inputRef.current?.setSelectionRange(caret, caret);
+      inputRef.current?.focus();
+    });
+  }, [mentionQuery, value]);
+
   // ── Typing indicator ───────────────────────────────────────────────────────
   const handleTyping = useCallback(() => {
     if (!socket || !channelId) return;
     if (!typingRef.current) {
       typingRef.current = true;
-      socket.emit('typing:start', { channelId, isDM, targetId });
+      socket.emit('typing:start', { channelId, isDM, targetId, groupId });
     }
     clearTimeout(typingTimeoutRef.current);
     typingTimeoutRef.current = setTimeout(() => {
       typingRef.current = false;
-      socket.emit('typing:stop', { channelId, isDM, targetId });
+      socket.emit('typing:stop', { channelId, isDM, targetId, groupId });
     }, 2000);
-  }, [socket, channelId, isDM, targetId]);
+  }, [socket, channelId, isDM, targetId, groupId]);
 
   // ── Send ───────────────────────────────────────────────────────────────────
   const handleSubmit = useCallback(() => {
@@ -340,20 +336,40 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
     if (activeColor)              finalValue += '{/c}';
     if (activeSize)               finalValue += '{/fs}';
 
-    onSend(finalValue.trim());
+    onSend(encodeMentions(finalValue, pickedMentionsRef.current).trim());
     setValue('');
+    pickedMentionsRef.current = new Map();
+    setMentionQuery(null);
     setFormatOpen(new Set());
     setActiveColor(null);
     setActiveSize(null);
 
     typingRef.current = false;
     clearTimeout(typingTimeoutRef.current);
-    socket?.emit('typing:stop', { channelId, isDM, targetId });
+    socket?.emit('typing:stop', { channelId, isDM, targetId, groupId });
 
     inputRef.current?.focus();
-  }, [value, formatOpen, activeColor, onSend, socket, channelId, isDM, targetId]);
+  }, [value, formatOpen, activeColor, onSend, socket, channelId, isDM, targetId, groupId]);
 
   const handleKeyDown = (e) => {
+    if (mentionSuggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setMentionIndex((i) => (i + step + mentionSuggestions.length) % mentionSuggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        pickMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMentionQuery(null);
+        return;
+      }
+    }
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit();
@@ -378,18 +394,51 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
         type="file"
         accept="image/*"
         className="hidden"
-        onChange={(e) => { handleFileUpload(e.target.files[0], 'image'); e.target.value = ''; }}
+        onChange={(e) => { handleFileUpload(e.target.files[0]); e.target.value = ''; }}
       />
       <input
         ref={videoInputRef}
         type="file"
         accept="video/*"
         className="hidden"
-        onChange={(e) => { handleFileUpload(e.target.files[0], 'video'); e.target.value = ''; }}
+        onChange={(e) => { handleFileUpload(e.target.files[0]); e.target.value = ''; }}
+      />
+      <input
+        ref={fileInputRef}
+        type="file"
+        className="hidden"
+        onChange={(e) => { handleFileUpload(e.target.files[0]); e.target.value = ''; }}
       />
 
       <div className="flex flex-col bg-nv-surface/40 rounded-xl border border-nv-border/30 focus-within:border-nv-accent/30 focus-within:ring-1 focus-within:ring-nv-accent/15 transition-all duration-200 relative">
 
+        {/* Mention autocomplete */}
+        {mentionSuggestions.length > 0 && (
+          <div className="absolute bottom-full left-0 right-0 mb-2 z-50 rounded-2xl bg-nv-channels border border-white/[0.08] shadow-2xl overflow-hidden py-1">
+            {mentionSuggestions.map((suggestion, i) => (
+              <button
+                key={suggestion.key}
+                type="button"
+                onMouseDown={(e) => { e.preventDefault(); pickMention(suggestion); }}
+                onMouseEnter={() => setMentionIndex(i)}
+                className={`w-full flex items-center gap-2.5 px-3 py-1.5 text-left transition-colors ${
+                  i === mentionIndex ? 'bg-white/[0.07]' : ''
+                }`}
+              >
+                {suggestion.kind === 'user' ? (
+                  <UserAvatar user={suggestion.data} size="xs" />
+                ) : suggestion.kind === 'channel' ? (
+                  <Hash size={14} className="text-nv-text-tertiary shrink-0" />
+                ) : (
+                  <AtSign size={14} className="shrink-0" style={{ color: suggestion.data?.color || undefined }} />
+                )}
+                <span className="text-sm text-nv-text-primary truncate">{suggestion.label}</span>
+                {suggestion.hint && <span className="text-xs text-nv-text-tertiary truncate">{suggestion.hint}</span>}
+              </button>
+            ))}
+          </div>
+        )}
+
         {/* GIF URL inline input (slides in above toolbar) */}
         <AnimatePresence>
           {showGifInput && (
@@ -431,8 +480,11 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
           value={value}
           onChange={(e) => {
             setValue(e.target.value);
+            setMentionQuery(getMentionQuery(e.target.value, e.target.selectionStart));
+            setMentionIndex(0);
             handleTyping();
           }}
+          onClick={(e) => setMentionQuery(getMentionQuery(e.target.value, e.target.selectionStart))}
           onKeyDown={handleKeyDown}
           onPaste={(e) => {
             const items = Array.from(e.clipboardData?.items || []);
@@ -440,7 +492,7 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
             if (imageItem) {
               e.preventDefault();
               const file = imageItem.getAsFile();
-              if (file) handleFileUpload(file, 'image');
+              if (file) handleFileUpload(file);
             }
           }}
           placeholder={placeholder}
@@ -713,52 +765,7 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
 
             <AnimatePresence>
               {showEmoji && (
-                <motion.div
-                  initial={{ opacity: 0, y: 4, scale: 0.96 }}
-                  animate={{ opacity: 1, y: 0, scale: 1 }}
-                  exit={{ opacity: 0, y: 4, scale: 0.96 }}
-                  transition={{ duration: 0.12 }}
-                  className="absolute bottom-full right-0 mb-2 w-72 z-50 rounded-2xl bg-nv-channels border border-white/[0.08] shadow-2xl overflow-hidden"
-                >
-                  {/* Category tabs */}
-                  <div className="flex items-center gap-0.5 px-2 py-1.5 border-b border-white/[0.06] overflow-x-auto scrollbar-hide">
-                    {EMOJI_DATA.map((cat, ci) => (
-                      <button
-                        key={ci}
-                        type="button"
-                        onClick={() => setEmojiCat(ci)}
-                        title={cat.name}
-                        className={`text-base px-1.5 py-0.5 rounded-lg shrink-0 transition-colors ${
-                          emojiCat === ci ? 'bg-nv-accent/20' : 'hover:bg-white/[0.06]'
-                        }`}
-                      >
-                        {cat.cat}
-                      </button>
-                    ))}
-                  </div>
-
-                  {/* Category name */}
-                  <p className="text-[10px] text-nv-text-tertiary uppercase tracking-wide px-3 pt-2 pb-1">
-                    {EMOJI_DATA[emojiCat]?.name}
-                  </p>
-
-                  {/* Emoji grid */}
-                  <div className="px-2 pb-2 h-44 overflow-y-auto">
-                    <div className="grid grid-cols-9 gap-0.5">
-                      {EMOJI_DATA[emojiCat]?.emojis.map((emoji, ei) => (
-                        <button
-                          key={ei}
-                          type="button"
-                          onClick={() => insertEmoji(emoji)}
-                          className="text-xl p-1 rounded-lg hover:bg-white/[0.08] transition-colors flex items-center justify-center leading-none"
-                          title={emoji}
-                        >
-                          {emoji}
-                        </button>
-                      ))}
-                    </div>
-                  </div>
-                </motion.div>
+                <EmojiPicker onSelect={insertEmoji} className="absolute bottom-full right-0 mb-2" />
               )}
             </AnimatePresence>
           </div>
@@ -797,7 +804,7 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
                       label: 'Image',
                       icon: <ImageIcon size={13} />,
                       action: () => { imageInputRef.current?.click(); setShowMediaMenu(false); },
-                      sub: 'JPG, PNG, WebP (max 8 MB)',
+                      sub: `JPG, PNG, WebP${limitHint('image')}`,
                     },
                     {
                       label: 'GIF',
@@ -809,7 +816,13 @@ export default function MessageInput({ onSend, placeholder, channelId, isDM, tar
                       label: 'Video',
                       icon: <Video size={13} />,
                       action: () => { videoInputRef.current?.click(); setShowMediaMenu(false); },
-                      sub: 'MP4, WebM (max 50 MB)',
+                      sub: `MP4, WebM${limitHint('video')}`,
+                    },
+                    {
+                      label: 'File',
+                      icon: <Paperclip size={13} />,
+                      action: () => { fileInputRef.current?.click(); setShowMediaMenu(false); },
+                      sub: `PDF, archives, audio, text${limitHint('file')}`,
                     },
                   ].map(({ label, icon, action, sub }) => (
                     <button
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { X, Pin, PinOff } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useSocket } from '../context/SocketContext';
+import UserAvatar from './UserAvatar';
+import MessageContent from './MessageContent';
+
+function formatDate(dateStr) {
+  const d = new Date(dateStr);
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+// ── PinsPanel ────────────────────────────────────────────────────────────────
+// Pinned messages of one channel, most recently pinned first. Follows
+// pin:update and edits/deletes live; `onJump(message)` scrolls to it.
+export default function PinsPanel({ channel, canManageMessages, onJump, onClose }) {
+  const { activeServerApi, ownSocket } = useApp();
+  const { socket } = useSocket();
+  const [pins, setPins] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    activeServerApi.getPins(channel.id)
+      .then((data) => { if (!cancelled) setPins(data.messages || []); })
+      .catch(console.error)
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [activeServerApi, channel.id]);
+
+  useEffect(() => {
+    const handlePinUpdate = ({ channelId, message, pinned }) => {
+      if (channelId !== channel.id) return;
+      setPins((prev) => {
+        const rest = prev.filter((m) => m.id !== message.id);
+        return pinned ? [message, ...rest] : rest;
+      });
+    };
+    const handleUpdated = ({ channelId, message }) => {
+      if (channelId !== channel.id) return;
+      setPins((prev) => prev.map((m) => (m.id === message.id ? message : m)));
+    };
+    const handleDeleted = ({ channelId, messageId }) => {
+      if (channelId !== channel.id) return;
+      setPins((prev) => prev.filter((m) => m.id !== messageId));
+    };
+
+    const events = [
+      ['pin:update', handlePinUpdate],
+      ['message:updated', handleUpdated],
+      ['message:deleted', handleDeleted],
+    ];
+    events.forEach(([event, handler]) => {
+      socket?.on(event, handler);
+      ownSocket?.on(event, handler);
+    });
+    return () => {
+      events.forEach(([event, handler]) => {
+        socket?.off(event, handler);
+        ownSocket?.off(event, handler);
+      });
+    };
+  }, [socket, ownSocket, channel.id]);
+
+  const unpin = async (e, message) => {
+    e.stopPropagation();
+    try {
+      await activeServerApi.unpinMessage(channel.id, message.id);
+      setPins((prev) => prev.filter((m) => m.id !== message.id));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ width: 0, opacity: 0 }}
+      animate={{ width: 340, opacity: 1 }}
+      exit={{ width: 0, opacity: 0 }}
+      transition={{ duration: 0.22, ease: [0.25, 0.1, 0.25, 1] }}
+      className="h-full bg-nv-channels border-l border-white/[0.04] flex flex-col shrink-0 overflow-hidden"
+    >
+      <div className="h-12 flex items-center gap-2 px-4 border-b border-white/[0.05] shrink-0">
+        <Pin size={15} className="text-nv-text-tertiary shrink-0" />
+        <span className="text-sm font-semibold text-nv-text-primary flex-1 truncate">Pinned in #{channel.name}</span>
+        <button
+          onClick={onClose}
+          title="Close pinned messages"
+          className="w-7 h-7 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-2 py-2 space-y-1">
+        {!loading && pins.length === 0 && (
+          <p className="text-xs text-nv-text-tertiary text-center py-10">This channel doesn't have any pinned messages yet</p>
+        )}
+
+        {pins.map((message) => (
+          <div
+            key={message.id}
+            onClick={() => onJump(message)}
+            className="group w-full text-left flex gap-2.5 px-2.5 py-2 rounded-xl hover:bg-white/[0.04] transition-colors cursor-pointer"
+          >
+            <UserAvatar user={message} size="xs" />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-1.5 text-[10px] text-nv-text-tertiary">
+                <span className="text-xs font-medium text-nv-text-primary truncate">{message.display_name}</span>
+                <span className="ml-auto shrink-0">{formatDate(message.created_at)}</span>
+              </div>
+              <div className="text-xs mt-0.5 max-h-32 overflow-hidden break-words">
+                <MessageContent content={message.content} attachments={message.attachments} />
+              </div>
+            </div>
+            {canManageMessages && (
+              <button
+                onClick={(e) => unpin(e, message)}
+                title="Unpin message"
+                className="w-6 h-6 rounded-md flex items-center justify-center opacity-0 group-hover:opacity-100 text-nv-text-tertiary hover:text-nv-danger hover:bg-nv-danger/10 transition-all shrink-0 self-start"
+              >
+                <PinOff size={12} />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+}
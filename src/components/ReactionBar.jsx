@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef } from 'react';
+import { AnimatePresence } from 'framer-motion';
+import { SmilePlus } from 'lucide-react';
+import EmojiPicker from './EmojiPicker';
+
+// ── ReactionBar ──────────────────────────────────────────────────────────────
+// Reaction chips under a message, announcement or forum post. `onToggle(emoji,
+// me)` adds the reaction when `me` is false and removes it otherwise.
+// Without `canReact` only the user's own reactions can be taken back.
+export default function ReactionBar({
+  reactions = [], onToggle, canReact = true, className = '', pickerClassName = 'absolute bottom-full left-0 mb-2',
+}) {
+  const [showPicker, setShowPicker] = useState(false);
+  const pickerRef = useRef(null);
+
+  useEffect(() => {
+    if (!showPicker) return;
+    const handler = (e) => {
+      if (pickerRef.current && !pickerRef.current.contains(e.target)) setShowPicker(false);
+    };
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, [showPicker]);
+
+  if (reactions.length === 0 && !canReact) return null;
+
+  return (
+    <div className={`flex flex-wrap items-center gap-1 ${className}`}>
+      {reactions.map(({ emoji, count, me }) => (
+        <button
+          key={emoji}
+          type="button"
+          onClick={() => onToggle(emoji, me)}
+          disabled={!canReact && !me}
+          className={`flex items-center gap-1 h-6 px-1.5 rounded-lg border text-xs transition-all ${
+            me
+              ? 'bg-nv-accent/15 border-nv-accent/40 text-nv-accent'
+              : 'bg-white/[0.03] border-white/[0.06] text-nv-text-secondary hover:border-white/[0.14]'
+          }`}
+        >
+          <span className="text-sm leading-none">{emoji}</span>
+          <span className="font-medium tabular-nums">{count}</span>
+        </button>
+      ))}
+
+      {canReact && (
+        <div className="relative" ref={pickerRef}>
+          <button
+            type="button"
+            onClick={() => setShowPicker((open) => !open)}
+            title="Add reaction"
+            className={`h-6 w-7 rounded-lg flex items-center justify-center transition-all ${
+              showPicker
+                ? 'bg-nv-accent/20 text-nv-accent'
+                : `text-nv-text-tertiary hover:text-nv-text-primary hover:bg-white/[0.06] ${
+                  reactions.length === 0 ? 'opacity-0 group-hover:opacity-100' : ''
+                }`
+            }`}
+          >
+            <SmilePlus size={13} />
+          </button>
+          <AnimatePresence>
+            {showPicker && (
+              <EmojiPicker
+                onSelect={(emoji) => {
+                  setShowPicker(false);
+                  const existing = reactions.find((r) => r.emoji === emoji);
+                  onToggle(emoji, Boolean(existing?.me));
+                }}
+                className={pickerClassName}
+              />
+            )}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import { CornerUpLeft } from 'lucide-react';
+
+// ── ReplyQuote ───────────────────────────────────────────────────────────────
+// One-line preview of the message a reply points at. `parent` is the
+// message's `reply_to` — null once the original has been deleted.
+export default function ReplyQuote({ parent, onJump }) {
+  if (!parent) {
+    return (
+      <div className="flex items-center gap-1.5 text-[11px] text-nv-text-tertiary italic mb-0.5">
+        <CornerUpLeft size={11} className="shrink-0" />
+        Original message was deleted
+      </div>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={() => onJump?.(parent.id)}
+      title="Jump to message"
+      className="flex items-center gap-1.5 max-w-full text-[11px] text-nv-text-tertiary hover:text-nv-text-secondary transition-colors mb-0.5"
+    >
+      <CornerUpLeft size={11} className="shrink-0" />
+      <span className="font-medium text-nv-text-secondary shrink-0">{parent.display_name}</span>
+      <span className="truncate">{parent.content}</span>
+    </button>
+  );
+}
@@ -15,6 +15,7 @@ import { CSS } from '@dnd-kit/utilities';
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../context/SocketContext';
+import { PERMISSIONS, hasPermission, getServerPermissions } from '../utils/permissions';
 
 // ── Constants ────────────────────────────────────────────────────────────────
 
@@ -226,7 +227,7 @@ function SeparatorDisplay({ content: c }) {
 
 // ── Inline-editable text/separator item ───────────────────────────────────────
 
-function BlockItem({ block, isOwner, dragHandleProps, onSaveEdit, onDelete, isDeleting, onEditingChange }) {
+function BlockItem({ block, canEdit, dragHandleProps, onSaveEdit, onDelete, isDeleting, onEditingChange }) {
   const [editing, setEditing] = useState(false);
   const ref = useRef(null);
 
@@ -247,13 +248,13 @@ function BlockItem({ block, isOwner, dragHandleProps, onSaveEdit, onDelete, isDe
   return (
     <div
       ref={ref}
-      onDoubleClick={isOwner && !editing ? (e) => { e.stopPropagation(); setEditingWithCb(true); } : undefined}
+      onDoubleClick={canEdit && !editing ? (e) => { e.stopPropagation(); setEditingWithCb(true); } : undefined}
       className={`relative group flex items-center gap-1 rounded-xl min-h-[36px] transition-all
         ${isDeleting ? 'opacity-40 pointer-events-none' : ''}
-        ${!editing && isOwner ? 'hover:bg-white/[0.04] cursor-pointer' : ''}
+        ${!editing && canEdit ? 'hover:bg-white/[0.04] cursor-pointer' : ''}
       `}
     >
-      {isOwner && !editing && (
+      {canEdit && !editing && (
         <div {...dragHandleProps}
           className="opacity-0 group-hover:opacity-40 hover:!opacity-80 cursor-grab active:cursor-grabbing transition-opacity shrink-0 ml-1 touch-none">
           <GripVertical size={13} className="text-nv-text-tertiary" />
@@ -272,7 +273,7 @@ function BlockItem({ block, isOwner, dragHandleProps, onSaveEdit, onDelete, isDe
           </>
         )}
       </div>
-      {isOwner && !editing && (
+      {canEdit && !editing && (
         <div className="opacity-0 group-hover:opacity-100 transition-opacity flex items-center gap-1 mr-2 shrink-0">
           <span className="text-[9px] text-nv-text-tertiary/40 select-none">dbl</span>
           <button type="button" onClick={(e) => { e.stopPropagation(); onDelete(block.id); }}
@@ -287,12 +288,12 @@ function BlockItem({ block, isOwner, dragHandleProps, onSaveEdit, onDelete, isDe
 
 // ── Sortable child item (inside a category) ───────────────────────────────────
 
-function SortableChildItem({ block, isOwner, onSaveEdit, onDelete, isDeleting }) {
+function SortableChildItem({ block, canEdit, onSaveEdit, onDelete, isDeleting }) {
   const [editingChild, setEditingChild] = useState(false);
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: block.id, disabled: editingChild });
   return (
     <div ref={setNodeRef} style={{ transform: CSS.Transform.toString(transform), transition, opacity: isDragging ? 0.3 : 1 }}>
-      <BlockItem block={block} isOwner={isOwner} dragHandleProps={{ ...attributes, ...listeners }}
+      <BlockItem block={block} canEdit={canEdit} dragHandleProps={{ ...attributes, ...listeners }}
         onSaveEdit={onSaveEdit} onDelete={onDelete} isDeleting={isDeleting} onEditingChange={setEditingChild} />
     </div>
   );
@@ -311,7 +312,7 @@ function DroppableCategoryContent({ id, children }) {
 
 // ── Category card (plain box — no automatic label) ────────────────────────────
 
-function CategoryCard({ block, isOwner, children, onSaveEdit, onDelete, onAddChild, deletingId, collapsed, onToggleCollapse }) {
+function CategoryCard({ block, canEdit, children, onSaveEdit, onDelete, onAddChild, deletingId, collapsed, onToggleCollapse }) {
   const [addOpen, setAddOpen] = useState(false);
   const addRef = useRef(null);
 
@@ -345,7 +346,7 @@ function CategoryCard({ block, isOwner, children, onSaveEdit, onDelete, onAddChi
       )}
 
       {/* Owner hover actions — float top-right */}
-      {isOwner && (
+      {canEdit && (
         <div className={`absolute right-2 z-10 opacity-0 group-hover/card:opacity-100 transition-opacity flex items-center gap-1
           ${isDropdown ? 'top-1' : 'top-2'}`}>
           <div className="relative" ref={addRef}>
@@ -386,10 +387,10 @@ function CategoryCard({ block, isOwner, children, onSaveEdit, onDelete, onAddChi
               <SortableContext items={children.map((c) => c.id)} strategy={verticalListSortingStrategy}>
                 <div className="p-2 space-y-0.5">
                   {children.map((child) => (
-                    <SortableChildItem key={child.id} block={child} isOwner={isOwner}
+                    <SortableChildItem key={child.id} block={child} canEdit={canEdit}
                       onSaveEdit={onSaveEdit} onDelete={onDelete} isDeleting={deletingId === child.id} />
                   ))}
-                  {children.length === 0 && isOwner && (
+                  {children.length === 0 && canEdit && (
                     <p className="text-[11px] text-nv-text-tertiary/30 italic py-3 px-2 text-center">Click + to add content</p>
                   )}
                 </div>
@@ -404,7 +405,7 @@ function CategoryCard({ block, isOwner, children, onSaveEdit, onDelete, onAddChi
 
 // ── Sortable top-level group (a grid row or a standalone item) ────────────────
 
-function SortableGroup({ group, isOwner, childrenOf, onSaveEdit, onDelete, onAddChild, deletingId, collapsed, onToggleCollapse }) {
+function SortableGroup({ group, canEdit, childrenOf, onSaveEdit, onDelete, onAddChild, deletingId, collapsed, onToggleCollapse }) {
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({ id: group.id });
 
   const colsClass = {
@@ -413,7 +414,7 @@ function SortableGroup({ group, isOwner, childrenOf, onSaveEdit, onDelete, onAdd
     3: 'grid-cols-3',
   }[group.type === 'grid-row' ? group.items.length : 1] || 'grid-cols-1';
 
-  const sharedCatProps = { isOwner, onSaveEdit, onDelete, onAddChild, deletingId };
+  const sharedCatProps = { canEdit, onSaveEdit, onDelete, onAddChild, deletingId };
 
   return (
     <div ref={setNodeRef}
@@ -421,7 +422,7 @@ function SortableGroup({ group, isOwner, childrenOf, onSaveEdit, onDelete, onAdd
       className="group/toplevel flex items-start gap-2"
     >
       {/* Row-level drag handle */}
-      {isOwner && (
+      {canEdit && (
         <div {...attributes} {...listeners}
           className="mt-3.5 opacity-0 group-hover/toplevel:opacity-30 hover:!opacity-70 cursor-grab active:cursor-grabbing transition-opacity touch-none shrink-0">
           <GripVertical size={14} className="text-nv-text-tertiary" />
@@ -446,7 +447,7 @@ function SortableGroup({ group, isOwner, childrenOf, onSaveEdit, onDelete, onAdd
             onToggleCollapse={() => onToggleCollapse(group.block.id)}
             {...sharedCatProps} />
         ) : (
-          <BlockItem block={group.block} isOwner={isOwner}
+          <BlockItem block={group.block} canEdit={canEdit}
             dragHandleProps={null /* handled by row drag above */}
             onSaveEdit={onSaveEdit} onDelete={onDelete} isDeleting={deletingId === group.block.id} />
         )}
@@ -476,8 +477,7 @@ export default function RulesView({ channel, serverId, onToggleMembers, showMemb
   const { user } = useAuth();
   const { socket } = useSocket();
 
-  const server = serverDetails[serverId]?.server;
-  const isOwner = server?.owner_id === user?.id;
+  const canEdit = hasPermission(getServerPermissions(serverDetails[serverId], user?.id), PERMISSIONS.EDIT_RULES);
 
   const [blocks, setBlocks]         = useState([]);
   const [loading, setLoading]       = useState(true);
@@ -755,7 +755,7 @@ export default function RulesView({ channel, serverId, onToggleMembers, showMemb
 
         {saving && <div className="w-3.5 h-3.5 rounded-full border-2 border-nv-accent border-t-transparent animate-spin shrink-0" />}
 
-        {isOwner && (
+        {canEdit && (
           <div className="flex items-center gap-0.5">
 
             {/* Category button (standalone) */}
@@ -858,7 +858,7 @@ export default function RulesView({ channel, serverId, onToggleMembers, showMemb
             </div>
             <h3 className="text-base font-semibold text-nv-text-primary mb-1">No rules yet</h3>
             <p className="text-sm text-nv-text-secondary">
-              {isOwner ? 'Use the buttons above to add content.' : "The server owner hasn't added any rules yet."}
+              {canEdit ? 'Use the buttons above to add content.' : 'No rules have been added yet.'}
             </p>
           </motion.div>
         ) : (
@@ -870,7 +870,7 @@ export default function RulesView({ channel, serverId, onToggleMembers, showMemb
                   <motion.div key={group.id} initial={{ opacity: 0, y: 4 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.15 }}>
                     <SortableGroup
                       group={group}
-                      isOwner={isOwner}
+                      canEdit={canEdit}
                       childrenOf={childrenOf}
                       onSaveEdit={handleSaveEdit}
                       onDelete={handleDelete}
@@ -0,0 +1,133 @@
+import { useEffect, useState } from 'react';
+import { ShieldCheck, ShieldAlert, Shield, Smartphone } from 'lucide-react';
+import Modal from './Modal';
+import { useAuth } from '../context/AuthContext';
+import {
+  getSafetyNumber, getKeyFingerprint, getDeviceIdentity, getVerificationState, setVerified,
+} from '../utils/dmCrypto';
+
+// ── SafetyNumberModal ────────────────────────────────────────────────────────
+// Verification screen for the encrypted DMs with one friend. Both sides see
+// the same safety number; comparing it out of band proves no one (the server
+// included) has slipped in a device key. `onChange` gets the new state after
+// the user marks the conversation verified or clears it.
+
+const STATE_COPY = {
+  verified: {
+    Icon: ShieldCheck,
+    className: 'text-nv-accent bg-nv-accent/10',
+    text: 'You have verified this safety number.',
+  },
+  changed: {
+    Icon: ShieldAlert,
+    className: 'text-nv-warning bg-nv-warning/10',
+    text: 'The safety number changed since you verified it. One of you has a new device; compare it again.',
+  },
+  unverified: {
+    Icon: Shield,
+    className: 'text-nv-text-secondary bg-white/[0.04]',
+    text: 'Not verified yet.',
+  },
+};
+
+function DeviceList({ title, devices, currentDeviceId }) {
+  const [fingerprints, setFingerprints] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(devices.map(async (d) => [d.device_id, await getKeyFingerprint(d.identity_key)]))
+      .then((entries) => { if (!cancelled) setFingerprints(Object.fromEntries(entries)); })
+      .catch(console.error);
+    return () => { cancelled = true; };
+  }, [devices]);
+
+  return (
+    <div>
+      <p className="text-[10px] font-semibold uppercase tracking-wider text-nv-text-tertiary mb-1">{title}</p>
+      {devices.length === 0 && <p className="text-xs text-nv-text-tertiary">No devices yet</p>}
+      {devices.map((device) => (
+        <div key={device.device_id} className="flex items-center gap-2 py-1">
+          <Smartphone size={12} className="text-nv-text-tertiary shrink-0" />
+          <span className="flex-1 min-w-0 font-mono text-[11px] text-nv-text-secondary truncate">
+            {fingerprints[device.device_id] || '…'}
+          </span>
+          <span className="text-[10px] text-nv-text-tertiary shrink-0">
+            {device.device_id === currentDeviceId ? 'This device' : `Added ${new Date(device.created_at).toLocaleDateString()}`}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function SafetyNumberModal({ isOpen, onClose, friend, onChange }) {
+  const { user } = useAuth();
+  const [safety, setSafety] = useState(null);
+  const [error, setError] = useState('');
+  const [state, setState] = useState('unverified');
+
+  useEffect(() => {
+    if (!isOpen || !user?.id || !friend?.id) return undefined;
+    let cancelled = false;
+    setSafety(null);
+    setError('');
+    getSafetyNumber(user.id, friend.id)
+      .then((result) => {
+        if (cancelled) return;
+        setSafety(result);
+        setState(getVerificationState(user.id, friend.id, result.groups.join('')));
+      })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [isOpen, user?.id, friend?.id]);
+
+  const toggleVerified = () => {
+    const next = state === 'verified' ? 'unverified' : 'verified';
+    setVerified(user.id, friend.id, next === 'verified' ? safety.groups.join('') : null);
+    setState(next);
+    onChange?.(next);
+  };
+
+  const { Icon, className, text } = STATE_COPY[state];
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Verify encryption">
+      <p className="text-xs text-nv-text-secondary leading-relaxed mb-3">
+        Messages with {friend?.display_name} are end-to-end encrypted. Compare this number with
+        them in person or on a call — if both of you see the same digits, nobody else can read
+        your DMs, not even the server.
+      </p>
+
+      {error && <p className="text-xs text-nv-danger mb-3">{error}</p>}
+
+      {safety ? (
+        <>
+          <div className="grid grid-cols-4 gap-x-4 gap-y-1.5 px-4 py-3 rounded-xl bg-black/30 border border-white/[0.06] font-mono text-sm text-nv-text-primary text-center tracking-wider">
+            {safety.groups.map((group, idx) => <span key={idx}>{group}</span>)}
+          </div>
+
+          <div className={`flex items-start gap-2 mt-3 px-3 py-2 rounded-lg text-xs ${className}`}>
+            <Icon size={14} className="shrink-0 mt-px" />
+            <span>{text}</span>
+          </div>
+
+          <div className="space-y-3 mt-4">
+            <DeviceList title="Your devices" devices={safety.ownDevices} currentDeviceId={getDeviceIdentity(user.id).deviceId} />
+            <DeviceList title={`${friend?.display_name}'s devices`} devices={safety.friendDevices} />
+          </div>
+
+          <div className="flex justify-end mt-4">
+            <button
+              onClick={toggleVerified}
+              className="px-3 py-1.5 rounded-lg text-xs font-medium bg-nv-accent/20 text-nv-accent hover:bg-nv-accent/30 transition-all"
+            >
+              {state === 'verified' ? 'Clear verification' : 'Mark as verified'}
+            </button>
+          </div>
+        </>
+      ) : (
+        !error && <p className="text-xs text-nv-text-tertiary py-6 text-center">Loading keys…</p>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { X, Search, Hash, MessagesSquare } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import UserAvatar from './UserAvatar';
+import { toPlainText } from './MessageContent';
+
+const SEARCH_PAGE_SIZE = 25;
+
+export function formatDate(dateStr) {
+  const d = new Date(dateStr);
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Wraps the word prefixes the search matched in <mark>. */
+export function highlight(text, terms) {
+  if (terms.length === 0) return text;
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(${terms.map(escapeRegExp).join('|')})`, 'giu');
+  return text.split(pattern).map((part, i) => (
+    i % 2 === 1
+      ? <mark key={i} className="bg-nv-accent/25 text-nv-text-primary rounded-sm px-0.5">{part}</mark>
+      : part
+  ));
+}
+
+// ── SearchPanel ──────────────────────────────────────────────────────────────
+// Results of a server-wide message search, newest first. `onJump(result)`
+// takes the user to the message in its channel (or thread).
+export default function SearchPanel({ serverId, query, onJump, onClose }) {
+  const { activeServerApi, serverDetails } = useApp();
+  const [results, setResults] = useState([]);
+  const [terms, setTerms] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async (before) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await activeServerApi.searchMessages(serverId, query, { before, limit: SEARCH_PAGE_SIZE });
+      const page = data.results || [];
+      setResults((prev) => (before ? [...prev, ...page] : page));
+      setTerms(data.terms || []);
+      setHasMore(page.length === SEARCH_PAGE_SIZE);
+    } catch (err) {
+      setError(err.message);
+      if (!before) setResults([]);
+    }
+    setLoading(false);
+  }, [activeServerApi, serverId, query]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  return (
+    <motion.div
+      initial={{ width: 0, opacity: 0 }}
+      animate={{ width: 340, opacity: 1 }}
+      exit={{ width: 0, opacity: 0 }}
+      transition={{ duration: 0.22, ease: [0.25, 0.1, 0.25, 1] }}
+      className="h-full bg-nv-channels border-l border-white/[0.04] flex flex-col shrink-0 overflow-hidden"
+    >
+      <div className="h-12 flex items-center gap-2 px-4 border-b border-white/[0.05] shrink-0">
+        <Search size={15} className="text-nv-text-tertiary shrink-0" />
+        <span className="text-sm font-semibold text-nv-text-primary truncate flex-1">
+          {loading && results.length === 0 ? 'Searching…' : `${results.length}${hasMore ? '+' : ''} results`}
+        </span>
+        <button
+          onClick={onClose}
+          title="Close search"
+          className="w-7 h-7 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-2 py-2 space-y-1">
+        {error && <p className="text-xs text-nv-danger px-2 py-1">{error}</p>}
+
+        {!loading && !error && results.length === 0 && (
+          <p className="text-xs text-nv-text-tertiary text-center py-10">No messages found</p>
+        )}
+
+        {results.map((result) => (
+          <button
+            key={result.id}
+            onClick={() => onJump(result)}
+            className="w-full text-left flex gap-2.5 px-2.5 py-2 rounded-xl hover:bg-white/[0.04] transition-colors"
+          >
+            <UserAvatar user={result} size="xs" />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-1.5 text-[10px] text-nv-text-tertiary">
+                <span className="text-xs font-medium text-nv-text-primary truncate">{result.display_name}</span>
+                <Hash size={10} className="shrink-0" />
+                <span className="truncate">{result.channel_name}</span>
+                {result.thread_id && <MessagesSquare size={10} className="shrink-0" title="In a thread" />}
+                <span className="ml-auto shrink-0">{formatDate(result.created_at)}</span>
+              </div>
+              <p className="text-xs text-nv-text-secondary mt-0.5 line-clamp-3 break-words">
+                {highlight(toPlainText(result.content, serverDetails[serverId]), terms)}
+              </p>
+            </div>
+          </button>
+        ))}
+
+        {hasMore && (
+          <button
+            onClick={() => load(results[results.length - 1]?.created_at)}
+            disabled={loading}
+            className="w-full text-[11px] py-1.5 rounded-lg text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.04] disabled:opacity-40"
+          >
+            {loading ? 'Loading…' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -34,7 +34,7 @@ const CHANNEL_TYPE_ICONS = {
 const CHANNEL_TYPE_OPTIONS = [
   { type: 'text',          Icon: Hash,            label: 'Text',          desc: 'Chat with text messages' },
   { type: 'voice',         Icon: Volume2,          label: 'Voice',         desc: 'Talk with voice' },
-  { type: 'announcements', Icon: Megaphone,        label: 'Announcements', desc: 'Owner-only posts' },
+  { type: 'announcements', Icon: Megaphone,        label: 'Announcements', desc: 'Staff-only posts' },
   { type: 'rules',         Icon: BookOpen,         label: 'Rules',         desc: 'Server rules & info' },
   { type: 'calendar',      Icon: CalendarDays,     label: 'Calendar',      desc: 'Schedule events' },
   { type: 'tasks',         Icon: ListTodo,         label: 'Tasks',         desc: 'Manage task lists' },
@@ -43,6 +43,7 @@ const CHANNEL_TYPE_OPTIONS = [
 import { useApp } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
 import { useVoice } from '../context/VoiceContext';
+import { PERMISSIONS, hasPermission, getServerPermissions, getChannelPermissions } from '../utils/permissions';
 import Modal from './Modal';
 import ServerSettingsModal from './ServerSettingsModal';
 import UserAvatar from './UserAvatar';
@@ -60,13 +61,24 @@ export default function ServerChannels() {
     voiceChannelOccupancy,
     voiceChannelParticipants,
     activeServerApi,
+    servers,
   } = useApp();
   const { activeVoiceChannelId, joinVoice, leaveVoice } = useVoice();
 
   const serverId = activeView?.id;
   const details = serverDetails[serverId];
+  const channelUnreads = servers.find((s) => s.id === serverId)?.unreads?.channels || {};
   const server = details?.server;
   const isOwner = server?.owner_id === user?.id;
+  const permissions = getServerPermissions(details, user?.id);
+  const canManageChannels = hasPermission(permissions, PERMISSIONS.MANAGE_CHANNELS);
+  const canOpenSettings = canManageChannels
+    || hasPermission(permissions, PERMISSIONS.MANAGE_SERVER)
+    || hasPermission(permissions, PERMISSIONS.MANAGE_ROLES)
+    || hasPermission(permissions, PERMISSIONS.KICK_MEMBERS)
+    || hasPermission(permissions, PERMISSIONS.BAN_MEMBERS)
+    || hasPermission(permissions, PERMISSIONS.MODERATE_MEMBERS)
+    || hasPermission(permissions, PERMISSIONS.VIEW_AUDIT_LOG);
 
   // Local copies for optimistic drag-drop reordering
   const [localChannels, setLocalChannels] = useState([]);
@@ -108,10 +120,14 @@ export default function ServerChannels() {
     if (serverId && !details) loadServerDetails(serverId);
   }, [serverId]);
 
-  // Auto-select first text channel
+  // Auto-select first text channel, also when the selected one became hidden
   useEffect(() => {
     const textChannels = localChannels.filter((c) => c.type === 'text');
-    if (textChannels.length > 0 && !activeChannel) {
+    const hidden = activeChannel?.server_id === serverId
+      && details?.channels && !details.channels.some((c) => c.id === activeChannel.id);
+    if (hidden) {
+      setActiveChannel(textChannels[0] || null);
+    } else if (textChannels.length > 0 && !activeChannel) {
       setActiveChannel(textChannels[0]);
     }
   }, [localChannels]);
@@ -348,17 +364,21 @@ export default function ServerChannels() {
     const voiceUsers = channel.type === 'voice' ? (voiceChannelParticipants.get(channel.id) || []) : [];
     const isDraggingThis = dragging?.id === channel.id;
     const isDropTarget = dragOverId === channel.id && dragging?.id !== channel.id;
+    const channelPermissions = getChannelPermissions(channel);
+    const canManageChannel = hasPermission(channelPermissions, PERMISSIONS.MANAGE_CHANNELS);
+    const canConnect = hasPermission(channelPermissions, PERMISSIONS.CONNECT);
+    const unread = isActive ? null : channelUnreads[channel.id];
 
     return (
       <div key={channel.id}>
       <div
-        draggable={isOwner}
+        draggable={canManageChannels}
         onDragStart={(e) => handleDragStart(e, channel.id, 'channel')}
         onDragOver={(e) => handleDragOver(e, channel.id)}
         onDrop={(e) => handleDrop(e, channel.id, 'channel')}
         onDragEnd={handleDragEnd}
         onClick={() => setActiveChannel(channel)}
-        onDoubleClick={(e) => isOwner && startRename(e, channel.id, channel.name)}
+        onDoubleClick={(e) => canManageChannel && startRename(e, channel.id, channel.name)}
         className={[
           'flex items-center gap-1.5 px-2 py-1.5 rounded-lg cursor-pointer transition-all duration-150 group select-none',
           isActive
@@ -368,7 +388,7 @@ export default function ServerChannels() {
           isDropTarget ? 'ring-1 ring-nv-accent/50 bg-nv-accent/[0.06]' : '',
         ].join(' ')}
       >
-        {isOwner && (
+        {canManageChannels && (
           <span data-drag-handle="true" className="shrink-0 flex items-center">
             <GripVertical
               size={11}
@@ -394,7 +414,15 @@ export default function ServerChannels() {
             className="flex-1 text-sm bg-white/10 rounded px-1 py-0 outline-none border border-nv-accent/50 min-w-0"
           />
         ) : (
-          <span className="text-sm truncate flex-1">{channel.name}</span>
+          <span className={`text-sm truncate flex-1 ${unread?.unread_count > 0 ? 'font-semibold text-nv-text-primary' : ''}`}>
+            {channel.name}
+          </span>
+        )}
+
+        {unread?.mention_count > 0 && (
+          <span className="min-w-[16px] h-4 px-1 rounded-full bg-nv-danger text-[9px] font-bold flex items-center justify-center text-white leading-none shrink-0">
+            {unread.mention_count > 99 ? '99+' : unread.mention_count}
+          </span>
         )}
 
         {channel.type === 'voice' && occupancy > 0 && (
@@ -410,7 +438,7 @@ export default function ServerChannels() {
             >
               <PhoneOff size={10} />
             </button>
-          ) : (
+          ) : canConnect && (
             <button
               onClick={(e) => handleQuickJoinVoice(e, channel)}
               className="w-5 h-5 rounded flex items-center justify-center opacity-0 group-hover:opacity-100 hover:bg-nv-accent/20 text-nv-text-tertiary hover:text-nv-accent transition-all shrink-0"
@@ -421,7 +449,7 @@ export default function ServerChannels() {
           )
         )}
 
-        {isOwner && (
+        {canManageChannel && (
           <button
             onClick={(e) => { e.stopPropagation(); handleDeleteChannel(channel.id); }}
             className="w-5 h-5 rounded flex items-center justify-center opacity-0 group-hover:opacity-100 hover:bg-nv-danger/20 text-nv-text-tertiary hover:text-nv-danger transition-all shrink-0"
@@ -453,6 +481,7 @@ export default function ServerChannels() {
     const isDraggingThis = dragging?.id === category.id;
     const isDropTarget = dragOverId === category.id;
     const categoryChannels = localChannels.filter((c) => c.category_id === category.id);
+    const canManageCategory = hasPermission(getChannelPermissions(category), PERMISSIONS.MANAGE_CHANNELS);
 
     const toggleCollapse = () => {
       setCollapsed((prev) => {
@@ -476,7 +505,7 @@ export default function ServerChannels() {
       >
         {/* Category header row */}
         <div
-          draggable={isOwner}
+          draggable={canManageChannels}
           onDragStart={(e) => handleDragStart(e, category.id, 'category')}
           onDragEnd={handleDragEnd}
           className={[
@@ -485,7 +514,7 @@ export default function ServerChannels() {
             isDropTarget && dragging?.type === 'category' ? 'bg-white/[0.05]' : '',
           ].join(' ')}
         >
-          {isOwner && (
+          {canManageChannels && (
             <span data-drag-handle="true" className="shrink-0 flex items-center">
               <GripVertical
                 size={10}
@@ -517,13 +546,13 @@ export default function ServerChannels() {
             <span
               className="text-[10px] font-semibold uppercase tracking-wider flex-1 cursor-pointer"
               onClick={toggleCollapse}
-              onDoubleClick={(e) => isOwner && startRename(e, category.id, category.name)}
+              onDoubleClick={(e) => canManageCategory && startRename(e, category.id, category.name)}
             >
               {category.name}
             </span>
           )}
 
-          {isOwner && (
+          {canManageCategory && (
             <>
               <button
                 onClick={(e) => {
@@ -592,17 +621,19 @@ export default function ServerChannels() {
       <div className="px-4 pt-3 pb-2 border-b border-white/[0.04]">
         <div className="flex items-center justify-between">
           <h3 className="text-sm font-semibold text-nv-text-primary truncate">{server.name}</h3>
-          <button
-            onClick={handleCopyInvite}
-            className="w-6 h-6 rounded-md flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/5 transition-all"
-            title="Copy invite code"
-          >
-            {copiedInvite ? (
-              <Check size={12} className="text-nv-accent" />
-            ) : (
-              <Copy size={12} />
-            )}
-          </button>
+          {server.invite_code && (
+            <button
+              onClick={handleCopyInvite}
+              className="w-6 h-6 rounded-md flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/5 transition-all"
+              title="Copy invite code"
+            >
+              {copiedInvite ? (
+                <Check size={12} className="text-nv-accent" />
+              ) : (
+                <Copy size={12} />
+              )}
+            </button>
+          )}
         </div>
         <p className="text-[10px] text-nv-text-tertiary mt-0.5">
           {details?.members?.length || 0} members
@@ -639,25 +670,29 @@ export default function ServerChannels() {
         )}
       </div>
 
-      {/* Bottom admin bar — owner only */}
-      {isOwner && (
+      {/* Bottom admin bar — shown to members who can manage something */}
+      {canOpenSettings && (
         <div className="border-t border-white/[0.04] px-2 py-1.5 flex items-center gap-0.5">
-          <button
-            onClick={() => { setCreateChannelCategoryId(null); setCreateChannelOpen(true); }}
-            className="flex-1 flex flex-col items-center gap-0.5 py-1.5 rounded-lg text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/[0.04] transition-all"
-            title="New channel"
-          >
-            <Plus size={12} />
-            <span className="text-[9px] font-medium">Channel</span>
-          </button>
-          <button
-            onClick={() => setCreateCategoryOpen(true)}
-            className="flex-1 flex flex-col items-center gap-0.5 py-1.5 rounded-lg text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/[0.04] transition-all"
-            title="New category"
-          >
-            <FolderPlus size={12} />
-            <span className="text-[9px] font-medium">Category</span>
-          </button>
+          {canManageChannels && (
+            <>
+              <button
+                onClick={() => { setCreateChannelCategoryId(null); setCreateChannelOpen(true); }}
+                className="flex-1 flex flex-col items-center gap-0.5 py-1.5 rounded-lg text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/[0.04] transition-all"
+                title="New channel"
+              >
+                <Plus size={12} />
+                <span className="text-[9px] font-medium">Channel</span>
+              </button>
+              <button
+                onClick={() => setCreateCategoryOpen(true)}
+                className="flex-1 flex flex-col items-center gap-0.5 py-1.5 rounded-lg text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/[0.04] transition-all"
+                title="New category"
+              >
+                <FolderPlus size={12} />
+                <span className="text-[9px] font-medium">Category</span>
+              </button>
+            </>
+          )}
           <button
             onClick={() => setShowSettings(true)}
             className="flex-1 flex flex-col items-center gap-0.5 py-1.5 rounded-lg text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/[0.04] transition-all"
@@ -768,6 +803,9 @@ export default function ServerChannels() {
         server={server}
         channels={localChannels}
         categories={localCategories}
+        roles={details?.roles || []}
+        members={details?.members || []}
+        permissions={permissions}
         serverId={serverId}
         onUpdate={() => loadServerDetails(serverId)}
       />
@@ -1,20 +1,175 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { X, Server, Hash, Volume2, FolderOpen, Trash2, Check } from 'lucide-react';
+import { X, Server, Hash, Volume2, FolderOpen, Trash2, Check, Shield, Users, Plus, ChevronUp, ChevronDown, Crown, Lock, Minus, RefreshCw, Ban, ScrollText, Link2, Copy } from 'lucide-react';
 import { useApp } from '../context/AppContext';
+import { useAuth } from '../context/AuthContext';
+import { PERMISSIONS, PERMISSION_OPTIONS, OVERWRITE_OPTIONS, hasPermission, getChannelPermissions } from '../utils/permissions';
+import UserAvatar from './UserAvatar';
 
 const COLORS = [
   '#FF3B30', '#FF9500', '#FFCC00', '#34C759', '#007AFF',
   '#5856D6', '#AF52DE', '#FF2D55', '#5AC8FA', '#64D2FF',
 ];
 
+// ── Sub-component: permission overwrites of a channel or category ──────────
+
+function OverwritesPanel({ scope, scopeId, inCategory = false, serverId, roles, members, onUpdate }) {
+  const { activeServerApi } = useApp();
+  const [overwrites, setOverwrites] = useState([]);
+  const [synced, setSynced] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    try {
+      const data = await activeServerApi.getOverwrites(serverId, scope, scopeId);
+      setOverwrites(data.overwrites || []);
+      setSynced(Boolean(data.synced));
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    load();
+  }, [scope, scopeId]);
+
+  // Wraps a request so the list and the server details refresh afterwards
+  const run = async (request) => {
+    setError('');
+    try {
+      await request();
+      await load();
+      await onUpdate();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Each click cycles a bit through inherit → allow → deny
+  const cycle = (o, flag) => {
+    let { allow, deny } = o;
+    if (allow & flag) { allow &= ~flag; deny |= flag; }
+    else if (deny & flag) deny &= ~flag;
+    else allow |= flag;
+    run(() => activeServerApi.setOverwrite(serverId, scope, scopeId, o.target_type, o.target_id, { allow, deny }));
+  };
+
+  const handleRemove = (o) => {
+    if (o === pending) { setPending(null); return; }
+    run(() => activeServerApi.deleteOverwrite(serverId, scope, scopeId, o.target_type, o.target_id));
+  };
+
+  const targetName = (o) => {
+    if (o.target_type === 'role') return roles.find((r) => r.id === o.target_id)?.name || 'Deleted role';
+    return `@${members.find((m) => m.id === o.target_id)?.display_name || 'former member'}`;
+  };
+
+  // A newly added target only exists locally until one of its bits is set
+  const key = (o) => `${o.target_type}:${o.target_id}`;
+  const listed = new Set(overwrites.map(key));
+  const rows = pending && !listed.has(key(pending)) ? [...overwrites, pending] : overwrites;
+  const candidates = [
+    ...roles.map((r) => ({ value: `role:${r.id}`, label: r.name })),
+    ...members.map((m) => ({ value: `member:${m.id}`, label: `@${m.display_name}` })),
+  ].filter((c) => !rows.some((o) => key(o) === c.value));
+
+  if (loading) {
+    return <p className="text-[11px] text-nv-text-tertiary px-5 py-2">Loading permissions…</p>;
+  }
+
+  return (
+    <div className="mx-3 mb-2 p-2.5 rounded-xl border border-white/[0.05] bg-white/[0.02] space-y-2.5">
+      {inCategory && (
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-[10px] text-nv-text-tertiary">
+            {synced ? 'Synced with the category. Changes here stop the sync.' : 'Not synced with the category.'}
+          </p>
+          {!synced && (
+            <button
+              onClick={() => run(() => activeServerApi.syncChannelPermissions(serverId, scopeId))}
+              className="shrink-0 flex items-center gap-1 text-[10px] px-2 py-0.5 rounded-lg text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
+            >
+              <RefreshCw size={10} />
+              Sync
+            </button>
+          )}
+        </div>
+      )}
+
+      {rows.length === 0 && (
+        <p className="text-[10px] text-nv-text-tertiary/60 italic">No overwrites — everyone uses their role permissions.</p>
+      )}
+
+      {rows.map((o) => (
+        <div key={key(o)} className="space-y-1">
+          <div className="flex items-center gap-2">
+            <span className="text-xs text-nv-text-primary flex-1 truncate">{targetName(o)}</span>
+            <button
+              onClick={() => handleRemove(o)}
+              className="text-[10px] px-1.5 rounded-lg text-nv-danger/70 hover:text-nv-danger hover:bg-nv-danger/10 transition-all"
+            >
+              Remove
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {OVERWRITE_OPTIONS.map(({ flag, label }) => {
+              const state = o.allow & flag ? 'allow' : o.deny & flag ? 'deny' : 'inherit';
+              const Icon = state === 'allow' ? Check : state === 'deny' ? X : Minus;
+              return (
+                <button
+                  key={flag}
+                  onClick={() => cycle(o, flag)}
+                  title={`${label}: ${state}`}
+                  className={`flex items-center gap-1 text-[10px] px-2 py-0.5 rounded-full border transition-all ${
+                    state === 'allow'
+                      ? 'border-transparent bg-[#34C759]/20 text-[#34C759]'
+                      : state === 'deny'
+                        ? 'border-transparent bg-nv-danger/20 text-nv-danger'
+                        : 'border-white/[0.08] text-nv-text-tertiary hover:text-nv-text-secondary'
+                  }`}
+                >
+                  <Icon size={9} />
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      {candidates.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => {
+            const [targetType, targetId] = e.target.value.split(':');
+            if (targetId) setPending({ target_type: targetType, target_id: targetId, allow: 0, deny: 0 });
+          }}
+          className="nv-input text-xs py-1"
+        >
+          <option value="">Add a role or member…</option>
+          {candidates.map((c) => (
+            <option key={c.value} value={c.value}>{c.label}</option>
+          ))}
+        </select>
+      )}
+
+      {error && <p className="text-[11px] text-nv-danger">{error}</p>}
+    </div>
+  );
+}
+
 // ── Sub-component: channel row inside settings ─────────────────────────────
 
-function ChannelRow({ channel, serverId, onUpdate }) {
+function ChannelRow({ channel, serverId, roles, members, onUpdate }) {
   const { activeServerApi } = useApp();
   const [renaming, setRenaming] = useState(false);
   const [nameValue, setNameValue] = useState(channel.name);
   const [deleting, setDeleting] = useState(false);
+  const [showPermissions, setShowPermissions] = useState(false);
+  const canManage = hasPermission(getChannelPermissions(channel), PERMISSIONS.MANAGE_CHANNELS);
 
   const submitRename = async () => {
     if (!nameValue.trim() || nameValue.trim() === channel.name) {
@@ -43,54 +198,823 @@ function ChannelRow({ channel, serverId, onUpdate }) {
     setDeleting(false);
   };
 
+  if (!canManage) {
+    return (
+      <div className="flex items-center gap-2 px-3 py-2 rounded-xl opacity-50">
+        <Lock size={13} className="text-nv-text-tertiary shrink-0" />
+        <span className="text-sm text-nv-text-secondary flex-1">{channel.name}</span>
+      </div>
+    );
+  }
+
   return (
-    <div className="flex items-center gap-2 px-3 py-2 rounded-xl hover:bg-white/[0.03] group transition-all">
-      {channel.type === 'voice' ? (
-        <Volume2 size={13} className="text-nv-text-tertiary shrink-0" />
-      ) : (
-        <Hash size={13} className="text-nv-text-tertiary shrink-0" />
-      )}
+    <>
+      <div className="flex items-center gap-2 px-3 py-2 rounded-xl hover:bg-white/[0.03] group transition-all">
+        {channel.type === 'voice' ? (
+          <Volume2 size={13} className="text-nv-text-tertiary shrink-0" />
+        ) : (
+          <Hash size={13} className="text-nv-text-tertiary shrink-0" />
+        )}
 
-      {renaming ? (
-        <input
-          value={nameValue}
-          onChange={(e) => setNameValue(e.target.value)}
-          onBlur={submitRename}
-          onKeyDown={(e) => {
-            if (e.key === 'Enter') submitRename();
-            if (e.key === 'Escape') { setRenaming(false); setNameValue(channel.name); }
-          }}
-          className="flex-1 text-sm bg-white/10 rounded-lg px-2 py-0.5 outline-none border border-nv-accent/50"
-          autoFocus
+        {renaming ? (
+          <input
+            value={nameValue}
+            onChange={(e) => setNameValue(e.target.value)}
+            onBlur={submitRename}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') submitRename();
+              if (e.key === 'Escape') { setRenaming(false); setNameValue(channel.name); }
+            }}
+            className="flex-1 text-sm bg-white/10 rounded-lg px-2 py-0.5 outline-none border border-nv-accent/50"
+            autoFocus
+          />
+        ) : (
+          <span
+            className="text-sm text-nv-text-secondary flex-1 cursor-text"
+            onDoubleClick={() => setRenaming(true)}
+          >
+            {channel.name}
+          </span>
+        )}
+
+        <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+          <button
+            onClick={() => setShowPermissions((v) => !v)}
+            className="text-[10px] text-nv-text-tertiary hover:text-nv-text-secondary px-2 py-0.5 rounded-lg hover:bg-white/[0.06] transition-all"
+          >
+            Permissions
+          </button>
+          {!renaming && (
+            <button
+              onClick={() => setRenaming(true)}
+              className="text-[10px] text-nv-text-tertiary hover:text-nv-text-secondary px-2 py-0.5 rounded-lg hover:bg-white/[0.06] transition-all"
+            >
+              Rename
+            </button>
+          )}
+          <button
+            onClick={handleDelete}
+            className={`text-[10px] px-2 py-0.5 rounded-lg transition-all ${
+              deleting
+                ? 'text-white bg-nv-danger'
+                : 'text-nv-danger/70 hover:text-nv-danger hover:bg-nv-danger/10'
+            }`}
+          >
+            {deleting ? 'Confirm' : 'Delete'}
+          </button>
+        </div>
+      </div>
+      {showPermissions && (
+        <OverwritesPanel
+          scope="channels"
+          scopeId={channel.id}
+          inCategory={Boolean(channel.category_id)}
+          serverId={serverId}
+          roles={roles}
+          members={members}
+          onUpdate={onUpdate}
         />
-      ) : (
+      )}
+    </>
+  );
+}
+
+// ── Sub-component: role editor row ─────────────────────────────────────────
+
+function RoleRow({ role, serverId, editable, grantable, isFirst, isLast, onMove, onUpdate }) {
+  const { activeServerApi } = useApp();
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState(role.name);
+  const [color, setColor] = useState(role.color);
+  const [permissions, setPermissions] = useState(role.permissions);
+  const [saving, setSaving] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setName(role.name);
+    setColor(role.color);
+    setPermissions(role.permissions);
+  }, [role]);
+
+  const dirty = name.trim() !== role.name || color !== role.color || permissions !== role.permissions;
+
+  const togglePermission = (flag) => {
+    setPermissions((prev) => prev ^ flag);
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) return;
+    setSaving(true);
+    setError('');
+    try {
+      const data = { color, permissions };
+      if (!role.is_default) data.name = name.trim();
+      await activeServerApi.updateRole(serverId, role.id, data);
+      await onUpdate();
+    } catch (err) {
+      setError(err.message);
+    }
+    setSaving(false);
+  };
+
+  const handleDelete = async () => {
+    if (!deleting) { setDeleting(true); return; }
+    try {
+      await activeServerApi.deleteRole(serverId, role.id);
+      await onUpdate();
+    } catch (err) {
+      setError(err.message);
+    }
+    setDeleting(false);
+  };
+
+  return (
+    <div className="rounded-xl border border-white/[0.05] bg-white/[0.02]">
+      <div className="flex items-center gap-2 px-3 py-2">
         <span
-          className="text-sm text-nv-text-secondary flex-1 cursor-text"
-          onDoubleClick={() => setRenaming(true)}
+          className="w-2.5 h-2.5 rounded-full shrink-0"
+          style={{ backgroundColor: role.color || 'rgba(255,255,255,0.25)' }}
+        />
+        <button
+          onClick={() => setOpen((v) => !v)}
+          className="flex-1 text-left text-sm text-nv-text-primary truncate"
         >
-          {channel.name}
-        </span>
+          {role.name}
+        </button>
+        {!role.is_default && editable && (
+          <div className="flex items-center">
+            <button
+              onClick={() => onMove(role.id, -1)}
+              disabled={isFirst}
+              className="w-6 h-6 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-primary hover:bg-white/[0.06] disabled:opacity-30 transition-all"
+              title="Move up"
+            >
+              <ChevronUp size={13} />
+            </button>
+            <button
+              onClick={() => onMove(role.id, 1)}
+              disabled={isLast}
+              className="w-6 h-6 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-primary hover:bg-white/[0.06] disabled:opacity-30 transition-all"
+              title="Move down"
+            >
+              <ChevronDown size={13} />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {open && (
+        <div className="px-3 pb-3 pt-1 space-y-3 border-t border-white/[0.04]">
+          {!role.is_default && (
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={!editable}
+              maxLength={32}
+              className="nv-input"
+              placeholder="Role name"
+            />
+          )}
+
+          {!role.is_default && (
+            <div className="flex flex-wrap gap-1.5">
+              <button
+                onClick={() => setColor(null)}
+                disabled={!editable}
+                className={`w-6 h-6 rounded-lg border border-white/20 text-[9px] text-nv-text-tertiary ${color === null ? 'ring-2 ring-white' : ''}`}
+                title="No color"
+              >
+                —
+              </button>
+              {COLORS.map((c) => (
+                <button
+                  key={c}
+                  onClick={() => setColor(c)}
+                  disabled={!editable}
+                  className={`w-6 h-6 rounded-lg ${color === c ? 'ring-2 ring-white ring-offset-1 ring-offset-[#161619]' : ''}`}
+                  style={{ backgroundColor: c }}
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-0.5">
+            {PERMISSION_OPTIONS.map(({ flag, label, description }) => {
+              const checked = (permissions & flag) === flag;
+              const locked = !editable || !hasPermission(grantable, flag);
+              return (
+                <label
+                  key={flag}
+                  className={`flex items-start gap-2.5 px-2 py-1.5 rounded-lg ${locked ? 'opacity-50' : 'hover:bg-white/[0.03] cursor-pointer'}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={checked}
+                    disabled={locked}
+                    onChange={() => togglePermission(flag)}
+                    className="mt-0.5 accent-[#34C759]"
+                  />
+                  <span className="min-w-0">
+                    <span className="block text-xs text-nv-text-primary">{label}</span>
+                    <span className="block text-[10px] text-nv-text-tertiary">{description}</span>
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+
+          {error && <p className="text-[11px] text-nv-danger">{error}</p>}
+
+          {editable && (
+            <div className="flex items-center justify-end gap-2">
+              {!role.is_default && (
+                <button
+                  onClick={handleDelete}
+                  className={`text-[11px] px-2.5 py-1 rounded-lg transition-all ${
+                    deleting
+                      ? 'text-white bg-nv-danger'
+                      : 'text-nv-danger/70 hover:text-nv-danger hover:bg-nv-danger/10'
+                  }`}
+                >
+                  {deleting ? 'Confirm' : 'Delete'}
+                </button>
+              )}
+              <button
+                onClick={handleSave}
+                disabled={!dirty || saving || !name.trim()}
+                className="nv-button-primary text-xs px-3 py-1 disabled:opacity-40"
+              >
+                {saving ? 'Saving…' : 'Save'}
+              </button>
+            </div>
+          )}
+        </div>
       )}
+    </div>
+  );
+}
+
+// ── Sub-component: kick / ban / timeout controls for one member ────────────
+
+const TIMEOUT_DURATIONS = [
+  { seconds: 60, label: '1 min' },
+  { seconds: 5 * 60, label: '5 min' },
+  { seconds: 60 * 60, label: '1 hour' },
+  { seconds: 24 * 60 * 60, label: '1 day' },
+  { seconds: 7 * 24 * 60 * 60, label: '1 week' },
+];
+
+const BAN_DURATIONS = [
+  { seconds: null, label: 'Permanent' },
+  { seconds: 24 * 60 * 60, label: '1 day' },
+  { seconds: 7 * 24 * 60 * 60, label: '1 week' },
+  { seconds: 30 * 24 * 60 * 60, label: '30 days' },
+];
+
+function formatDateTime(value) {
+  const d = new Date(value);
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
 
-      <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-        {!renaming && (
+function MemberModeration({ member, serverId, canKick, canBan, canTimeout, onUpdate }) {
+  const { activeServerApi } = useApp();
+  const [action, setAction] = useState(null); // 'kick' | 'ban' | 'timeout'
+  const [reason, setReason] = useState('');
+  const [duration, setDuration] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const open = (next) => {
+    setAction((current) => (current === next ? null : next));
+    setReason('');
+    setDuration(next === 'timeout' ? String(TIMEOUT_DURATIONS[1].seconds) : '');
+    setError('');
+  };
+
+  const run = async (request) => {
+    setBusy(true);
+    setError('');
+    try {
+      await request();
+      setAction(null);
+      await onUpdate();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const confirm = () => {
+    const trimmed = reason.trim() || undefined;
+    if (action === 'kick') run(() => activeServerApi.kickMember(serverId, member.id, trimmed));
+    if (action === 'ban') {
+      run(() => activeServerApi.banMember(serverId, member.id, {
+        reason: trimmed,
+        durationSeconds: duration ? Number(duration) : null,
+      }));
+    }
+    if (action === 'timeout') run(() => activeServerApi.timeoutMember(serverId, member.id, Number(duration), trimmed));
+  };
+
+  const buttonClass = 'text-[10px] px-2 py-0.5 rounded-lg transition-all';
+
+  return (
+    <div className="mt-1.5 space-y-1.5">
+      <div className="flex flex-wrap items-center gap-1">
+        {canTimeout && (member.timeout_until ? (
           <button
-            onClick={() => setRenaming(true)}
-            className="text-[10px] text-nv-text-tertiary hover:text-nv-text-secondary px-2 py-0.5 rounded-lg hover:bg-white/[0.06] transition-all"
+            onClick={() => run(() => activeServerApi.timeoutMember(serverId, member.id, 0))}
+            disabled={busy}
+            className={`${buttonClass} text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.06]`}
           >
-            Rename
+            Remove timeout
+          </button>
+        ) : (
+          <button
+            onClick={() => open('timeout')}
+            className={`${buttonClass} text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/[0.06]`}
+          >
+            Timeout
+          </button>
+        ))}
+        {canKick && (
+          <button
+            onClick={() => open('kick')}
+            className={`${buttonClass} text-nv-danger/70 hover:text-nv-danger hover:bg-nv-danger/10`}
+          >
+            Kick
+          </button>
+        )}
+        {canBan && (
+          <button
+            onClick={() => open('ban')}
+            className={`${buttonClass} text-nv-danger/70 hover:text-nv-danger hover:bg-nv-danger/10`}
+          >
+            Ban
           </button>
         )}
+      </div>
+
+      {action && (
+        <div className="flex flex-wrap items-center gap-1.5">
+          {action !== 'kick' && (
+            <select
+              value={duration}
+              onChange={(e) => setDuration(e.target.value)}
+              className="nv-input text-xs py-1 w-auto"
+            >
+              {(action === 'ban' ? BAN_DURATIONS : TIMEOUT_DURATIONS).map(({ seconds, label }) => (
+                <option key={label} value={seconds ?? ''}>{label}</option>
+              ))}
+            </select>
+          )}
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={512}
+            placeholder="Reason (optional)"
+            className="nv-input text-xs py-1 flex-1 min-w-[120px]"
+          />
+          <button
+            onClick={confirm}
+            disabled={busy}
+            className="text-[11px] px-2.5 py-1 rounded-lg text-white bg-nv-danger disabled:opacity-40"
+          >
+            {action === 'kick' ? 'Kick' : action === 'ban' ? 'Ban' : 'Time out'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-[11px] text-nv-danger">{error}</p>}
+    </div>
+  );
+}
+
+// ── Sub-component: invite list and creation ────────────────────────────────
+
+const INVITE_EXPIRY_OPTIONS = [
+  { seconds: 30 * 60, label: '30 minutes' },
+  { seconds: 60 * 60, label: '1 hour' },
+  { seconds: 24 * 60 * 60, label: '1 day' },
+  { seconds: 7 * 24 * 60 * 60, label: '7 days' },
+  { seconds: 0, label: 'Never' },
+];
+
+const INVITE_MAX_USES_OPTIONS = [0, 1, 5, 10, 25, 100];
+
+function InvitesPanel({ serverId }) {
+  const { activeServerApi } = useApp();
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expiresInSeconds, setExpiresInSeconds] = useState(INVITE_EXPIRY_OPTIONS[2].seconds);
+  const [maxUses, setMaxUses] = useState(0);
+  const [temporary, setTemporary] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [copiedCode, setCopiedCode] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    try {
+      const data = await activeServerApi.getInvites(serverId);
+      setInvites(data.invites || []);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    load();
+  }, [serverId]);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError('');
+    try {
+      await activeServerApi.createInvite(serverId, { expiresInSeconds, maxUses, temporary });
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+    setCreating(false);
+  };
+
+  const handleRevoke = async (code) => {
+    setError('');
+    try {
+      await activeServerApi.deleteInvite(serverId, code);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopy = async (code) => {
+    await navigator.clipboard.writeText(code);
+    setCopiedCode(code);
+    setTimeout(() => setCopiedCode(null), 2000);
+  };
+
+  return (
+    <div className="space-y-3">
+      {/* Create */}
+      <div className="flex flex-wrap items-center gap-2 px-3 py-2.5 rounded-xl bg-white/[0.03] border border-white/[0.05]">
+        <select
+          value={expiresInSeconds}
+          onChange={(e) => setExpiresInSeconds(Number(e.target.value))}
+          className="nv-input text-xs py-1 w-auto"
+          title="Expires after"
+        >
+          {INVITE_EXPIRY_OPTIONS.map(({ seconds, label }) => (
+            <option key={seconds} value={seconds}>{seconds ? `Expires in ${label}` : 'Never expires'}</option>
+          ))}
+        </select>
+        <select
+          value={maxUses}
+          onChange={(e) => setMaxUses(Number(e.target.value))}
+          className="nv-input text-xs py-1 w-auto"
+          title="Max uses"
+        >
+          {INVITE_MAX_USES_OPTIONS.map((uses) => (
+            <option key={uses} value={uses}>{uses ? `${uses} ${uses === 1 ? 'use' : 'uses'}` : 'No use limit'}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1.5 text-[11px] text-nv-text-secondary cursor-pointer">
+          <input type="checkbox" checked={temporary} onChange={(e) => setTemporary(e.target.checked)} />
+          Temporary membership
+        </label>
+        <button
+          onClick={handleCreate}
+          disabled={creating}
+          className="ml-auto flex items-center gap-1 text-[11px] px-2.5 py-1 rounded-lg text-white bg-nv-accent disabled:opacity-40"
+        >
+          <Plus size={12} />
+          Create
+        </button>
+      </div>
+
+      {error && <p className="text-[11px] text-nv-danger px-3">{error}</p>}
+
+      {/* List */}
+      {loading ? (
+        <p className="text-xs text-nv-text-tertiary px-3 py-2">Loading invites…</p>
+      ) : (
+        <div className="space-y-0.5">
+          {invites.map((invite) => (
+            <div key={invite.code} className="flex items-center gap-2.5 px-3 py-2 rounded-xl hover:bg-white/[0.02]">
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-1.5">
+                  <span className="text-sm font-mono tracking-wider text-nv-text-primary">{invite.code}</span>
+                  {invite.temporary && (
+                    <span className="text-[9px] px-1.5 py-px rounded-full bg-nv-warning/15 text-nv-warning">Temporary</span>
+                  )}
+                </div>
+                <p className="text-[10px] text-nv-text-tertiary mt-0.5">
+                  {invite.creator_display_name || 'Unknown user'}
+                  {' · '}{invite.max_uses ? `${invite.uses}/${invite.max_uses} uses` : `${invite.uses} uses`}
+                  {' · '}{invite.expires_at ? `expires ${formatDateTime(invite.expires_at)}` : 'never expires'}
+                </p>
+              </div>
+              <button
+                onClick={() => handleCopy(invite.code)}
+                className="w-7 h-7 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/[0.06] transition-all"
+                title="Copy invite code"
+              >
+                {copiedCode === invite.code ? <Check size={12} className="text-nv-accent" /> : <Copy size={12} />}
+              </button>
+              <button
+                onClick={() => handleRevoke(invite.code)}
+                className="w-7 h-7 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-danger hover:bg-nv-danger/10 transition-all"
+                title="Revoke invite"
+              >
+                <Trash2 size={12} />
+              </button>
+            </div>
+          ))}
+          {invites.length === 0 && (
+            <div className="flex flex-col items-center justify-center py-12 text-center">
+              <Link2 size={28} className="text-nv-text-tertiary/30 mb-3" />
+              <p className="text-sm text-nv-text-tertiary">No active invites</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Sub-component: active bans ─────────────────────────────────────────────
+
+function BansPanel({ serverId }) {
+  const { activeServerApi } = useApp();
+  const [bans, setBans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    try {
+      const data = await activeServerApi.getBans(serverId);
+      setBans(data.bans || []);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    load();
+  }, [serverId]);
+
+  const handleUnban = async (userId) => {
+    setError('');
+    try {
+      await activeServerApi.unbanMember(serverId, userId);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-xs text-nv-text-tertiary px-3 py-2">Loading bans…</p>;
+  }
+
+  return (
+    <div className="space-y-0.5">
+      {error && <p className="text-[11px] text-nv-danger px-3">{error}</p>}
+      {bans.map((ban) => (
+        <div key={ban.user_id} className="flex items-start gap-2.5 px-3 py-2 rounded-xl hover:bg-white/[0.02]">
+          <UserAvatar user={{ ...ban, id: ban.user_id }} size="xs" />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-nv-text-primary truncate">{ban.display_name}</p>
+            <p className="text-[10px] text-nv-text-tertiary">
+              {ban.expires_at ? `Until ${formatDateTime(ban.expires_at)}` : 'Permanent'}
+              {ban.reason ? ` — ${ban.reason}` : ''}
+            </p>
+          </div>
+          <button
+            onClick={() => handleUnban(ban.user_id)}
+            className="text-[10px] px-2 py-0.5 rounded-lg text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
+          >
+            Unban
+          </button>
+        </div>
+      ))}
+      {bans.length === 0 && (
+        <div className="flex flex-col items-center justify-center py-12 text-center">
+          <Ban size={28} className="text-nv-text-tertiary/30 mb-3" />
+          <p className="text-sm text-nv-text-tertiary">No active bans</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Sub-component: audit log with filters ──────────────────────────────────
+
+const AUDIT_ACTION_LABELS = {
+  'server.update': 'updated the server',
+  'channel.create': 'created channel',
+  'channel.update': 'updated channel',
+  'channel.delete': 'deleted channel',
+  'category.create': 'created category',
+  'category.update': 'updated category',
+  'category.delete': 'deleted category',
+  'channels.reorder': 'reordered channels',
+  'overwrite.update': 'changed permissions of',
+  'overwrite.delete': 'removed an overwrite from',
+  'overwrite.sync': 'synced permissions of',
+  'role.create': 'created role',
+  'role.update': 'updated role',
+  'role.delete': 'deleted role',
+  'roles.reorder': 'reordered roles',
+  'member.roles': 'changed roles of',
+  'member.kick': 'kicked',
+  'member.ban': 'banned',
+  'member.unban': 'unbanned',
+  'member.timeout': 'changed the timeout of',
+  'invite.create': 'created invite',
+  'invite.delete': 'revoked invite',
+  'message.delete': 'deleted a message by',
+  'message.pin': 'pinned a message by',
+  'message.unpin': 'unpinned a message by',
+};
+
+const AUDIT_PAGE_SIZE = 50;
+
+function AuditLogPanel({ serverId, members, roles, channels, categories }) {
+  const { activeServerApi } = useApp();
+  const [entries, setEntries] = useState([]);
+  const [action, setAction] = useState('');
+  const [actorId, setActorId] = useState('');
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const load = async (before) => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await activeServerApi.getAuditLog(serverId, { action, actorId, before, limit: AUDIT_PAGE_SIZE });
+      const page = data.entries || [];
+      setEntries((prev) => (before ? [...prev, ...page] : page));
+      setHasMore(page.length === AUDIT_PAGE_SIZE);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    load();
+  }, [serverId, action, actorId]);
+
+  // Deleted targets fall back to the name recorded with the entry
+  const targetName = (entry) => {
+    const { target_type: type, target_id: id, changes } = entry;
+    const recorded = typeof changes?.name === 'string' ? changes.name : null;
+    if (type === 'member') return members.find((m) => m.id === id)?.display_name || 'a former member';
+    if (type === 'role') return roles.find((r) => r.id === id)?.name || recorded || 'a deleted role';
+    if (type === 'channel') return `#${channels.find((c) => c.id === id)?.name || recorded || 'deleted-channel'}`;
+    if (type === 'category') return categories.find((c) => c.id === id)?.name || recorded || 'a deleted category';
+    if (type === 'invite') return id;
+    if (type === 'message') {
+      const author = members.find((m) => m.id === changes?.author_id)?.display_name || 'a former member';
+      const channel = channels.find((c) => c.id === changes?.channel_id);
+      return channel ? `${author} in #${channel.name}` : author;
+    }
+    return '';
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2 px-1">
+        <select value={action} onChange={(e) => setAction(e.target.value)} className="nv-input text-xs py-1">
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{value} — {label}</option>
+          ))}
+        </select>
+        <select value={actorId} onChange={(e) => setActorId(e.target.value)} className="nv-input text-xs py-1">
+          <option value="">Anyone</option>
+          {members.map((m) => (
+            <option key={m.id} value={m.id}>{m.display_name}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-[11px] text-nv-danger px-1">{error}</p>}
+
+      <div className="space-y-0.5">
+        {entries.map((entry) => (
+          <div key={entry.id} className="px-3 py-2 rounded-xl hover:bg-white/[0.02]">
+            <p className="text-xs text-nv-text-primary">
+              <span className="font-medium">{entry.actor_display_name || 'Unknown user'}</span>
+              {' '}{AUDIT_ACTION_LABELS[entry.action] || entry.action}
+              {entry.target_type && entry.target_type !== 'server' && (
+                <span className="font-medium"> {targetName(entry)}</span>
+              )}
+            </p>
+            <p className="text-[10px] text-nv-text-tertiary mt-0.5">
+              {formatDateTime(entry.created_at)}
+              {entry.reason ? ` — ${entry.reason}` : ''}
+            </p>
+          </div>
+        ))}
+        {!loading && entries.length === 0 && (
+          <p className="text-xs text-nv-text-tertiary text-center py-10">Nothing logged yet</p>
+        )}
+      </div>
+
+      {hasMore && (
         <button
-          onClick={handleDelete}
-          className={`text-[10px] px-2 py-0.5 rounded-lg transition-all ${
-            deleting
-              ? 'text-white bg-nv-danger'
-              : 'text-nv-danger/70 hover:text-nv-danger hover:bg-nv-danger/10'
-          }`}
+          onClick={() => load(entries[entries.length - 1]?.created_at)}
+          disabled={loading}
+          className="w-full text-[11px] py-1.5 rounded-lg text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.04] disabled:opacity-40"
         >
-          {deleting ? 'Confirm' : 'Delete'}
+          {loading ? 'Loading…' : 'Load more'}
         </button>
+      )}
+    </div>
+  );
+}
+
+// ── Sub-component: member row with role toggles ────────────────────────────
+
+function MemberRolesRow({ member, roles, serverId, isOwner, isSelf, permissions, highestPosition, onUpdate }) {
+  const { activeServerApi } = useApp();
+  const [saving, setSaving] = useState(false);
+  const assigned = new Set(member.role_ids || []);
+  const canManageRoles = hasPermission(permissions, PERMISSIONS.MANAGE_ROLES);
+
+  // Same rule as the server: never yourself or the owner, only members ranked below you
+  const memberPosition = Math.max(0, ...roles.filter((r) => assigned.has(r.id)).map((r) => r.position));
+  const moderatable = !isSelf && !isOwner && memberPosition < highestPosition;
+
+  const toggleRole = async (roleId) => {
+    const next = new Set(assigned);
+    if (next.has(roleId)) next.delete(roleId);
+    else next.add(roleId);
+    setSaving(true);
+    try {
+      await activeServerApi.setMemberRoles(serverId, member.id, [...next]);
+      await onUpdate();
+    } catch (err) {
+      console.error(err);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="flex items-start gap-2.5 px-3 py-2 rounded-xl hover:bg-white/[0.02]">
+      <UserAvatar user={member} size="xs" />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-1">
+          <span className="text-sm text-nv-text-primary truncate">{member.display_name}</span>
+          {isOwner && <Crown size={11} className="text-nv-danger shrink-0" />}
+        </div>
+        {member.timeout_until && (
+          <p className="text-[10px] text-nv-warning mt-0.5">Timed out until {formatDateTime(member.timeout_until)}</p>
+        )}
+        {isOwner ? (
+          <p className="text-[10px] text-nv-text-tertiary mt-0.5">Owner — has every permission</p>
+        ) : (
+          <div className="flex flex-wrap gap-1 mt-1">
+            {roles.map((role) => {
+              const active = assigned.has(role.id);
+              const locked = saving || !canManageRoles || role.position >= highestPosition;
+              return (
+                <button
+                  key={role.id}
+                  onClick={() => toggleRole(role.id)}
+                  disabled={locked}
+                  className={`text-[10px] px-2 py-0.5 rounded-full border transition-all disabled:opacity-40 ${
+                    active
+                      ? 'border-transparent text-white'
+                      : 'border-white/[0.08] text-nv-text-tertiary hover:text-nv-text-secondary'
+                  }`}
+                  style={active ? { backgroundColor: role.color || 'rgba(255,255,255,0.18)' } : undefined}
+                >
+                  {role.name}
+                </button>
+              );
+            })}
+            {roles.length === 0 && (
+              <span className="text-[10px] text-nv-text-tertiary/60 italic">No roles yet</span>
+            )}
+          </div>
+        )}
+        {moderatable && (
+          <MemberModeration
+            member={member}
+            serverId={serverId}
+            canKick={hasPermission(permissions, PERMISSIONS.KICK_MEMBERS)}
+            canBan={hasPermission(permissions, PERMISSIONS.BAN_MEMBERS)}
+            canTimeout={hasPermission(permissions, PERMISSIONS.MODERATE_MEMBERS)}
+            onUpdate={onUpdate}
+          />
+        )}
       </div>
     </div>
   );
@@ -104,10 +1028,14 @@ export default function ServerSettingsModal({
   server,
   channels,
   categories,
+  roles = [],
+  members = [],
+  permissions = 0,
   serverId,
   onUpdate,
 }) {
   const { activeServerApi } = useApp();
+  const { user } = useAuth();
   const [tab, setTab] = useState('overview');
   const [name, setName] = useState('');
   const [iconColor, setIconColor] = useState('#007AFF');
@@ -121,11 +1049,59 @@ export default function ServerSettingsModal({
     }
   }, [server, isOpen]);
 
+  const tabs = [
+    { id: 'overview', label: 'Overview', icon: Server, title: 'Server Overview', permission: PERMISSIONS.MANAGE_SERVER },
+    { id: 'channels', label: 'Channels', icon: Hash, title: 'Channel Management', permission: PERMISSIONS.MANAGE_CHANNELS },
+    { id: 'roles', label: 'Roles', icon: Shield, title: 'Roles', permission: PERMISSIONS.MANAGE_ROLES },
+    {
+      id: 'members',
+      label: 'Members',
+      icon: Users,
+      title: 'Members',
+      permission: [PERMISSIONS.MANAGE_ROLES, PERMISSIONS.KICK_MEMBERS, PERMISSIONS.BAN_MEMBERS, PERMISSIONS.MODERATE_MEMBERS],
+    },
+    { id: 'invites', label: 'Invites', icon: Link2, title: 'Invites', permission: PERMISSIONS.MANAGE_SERVER },
+    { id: 'bans', label: 'Bans', icon: Ban, title: 'Bans', permission: PERMISSIONS.BAN_MEMBERS },
+    { id: 'audit', label: 'Audit Log', icon: ScrollText, title: 'Audit Log', permission: PERMISSIONS.VIEW_AUDIT_LOG },
+  ].filter((t) => [].concat(t.permission).some((flag) => hasPermission(permissions, flag)));
+
   // Reset tab on open
   useEffect(() => {
-    if (isOpen) setTab('overview');
+    if (isOpen) setTab(tabs[0]?.id || 'overview');
   }, [isOpen]);
 
+  // Roles the current user may edit sit strictly below their highest role
+  const isServerOwner = server?.owner_id === user?.id;
+  const me = members.find((m) => m.id === user?.id);
+  const highestPosition = isServerOwner
+    ? Infinity
+    : Math.max(0, ...roles.filter((r) => me?.role_ids?.includes(r.id)).map((r) => r.position));
+  const customRoles = roles.filter((r) => !r.is_default);
+  const defaultRole = roles.find((r) => r.is_default);
+
+  const handleCreateRole = async () => {
+    try {
+      await activeServerApi.createRole(serverId, { name: 'New Role' });
+      await onUpdate();
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleMoveRole = async (roleId, delta) => {
+    const ids = customRoles.map((r) => r.id);
+    const from = ids.indexOf(roleId);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= ids.length) return;
+    [ids[from], ids[to]] = [ids[to], ids[from]];
+    try {
+      await activeServerApi.reorderRoles(serverId, ids);
+      await onUpdate();
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
   const handleSave = async () => {
     if (!name.trim() || name.trim().length < 2) return;
     setSaving(true);
@@ -147,12 +1123,8 @@ export default function ServerSettingsModal({
     if (e.key === 'Escape') onClose();
   };
 
-  const tabs = [
-    { id: 'overview', label: 'Overview', icon: Server },
-    { id: 'channels', label: 'Channels', icon: Hash },
-  ];
-
   const uncategorized = channels.filter((c) => !c.category_id);
+  const [openCategoryId, setOpenCategoryId] = useState(null);
 
   return (
     <AnimatePresence>
@@ -227,7 +1199,7 @@ export default function ServerSettingsModal({
               {/* Header */}
               <div className="flex items-center justify-between px-6 py-4 border-b border-white/[0.05] shrink-0">
                 <h2 className="text-[15px] font-semibold text-nv-text-primary tracking-tight">
-                  {tab === 'overview' ? 'Server Overview' : 'Channel Management'}
+                  {tabs.find((t) => t.id === tab)?.title}
                 </h2>
                 <button
                   onClick={onClose}
@@ -314,7 +1286,14 @@ export default function ServerSettingsModal({
                           Uncategorized
                         </p>
                         {uncategorized.map((ch) => (
-                          <ChannelRow key={ch.id} channel={ch} serverId={serverId} onUpdate={onUpdate} />
+                          <ChannelRow
+                            key={ch.id}
+                            channel={ch}
+                            serverId={serverId}
+                            roles={roles}
+                            members={members}
+                            onUpdate={onUpdate}
+                          />
                         ))}
                       </div>
                     )}
@@ -332,10 +1311,35 @@ export default function ServerSettingsModal({
                             <span className="ml-auto text-[10px] text-nv-text-tertiary/50">
                               {catChannels.length} channel{catChannels.length !== 1 ? 's' : ''}
                             </span>
+                            {hasPermission(getChannelPermissions(cat), PERMISSIONS.MANAGE_CHANNELS) && (
+                              <button
+                                onClick={() => setOpenCategoryId((id) => (id === cat.id ? null : cat.id))}
+                                className="text-[10px] text-nv-text-tertiary hover:text-nv-text-secondary px-2 py-0.5 rounded-lg hover:bg-white/[0.06] transition-all"
+                              >
+                                Permissions
+                              </button>
+                            )}
                           </div>
+                          {openCategoryId === cat.id && (
+                            <OverwritesPanel
+                              scope="categories"
+                              scopeId={cat.id}
+                              serverId={serverId}
+                              roles={roles}
+                              members={members}
+                              onUpdate={onUpdate}
+                            />
+                          )}
                           <div className="pl-2">
                             {catChannels.map((ch) => (
-                              <ChannelRow key={ch.id} channel={ch} serverId={serverId} onUpdate={onUpdate} />
+                              <ChannelRow
+                                key={ch.id}
+                                channel={ch}
+                                serverId={serverId}
+                                roles={roles}
+                                members={members}
+                                onUpdate={onUpdate}
+                              />
                             ))}
                             {catChannels.length === 0 && (
                               <p className="text-[11px] text-nv-text-tertiary/40 px-5 py-1 italic">
@@ -358,6 +1362,95 @@ export default function ServerSettingsModal({
                     )}
                   </div>
                 )}
+
+                {/* ── Roles tab ─────────────────────────────────────────── */}
+                {tab === 'roles' && (
+                  <div className="px-4 py-4 space-y-1.5">
+                    <div className="flex items-center justify-between px-1 pb-1">
+                      <p className="text-[11px] text-nv-text-tertiary">
+                        Members get the permissions of every role they have. Higher roles manage lower ones.
+                      </p>
+                      <button
+                        onClick={handleCreateRole}
+                        className="shrink-0 ml-3 flex items-center gap-1 text-[11px] px-2.5 py-1 rounded-lg text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
+                      >
+                        <Plus size={12} />
+                        Create Role
+                      </button>
+                    </div>
+                    {customRoles.map((role, index) => (
+                      <RoleRow
+                        key={role.id}
+                        role={role}
+                        serverId={serverId}
+                        editable={role.position < highestPosition}
+                        grantable={permissions}
+                        isFirst={index === 0 || customRoles[index - 1].position >= highestPosition}
+                        isLast={index === customRoles.length - 1}
+                        onMove={handleMoveRole}
+                        onUpdate={onUpdate}
+                      />
+                    ))}
+                    {defaultRole && (
+                      <RoleRow
+                        role={defaultRole}
+                        serverId={serverId}
+                        editable
+                        grantable={permissions}
+                        isFirst
+                        isLast
+                        onMove={handleMoveRole}
+                        onUpdate={onUpdate}
+                      />
+                    )}
+                  </div>
+                )}
+
+                {/* ── Members tab ───────────────────────────────────────── */}
+                {tab === 'members' && (
+                  <div className="px-3 py-3 space-y-0.5">
+                    {members.map((member) => (
+                      <MemberRolesRow
+                        key={member.id}
+                        member={member}
+                        roles={customRoles}
+                        serverId={serverId}
+                        isOwner={member.id === server?.owner_id}
+                        isSelf={member.id === user?.id}
+                        permissions={permissions}
+                        highestPosition={highestPosition}
+                        onUpdate={onUpdate}
+                      />
+                    ))}
+                  </div>
+                )}
+
+                {/* ── Invites tab ───────────────────────────────────────── */}
+                {tab === 'invites' && (
+                  <div className="px-3 py-3">
+                    <InvitesPanel serverId={serverId} />
+                  </div>
+                )}
+
+                {/* ── Bans tab ──────────────────────────────────────────── */}
+                {tab === 'bans' && (
+                  <div className="px-3 py-3">
+                    <BansPanel serverId={serverId} />
+                  </div>
+                )}
+
+                {/* ── Audit log tab ─────────────────────────────────────── */}
+                {tab === 'audit' && (
+                  <div className="px-3 py-3">
+                    <AuditLogPanel
+                      serverId={serverId}
+                      members={members}
+                      roles={roles}
+                      channels={channels}
+                      categories={categories}
+                    />
+                  </div>
+                )}
               </div>
 
               {/* Footer — overview only */}
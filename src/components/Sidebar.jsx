@@ -3,11 +3,12 @@ import { motion, AnimatePresence } from 'framer-motion';
 import {
   Users, Server, ChevronDown, ChevronLeft, ChevronRight,
   Plus, LogOut, LogIn, LayoutGrid, Store, Pin, PinOff,
-  Eye, EyeOff, X,
+  Eye, EyeOff, X, MonitorSmartphone, MessageSquarePlus,
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useApp } from '../context/AppContext';
 import UserAvatar from './UserAvatar';
+import GroupIcon from './GroupIcon';
 import VoiceBar from './VoiceBar';
 
 // ── Tiny context-menu hook ────────────────────────────────────────────────────
@@ -194,12 +195,14 @@ export default function Sidebar({
   onAddFriend,
   onCreateServer,
   onJoinServer,
+  onSyncDMs,
+  onCreateGroup,
   collapsed = false,
   onToggleCollapse,
 }) {
   const { user, logout } = useAuth();
   const {
-    friends, servers, activeView, setActiveView, setActiveChannel,
+    friends, dmGroups, servers, activeView, setActiveView, setActiveChannel,
     onlineUsers, pendingRequests,
     pinnedApps, unpinApp, installedExtensions, uninstallExtension,
     hiddenSections, hideSection, showSection,
@@ -226,6 +229,11 @@ export default function Sidebar({
     setActiveChannel(null);
   };
 
+  const handleGroupClick = (group) => {
+    setActiveView({ type: 'group', id: group.id, data: group });
+    setActiveChannel(null);
+  };
+
   const handleServerClick = (server) => {
     setActiveView({ type: 'server', id: server.id, data: server });
     setActiveChannel(null);
@@ -430,6 +438,13 @@ export default function Sidebar({
                         {pendingRequests.incoming.length}
                       </span>
                     )}
+                    <button
+                      onClick={(e) => { e.stopPropagation(); onCreateGroup(); }}
+                      className="w-5 h-5 rounded flex items-center justify-center opacity-0 group-hover:opacity-100 hover:bg-white/10 transition-all"
+                      title="New group DM"
+                    >
+                      <MessageSquarePlus size={11} />
+                    </button>
                     <button
                       onClick={(e) => { e.stopPropagation(); onAddFriend(); }}
                       className="w-5 h-5 rounded flex items-center justify-center opacity-0 group-hover:opacity-100 hover:bg-white/10 transition-all"
@@ -475,6 +490,25 @@ export default function Sidebar({
                     </button>
                   )}
 
+                  {dmGroups.map((group) => (
+                    <button
+                      key={group.id}
+                      onClick={() => handleGroupClick(group)}
+                      className={`w-full flex items-center gap-2.5 px-2 py-1.5 rounded-lg transition-all duration-150 ${activeView?.type === 'group' && activeView?.id === group.id
+                          ? 'bg-white/[0.08] text-nv-text-primary'
+                          : 'text-nv-text-secondary hover:bg-white/[0.04] hover:text-nv-text-primary'
+                        }`}
+                    >
+                      <GroupIcon group={group} size="sm" />
+                      {!collapsed && (
+                        <span className="min-w-0 text-left">
+                          <span className="block text-sm truncate">{group.name}</span>
+                          <span className="block text-[10px] text-nv-text-tertiary">{group.members.length} members</span>
+                        </span>
+                      )}
+                    </button>
+                  ))}
+
                   {friends.map((friend) => (
                     <button
                       key={friend.id}
@@ -553,10 +587,21 @@ export default function Sidebar({
                           : 'text-nv-text-secondary hover:bg-white/[0.04] hover:text-nv-text-primary'
                         }`}
                     >
-                      <div className="w-8 h-8 rounded-xl flex items-center justify-center text-white text-xs font-bold shrink-0" style={{ backgroundColor: server.icon_color }}>
+                      <div className="relative w-8 h-8 rounded-xl flex items-center justify-center text-white text-xs font-bold shrink-0" style={{ backgroundColor: server.icon_color }}>
                         {server.name[0].toUpperCase()}
+                        {server.unreads?.mention_count > 0 ? (
+                          <span className="absolute -bottom-1 -right-1 min-w-[16px] h-4 px-1 rounded-full bg-nv-danger text-[9px] font-bold flex items-center justify-center text-white leading-none ring-2 ring-nv-sidebar">
+                            {server.unreads.mention_count > 99 ? '99+' : server.unreads.mention_count}
+                          </span>
+                        ) : server.unreads?.unread_count > 0 && (
+                          <span className="absolute -bottom-0.5 -right-0.5 w-2.5 h-2.5 rounded-full bg-nv-text-primary ring-2 ring-nv-sidebar" />
+                        )}
                       </div>
-                      {!collapsed && <span className="text-sm truncate">{server.name}</span>}
+                      {!collapsed && (
+                        <span className={`text-sm truncate ${server.unreads?.unread_count > 0 ? 'font-semibold text-nv-text-primary' : ''}`}>
+                          {server.name}
+                        </span>
+                      )}
                     </button>
                   ))}
 
@@ -583,6 +628,13 @@ export default function Sidebar({
                 <p className="text-sm font-medium text-nv-text-primary truncate">{user?.display_name}</p>
                 <p className="text-[10px] text-nv-text-tertiary truncate">@{user?.username}</p>
               </div>
+              <button
+                onClick={onSyncDMs}
+                className="w-7 h-7 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-secondary hover:bg-white/5 transition-all"
+                title="Copy DMs from another device"
+              >
+                <MonitorSmartphone size={14} />
+              </button>
               <button
                 onClick={logout}
                 className="w-7 h-7 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-danger hover:bg-nv-danger/10 transition-all"
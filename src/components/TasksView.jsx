@@ -53,7 +53,7 @@ export default function TasksView({ channel, onToggleMembers, showMembers }) {
   const [saving, setSaving] = useState(false);
   const [categories, setCategories] = useState([]);
   const [items, setItems] = useState([]);
-  const [permissions, setPermissions] = useState({ can_edit: false, is_owner: false });
+  const [permissions, setPermissions] = useState({ can_edit: false, can_manage: false });
 
   const [collapsedCategories, setCollapsedCategories] = useState(new Set());
 
@@ -78,14 +78,15 @@ export default function TasksView({ channel, onToggleMembers, showMembers }) {
   const [loadingEditors, setLoadingEditors] = useState(false);
 
   const canEdit = permissions?.can_edit;
-  const isOwner = permissions?.is_owner;
+  // Older servers report is_owner instead of can_manage
+  const canManage = permissions?.can_manage ?? permissions?.is_owner;
 
   const loadBoard = useCallback(async () => {
     try {
       const data = await activeServerApi.getTasks(channel.id);
       setCategories((data.categories || []).sort((a, b) => a.position - b.position));
       setItems(data.items || []);
-      setPermissions(data.permissions || { can_edit: false, is_owner: false });
+      setPermissions(data.permissions || { can_edit: false, can_manage: false });
       setEditorIds(new Set((data.editors || []).map((editor) => editor.id)));
     } catch (err) {
       console.error(err);
@@ -435,7 +436,7 @@ export default function TasksView({ channel, onToggleMembers, showMembers }) {
           </button>
         )}
 
-        {isOwner && (
+        {canManage && (
           <button
             onClick={openEditorsPanel}
             className="flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
@@ -485,7 +486,7 @@ export default function TasksView({ channel, onToggleMembers, showMembers }) {
       </AnimatePresence>
 
       <AnimatePresence>
-        {showEditors && isOwner && (
+        {showEditors && canManage && (
           <motion.div
             initial={{ opacity: 0, height: 0 }}
             animate={{ opacity: 1, height: 'auto' }}
@@ -0,0 +1,232 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { X, Trash2, MessagesSquare } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import { useAuth } from '../context/AuthContext';
+import { useSocket } from '../context/SocketContext';
+import { setReactionSummary, applyReactionUpdate, updateReactionsIn } from '../utils/reactions';
+import UserAvatar from './UserAvatar';
+import MessageContent from './MessageContent';
+import MessageInput from './MessageInput';
+import ReactionBar from './ReactionBar';
+import LinkEmbeds from './LinkEmbeds';
+import ReplyQuote from './ReplyQuote';
+
+const THREAD_PAGE_SIZE = 30;
+
+function formatTime(dateStr) {
+  const d = new Date(dateStr);
+  const time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return d.toDateString() === new Date().toDateString() ? time : `${d.toLocaleDateString()} ${time}`;
+}
+
+// ── ThreadPanel ──────────────────────────────────────────────────────────────
+// Side conversation attached to a top-level channel message. Pages through
+// GET /api/messages?thread=<rootId> and follows the channel's live events.
+export default function ThreadPanel({ channel, root, canSendMessages, canManageMessages, onClose }) {
+  const { activeServerApi, ownSocket } = useApp();
+  const { user } = useAuth();
+  const { socket } = useSocket();
+
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const endRef = useRef(null);
+  const rootId = root.id;
+
+  const loadPage = useCallback(async (before) => {
+    setLoading(true);
+    try {
+      const data = await activeServerApi.getMessages(channel.id, { thread: rootId, before, limit: THREAD_PAGE_SIZE });
+      const page = data.messages || [];
+      setMessages((prev) => (before ? [...page, ...prev] : page));
+      setHasMore(page.length === THREAD_PAGE_SIZE);
+    } catch (err) {
+      console.error(err);
+    }
+    setLoading(false);
+  }, [activeServerApi, channel.id, rootId]);
+
+  useEffect(() => {
+    setMessages([]);
+    loadPage();
+  }, [loadPage]);
+
+  // Follow the newest message, not older pages being prepended
+  const lastMessageId = messages[messages.length - 1]?.id;
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [lastMessageId]);
+
+  useEffect(() => {
+    const handleNew = ({ channelId, message }) => {
+      if (channelId !== channel.id || message?.thread_id !== rootId) return;
+      setMessages((prev) => (prev.some((m) => m.id === message.id) ? prev : [...prev, message]));
+    };
+    const handleUpdated = ({ channelId, message }) => {
+      if (channelId !== channel.id || message?.thread_id !== rootId) return;
+      setMessages((prev) => prev.map((m) => (m.id === message.id ? { ...message, reactions: m.reactions } : m)));
+    };
+    const handleDeleted = ({ channelId, messageId, threadId }) => {
+      if (channelId !== channel.id || threadId !== rootId) return;
+      setMessages((prev) => prev.filter((m) => m.id !== messageId));
+    };
+    const handleReaction = (event) => {
+      if (event.channelId !== channel.id || event.targetType !== 'message') return;
+      setMessages((prev) => updateReactionsIn(prev, event.targetId, (r) => applyReactionUpdate(r, event, user?.id)));
+    };
+
+    const events = [
+      ['message:new', handleNew],
+      ['message:updated', handleUpdated],
+      ['message:deleted', handleDeleted],
+      ['reaction:update', handleReaction],
+    ];
+    events.forEach(([event, handler]) => {
+      socket?.on(event, handler);
+      ownSocket?.on(event, handler);
+    });
+    return () => {
+      events.forEach(([event, handler]) => {
+        socket?.off(event, handler);
+        ownSocket?.off(event, handler);
+      });
+    };
+  }, [socket, ownSocket, channel.id, rootId, user?.id]);
+
+  const handleSend = useCallback((content) => {
+    if (!content.trim()) return;
+    socket?.emit('message:send', { channelId: channel.id, content, threadId: rootId });
+  }, [socket, channel.id, rootId]);
+
+  const handleToggleReaction = async (msg, emoji, me) => {
+    try {
+      const summary = me
+        ? await activeServerApi.removeReaction('message', msg.id, emoji)
+        : await activeServerApi.addReaction('message', msg.id, emoji);
+      setMessages((prev) => updateReactionsIn(prev, msg.id, (r) => setReactionSummary(r, summary)));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleSuppressEmbeds = async (msg) => {
+    try {
+      const data = await activeServerApi.suppressEmbeds(channel.id, msg.id);
+      setMessages((prev) => prev.map((m) => (m.id === msg.id ? { ...data.message, reactions: m.reactions } : m)));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleDelete = async (msg) => {
+    if (!window.confirm('Delete this message?')) return;
+    try {
+      await activeServerApi.deleteMessage(channel.id, msg.id);
+      setMessages((prev) => prev.filter((m) => m.id !== msg.id));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ width: 0, opacity: 0 }}
+      animate={{ width: 340, opacity: 1 }}
+      exit={{ width: 0, opacity: 0 }}
+      transition={{ duration: 0.22, ease: [0.25, 0.1, 0.25, 1] }}
+      className="h-full bg-nv-channels border-l border-white/[0.04] flex flex-col shrink-0 overflow-hidden"
+    >
+      <div className="h-12 flex items-center gap-2 px-4 border-b border-white/[0.05] shrink-0">
+        <MessagesSquare size={15} className="text-nv-text-tertiary shrink-0" />
+        <span className="text-sm font-semibold text-nv-text-primary flex-1">Thread</span>
+        <button
+          onClick={onClose}
+          title="Close thread"
+          className="w-7 h-7 rounded-lg flex items-center justify-center text-nv-text-tertiary hover:text-nv-text-primary hover:bg-white/[0.06] transition-all"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-3 py-3 space-y-2">
+        {/* Root message */}
+        <div className="flex gap-2.5 px-2 pb-3 border-b border-white/[0.05]">
+          <UserAvatar user={root} size="sm" />
+          <div className="flex-1 min-w-0">
+            <div className="flex items-baseline gap-2">
+              <span className="text-sm font-semibold text-nv-text-primary">{root.display_name}</span>
+              <span className="text-[10px] text-nv-text-tertiary">{formatTime(root.created_at)}</span>
+            </div>
+            <MessageContent content={root.content} attachments={root.attachments} />
+            <LinkEmbeds embeds={root.embeds} />
+          </div>
+        </div>
+
+        {hasMore && (
+          <button
+            onClick={() => loadPage(messages[0]?.created_at)}
+            disabled={loading}
+            className="w-full text-[11px] py-1.5 rounded-lg text-nv-text-secondary hover:text-nv-text-primary hover:bg-white/[0.04] disabled:opacity-40"
+          >
+            {loading ? 'Loading…' : 'Load older replies'}
+          </button>
+        )}
+
+        {!loading && messages.length === 0 && (
+          <p className="text-xs text-nv-text-tertiary text-center py-6">No replies yet. Start the thread.</p>
+        )}
+
+        {messages.map((msg) => {
+          const canDelete = msg.sender_id === user?.id || canManageMessages;
+          return (
+            <div key={msg.id} className="group relative flex gap-2.5 px-2 py-1 rounded-lg hover:bg-white/[0.025]">
+              <UserAvatar user={msg} size="xs" />
+              <div className="flex-1 min-w-0">
+                {msg.reply_to_id && <ReplyQuote parent={msg.reply_to} />}
+                <div className="flex items-baseline gap-2">
+                  <span className="text-xs font-semibold text-nv-text-primary">{msg.display_name}</span>
+                  <span className="text-[10px] text-nv-text-tertiary">{formatTime(msg.created_at)}</span>
+                  {msg.edited_at && <span className="text-[10px] text-nv-text-tertiary">(edited)</span>}
+                </div>
+                <MessageContent content={msg.content} attachments={msg.attachments} />
+                <LinkEmbeds embeds={msg.embeds} onSuppress={canDelete ? () => handleSuppressEmbeds(msg) : undefined} />
+                <ReactionBar
+                  reactions={msg.reactions}
+                  canReact={canSendMessages}
+                  onToggle={(emoji, me) => handleToggleReaction(msg, emoji, me)}
+                  className={msg.reactions?.length ? 'mt-1' : 'absolute right-9 top-1'}
+                  pickerClassName="absolute top-full right-0 mt-2 z-10"
+                />
+              </div>
+              {canDelete && (
+                <button
+                  onClick={() => handleDelete(msg)}
+                  title="Delete message"
+                  className="w-6 h-6 rounded-md flex items-center justify-center opacity-0 group-hover:opacity-100 text-nv-text-tertiary hover:text-nv-danger hover:bg-nv-danger/10 transition-all shrink-0 self-start"
+                >
+                  <Trash2 size={11} />
+                </button>
+              )}
+            </div>
+          );
+        })}
+        <div ref={endRef} />
+      </div>
+
+      {canSendMessages ? (
+        <MessageInput
+          onSend={handleSend}
+          placeholder="Reply in thread"
+          channelId={channel.id}
+          isDM={false}
+          targetId={null}
+        />
+      ) : (
+        <p className="px-4 py-3 border-t border-white/[0.05] text-xs text-nv-text-tertiary text-center">
+          You do not have permission to reply here.
+        </p>
+      )}
+    </motion.div>
+  );
+}
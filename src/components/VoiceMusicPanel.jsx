@@ -31,7 +31,7 @@ export default function VoiceMusicPanel({
   channelId,
   canControlMusic,
   isInThisVoiceChannel,
-  isOwner,
+  canManageMusic,
   musicState,
   musicPositionSec,
   musicError,
@@ -175,9 +175,9 @@ export default function VoiceMusicPanel({
 
           {!canControl && (
             <p className="text-[10px] text-nv-text-tertiary mt-2">
-              {isInThisVoiceChannel || isOwner
+              {isInThisVoiceChannel || canManageMusic
                 ? 'Read-only mode. You can listen, but not control this queue.'
-                : 'Join voice (or be server owner) to control the shared queue.'}
+                : 'Join voice (or have Manage Music) to control the shared queue.'}
             </p>
           )}
         </div>
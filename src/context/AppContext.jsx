@@ -5,11 +5,26 @@ import { useAuth } from './AuthContext';
 import { useSocket } from './SocketContext';
 import { getDefaultPinnedIds, getAppById, APP_REGISTRY } from '../apps/registry';
 import { loadExtensionComponent } from '../utils/extensionLoader';
-import { loadConversation, appendMessage } from '../utils/dmStorage';
+import {
+  loadConversation, appendMessage, unlockDMStore, getDMStoreState, onDMStoreChange,
+} from '../utils/dmStorage';
+import { publishDeviceIdentity, encryptDM, encryptGroupDM, decryptDM } from '../utils/dmCrypto';
 
 const PINNED_APPS_KEY = 'nv_pinned_apps';
 const UNPINNED_APPS_KEY = 'nv_unpinned_apps';   // explicit unpin blocklist
 const HIDDEN_SECTIONS_KEY = 'nv_hidden_sections'; // sidebar category visibility
+const DM_SEND_TIMEOUT_MS = 10000;
+
+// Merges DM lists by message id, oldest first
+function mergeDMs(current, incoming) {
+  const byId = new Map(current.map((m) => [m.id, m]));
+  incoming.forEach((m) => { if (!byId.has(m.id)) byId.set(m.id, m); });
+  return [...byId.values()].sort((a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0));
+}
+
+function saveDM(myId, friendId, message) {
+  appendMessage(myId, friendId, message).catch((err) => console.error('[dm] Could not save message:', err));
+}
 
 function loadPinnedAppIds() {
   try {
@@ -66,8 +81,14 @@ export function AppProvider({ children }) {
   const ownSocketRef = useRef(null);
   const [ownSocket, setOwnSocket] = useState(null);
 
-  // In-memory DM store — relay-only, never persisted to disk
+  // In-memory DM store — relay-only on the server; decrypted copies are kept
+  // in the encrypted local history (utils/dmStorage.js). Group DMs are kept
+  // under the group's id in place of a friend's
   const [dmMessages, setDmMessages] = useState({}); // friendId -> Message[]
+  const [dmHistory, setDmHistory] = useState({}); // friendId -> { hasMore }
+  const [dmGroups, setDmGroups] = useState([]);
+  const [dmStoreState, setDmStoreState] = useState('locked');
+  const dmHistoryLoaded = useRef(new Set());
 
   // App Store — pinned app ids (built-in apps)
   const [pinnedAppIds, setPinnedAppIds] = useState(() => loadPinnedAppIds());
@@ -85,6 +106,23 @@ export function AppProvider({ children }) {
     api.getFriends().then((d) => setFriends(d.friends)).catch(console.error);
     api.getPendingRequests().then((d) => setPendingRequests(d)).catch(console.error);
     api.getServers().then((d) => setServers(d.servers)).catch(console.error);
+    api.getDMGroups().then((d) => setDmGroups(d.groups)).catch(console.error);
+    // Friends need this device's key before they can send it encrypted DMs
+    publishDeviceIdentity(user.id).catch(console.error);
+  }, [user]);
+
+  // Local DM history: unlocks by itself with the OS keychain (Electron);
+  // otherwise login() unlocked it with the password, or it stays locked
+  useEffect(() => {
+    if (!user) return undefined;
+    const update = () => {
+      dmHistoryLoaded.current.clear();
+      setDmStoreState(getDMStoreState(user.id));
+    };
+    const unsubscribe = onDMStoreChange(update);
+    update();
+    unlockDMStore(user.id).catch(console.error);
+    return unsubscribe;
   }, [user]);
 
   // Load installed extensions from disk on startup (Electron only)
@@ -198,20 +236,24 @@ export function AppProvider({ children }) {
       }
     };
 
-    // DM handler — handles both live relay and pending (offline) delivery
-    const handleDMNew = ({ message, wasPending }) => {
-      const friendId =
-        message.sender_id === user?.id ? message.receiver_id : message.sender_id;
+    // DM handler — handles both live relay and pending (offline) delivery.
+    // Messages arrive encrypted; only the decrypted copy is kept.
+    const handleDMNew = async ({ message: { envelope, ...message }, wasPending }) => {
+      const friendId = message.group_id
+        || (message.sender_id === user?.id ? message.receiver_id : message.sender_id);
+
+      const content = await decryptDM(user?.id, { ...message, envelope });
+      const decrypted = { ...message, content: content ?? '', undecryptable: content === null };
 
       // Persist to local storage so history survives restarts
-      appendMessage(user?.id, friendId, message);
+      if (content !== null) saveDM(user?.id, friendId, decrypted);
 
       setDmMessages((prev) => {
         const existing = prev[friendId] || [];
         if (existing.some((m) => m.id === message.id)) return prev;
         return {
           ...prev,
-          [friendId]: [...existing, { ...message, wasPending: Boolean(wasPending) }],
+          [friendId]: [...existing, { ...decrypted, wasPending: Boolean(wasPending) }],
         };
       });
     };
@@ -245,12 +287,23 @@ export function AppProvider({ children }) {
       }
     };
 
+    const handleGroupUpdated = ({ group }) => {
+      setDmGroups((prev) => [group, ...prev.filter((g) => g.id !== group.id)]);
+    };
+    const handleGroupRemoved = ({ groupId }) => {
+      setDmGroups((prev) => prev.filter((g) => g.id !== groupId));
+      if (activeView?.type === 'group' && activeView.id === groupId) setActiveView(null);
+    };
+
     socket.on('friend:request-received', refreshFriendState);
     socket.on('friend:updated', refreshFriendState);
     socket.on('server:updated', refreshServerState);
     socket.on('server:deleted', handleServerDeleted);
+    socket.on('server:removed', handleServerDeleted);
     socket.on('voice:channel:update', handleVoiceUpdate);
     socket.on('dm:new', handleDMNew);
+    socket.on('dm-group:updated', handleGroupUpdated);
+    socket.on('dm-group:removed', handleGroupRemoved);
 
     return () => {
       socket.off('user:status');
@@ -258,11 +311,68 @@ export function AppProvider({ children }) {
       socket.off('friend:updated', refreshFriendState);
       socket.off('server:updated', refreshServerState);
       socket.off('server:deleted', handleServerDeleted);
+      socket.off('server:removed', handleServerDeleted);
       socket.off('voice:channel:update', handleVoiceUpdate);
       socket.off('dm:new', handleDMNew);
+      socket.off('dm-group:updated', handleGroupUpdated);
+      socket.off('dm-group:removed', handleGroupRemoved);
     };
   }, [socket, activeView?.id, activeView?.type, serverDetails, user?.id, disconnectOwnServer]);
 
+  // ── Unread tracking ────────────────────────────────────────────────────────
+  // Counts arrive with GET /api/servers as `server.unreads`. message:new and
+  // mention:new bump them; read:update, sent to every device of the user,
+  // clears a channel.
+
+  const updateChannelUnread = useCallback((channelId, update) => {
+    setServers((prev) => prev.map((server) => {
+      const state = server.unreads?.channels?.[channelId];
+      if (!state) return server;
+      const next = update(state);
+      if (next === state) return server;
+      return {
+        ...server,
+        unreads: {
+          unread_count: server.unreads.unread_count - state.unread_count + next.unread_count,
+          mention_count: server.unreads.mention_count - state.mention_count + next.mention_count,
+          channels: { ...server.unreads.channels, [channelId]: next },
+        },
+      };
+    }));
+  }, []);
+
+  useEffect(() => {
+    if (!socket || !user) return;
+
+    const bump = (field) => ({ channelId, message }) => {
+      if (!message || message.sender_id === user.id || message.thread_id) return;
+      updateChannelUnread(channelId, (state) => (message.created_at <= state.last_read_at
+        ? state
+        : { ...state, [field]: state[field] + 1 }));
+    };
+    const handleMessageNew = bump('unread_count');
+    const handleMentionNew = bump('mention_count');
+
+    const handleReadUpdate = ({ channelId, lastReadMessageId, lastReadAt }) => {
+      updateChannelUnread(channelId, (state) => ({
+        ...state,
+        unread_count: 0,
+        mention_count: 0,
+        last_read_message_id: lastReadMessageId,
+        last_read_at: lastReadAt,
+      }));
+    };
+
+    socket.on('message:new', handleMessageNew);
+    socket.on('mention:new', handleMentionNew);
+    socket.on('read:update', handleReadUpdate);
+    return () => {
+      socket.off('message:new', handleMessageNew);
+      socket.off('mention:new', handleMentionNew);
+      socket.off('read:update', handleReadUpdate);
+    };
+  }, [socket, user, updateChannelUnread]);
+
   // ── Actions ────────────────────────────────────────────────────────────────
 
   const loadServerDetails = useCallback(async (serverId) => {
@@ -316,18 +426,71 @@ export function AppProvider({ children }) {
     });
   }, []);
 
-  // Seed in-memory store from localStorage for a conversation (called when opening a DM)
-  const loadDMHistory = useCallback((friendId) => {
-    if (!user?.id || !friendId) return;
-    setDmMessages((prev) => {
-      // Don't overwrite if we already have messages in memory
-      if (prev[friendId]?.length > 0) return prev;
-      const history = loadConversation(user.id, friendId);
-      if (!history.length) return prev;
-      return { ...prev, [friendId]: history };
+  // Encrypts and relays a DM. The server acknowledges with the message minus
+  // its envelope; this device keeps the plaintext, as no envelope entry is
+  // addressed to it. Rejects with the reason when it can't be sent.
+  const relayDM = useCallback(async (conversationId, payload, content) => {
+    const result = await new Promise((resolve, reject) => {
+      socket.timeout(DM_SEND_TIMEOUT_MS).emit('dm:send', payload, (err, response) => {
+        if (err) reject(new Error('The message could not be delivered to the server'));
+        else resolve(response);
+      });
     });
+    if (result?.error) throw new Error(result.error);
+
+    const message = { ...result.message, content };
+    saveDM(user.id, conversationId, message);
+    addDMMessage(conversationId, message);
+    return message;
+  }, [socket, user?.id, addDMMessage]);
+
+  const sendDM = useCallback(async (friendId, content) => {
+    if (!socket || !user?.id) throw new Error('Not connected');
+    const envelope = await encryptDM(user.id, friendId, content);
+    return relayDM(friendId, { receiverId: friendId, envelope }, content);
+  }, [socket, user?.id, relayDM]);
+
+  // The same for a group DM, encrypted for every member's devices
+  const sendGroupDM = useCallback(async (groupId, content) => {
+    if (!socket || !user?.id) throw new Error('Not connected');
+    const group = dmGroups.find((g) => g.id === groupId);
+    if (!group) throw new Error('You are not in this group anymore');
+    const envelope = await encryptGroupDM(user.id, group, content);
+    return relayDM(groupId, { groupId, envelope }, content);
+  }, [socket, user?.id, dmGroups, relayDM]);
+
+  // Seed the in-memory store with the latest page of a conversation's local
+  // history (called when opening a DM); messages received meanwhile are kept
+  const loadDMHistory = useCallback(async (friendId) => {
+    if (!user?.id || !friendId || dmHistoryLoaded.current.has(friendId)) return;
+    if (getDMStoreState(user.id) !== 'unlocked') return;
+    dmHistoryLoaded.current.add(friendId);
+    try {
+      const { messages, hasMore } = await loadConversation(user.id, friendId);
+      setDmMessages((prev) => ({ ...prev, [friendId]: mergeDMs(prev[friendId] || [], messages) }));
+      setDmHistory((prev) => ({ ...prev, [friendId]: { hasMore } }));
+    } catch (err) {
+      dmHistoryLoaded.current.delete(friendId);
+      console.error('[dm] Could not load history:', err);
+    }
   }, [user?.id]);
 
+  // The page of local history before `before` (a created_at); resolves to it
+  const loadOlderDMs = useCallback(async (friendId, before) => {
+    if (!user?.id || !friendId) return [];
+    const { messages, hasMore } = await loadConversation(user.id, friendId, { before });
+    setDmMessages((prev) => ({ ...prev, [friendId]: mergeDMs(prev[friendId] || [], messages) }));
+    setDmHistory((prev) => ({ ...prev, [friendId]: { hasMore } }));
+    return messages;
+  }, [user?.id]);
+
+  // Picks up history added from elsewhere (another device): the open DM
+  // reloads its latest page, the others when they are opened next
+  const reloadDMHistory = useCallback(() => {
+    dmHistoryLoaded.current.clear();
+    if (activeView?.type === 'friend' || activeView?.type === 'group') loadDMHistory(activeView.id);
+  }, [activeView?.type, activeView?.id, loadDMHistory]);
+
   const pinApp = useCallback((id) => {
     if (!getAppById(id)) return;
     // Remove from unpin blocklist
@@ -447,7 +610,14 @@ export function AppProvider({ children }) {
         // DM in-memory store
         dmMessages,
         addDMMessage,
+        sendDM,
+        sendGroupDM,
+        dmGroups, setDmGroups,
         loadDMHistory,
+        loadOlderDMs,
+        reloadDMHistory,
+        dmHistory,
+        dmStoreState,
         // App Store
         pinnedAppIds,
         pinnedApps,
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import api from '../utils/api';
+import { unlockDMStore, lockDMStore } from '../utils/dmStorage';
 
 const AuthContext = createContext(null);
 
@@ -22,20 +23,24 @@ export function AuthProvider({ children }) {
     }
   }, []);
 
+  // The password also unlocks the encrypted local DM history (utils/dmStorage.js)
   const login = useCallback(async (email, password) => {
     const data = await api.login(email, password);
+    await unlockDMStore(data.user.id, { password }).catch(console.error);
     setUser(data.user);
     return data;
   }, []);
 
   const register = useCallback(async (username, email, password, displayName) => {
     const data = await api.register(username, email, password, displayName);
+    await unlockDMStore(data.user.id, { password }).catch(console.error);
     setUser(data.user);
     return data;
   }, []);
 
   const logout = useCallback(() => {
     api.logout();
+    lockDMStore();
     setUser(null);
   }, []);
 
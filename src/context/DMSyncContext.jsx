@@ -0,0 +1,370 @@
+import { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { useSocket } from './SocketContext';
+import { useApp } from './AppContext';
+import { getDeviceIdentity, getDeviceKeys } from '../utils/dmCrypto';
+import { countMessages, readHistoryChunk, importHistory, onDMStoreChange, getDMStoreState } from '../utils/dmStorage';
+import {
+  loadSyncRequest, saveSyncRequest, loadSyncGrants, saveSyncGrants,
+  createSyncRequest, createSyncKeyPair, deriveSyncKeys, sealSyncChunk, openSyncChunk,
+} from '../utils/dmSync';
+
+// ── DM history sync ─────────────────────────────────────────────────────────
+// Copies DM history from one of the user's devices to another (protocol in
+// utils/dmSync.js). On the new device, startSync() asks the others; each
+// answers with a code, and once the user allows the copy on one of them this
+// device pulls the history chunk by chunk. On the old devices, requests wait
+// in `syncPrompts` for respondToSync(). Cut-off transfers resume whenever
+// both devices are back online.
+
+const DMSyncContext = createContext(null);
+
+const ACK_TIMEOUT_MS = 10000;
+// A pull without a chunk for this long marks the transfer as stalled
+const PULL_TIMEOUT_MS = 20000;
+const FINISHED = new Set(['done', 'declined', 'failed']);
+
+function emitSync(socket, event, payload) {
+  return new Promise((resolve) => {
+    if (!socket?.connected) {
+      resolve({ error: 'You are offline' });
+      return;
+    }
+    socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, result) => {
+      resolve(err ? { error: 'The server did not answer' } : result);
+    });
+  });
+}
+
+// What the UI gets of the request, without its keys
+function requestView(request) {
+  if (!request) return null;
+  return {
+    status: request.status,
+    offers: Object.entries(request.offers).map(([device, offer]) => ({ device, code: offer.code })),
+    peer: request.peer,
+    received: request.received,
+    total: request.total,
+    error: request.error || null,
+  };
+}
+
+export function DMSyncProvider({ children }) {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const { reloadDMHistory } = useApp();
+
+  const [syncRequest, setSyncRequest] = useState(null);
+  const [syncPrompts, setSyncPrompts] = useState([]);
+  // device_id -> created_at of the user's devices, to tell them apart
+  const [devices, setDevices] = useState({});
+
+  const requestRef = useRef(null);
+  const grantsRef = useRef({});
+  const pullTimer = useRef(null);
+  const receiving = useRef(false);
+  const reloadRef = useRef(reloadDMHistory);
+  reloadRef.current = reloadDMHistory;
+
+  const deviceId = user ? getDeviceIdentity(user.id).deviceId : null;
+
+  const updateRequest = useCallback((request) => {
+    requestRef.current = request;
+    if (user) saveSyncRequest(user.id, request);
+    setSyncRequest(requestView(request));
+  }, [user]);
+
+  const updateGrants = useCallback((grants) => {
+    grantsRef.current = grants;
+    if (user) saveSyncGrants(user.id, grants);
+    setSyncPrompts(Object.entries(grants)
+      .filter(([, grant]) => grant.status === 'pending')
+      .map(([id, grant]) => ({ id, device: grant.device, code: grant.code })));
+  }, [user]);
+
+  const refreshDevices = useCallback(() => {
+    if (!user) return;
+    getDeviceKeys(user.id, { refresh: true })
+      .then((list) => setDevices(Object.fromEntries(list.map((d) => [d.device_id, d.created_at]))))
+      .catch(console.error);
+  }, [user]);
+
+  // Saved state from before a reload
+  useEffect(() => {
+    if (!user) return;
+    updateRequest(loadSyncRequest(user.id));
+    updateGrants(loadSyncGrants(user.id));
+  }, [user, updateRequest, updateGrants]);
+
+  // ── New device: pulling history ──────────────────────────────────────────
+
+  const pull = useCallback(async (request) => {
+    clearTimeout(pullTimer.current);
+    pullTimer.current = setTimeout(() => {
+      const current = requestRef.current;
+      if (current?.id === request.id && current.status === 'syncing') updateRequest({ ...current, status: 'stalled' });
+    }, PULL_TIMEOUT_MS);
+
+    const result = await emitSync(socket, 'dm-sync:pull', {
+      request_id: request.id, to_device: request.peer, after: request.after,
+    });
+    if (result.error && requestRef.current?.id === request.id) {
+      clearTimeout(pullTimer.current);
+      updateRequest({ ...requestRef.current, status: 'stalled' });
+    }
+  }, [socket, updateRequest]);
+
+  const startSync = useCallback(async () => {
+    if (!user) return;
+    if (getDMStoreState(user.id) !== 'unlocked') throw new Error('Unlock your DM history first');
+    const request = {
+      ...createSyncRequest(), status: 'waiting', offers: {}, peer: null, after: null, received: 0, total: null,
+    };
+    updateRequest(request);
+    refreshDevices();
+    const result = await emitSync(socket, 'dm-sync:request', { request_id: request.id, key: request.publicKey });
+    if (result.error) updateRequest({ ...request, status: 'failed', error: result.error });
+  }, [user, socket, updateRequest, refreshDevices]);
+
+  // Asks again (still waiting) or pulls the next chunk again (stalled)
+  const retrySync = useCallback(() => {
+    const request = requestRef.current;
+    if (!request) return;
+    if (request.status === 'waiting') {
+      emitSync(socket, 'dm-sync:request', { request_id: request.id, key: request.publicKey });
+    } else if (request.status === 'syncing' || request.status === 'stalled') {
+      updateRequest({ ...request, status: 'syncing' });
+      pull({ ...request, status: 'syncing' });
+    }
+  }, [socket, updateRequest, pull]);
+
+  // Stops the transfer, or clears a finished one
+  const cancelSync = useCallback(() => {
+    const request = requestRef.current;
+    clearTimeout(pullTimer.current);
+    if (request && !FINISHED.has(request.status)) {
+      Object.keys(request.offers).forEach((device) => {
+        emitSync(socket, 'dm-sync:end', { request_id: request.id, to_device: device });
+      });
+    }
+    updateRequest(null);
+  }, [socket, updateRequest]);
+
+  // ── Old device: answering requests ───────────────────────────────────────
+
+  const respondToSync = useCallback(async (requestId, allow) => {
+    const grant = grantsRef.current[requestId];
+    if (!grant || grant.status !== 'pending') return;
+
+    if (!allow) {
+      const { [requestId]: _declined, ...rest } = grantsRef.current;
+      updateGrants(rest);
+      emitSync(socket, 'dm-sync:decline', { request_id: requestId, to_device: grant.device });
+      return;
+    }
+
+    const total = await countMessages(user.id);
+    // Accepted before the answer goes out, since the first pull follows right away
+    updateGrants({ ...grantsRef.current, [requestId]: { ...grant, status: 'accepted' } });
+    const result = await emitSync(socket, 'dm-sync:accept', { request_id: requestId, to_device: grant.device, total });
+    if (result.error) {
+      updateGrants({ ...grantsRef.current, [requestId]: grant });
+      throw new Error(result.error);
+    }
+  }, [user, socket, updateGrants]);
+
+  // Tells the devices this one copies to that it's back, so they pull again
+  const announceGrants = useCallback(() => {
+    Object.entries(grantsRef.current).forEach(([id, grant]) => {
+      if (grant.status !== 'accepted') return;
+      emitSync(socket, 'dm-sync:offer', { request_id: id, to_device: grant.device, key: grant.publicKey });
+    });
+  }, [socket]);
+
+  // ── Socket events ────────────────────────────────────────────────────────
+
+  useEffect(() => {
+    if (!socket || !user) return undefined;
+    const isCurrent = (requestId) => requestRef.current?.id === requestId;
+
+    // Old device: another device asks for history
+    const handleRequest = async ({ request_id: requestId, from_device: from, key }) => {
+      if (from === deviceId) return;
+      const existing = grantsRef.current[requestId];
+      if (existing) {
+        if (existing.device === from) {
+          emitSync(socket, 'dm-sync:offer', { request_id: requestId, to_device: from, key: existing.publicKey });
+        }
+        return;
+      }
+      const keyPair = createSyncKeyPair();
+      const derived = await deriveSyncKeys(keyPair.secretKey, key, { requestId, requester: from, responder: deviceId });
+      const grant = {
+        device: from, publicKey: keyPair.publicKey, ...derived, status: 'pending', created_at: new Date().toISOString(),
+      };
+      updateGrants({ ...grantsRef.current, [requestId]: grant });
+      refreshDevices();
+      emitSync(socket, 'dm-sync:offer', { request_id: requestId, to_device: from, key: keyPair.publicKey });
+    };
+
+    // Old device: the next chunk, after the message id `after`
+    const handlePull = async ({ request_id: requestId, from_device: from, after }) => {
+      const grant = grantsRef.current[requestId];
+      if (!grant || grant.status !== 'accepted' || grant.device !== from) return;
+      if (getDMStoreState(user.id) !== 'unlocked') return;
+      try {
+        const chunk = await readHistoryChunk(user.id, { after });
+        const sealed = await sealSyncChunk(grant.key, requestId, { ...chunk, after });
+        emitSync(socket, 'dm-sync:chunk', { request_id: requestId, to_device: from, ...sealed });
+      } catch (err) {
+        console.error('[dm-sync] Could not send history:', err);
+      }
+    };
+
+    const handleEnd = ({ request_id: requestId, from_device: from }) => {
+      const grant = grantsRef.current[requestId];
+      if (!grant || grant.device !== from) return;
+      const { [requestId]: _ended, ...rest } = grantsRef.current;
+      updateGrants(rest);
+    };
+
+    // New device: an old device answered; a known one is back online
+    const handleOffer = async ({ request_id: requestId, from_device: from, key }) => {
+      if (!isCurrent(requestId) || FINISHED.has(requestRef.current.status)) return;
+      const known = requestRef.current.offers[from];
+      if (known?.peerKey === key) {
+        const request = requestRef.current;
+        if (request.peer === from && request.status !== 'waiting') {
+          updateRequest({ ...request, status: 'syncing' });
+          pull({ ...request, status: 'syncing' });
+        }
+        return;
+      }
+
+      const derived = await deriveSyncKeys(requestRef.current.secretKey, key, { requestId, requester: deviceId, responder: from });
+      const request = { ...requestRef.current, offers: { ...requestRef.current.offers, [from]: { ...derived, peerKey: key } } };
+      // A new key means a new code; the copy goes on once it's allowed again
+      updateRequest(request.peer === from ? { ...request, peer: null, status: 'waiting' } : request);
+      refreshDevices();
+    };
+
+    const handleAccept = ({ request_id: requestId, from_device: from, total }) => {
+      const request = requestRef.current;
+      if (!isCurrent(requestId) || !request.offers[from] || FINISHED.has(request.status)) return;
+      if (request.peer && request.peer !== from) {
+        // Allowed on another device first
+        emitSync(socket, 'dm-sync:end', { request_id: requestId, to_device: from });
+        return;
+      }
+      const next = { ...request, status: 'syncing', peer: from, total };
+      updateRequest(next);
+      pull(next);
+    };
+
+    const handleDecline = ({ request_id: requestId, from_device: from }) => {
+      const request = requestRef.current;
+      if (!isCurrent(requestId) || !request.offers[from] || FINISHED.has(request.status)) return;
+      const { [from]: _declined, ...offers } = request.offers;
+      if (request.peer === from) {
+        clearTimeout(pullTimer.current);
+        updateRequest({ ...request, offers, status: 'failed', error: 'The other device stopped the copy' });
+      } else {
+        updateRequest({ ...request, offers, status: Object.keys(offers).length === 0 ? 'declined' : request.status });
+      }
+    };
+
+    const handleChunk = async (chunk) => {
+      const request = requestRef.current;
+      const { request_id: requestId, from_device: from } = chunk;
+      // Chunks arrive one per pull; anything else is a repeat
+      if (!isCurrent(requestId) || request.peer !== from || chunk.after !== request.after) return;
+      if (receiving.current || (request.status !== 'syncing' && request.status !== 'stalled')) return;
+      clearTimeout(pullTimer.current);
+      receiving.current = true;
+      try {
+        const messages = await openSyncChunk(request.offers[from].key, requestId, chunk);
+        await importHistory(user.id, messages);
+        const next = {
+          ...request,
+          status: chunk.done ? 'done' : 'syncing',
+          after: chunk.next,
+          received: request.received + messages.length,
+        };
+        updateRequest(next);
+        if (chunk.done) {
+          emitSync(socket, 'dm-sync:end', { request_id: requestId, to_device: from });
+          reloadRef.current();
+        } else {
+          pull(next);
+        }
+      } catch (err) {
+        console.error('[dm-sync] Could not store history:', err);
+        updateRequest({ ...request, status: 'failed', error: 'The history could not be copied' });
+        emitSync(socket, 'dm-sync:end', { request_id: requestId, to_device: from });
+      }
+      receiving.current = false;
+    };
+
+    // Picks up where things stood: after a reconnect or a reload
+    const resume = () => {
+      announceGrants();
+      const request = requestRef.current;
+      if (request?.status === 'waiting') {
+        emitSync(socket, 'dm-sync:request', { request_id: request.id, key: request.publicKey });
+      } else if (request?.status === 'syncing' || request?.status === 'stalled') {
+        pull(request);
+      }
+    };
+
+    socket.on('dm-sync:request', handleRequest);
+    socket.on('dm-sync:pull', handlePull);
+    socket.on('dm-sync:end', handleEnd);
+    socket.on('dm-sync:offer', handleOffer);
+    socket.on('dm-sync:accept', handleAccept);
+    socket.on('dm-sync:decline', handleDecline);
+    socket.on('dm-sync:chunk', handleChunk);
+    socket.on('connect', resume);
+    if (socket.connected) resume();
+    // Chunks are only read from an unlocked history
+    const unsubscribe = onDMStoreChange(() => {
+      if (getDMStoreState(user.id) === 'unlocked') announceGrants();
+    });
+
+    return () => {
+      socket.off('dm-sync:request', handleRequest);
+      socket.off('dm-sync:pull', handlePull);
+      socket.off('dm-sync:end', handleEnd);
+      socket.off('dm-sync:offer', handleOffer);
+      socket.off('dm-sync:accept', handleAccept);
+      socket.off('dm-sync:decline', handleDecline);
+      socket.off('dm-sync:chunk', handleChunk);
+      socket.off('connect', resume);
+      unsubscribe();
+      clearTimeout(pullTimer.current);
+    };
+  }, [socket, user, deviceId, updateRequest, updateGrants, refreshDevices, pull, announceGrants]);
+
+  return (
+    <DMSyncContext.Provider
+      value={{
+        devices,
+        // This device copying history from another
+        syncRequest,
+        startSync,
+        retrySync,
+        cancelSync,
+        // Other devices asking this one
+        syncPrompts,
+        respondToSync,
+      }}
+    >
+      {children}
+    </DMSyncContext.Provider>
+  );
+}
+
+export function useDMSync() {
+  const ctx = useContext(DMSyncContext);
+  if (!ctx) throw new Error('useDMSync must be used within DMSyncProvider');
+  return ctx;
+}
@@ -2,6 +2,7 @@ import { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
 import { getServerUrl } from '../utils/api';
+import { getDeviceIdentity } from '../utils/dmCrypto';
 
 const SocketContext = createContext(null);
 
@@ -27,7 +28,8 @@ export function SocketProvider({ children }) {
     const socketUrl = getServerUrl();
 
     const newSocket = io(socketUrl, {
-      auth: { token },
+      // deviceId routes this install's encrypted DMs (utils/dmCrypto.js)
+      auth: { token, deviceId: getDeviceIdentity(user.id).deviceId },
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: 10,
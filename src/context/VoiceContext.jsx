@@ -740,7 +740,9 @@ export function VoiceProvider({ children }) {
   }, [socket, activeChannel?.id, activeChannel?.type, requestVoiceMusicState]);
 
   const isPushToTalkMode = inputMode === INPUT_MODES.ptt;
-  const effectiveSelfMuted = selfMuted || (isPushToTalkMode && !pttPressed);
+  // The server marks participants without SPEAK in this channel as suppressed
+  const selfSuppressed = voiceParticipants.some((p) => p.id === user?.id && p.suppressed);
+  const effectiveSelfMuted = selfMuted || selfSuppressed || (isPushToTalkMode && !pttPressed);
 
   const destroyAudioPipeline = useCallback(() => {
     try { sourceNodeRef.current?.disconnect(); } catch {}
@@ -1326,18 +1328,27 @@ export function VoiceProvider({ children }) {
       setVoiceMusicError(message);
     };
 
+    // Join refused, e.g. missing CONNECT in the channel
+    const handleVoiceError = ({ channelId, message }) => {
+      if (channelId !== joinedVoiceChannelRef.current) return;
+      leaveVoice(false);
+      setVoiceError(message || 'Could not join the voice channel.');
+    };
+
     socket.on('voice:state', handleVoiceState);
     socket.on('voice:signal', handleVoiceSignal);
     socket.on('voice:music:state', handleVoiceMusicState);
     socket.on('voice:music:error', handleVoiceMusicError);
+    socket.on('voice:error', handleVoiceError);
 
     return () => {
       socket.off('voice:state', handleVoiceState);
       socket.off('voice:signal', handleVoiceSignal);
       socket.off('voice:music:state', handleVoiceMusicState);
       socket.off('voice:music:error', handleVoiceMusicError);
+      socket.off('voice:error', handleVoiceError);
     };
-  }, [socket, syncVoicePeers, ensurePeerConnection, getCurrentSdpOptions]);
+  }, [socket, syncVoicePeers, ensurePeerConnection, getCurrentSdpOptions, leaveVoice]);
 
   useEffect(() => {
     refreshAudioDevices();
@@ -2022,6 +2033,7 @@ export function VoiceProvider({ children }) {
     || remoteAudioStreams.some((remote) => remote.userId !== user?.id)
   );
   const voiceHealth = evaluateVoiceHealth(voiceNetworkStats, hasRemoteVoicePeers, voiceConnected);
+  const suppressedUserIds = new Set(voiceParticipants.filter((p) => p.suppressed).map((p) => p.id));
 
   return (
     <VoiceContext.Provider
@@ -2096,7 +2108,7 @@ export function VoiceProvider({ children }) {
             key={userId}
             stream={stream}
             gain={clamp((outputVolume / 100) * ((Number(userVolumes[userId]) || 100) / 100), 0, 1)}
-            muted={deafened || mutedUsers.has(userId)}
+            muted={deafened || mutedUsers.has(userId) || suppressedUserIds.has(userId)}
             outputDeviceId={selectedOutputDeviceId}
           />
         ))}
@@ -12,6 +12,9 @@ import CreateServerModal from '../components/CreateServerModal';
 import JoinServerModal from '../components/JoinServerModal';
 import AppStoreView from '../components/AppStoreView';
 import AppView from '../components/AppView';
+import DMSyncModal from '../components/DMSyncModal';
+import DMSyncPrompt from '../components/DMSyncPrompt';
+import DMGroupModal from '../components/DMGroupModal';
 
 export default function Home() {
   const { activeView, activeChannel, friends, servers } = useApp();
@@ -19,11 +22,13 @@ export default function Home() {
   const [showAddFriend, setShowAddFriend] = useState(false);
   const [showCreateServer, setShowCreateServer] = useState(false);
   const [showJoinServer, setShowJoinServer] = useState(false);
+  const [showDMSync, setShowDMSync] = useState(false);
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [showMemberList, setShowMemberList] = useState(true);
 
   const isServerView = activeView?.type === 'server';
-  const isDMView = activeView?.type === 'friend';
+  const isDMView = activeView?.type === 'friend' || activeView?.type === 'group';
   const isPendingView = activeView?.type === 'pending';
   const isAppStoreView = activeView?.type === 'appstore';
   const isAppView = activeView?.type === 'app';
@@ -48,6 +53,8 @@ export default function Home() {
         onAddFriend={() => setShowAddFriend(true)}
         onCreateServer={() => setShowCreateServer(true)}
         onJoinServer={() => setShowJoinServer(true)}
+        onSyncDMs={() => setShowDMSync(true)}
+        onCreateGroup={() => setShowCreateGroup(true)}
         collapsed={sidebarCollapsed}
         onToggleCollapse={() => setSidebarCollapsed((prev) => !prev)}
       />
@@ -90,6 +97,9 @@ export default function Home() {
       <AddFriendModal isOpen={showAddFriend} onClose={() => setShowAddFriend(false)} />
       <CreateServerModal isOpen={showCreateServer} onClose={() => setShowCreateServer(false)} />
       <JoinServerModal isOpen={showJoinServer} onClose={() => setShowJoinServer(false)} />
+      <DMSyncModal isOpen={showDMSync} onClose={() => setShowDMSync(false)} />
+      <DMSyncPrompt />
+      <DMGroupModal isOpen={showCreateGroup} onClose={() => setShowCreateGroup(false)} />
     </div>
   );
 }
@@ -10,6 +10,11 @@ export function getServerUrl() {
 // One-time cleanup: remove old localStorage override that could break central connection
 localStorage.removeItem('nv_server_url');
 
+// Media tokens per server and login, shared by every client for that server:
+// `${serverBase}|${token}` -> { promise, expiresAt }
+const mediaTokens = new Map();
+const MEDIA_TOKEN_REFRESH_MS = 10 * 60 * 1000;
+
 // ── Base API client ──────────────────────────────────────────────────────────
 
 class ApiClient {
@@ -105,12 +110,68 @@ class ApiClient {
     return this.request(`/friends/${friendId}`, { method: 'DELETE' });
   }
 
+  // ── End-to-end encrypted DMs (utils/dmCrypto.js) ─────────────────────────
+
+  // bundle: { identityKey, signingKey, signedPrekey, oneTimePrekeys }
+  async publishDeviceKeys(deviceId, bundle) {
+    return this.request('/friends/keys', {
+      method: 'PUT',
+      body: JSON.stringify({ deviceId, ...bundle }),
+    });
+  }
+
+  // Devices of a friend, or of the signed-in user
+  async getDeviceKeys(userId) {
+    return this.request(`/friends/keys/${userId}`);
+  }
+
+  // Claims a one-time prekey from each device it returns a bundle for
+  async claimPrekeyBundles(userId, deviceIds) {
+    return this.request(`/friends/keys/${userId}/bundles`, {
+      method: 'POST',
+      body: JSON.stringify({ deviceIds }),
+    });
+  }
+
   // DMs are relay-only — GET returns empty (no stored history)
   async getDMs(friendId, before) {
     const query = before ? `?before=${before}` : '';
     return this.request(`/friends/dm/${friendId}${query}`);
   }
 
+  // ── Group DMs ─────────────────────────────────────────────────────────────
+
+  async getDMGroups() {
+    return this.request('/dm-groups');
+  }
+
+  async createDMGroup({ name, icon, memberIds }) {
+    return this.request('/dm-groups', {
+      method: 'POST',
+      body: JSON.stringify({ name, icon, memberIds }),
+    });
+  }
+
+  // updates: { name?, icon? } — icon null removes it
+  async updateDMGroup(groupId, updates) {
+    return this.request(`/dm-groups/${groupId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates),
+    });
+  }
+
+  async addDMGroupMembers(groupId, memberIds) {
+    return this.request(`/dm-groups/${groupId}/members`, {
+      method: 'POST',
+      body: JSON.stringify({ memberIds }),
+    });
+  }
+
+  // Removing the signed-in user leaves the group
+  async removeDMGroupMember(groupId, userId) {
+    return this.request(`/dm-groups/${groupId}/members/${userId}`, { method: 'DELETE' });
+  }
+
   // ── Servers (central directory) ───────────────────────────────────────────
 
   async getServers() {
@@ -131,6 +192,10 @@ class ApiClient {
     });
   }
 
+  async getInvitePreview(inviteCode) {
+    return this.request(`/servers/invites/${encodeURIComponent(inviteCode)}`);
+  }
+
   async getServer(serverId) {
     return this.request(`/servers/${serverId}`);
   }
@@ -193,24 +258,273 @@ class ApiClient {
     });
   }
 
+  // ── Roles ─────────────────────────────────────────────────────────────────
+
+  async createRole(serverId, data) {
+    return this.request(`/servers/${serverId}/roles`, {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async updateRole(serverId, roleId, data) {
+    return this.request(`/servers/${serverId}/roles/${roleId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteRole(serverId, roleId) {
+    return this.request(`/servers/${serverId}/roles/${roleId}`, { method: 'DELETE' });
+  }
+
+  // roleIds: every non-default role, highest first
+  async reorderRoles(serverId, roleIds) {
+    return this.request(`/servers/${serverId}/roles/order`, {
+      method: 'PUT',
+      body: JSON.stringify({ roleIds }),
+    });
+  }
+
+  async setMemberRoles(serverId, userId, roleIds) {
+    return this.request(`/servers/${serverId}/members/${userId}/roles`, {
+      method: 'PUT',
+      body: JSON.stringify({ roleIds }),
+    });
+  }
+
+  // ── Permission overwrites ────────────────────────────────────────────────
+  // scope: 'channels' | 'categories'; targetType: 'role' | 'member'
+
+  async getOverwrites(serverId, scope, scopeId) {
+    return this.request(`/servers/${serverId}/${scope}/${scopeId}/permissions`);
+  }
+
+  async setOverwrite(serverId, scope, scopeId, targetType, targetId, data) {
+    return this.request(`/servers/${serverId}/${scope}/${scopeId}/permissions/${targetType}/${targetId}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  }
+
+  async deleteOverwrite(serverId, scope, scopeId, targetType, targetId) {
+    return this.request(`/servers/${serverId}/${scope}/${scopeId}/permissions/${targetType}/${targetId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async syncChannelPermissions(serverId, channelId) {
+    return this.request(`/servers/${serverId}/channels/${channelId}/permissions/sync`, { method: 'POST' });
+  }
+
+  // ── Invites ───────────────────────────────────────────────────────────────
+
+  async getInvites(serverId) {
+    return this.request(`/servers/${serverId}/invites`);
+  }
+
+  // options: { maxUses, expiresInSeconds, temporary } — null/0 means unlimited
+  async createInvite(serverId, options = {}) {
+    return this.request(`/servers/${serverId}/invites`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  async deleteInvite(serverId, code) {
+    return this.request(`/servers/${serverId}/invites/${encodeURIComponent(code)}`, { method: 'DELETE' });
+  }
+
+  // ── Moderation ────────────────────────────────────────────────────────────
+
+  async kickMember(serverId, userId, reason) {
+    return this.request(`/servers/${serverId}/members/${userId}/kick`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  // durationSeconds: null for a permanent ban
+  async banMember(serverId, userId, { reason, durationSeconds = null } = {}) {
+    return this.request(`/servers/${serverId}/bans/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ reason, durationSeconds }),
+    });
+  }
+
+  async unbanMember(serverId, userId) {
+    return this.request(`/servers/${serverId}/bans/${userId}`, { method: 'DELETE' });
+  }
+
+  async getBans(serverId) {
+    return this.request(`/servers/${serverId}/bans`);
+  }
+
+  // durationSeconds: 0 lifts the timeout
+  async timeoutMember(serverId, userId, durationSeconds, reason) {
+    return this.request(`/servers/${serverId}/members/${userId}/timeout`, {
+      method: 'PUT',
+      body: JSON.stringify({ durationSeconds, reason }),
+    });
+  }
+
+  // filters: { action, actorId, targetId, before, limit }
+  async getAuditLog(serverId, filters = {}) {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    const query = params.toString() ? `?${params}` : '';
+    return this.request(`/servers/${serverId}/audit-log${query}`);
+  }
+
   // ── Messages ──────────────────────────────────────────────────────────────
 
-  async getMessages(channelId, before) {
-    const query = before ? `?before=${before}` : '';
+  // options: { before, limit, thread } — thread pages through one message's thread
+  async getMessages(channelId, options = {}) {
+    const params = new URLSearchParams(Object.entries(options).filter(([, value]) => value));
+    const query = params.toString() ? `?${params}` : '';
     return this.request(`/messages/${channelId}${query}`);
   }
 
-  async sendMessage(channelId, content) {
+  // refs: { replyToId, threadId }
+  async sendMessage(channelId, content, refs = {}) {
     return this.request(`/messages/${channelId}`, {
       method: 'POST',
+      body: JSON.stringify({ content, ...refs }),
+    });
+  }
+
+  async editMessage(channelId, messageId, content) {
+    return this.request(`/messages/${channelId}/${messageId}`, {
+      method: 'PATCH',
       body: JSON.stringify({ content }),
     });
   }
 
+  async deleteMessage(channelId, messageId) {
+    return this.request(`/messages/${channelId}/${messageId}`, { method: 'DELETE' });
+  }
+
+  // Removes the message's link previews for everyone; they don't come back on edit
+  async suppressEmbeds(channelId, messageId) {
+    return this.request(`/messages/${channelId}/${messageId}/embeds`, { method: 'DELETE' });
+  }
+
+  async getPins(channelId) {
+    return this.request(`/messages/${channelId}/pins`);
+  }
+
+  // Posts a pin notice in the channel; returns { message, notice }
+  async pinMessage(channelId, messageId) {
+    return this.request(`/messages/${channelId}/${messageId}/pin`, { method: 'PUT' });
+  }
+
+  async unpinMessage(channelId, messageId) {
+    return this.request(`/messages/${channelId}/${messageId}/pin`, { method: 'DELETE' });
+  }
+
+  // Without messageId the channel is read up to its newest message
+  async markChannelRead(channelId, messageId) {
+    return this.request(`/messages/${channelId}/read`, {
+      method: 'PUT',
+      body: JSON.stringify({ messageId }),
+    });
+  }
+
+  // ── Search ────────────────────────────────────────────────────────────────
+  // query: words plus from:user in:#channel has:image|video|file|link before:/after:YYYY-MM-DD
+
+  async searchMessages(serverId, query, { before, limit } = {}) {
+    const params = new URLSearchParams(Object.entries({ q: query, before, limit }).filter(([, value]) => value));
+    return this.request(`/search/${serverId}?${params}`);
+  }
+
+  // ── Mentions inbox ────────────────────────────────────────────────────────
+
+  async getMentions({ before, limit } = {}) {
+    const params = new URLSearchParams(Object.entries({ before, limit }).filter(([, value]) => value));
+    const query = params.toString() ? `?${params}` : '';
+    return this.request(`/mentions${query}`);
+  }
+
+  async dismissMention(messageId) {
+    return this.request(`/mentions/${messageId}`, { method: 'DELETE' });
+  }
+
+  // ── Reactions ─────────────────────────────────────────────────────────────
+  // targetType: 'message' | 'announcement' | 'forum_post' | 'forum_reply'
+
+  async addReaction(targetType, targetId, emoji) {
+    return this.request(`/reactions/${targetType}/${targetId}/${encodeURIComponent(emoji)}`, { method: 'PUT' });
+  }
+
+  async removeReaction(targetType, targetId, emoji) {
+    return this.request(`/reactions/${targetType}/${targetId}/${encodeURIComponent(emoji)}`, { method: 'DELETE' });
+  }
+
   async getVoiceIceConfig() {
     return this.request('/voice/ice');
   }
 
+  // ── Uploads ───────────────────────────────────────────────────────────────
+
+  // Maximum size in bytes per kind: { image, video, audio, file }
+  async getUploadLimits() {
+    return this.request('/uploads/limits');
+  }
+
+  // Streams the file as multipart/form-data into a channel, the DM with
+  // dmUserId or the group DM dmGroupId; returns { upload } with a server-relative url
+  async uploadFile(file, { channelId, dmUserId, dmGroupId } = {}) {
+    const form = new FormData();
+    if (channelId) form.append('channelId', channelId);
+    if (dmUserId) form.append('dmUserId', dmUserId);
+    if (dmGroupId) form.append('dmGroupId', dmGroupId);
+    form.append('file', file, file.name);
+
+    const response = await fetch(`${this.baseUrl}/uploads`, {
+      method: 'POST',
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      body: form,
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Upload failed');
+    }
+    return data;
+  }
+
+  // Short-lived token that <img>/<video> tags pass as ?token= to load uploads.
+  // Cached until shortly before it expires.
+  async getMediaToken() {
+    const key = `${this.serverBase}|${this.token}`;
+    const cached = mediaTokens.get(key);
+    if (cached && (!cached.expiresAt || cached.expiresAt - Date.now() > MEDIA_TOKEN_REFRESH_MS)) {
+      return cached.promise;
+    }
+    const entry = { promise: null, expiresAt: null };
+    entry.promise = this.request('/uploads/token').then(
+      (data) => {
+        entry.expiresAt = new Date(data.expiresAt).getTime();
+        return data.token;
+      },
+      (err) => {
+        mediaTokens.delete(key);
+        throw err;
+      },
+    );
+    mediaTokens.set(key, entry);
+    return entry.promise;
+  }
+
+  // { usage: { files, used, quota } } in bytes; quota is null when unlimited
+  async getUploadUsage() {
+    return this.request('/uploads/usage');
+  }
+
+  // Server storage report (Manage Server): totals plus byKind and byUploader
+  async getServerUploadUsage(serverId) {
+    return this.request(`/uploads/usage/servers/${serverId}`);
+  }
+
   // ── Rules (block-based) ───────────────────────────────────────────────────
 
   async getRuleBlocks(channelId) {
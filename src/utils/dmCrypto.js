@@ -0,0 +1,474 @@
+/**
+ * End-to-end encryption for DMs — mirrors server/services/directMessages.js.
+ * Every install is a device with its own X25519 identity key pair and Ed25519
+ * signing key, kept in localStorage. It publishes a prekey bundle (a signed
+ * prekey and a pool of one-time prekeys) so others can start a forward-secret
+ * session with it (utils/dmRatchet.js) while it's offline.
+ *
+ * A DM's body is encrypted once under a fresh content key (AES-GCM), and that
+ * key is sealed for each device of the receiver (or of every group DM
+ * member) and of the sender by the session with that device, so every device
+ * gets its own per-message key.
+ * The relay and pending_dms only ever see the resulting envelope.
+ */
+
+import nacl from 'tweetnacl';
+import api from './api';
+import {
+  toBase64, fromBase64, concat, initiateSession, acceptSession, ratchetEncrypt, ratchetDecrypt,
+} from './dmRatchet';
+
+const ENVELOPE_VERSION = 3;
+const IDENTITY_PREFIX = 'nv_dm_identity_';
+const PREKEYS_PREFIX = 'nv_dm_prekeys_';
+const SESSIONS_PREFIX = 'nv_dm_sessions_';
+const VERIFIED_PREFIX = 'nv_dm_verified_';
+
+// Friend device lists are refetched after this long, or when a message comes
+// from a device that isn't in the cached list
+const DEVICE_CACHE_MS = 5 * 60 * 1000;
+
+// A new signed prekey every week; the previous ones still open handshakes
+// that were sent against them while this device was offline
+const SIGNED_PREKEY_ROTATE_MS = 7 * 24 * 60 * 60 * 1000;
+const SIGNED_PREKEYS_KEPT = 3;
+
+// The server's one-time prekey pool is topped back up to the target on start
+// once it runs below the minimum. Claimed keys stay here until used.
+const ONE_TIME_PREKEYS_MIN = 25;
+const ONE_TIME_PREKEYS_TARGET = 100;
+const ONE_TIME_PREKEYS_KEPT = 400;
+
+// Sessions kept per remote device: the current one first, then the ones it
+// replaced, for messages the other device sent before it switched
+const SESSIONS_KEPT = 3;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// userId -> { promise, fetchedAt }
+const deviceCache = new Map();
+
+// Session state is read, advanced and written back one message at a time
+let sessionQueue = Promise.resolve();
+function withSessions(task) {
+  const run = sessionQueue.then(task, task);
+  sessionQueue = run.catch(() => {});
+  return run;
+}
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || 'null') ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function decodeKeyPair({ publicKey, secretKey }) {
+  return { publicKey: fromBase64(publicKey), secretKey: fromBase64(secretKey) };
+}
+
+// ── Device identity ──────────────────────────────────────────────────────────
+
+/**
+ * This device's { deviceId, publicKey, secretKey, signingKey } for the user,
+ * created on first use. Devices from before prekey bundles get their signing
+ * key here.
+ */
+export function getDeviceIdentity(userId) {
+  const key = `${IDENTITY_PREFIX}${userId}`;
+  let stored = readJson(key, null);
+  let keyPair = null;
+  try {
+    if (stored?.deviceId && stored.secretKey) keyPair = nacl.box.keyPair.fromSecretKey(fromBase64(stored.secretKey));
+  } catch {
+    // Unreadable identity — replaced below; peers see this as a new device
+  }
+
+  if (!keyPair) {
+    keyPair = nacl.box.keyPair();
+    stored = { deviceId: crypto.randomUUID(), secretKey: toBase64(keyPair.secretKey) };
+  }
+  if (!stored.signingSecretKey) {
+    stored = { ...stored, signingSecretKey: toBase64(nacl.sign.keyPair().secretKey) };
+    localStorage.setItem(key, JSON.stringify(stored));
+  }
+
+  return {
+    deviceId: stored.deviceId,
+    publicKey: keyPair.publicKey,
+    secretKey: keyPair.secretKey,
+    signingKey: nacl.sign.keyPair.fromSecretKey(fromBase64(stored.signingSecretKey)),
+  };
+}
+
+// ── Prekeys ──────────────────────────────────────────────────────────────────
+
+function loadPrekeys(userId) {
+  return readJson(`${PREKEYS_PREFIX}${userId}`, { signed: [], oneTime: {}, nextId: 1 });
+}
+
+function savePrekeys(userId, prekeys) {
+  localStorage.setItem(`${PREKEYS_PREFIX}${userId}`, JSON.stringify(prekeys));
+}
+
+// The newest signed prekey, after rotating it when it's due
+function currentSignedPrekey(prekeys, identity) {
+  const [latest] = prekeys.signed;
+  if (latest && Date.now() - latest.createdAt < SIGNED_PREKEY_ROTATE_MS) return latest;
+
+  const keyPair = nacl.box.keyPair();
+  const signedPrekey = {
+    id: prekeys.nextId,
+    publicKey: toBase64(keyPair.publicKey),
+    secretKey: toBase64(keyPair.secretKey),
+    signature: toBase64(nacl.sign.detached(keyPair.publicKey, identity.signingKey.secretKey)),
+    createdAt: Date.now(),
+  };
+  prekeys.nextId += 1;
+  prekeys.signed = [signedPrekey, ...prekeys.signed].slice(0, SIGNED_PREKEYS_KEPT);
+  return signedPrekey;
+}
+
+function generateOneTimePrekeys(prekeys, count) {
+  const published = [];
+  for (let i = 0; i < count; i += 1) {
+    const keyPair = nacl.box.keyPair();
+    const id = prekeys.nextId;
+    prekeys.nextId += 1;
+    prekeys.oneTime[id] = toBase64(keyPair.secretKey);
+    published.push({ id, key: toBase64(keyPair.publicKey) });
+  }
+  // Claimed keys whose handshake never arrived eventually make room
+  const ids = Object.keys(prekeys.oneTime).map(Number).sort((a, b) => a - b);
+  for (const id of ids.slice(0, Math.max(0, ids.length - ONE_TIME_PREKEYS_KEPT))) delete prekeys.oneTime[id];
+  return published;
+}
+
+/**
+ * Publishes this device's identity and prekey bundle, rotating the signed
+ * prekey and topping up one-time prekeys as needed. Safe to call on every start.
+ */
+export function publishDeviceIdentity(userId) {
+  // Queued with the sessions, since opening a handshake uses up a one-time prekey
+  return withSessions(() => publishPrekeys(userId));
+}
+
+async function publishPrekeys(userId) {
+  const identity = getDeviceIdentity(userId);
+  const prekeys = loadPrekeys(userId);
+  const signedPrekey = currentSignedPrekey(prekeys, identity);
+  savePrekeys(userId, prekeys);
+
+  const publish = (oneTimePrekeys) => api.publishDeviceKeys(identity.deviceId, {
+    identityKey: toBase64(identity.publicKey),
+    signingKey: toBase64(identity.signingKey.publicKey),
+    signedPrekey: { id: signedPrekey.id, key: signedPrekey.publicKey, signature: signedPrekey.signature },
+    oneTimePrekeys,
+  });
+
+  const { one_time_prekeys: available } = await publish([]);
+  if (available < ONE_TIME_PREKEYS_MIN) {
+    // Saved before upload, so a key the server hands out is always one we can open
+    const fresh = generateOneTimePrekeys(prekeys, ONE_TIME_PREKEYS_TARGET - available);
+    savePrekeys(userId, prekeys);
+    await publish(fresh);
+  }
+  deviceCache.delete(userId);
+  return identity;
+}
+
+// The key pairs a handshake names; throws when this device no longer has them
+function findHandshakePrekeys(prekeys, handshake) {
+  const signed = prekeys.signed.find((p) => p.id === handshake.spk);
+  if (!signed) throw new Error('Unknown signed prekey');
+
+  let oneTimePrekey = null;
+  if (handshake.opk !== null) {
+    const secretKey = prekeys.oneTime[handshake.opk];
+    if (!secretKey) throw new Error('Unknown or used one-time prekey');
+    oneTimePrekey = nacl.box.keyPair.fromSecretKey(fromBase64(secretKey));
+  }
+  return { signedPrekey: decodeKeyPair(signed), oneTimePrekey };
+}
+
+/** The published devices of a user (a friend, or yourself): [{ device_id, identity_key, … }]. */
+export function getDeviceKeys(userId, { refresh = false } = {}) {
+  const cached = deviceCache.get(userId);
+  if (cached && !refresh && Date.now() - cached.fetchedAt < DEVICE_CACHE_MS) return cached.promise;
+
+  const promise = api.getDeviceKeys(userId).then((data) => data.devices || []);
+  promise.catch(() => deviceCache.delete(userId));
+  deviceCache.set(userId, { promise, fetchedAt: Date.now() });
+  return promise;
+}
+
+/** The published record of a message's sending device, or null if it isn't published. */
+async function findSenderDevice(message) {
+  const deviceId = message.envelope.sender_device;
+  const find = (devices) => devices.find((d) => d.device_id === deviceId);
+  return find(await getDeviceKeys(message.sender_id))
+    || find(await getDeviceKeys(message.sender_id, { refresh: true }))
+    || null;
+}
+
+// ── Sessions ─────────────────────────────────────────────────────────────────
+// Stored per remote device as `${userId}:${deviceId}` -> [session, …].
+
+function loadSessions(userId) {
+  return readJson(`${SESSIONS_PREFIX}${userId}`, {});
+}
+
+function saveSessions(userId, sessions) {
+  localStorage.setItem(`${SESSIONS_PREFIX}${userId}`, JSON.stringify(sessions));
+}
+
+const sessionId = (userId, deviceId) => `${userId}:${deviceId}`;
+
+// Starts sessions with the devices of userId that don't have one yet
+async function startSessions(sessions, identity, userId, devices) {
+  const missing = devices.filter((d) => !sessions[sessionId(userId, d.device_id)]?.length);
+  if (missing.length === 0) return;
+
+  const { bundles } = await api.claimPrekeyBundles(userId, missing.map((d) => d.device_id));
+  for (const bundle of bundles || []) {
+    // Only against the identity key the directory (and the safety number) shows
+    const device = missing.find((d) => d.device_id === bundle.device_id);
+    if (!device || device.identity_key !== bundle.identity_key) continue;
+    try {
+      sessions[sessionId(userId, device.device_id)] = [await initiateSession(identity, bundle)];
+    } catch (err) {
+      console.error('[dm] Could not start a session:', err);
+    }
+  }
+}
+
+async function digest(...parts) {
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', concat(...parts)));
+}
+
+async function contentCipher(contentKey, usage) {
+  return crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, [usage]);
+}
+
+// ── Messages ────────────────────────────────────────────────────────────────
+
+// Binds each device's sealed key to this exact body and, for a group DM, to
+// the group it was sent in
+function associatedData(iv, body, groupId) {
+  return groupId ? digest(iv, body, encoder.encode(`group:${groupId}`)) : digest(iv, body);
+}
+
+// Encrypts content for the devices of userIds and myId's other devices. Throws
+// `unreachable` when none of userIds has a device that can receive it.
+function encryptFor(myId, userIds, content, { groupId = null, unreachable }) {
+  return withSessions(async () => {
+    const identity = getDeviceIdentity(myId);
+    const [ownDevices, ...userDevices] = await Promise.all([
+      getDeviceKeys(myId),
+      ...userIds.map((userId) => getDeviceKeys(userId).catch((err) => {
+        // One member's devices failing to load doesn't hold up the others in a group
+        if (!groupId) throw err;
+        console.error('[dm] Could not load device keys:', err);
+        return [];
+      })),
+    ]);
+    const otherOwnDevices = ownDevices.filter((d) => d.device_id !== identity.deviceId);
+
+    const sessions = loadSessions(myId);
+    for (let i = 0; i < userIds.length; i++) {
+      const started = startSessions(sessions, identity, userIds[i], userDevices[i]);
+      await (groupId ? started.catch(console.error) : started);
+    }
+    await startSessions(sessions, identity, myId, otherOwnDevices).catch(console.error);
+
+    const recipients = [
+      ...userIds.flatMap((userId, i) => userDevices[i].map((d) => sessionId(userId, d.device_id))),
+      ...otherOwnDevices.map((d) => sessionId(myId, d.device_id)),
+    ].filter((id) => sessions[id]?.length);
+    if (!recipients.some((id) => !id.startsWith(`${myId}:`))) throw new Error(unreachable);
+
+    const contentKey = crypto.getRandomValues(new Uint8Array(32));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const body = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv }, await contentCipher(contentKey, 'encrypt'), encoder.encode(content)
+    ));
+    const associated = await associatedData(iv, body, groupId);
+
+    const keys = {};
+    for (const id of recipients) {
+      const [current, ...previous] = sessions[id];
+      const { session, header, ciphertext } = await ratchetEncrypt(current, contentKey, associated);
+      sessions[id] = [session, ...previous];
+      // Entries are addressed like sessions, by user and device
+      keys[id] = { header, key: toBase64(ciphertext) };
+    }
+    saveSessions(myId, sessions);
+
+    return {
+      v: ENVELOPE_VERSION,
+      sender_device: identity.deviceId,
+      iv: toBase64(iv),
+      body: toBase64(body),
+      keys,
+    };
+  });
+}
+
+/**
+ * Encrypts a DM from myId to friendId. Resolves to the envelope for dm:send;
+ * rejects when the friend has no device that can receive encrypted DMs yet.
+ */
+export function encryptDM(myId, friendId, content) {
+  return encryptFor(myId, [friendId], content, {
+    unreachable: 'This friend has not opened NoVoice since encrypted DMs were introduced',
+  });
+}
+
+/**
+ * Encrypts a group DM from myId for every member's devices. Resolves to the
+ * envelope for dm:send; rejects when no other member can receive it yet.
+ * Members without a device yet miss the message.
+ */
+export function encryptGroupDM(myId, group, content) {
+  const memberIds = group.members.map((m) => m.id).filter((id) => id !== myId);
+  return encryptFor(myId, memberIds, content, {
+    groupId: group.id,
+    unreachable: 'Nobody else in this group has opened NoVoice since encrypted DMs were introduced',
+  });
+}
+
+// Opens the content key with the session it belongs to: the one its handshake
+// set up (started here if it's new), else whichever stored session opens it
+async function openContentKey(myId, identity, message, entry, associated) {
+  const id = sessionId(message.sender_id, message.envelope.sender_device);
+  const sessions = loadSessions(myId);
+  const existing = sessions[id] || [];
+  const ciphertext = fromBase64(entry.key);
+  const { prekey } = entry.header;
+
+  let opened = null;
+  let index = prekey ? existing.findIndex((s) => s.baseKey === prekey.ek) : -1;
+  if (prekey && index === -1) {
+    const sender = await findSenderDevice(message);
+    if (!sender || sender.identity_key !== prekey.ik) return null;
+
+    const prekeys = loadPrekeys(myId);
+    const session = await acceptSession(identity, prekey, findHandshakePrekeys(prekeys, prekey));
+    opened = await ratchetDecrypt(session, entry.header, ciphertext, associated);
+    // A one-time prekey opens exactly one session
+    if (prekey.opk !== null) {
+      delete prekeys.oneTime[prekey.opk];
+      savePrekeys(myId, prekeys);
+    }
+  } else {
+    const candidates = index === -1 ? existing.map((_, i) => i) : [index];
+    for (const i of candidates) {
+      try {
+        opened = await ratchetDecrypt(existing[i], entry.header, ciphertext, associated);
+        index = i;
+        break;
+      } catch {
+        // Not this session
+      }
+    }
+    if (!opened) return null;
+  }
+
+  // The session that last opened a message is the one to answer in
+  sessions[id] = [opened.session, ...existing.filter((_, i) => i !== index)].slice(0, SESSIONS_KEPT);
+  saveSessions(myId, sessions);
+  return opened.plaintext;
+}
+
+/**
+ * Decrypts a dm:new message for this device. Resolves to the plaintext, or
+ * null when the message wasn't encrypted for this device or fails to open.
+ */
+export function decryptDM(myId, message) {
+  return withSessions(async () => {
+    const envelope = message?.envelope;
+    if (envelope?.v !== ENVELOPE_VERSION) return null;
+
+    const identity = getDeviceIdentity(myId);
+    const entry = envelope.keys?.[sessionId(myId, identity.deviceId)];
+    if (!entry?.header) return null;
+
+    try {
+      const iv = fromBase64(envelope.iv);
+      const body = fromBase64(envelope.body);
+      const associated = await associatedData(iv, body, message.group_id);
+      const contentKey = await openContentKey(myId, identity, message, entry, associated);
+      if (!contentKey) return null;
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv }, await contentCipher(contentKey, 'decrypt'), body
+      );
+      return decoder.decode(plaintext);
+    } catch {
+      return null;
+    }
+  });
+}
+
+// ── Verification ────────────────────────────────────────────────────────────
+// The safety number covers the identity keys of every device on both sides:
+// 30 digits per user, the lower user id first, so both friends see the same
+// 60 digits. It changes whenever either side adds or replaces a device.
+
+async function userDigits(userId, devices) {
+  const keys = devices.map((d) => d.identity_key).sort().join(',');
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-512', encoder.encode(`${userId}|${keys}`)));
+  let digits = '';
+  for (let i = 0; i < 6; i += 1) {
+    const chunk = hash.slice(i * 5, i * 5 + 5).reduce((value, byte) => value * 256 + byte, 0);
+    digits += String(chunk % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+/** The safety number of a conversation as 12 groups of 5 digits. */
+export async function getSafetyNumber(myId, friendId) {
+  const [ownDevices, friendDevices] = await Promise.all([
+    getDeviceKeys(myId, { refresh: true }),
+    getDeviceKeys(friendId, { refresh: true }),
+  ]);
+  const parts = await Promise.all([
+    userDigits(myId, ownDevices),
+    userDigits(friendId, friendDevices),
+  ]);
+  const ordered = String(myId) < String(friendId) ? parts : parts.reverse();
+  return {
+    groups: ordered.join('').match(/\d{5}/g),
+    ownDevices,
+    friendDevices,
+  };
+}
+
+/** A short hex fingerprint of one device's identity key, for the device list. */
+export async function getKeyFingerprint(identityKey) {
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', fromBase64(identityKey)));
+  return [...hash.slice(0, 8)].map((byte) => byte.toString(16).padStart(2, '0')).join(' ').toUpperCase();
+}
+
+function loadVerified(myId) {
+  return readJson(`${VERIFIED_PREFIX}${myId}`, {});
+}
+
+/**
+ * 'verified' when the friend's safety number matches the one last marked as
+ * verified, 'changed' when it no longer does, else 'unverified'.
+ */
+export function getVerificationState(myId, friendId, safetyNumber) {
+  const verified = loadVerified(myId)[friendId];
+  if (!verified) return 'unverified';
+  return verified === safetyNumber ? 'verified' : 'changed';
+}
+
+/** Records (or with null, clears) the safety number the user compared with the friend. */
+export function setVerified(myId, friendId, safetyNumber) {
+  const verified = loadVerified(myId);
+  if (safetyNumber) verified[friendId] = safetyNumber;
+  else delete verified[friendId];
+  localStorage.setItem(`${VERIFIED_PREFIX}${myId}`, JSON.stringify(verified));
+}
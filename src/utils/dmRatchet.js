@@ -0,0 +1,269 @@
+/**
+ * X3DH handshake and double ratchet for DM sessions between two devices —
+ * the protocol behind utils/dmCrypto.js. Sessions are plain JSON (keys as
+ * base64) so they can be stored as they are; every function here returns a
+ * new session and leaves the one passed in untouched, so a message that
+ * fails to open never advances the stored state.
+ *
+ * Keys: X25519 (tweetnacl) for every Diffie-Hellman, HKDF-SHA-256 for the
+ * root chain, HMAC-SHA-256 for the sending and receiving chains, and
+ * AES-256-GCM for the per-message encryption (WebCrypto).
+ */
+
+import nacl from 'tweetnacl';
+
+// Message keys derived ahead for messages that haven't arrived yet: at most
+// this many per chain step, and this many per session overall
+const MAX_SKIP = 1000;
+const MAX_SKIPPED_KEYS = 2000;
+
+const encoder = new TextEncoder();
+const ZERO_SALT = new Uint8Array(32);
+
+export function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  const binary = atob(text);
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+export function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// ── Primitives ──────────────────────────────────────────────────────────────
+
+async function hkdf(ikm, salt, info, length) {
+  const key = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(info) }, key, length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+async function hmac(key, byte) {
+  const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, Uint8Array.of(byte)));
+}
+
+const dh = (secretKey, publicKey) => nacl.scalarMult(secretKey, publicKey);
+
+/** [next root key, new chain key] after mixing in a DH output. */
+async function kdfRoot(rootKey, dhOutput) {
+  const out = await hkdf(dhOutput, rootKey, 'NoVoice DM ratchet', 64);
+  return [out.slice(0, 32), out.slice(32)];
+}
+
+/** [next chain key, message key]. */
+async function kdfChain(chainKey) {
+  return Promise.all([hmac(chainKey, 2), hmac(chainKey, 1)]);
+}
+
+// Each message key is used exactly once, so the IV can come from it as well
+async function messageCipher(messageKey, usage) {
+  const material = await hkdf(messageKey, ZERO_SALT, 'NoVoice DM message', 44);
+  const key = await crypto.subtle.importKey('raw', material.slice(0, 32), 'AES-GCM', false, [usage]);
+  return { key, iv: material.slice(32) };
+}
+
+async function seal(messageKey, plaintext, additionalData) {
+  const { key, iv } = await messageCipher(messageKey, 'encrypt');
+  return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, plaintext));
+}
+
+async function open(messageKey, ciphertext, additionalData) {
+  const { key, iv } = await messageCipher(messageKey, 'decrypt');
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData }, key, ciphertext));
+}
+
+function encodeKeyPair(keyPair) {
+  return { publicKey: toBase64(keyPair.publicKey), secretKey: toBase64(keyPair.secretKey) };
+}
+
+// ── X3DH ────────────────────────────────────────────────────────────────────
+
+async function agree(dhOutputs) {
+  return hkdf(concat(new Uint8Array(32).fill(0xff), ...dhOutputs), ZERO_SALT, 'NoVoice DM X3DH', 32);
+}
+
+/**
+ * Starts a session with a device from its prekey bundle (as returned by
+ * POST /friends/keys/:userId/bundles). `identity` is this device's X25519
+ * key pair. Throws when the signed prekey isn't signed by the bundle's
+ * signing key. Until the other device answers, every message carries the
+ * handshake (header.prekey) so it can set up its side of the session.
+ */
+export async function initiateSession(identity, bundle) {
+  const signedPrekey = fromBase64(bundle.signed_prekey.key);
+  const signatureValid = nacl.sign.detached.verify(
+    signedPrekey, fromBase64(bundle.signed_prekey.signature), fromBase64(bundle.signing_key)
+  );
+  if (!signatureValid) throw new Error('The prekey bundle has an invalid signature');
+
+  const remoteIdentity = fromBase64(bundle.identity_key);
+  const ephemeral = nacl.box.keyPair();
+  const outputs = [
+    dh(identity.secretKey, signedPrekey),
+    dh(ephemeral.secretKey, remoteIdentity),
+    dh(ephemeral.secretKey, signedPrekey),
+  ];
+  if (bundle.one_time_prekey) outputs.push(dh(ephemeral.secretKey, fromBase64(bundle.one_time_prekey.key)));
+  const sharedKey = await agree(outputs);
+
+  const ratchet = nacl.box.keyPair();
+  const [rootKey, chainKey] = await kdfRoot(sharedKey, dh(ratchet.secretKey, signedPrekey));
+  return {
+    rootKey: toBase64(rootKey),
+    sendChain: { key: toBase64(chainKey), n: 0 },
+    recvChain: null,
+    previousCount: 0,
+    dhSelf: encodeKeyPair(ratchet),
+    dhRemote: bundle.signed_prekey.key,
+    skipped: {},
+    associatedData: toBase64(concat(identity.publicKey, remoteIdentity)),
+    baseKey: toBase64(ephemeral.publicKey),
+    pendingPrekey: {
+      ik: toBase64(identity.publicKey),
+      ek: toBase64(ephemeral.publicKey),
+      spk: bundle.signed_prekey.id,
+      opk: bundle.one_time_prekey?.id ?? null,
+    },
+  };
+}
+
+/**
+ * The other side of initiateSession, for a message whose header carries the
+ * handshake. `signedPrekey` and `oneTimePrekey` (or null) are the key pairs
+ * of the prekeys the handshake names. Decrypt the message with the result.
+ */
+export async function acceptSession(identity, prekey, { signedPrekey, oneTimePrekey }) {
+  const remoteIdentity = fromBase64(prekey.ik);
+  const ephemeral = fromBase64(prekey.ek);
+  const outputs = [
+    dh(signedPrekey.secretKey, remoteIdentity),
+    dh(identity.secretKey, ephemeral),
+    dh(signedPrekey.secretKey, ephemeral),
+  ];
+  if (oneTimePrekey) outputs.push(dh(oneTimePrekey.secretKey, ephemeral));
+  const sharedKey = await agree(outputs);
+
+  return {
+    rootKey: toBase64(sharedKey),
+    sendChain: null,
+    recvChain: null,
+    previousCount: 0,
+    dhSelf: encodeKeyPair(signedPrekey),
+    dhRemote: null,
+    skipped: {},
+    associatedData: toBase64(concat(remoteIdentity, identity.publicKey)),
+    baseKey: prekey.ek,
+    pendingPrekey: null,
+  };
+}
+
+// ── Double ratchet ──────────────────────────────────────────────────────────
+
+// The handshake fields aren't listed: they feed the session's keys instead
+function headerData(session, header, associated) {
+  return concat(
+    fromBase64(session.associatedData),
+    encoder.encode(`${header.dh}|${header.pn}|${header.n}|`),
+    associated
+  );
+}
+
+/**
+ * Encrypts one message (bytes) in the session. `associated` is authenticated
+ * along with it. Resolves to { session, header, ciphertext }.
+ */
+export async function ratchetEncrypt(session, plaintext, associated) {
+  if (!session.sendChain) throw new Error('This session cannot send before it has received a message');
+
+  const [chainKey, messageKey] = await kdfChain(fromBase64(session.sendChain.key));
+  const header = { dh: session.dhSelf.publicKey, pn: session.previousCount, n: session.sendChain.n };
+  if (session.pendingPrekey) header.prekey = session.pendingPrekey;
+
+  const ciphertext = await seal(messageKey, plaintext, headerData(session, header, associated));
+  return {
+    session: { ...session, sendChain: { key: toBase64(chainKey), n: session.sendChain.n + 1 } },
+    header,
+    ciphertext,
+  };
+}
+
+// Derives and keeps the keys of receiving-chain messages before `until`
+async function skipMessageKeys(state, until) {
+  if (!state.recvChain) return;
+  if (until - state.recvChain.n > MAX_SKIP) throw new Error('Too many messages missing');
+
+  let { key, n } = state.recvChain;
+  let chainKey = fromBase64(key);
+  while (n < until) {
+    const [nextChainKey, messageKey] = await kdfChain(chainKey);
+    state.skipped[`${state.dhRemote}:${n}`] = toBase64(messageKey);
+    chainKey = nextChainKey;
+    n += 1;
+  }
+  key = toBase64(chainKey);
+  state.recvChain = { key, n };
+
+  // Oldest first, as inserted
+  const ids = Object.keys(state.skipped);
+  for (const id of ids.slice(0, Math.max(0, ids.length - MAX_SKIPPED_KEYS))) delete state.skipped[id];
+}
+
+async function dhRatchetStep(state, remoteKey) {
+  state.previousCount = state.sendChain?.n ?? 0;
+  state.dhRemote = remoteKey;
+
+  const remote = fromBase64(remoteKey);
+  let [rootKey, chainKey] = await kdfRoot(fromBase64(state.rootKey), dh(fromBase64(state.dhSelf.secretKey), remote));
+  state.recvChain = { key: toBase64(chainKey), n: 0 };
+
+  const next = nacl.box.keyPair();
+  [rootKey, chainKey] = await kdfRoot(rootKey, dh(next.secretKey, remote));
+  state.dhSelf = encodeKeyPair(next);
+  state.rootKey = toBase64(rootKey);
+  state.sendChain = { key: toBase64(chainKey), n: 0 };
+}
+
+/**
+ * Decrypts one message in the session, whatever order it arrives in.
+ * Resolves to { session, plaintext }; rejects when it doesn't belong to the
+ * session, was tampered with, or was already opened.
+ */
+export async function ratchetDecrypt(session, header, ciphertext, associated) {
+  const state = { ...session, skipped: { ...session.skipped } };
+  const additionalData = headerData(session, header, associated);
+
+  const skippedId = `${header.dh}:${header.n}`;
+  if (state.skipped[skippedId]) {
+    const plaintext = await open(fromBase64(state.skipped[skippedId]), ciphertext, additionalData);
+    delete state.skipped[skippedId];
+    return { session: { ...state, pendingPrekey: null }, plaintext };
+  }
+
+  if (header.dh !== state.dhRemote) {
+    await skipMessageKeys(state, header.pn);
+    await dhRatchetStep(state, header.dh);
+  }
+  await skipMessageKeys(state, header.n);
+
+  const [chainKey, messageKey] = await kdfChain(fromBase64(state.recvChain.key));
+  state.recvChain = { key: toBase64(chainKey), n: state.recvChain.n + 1 };
+  const plaintext = await open(messageKey, ciphertext, additionalData);
+  // The other device has the session now; the handshake can stop riding along
+  return { session: { ...state, pendingPrekey: null }, plaintext };
+}
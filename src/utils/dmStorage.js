@@ -1,34 +1,542 @@
 /**
- * Local DM history — persists conversations to localStorage.
- * Keys are sorted so the key is the same regardless of who is sender/receiver.
- * Stores the last MAX_MESSAGES messages per conversation to limit storage usage.
+ * Local DM history — an IndexedDB database per user, encrypted at rest.
+ *
+ * Every message is stored as its own record, sealed with AES-GCM under a key
+ * derived from a random store secret. In Electron the secret is kept by the OS
+ * keychain (safeStorage, see electron/main.js); elsewhere it is wrapped with a
+ * key derived from the user's password, so the store stays locked after a
+ * token-only sign-in until the password is entered again. Messages that
+ * arrive while it's locked are held in memory and written on unlock.
+ *
+ * Records are listed per conversation by date for paging and carry blind
+ * search terms: HMACs of each word's prefixes, so full-text search works
+ * without the words themselves reaching the disk. Which records share a word
+ * and when messages were sent remain visible on disk; contents, senders and
+ * conversation partners don't. Only decrypted messages are kept: envelopes
+ * never reach storage, since their session keys are gone once opened
+ * (utils/dmCrypto.js).
  */
 
-const PREFIX = 'nv_dm_';
-const MAX_MESSAGES = 500;
+import { toBase64, fromBase64 } from './dmRatchet';
 
-function storageKey(id1, id2) {
-  const [a, b] = [String(id1), String(id2)].sort();
-  return `${PREFIX}${a}_${b}`;
+const DB_PREFIX = 'novoice-dm-';
+const DB_VERSION = 1;
+export const DM_PAGE_SIZE = 50;
+
+// History kept by earlier versions as `nv_dm_<id>_<id>` JSON arrays
+const LEGACY_KEY = /^nv_dm_([0-9a-f-]{36})_([0-9a-f-]{36})$/;
+
+const PBKDF2_ITERATIONS = 600000;
+const WORD = /[\p{L}\p{N}_]+/gu;
+// Word prefixes indexed for search; longer words match on their first
+// MAX_PREFIX characters and are then checked against the decrypted text
+const MIN_PREFIX = 2;
+const MAX_PREFIX = 16;
+const MAX_SEARCH_TERMS = 8;
+const IMPORT_BATCH = 500;
+
+const ARCHIVE_FORMAT = 'novoice-dm-archive';
+const ARCHIVE_VERSION = 1;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// { userId, db, recordKey, indexKey } while unlocked
+let store = null;
+// userId -> Promise, so overlapping unlocks share one attempt
+const unlocking = new Map();
+// Messages that arrived while the store was locked: [{ myId, friendId, message }]
+let pendingWrites = [];
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/** Calls `listener` whenever the store is unlocked or locked; returns an unsubscribe function. */
+export function onDMStoreChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
 }
 
-export function loadConversation(myId, friendId) {
+/** 'unlocked' when the user's history can be read and written, else 'locked'. */
+export function getDMStoreState(userId) {
+  return store && store.userId === userId ? 'unlocked' : 'locked';
+}
+
+// ── IndexedDB ───────────────────────────────────────────────────────────────
+// Transactions close as soon as they wait on anything else, so all the
+// crypto happens before a transaction is opened or after it completed.
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('The history store write was aborted'));
+  });
+}
+
+function openDatabase(userId) {
+  const req = indexedDB.open(`${DB_PREFIX}${userId}`, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    db.createObjectStore('meta', { keyPath: 'name' });
+    const messages = db.createObjectStore('messages', { keyPath: 'id' });
+    messages.createIndex('conversation', ['conversation', 'created_at']);
+    messages.createIndex('terms', 'terms', { multiEntry: true });
+  };
+  return request(req);
+}
+
+// Records of a key range on the conversation index, newest first
+function readRange(db, range, limit = Infinity) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const req = db.transaction('messages').objectStore('messages').index('conversation').openCursor(range, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || records.length >= limit) {
+        resolve(records);
+        return;
+      }
+      records.push(cursor.value);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ── Keys ────────────────────────────────────────────────────────────────────
+
+async function passwordKey(password, salt) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: PBKDF2_ITERATIONS },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptWith(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptWith(key, { iv, data }) {
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data)));
+}
+
+/**
+ * The store secret: from the OS keychain in Electron, else unwrapped with the
+ * password (and created on first use). Null when it needs a password that
+ * wasn't given; throws when the password doesn't open it.
+ */
+async function loadSecret(db, userId, password) {
+  const keychainSecret = await window.electronAPI?.dmStore?.getKey(userId).catch(() => null);
+  if (keychainSecret) return fromBase64(keychainSecret);
+  if (!password) return null;
+
+  const stored = await request(db.transaction('meta').objectStore('meta').get('secret'));
+  if (stored) {
+    try {
+      return await decryptWith(await passwordKey(password, fromBase64(stored.salt)), stored);
+    } catch {
+      throw new Error('Your password does not unlock this DM history. It may have been changed since.');
+    }
+  }
+
+  const secret = crypto.getRandomValues(new Uint8Array(32));
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const wrapped = await encryptWith(await passwordKey(password, salt), secret);
+  const tx = db.transaction('meta', 'readwrite');
+  tx.objectStore('meta').put({ name: 'secret', salt: toBase64(salt), ...wrapped });
+  await transactionDone(tx);
+  return secret;
+}
+
+async function deriveStoreKeys(secret) {
+  const material = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+  const derive = (info, algorithm, usages) => crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(32), info: encoder.encode(info) },
+    material, algorithm, false, usages
+  );
+  const [recordKey, indexKey] = await Promise.all([
+    derive('NoVoice DM history records', { name: 'AES-GCM', length: 256 }, ['encrypt', 'decrypt']),
+    derive('NoVoice DM history index', { name: 'HMAC', hash: 'SHA-256', length: 256 }, ['sign']),
+  ]);
+  return { recordKey, indexKey };
+}
+
+async function tag(indexKey, value) {
+  const mac = await crypto.subtle.sign('HMAC', indexKey, encoder.encode(value));
+  return toBase64(new Uint8Array(mac).slice(0, 16));
+}
+
+const conversationTag = (keys, friendId) => tag(keys.indexKey, `conversation:${friendId}`);
+const termTag = (keys, term) => tag(keys.indexKey, `term:${term}`);
+
+function words(text) {
+  return [...new Set(text.toLowerCase().match(WORD) || [])];
+}
+
+// Every indexed prefix of every word of the text
+function indexTerms(text) {
+  const terms = new Set();
+  for (const word of words(text)) {
+    const max = Math.min(word.length, MAX_PREFIX);
+    if (max < MIN_PREFIX) terms.add(word);
+    for (let length = MIN_PREFIX; length <= max; length += 1) terms.add(word.slice(0, length));
+  }
+  return [...terms];
+}
+
+// ── Records ─────────────────────────────────────────────────────────────────
+
+function toStoredMessage(message) {
+  if (typeof message?.id !== 'string' || typeof message.content !== 'string' || message.undecryptable) return null;
+  const { envelope: _envelope, wasPending: _wasPending, ...decrypted } = message;
+  return decrypted;
+}
+
+async function sealRecord(keys, friendId, message) {
+  const [conversation, sealed, terms] = await Promise.all([
+    conversationTag(keys, friendId),
+    encryptWith(keys.recordKey, encoder.encode(JSON.stringify(message))),
+    Promise.all(indexTerms(message.content).map((term) => termTag(keys, term))),
+  ]);
+  return { id: message.id, conversation, created_at: message.created_at || '', ...sealed, terms };
+}
+
+// Records that no longer open (written under another secret) are left out
+async function openRecords(keys, records) {
+  const opened = await Promise.all(records.map(async (record) => {
+    try {
+      return JSON.parse(decoder.decode(await decryptWith(keys.recordKey, record)));
+    } catch {
+      return null;
+    }
+  }));
+  return opened.filter(Boolean);
+}
+
+async function putMessages(keys, friendId, messages) {
+  const records = await Promise.all(messages.map((message) => sealRecord(keys, friendId, message)));
+  const tx = keys.db.transaction('messages', 'readwrite');
+  const objectStore = tx.objectStore('messages');
+  records.forEach((record) => objectStore.put(record));
+  await transactionDone(tx);
+}
+
+// ── Lock state ──────────────────────────────────────────────────────────────
+
+async function migrateLegacyHistory(keys, userId) {
+  for (const key of Object.keys(localStorage)) {
+    const match = LEGACY_KEY.exec(key);
+    if (!match || !match.slice(1).includes(String(userId))) continue;
+    const friendId = match[1] === String(userId) ? match[2] : match[1];
+    try {
+      const messages = JSON.parse(localStorage.getItem(key) || '[]').map(toStoredMessage).filter(Boolean);
+      await putMessages(keys, friendId, messages);
+      localStorage.removeItem(key);
+    } catch (err) {
+      console.error('[dm] Could not move old DM history into the encrypted store:', err);
+    }
+  }
+}
+
+async function flushPendingWrites(keys, userId) {
+  const writes = pendingWrites.filter((write) => write.myId === userId);
+  pendingWrites = pendingWrites.filter((write) => write.myId !== userId);
+  for (const { friendId, message } of writes) {
+    await putMessages(keys, friendId, [message]);
+  }
+}
+
+async function unlock(userId, password) {
+  const db = await openDatabase(userId);
+  let secret;
   try {
-    const raw = localStorage.getItem(storageKey(myId, friendId));
-    if (!raw) return [];
-    return JSON.parse(raw);
-  } catch {
-    return [];
+    secret = await loadSecret(db, userId, password);
+  } catch (err) {
+    db.close();
+    throw err;
+  }
+  if (!secret) {
+    db.close();
+    return false;
   }
+
+  const keys = { userId, db, ...(await deriveStoreKeys(secret)) };
+  lockDMStore({ keepPending: true });
+  store = keys;
+  await migrateLegacyHistory(keys, userId);
+  await flushPendingWrites(keys, userId);
+  notify();
+  return true;
+}
+
+/**
+ * Opens the user's history. Resolves to true once it's unlocked, false when
+ * it needs the password (outside Electron, or without a keychain); rejects
+ * when the password doesn't open it.
+ */
+export function unlockDMStore(userId, { password } = {}) {
+  if (getDMStoreState(userId) === 'unlocked') return Promise.resolve(true);
+  if (!unlocking.has(userId)) {
+    const attempt = unlock(userId, password).finally(() => unlocking.delete(userId));
+    unlocking.set(userId, attempt);
+  }
+  return unlocking.get(userId);
+}
+
+/** Closes the store (on sign-out); messages waiting for an unlock are dropped unless kept. */
+export function lockDMStore({ keepPending = false } = {}) {
+  if (!keepPending) pendingWrites = [];
+  if (!store) return;
+  store.db.close();
+  store = null;
+  notify();
+}
+
+/** Deletes the user's local history for good, for when its password is lost. */
+export async function resetDMStore(userId) {
+  if (store?.userId === userId) lockDMStore();
+  await request(indexedDB.deleteDatabase(`${DB_PREFIX}${userId}`));
+}
+
+// ── History ─────────────────────────────────────────────────────────────────
+
+/**
+ * Stores a decrypted message. While the store is locked it's kept in memory
+ * and written when it unlocks. Rejects when the write fails (e.g. quota).
+ */
+export async function appendMessage(myId, friendId, message) {
+  const stored = toStoredMessage(message);
+  if (!stored) return;
+  if (getDMStoreState(myId) !== 'unlocked') {
+    pendingWrites.push({ myId, friendId, message: stored });
+    return;
+  }
+  await putMessages(store, friendId, [stored]);
+}
+
+/**
+ * A page of a conversation, oldest first: the newest DM_PAGE_SIZE messages,
+ * or those before `before` (a created_at). Empty while the store is locked.
+ */
+export async function loadConversation(myId, friendId, { before = null, limit = DM_PAGE_SIZE } = {}) {
+  if (getDMStoreState(myId) !== 'unlocked') return { messages: [], hasMore: false };
+  const keys = store;
+  const conversation = await conversationTag(keys, friendId);
+  const range = IDBKeyRange.bound(
+    [conversation, ''], [conversation, before ?? '\uffff'], false, before !== null
+  );
+  const records = await readRange(keys.db, range, limit + 1);
+  const messages = await openRecords(keys, records.slice(0, limit));
+  return { messages: messages.reverse(), hasMore: records.length > limit };
+}
+
+function friendOf(myId, message) {
+  return message.sender_id === myId ? message.receiver_id : message.sender_id;
+}
+
+// A group DM is stored under the group's id, in place of a friend's
+function conversationOf(myId, message) {
+  return message.group_id || friendOf(myId, message);
+}
+
+/**
+ * Full-text search over local DMs, newest first: messages with a word
+ * starting with each term of the query, in one conversation (`friendId`) or
+ * all. Page with `before` (the last result's created_at). Resolves to
+ * { results: [{ ...message, friend_id }], terms } — group DMs keep their
+ * group_id and have no friend_id.
+ */
+export async function searchMessages(myId, query, { friendId = null, before = null, limit = 25 } = {}) {
+  const terms = words(query).slice(0, MAX_SEARCH_TERMS);
+  if (terms.length === 0 || getDMStoreState(myId) !== 'unlocked') return { results: [], terms };
+  const keys = store;
+
+  const [tags, conversation] = await Promise.all([
+    Promise.all(terms.map((term) => termTag(keys, term.length < MIN_PREFIX ? term : term.slice(0, MAX_PREFIX)))),
+    friendId ? conversationTag(keys, friendId) : null,
+  ]);
+
+  // Records that have every term, via the index
+  const index = keys.db.transaction('messages').objectStore('messages').index('terms');
+  const matches = await Promise.all(tags.map((t) => request(index.getAllKeys(IDBKeyRange.only(t)))));
+  const [first, ...rest] = matches.map((ids) => new Set(ids));
+  const ids = [...first].filter((id) => rest.every((set) => set.has(id)));
+
+  const objectStore = keys.db.transaction('messages').objectStore('messages');
+  const records = (await Promise.all(ids.map((id) => request(objectStore.get(id)))))
+    .filter((record) => record && (!conversation || record.conversation === conversation))
+    .filter((record) => !before || record.created_at < before)
+    .sort((a, b) => (a.created_at < b.created_at ? 1 : -1));
+
+  // Long terms only narrowed the search down to their prefix; check them for real
+  const results = [];
+  for (let i = 0; i < records.length && results.length < limit; i += DM_PAGE_SIZE) {
+    for (const message of await openRecords(keys, records.slice(i, i + DM_PAGE_SIZE))) {
+      const messageWords = words(message.content);
+      if (!terms.every((term) => messageWords.some((word) => word.startsWith(term)))) continue;
+      results.push({ ...message, friend_id: message.group_id ? null : friendOf(myId, message) });
+      if (results.length === limit) break;
+    }
+  }
+  return { results, terms };
+}
+
+// ── Archives ────────────────────────────────────────────────────────────────
+// A conversation exported to a file, encrypted with a passphrase of the
+// user's choosing so it can be moved to another install.
+
+/** The whole conversation as an encrypted archive file: { blob, count }. */
+export async function exportConversation(myId, friendId, passphrase) {
+  if (getDMStoreState(myId) !== 'unlocked') throw new Error('Unlock your DM history first');
+  const keys = store;
+  const conversation = await conversationTag(keys, friendId);
+  const records = await readRange(keys.db, IDBKeyRange.bound([conversation, ''], [conversation, '\uffff']));
+  const messages = (await openRecords(keys, records)).reverse();
+
+  const payload = {
+    owner_id: myId,
+    friend_id: friendId,
+    exported_at: new Date().toISOString(),
+    messages,
+  };
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const sealed = await encryptWith(await passwordKey(passphrase, salt), encoder.encode(JSON.stringify(payload)));
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    ...sealed,
+  };
+  return { blob: new Blob([JSON.stringify(archive)], { type: 'application/json' }), count: messages.length };
 }
 
-export function appendMessage(myId, friendId, message) {
+/**
+ * Adds the messages of an archive (its file text) to local history; ones
+ * already there are skipped. Resolves to { friendId, imported }.
+ */
+export async function importConversation(myId, text, passphrase) {
+  if (getDMStoreState(myId) !== 'unlocked') throw new Error('Unlock your DM history first');
+  const keys = store;
+
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not a NoVoice DM archive');
+  }
+  if (archive?.format !== ARCHIVE_FORMAT || archive.kdf?.name !== 'PBKDF2') {
+    throw new Error('This file is not a NoVoice DM archive');
+  }
+  if (archive.version !== ARCHIVE_VERSION) throw new Error('This archive was made by a newer version of NoVoice');
+
+  let payload;
   try {
-    const existing = loadConversation(myId, friendId);
-    if (existing.some((m) => m.id === message.id)) return; // deduplicate
-    const updated = [...existing, message].slice(-MAX_MESSAGES);
-    localStorage.setItem(storageKey(myId, friendId), JSON.stringify(updated));
+    const key = await passwordKey(passphrase, fromBase64(archive.kdf.salt));
+    payload = JSON.parse(decoder.decode(await decryptWith(key, archive)));
   } catch {
-    // localStorage full — fail silently
+    throw new Error('Wrong passphrase, or the archive is damaged');
+  }
+  if (payload.owner_id !== myId) throw new Error('This archive belongs to another account');
+
+  const friendId = payload.friend_id;
+  const messages = (Array.isArray(payload.messages) ? payload.messages : [])
+    .filter((m) => m && conversationOf(myId, m) === friendId);
+  return { friendId, imported: await storeImported(keys, myId, messages) };
+}
+
+// ── Device sync ─────────────────────────────────────────────────────────────
+// The whole history read out in chunks, in id order, for copying to another
+// device of the user (context/DMSyncContext.jsx). A chunk ends at a message
+// id, so a copy can go on from the last chunk that arrived.
+
+/** Number of messages in the user's history. */
+export async function countMessages(myId) {
+  if (getDMStoreState(myId) !== 'unlocked') throw new Error('Unlock your DM history first');
+  return request(store.db.transaction('messages').objectStore('messages').count());
+}
+
+/**
+ * The messages after the id `after` (null from the start), up to about
+ * `maxBytes` of records. Resolves to { messages, next, done }: `next` is the
+ * id to continue after.
+ */
+export async function readHistoryChunk(myId, { after = null, maxBytes = 256 * 1024 } = {}) {
+  if (getDMStoreState(myId) !== 'unlocked') throw new Error('Unlock your DM history first');
+  const keys = store;
+  const range = after === null ? null : IDBKeyRange.lowerBound(after, true);
+  const { records, done } = await new Promise((resolve, reject) => {
+    const found = [];
+    let bytes = 0;
+    const req = keys.db.transaction('messages').objectStore('messages').openCursor(range);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve({ records: found, done: true });
+        return;
+      }
+      if (found.length > 0 && bytes + cursor.value.data.length > maxBytes) {
+        resolve({ records: found, done: false });
+        return;
+      }
+      found.push(cursor.value);
+      bytes += cursor.value.data.length;
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+  return {
+    messages: await openRecords(keys, records),
+    next: records.length > 0 ? records[records.length - 1].id : after,
+    done,
+  };
+}
+
+/** Adds messages copied from another device; ones already here are skipped. Resolves to the number added. */
+export async function importHistory(myId, messages) {
+  if (getDMStoreState(myId) !== 'unlocked') throw new Error('Unlock your DM history first');
+  return storeImported(store, myId, Array.isArray(messages) ? messages : []);
+}
+
+// Stores the user's messages among `messages` that aren't stored yet; returns how many
+async function storeImported(keys, myId, messages) {
+  const valid = messages
+    .map(toStoredMessage)
+    .filter((m) => m && typeof m.created_at === 'string' && (m.group_id
+      ? typeof m.group_id === 'string' && !m.receiver_id
+      : m.sender_id !== m.receiver_id && (m.sender_id === myId || m.receiver_id === myId)));
+
+  const objectStore = keys.db.transaction('messages').objectStore('messages');
+  const existing = new Set(
+    (await Promise.all(valid.map((m) => request(objectStore.getKey(m.id))))).filter((id) => id !== undefined)
+  );
+  const byFriend = new Map();
+  for (const message of valid.filter((m) => !existing.has(m.id))) {
+    const friendId = conversationOf(myId, message);
+    if (!byFriend.has(friendId)) byFriend.set(friendId, []);
+    byFriend.get(friendId).push(message);
+  }
+  let imported = 0;
+  for (const [friendId, fresh] of byFriend) {
+    for (let i = 0; i < fresh.length; i += IMPORT_BATCH) {
+      await putMessages(keys, friendId, fresh.slice(i, i + IMPORT_BATCH));
+    }
+    imported += fresh.length;
   }
+  return imported;
 }
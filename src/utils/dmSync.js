@@ -0,0 +1,137 @@
+/**
+ * Keys and saved state for copying DM history between the user's devices
+ * (context/DMSyncContext.jsx runs the exchange, server/services/
+ * directMessages.js relays it).
+ *
+ * The device asking for history and each device answering send ephemeral
+ * X25519 keys through the server. Both derive the same chunk key and a
+ * six-digit code from them; the user compares the codes before allowing the
+ * copy, so a server that swapped the keys would show different codes. Every
+ * chunk is sealed with AES-GCM and bound to its place in the transfer.
+ *
+ * State survives reloads in localStorage, so a transfer that was cut off
+ * goes on from the last chunk that arrived: the request on the new device,
+ * the grants on the devices that answered it. Both expire after a day.
+ */
+
+import nacl from 'tweetnacl';
+import { toBase64, fromBase64 } from './dmRatchet';
+
+const REQUEST_KEY = 'nv_dm_sync_request_';
+const GRANTS_KEY = 'nv_dm_sync_grants_';
+const SYNC_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  if (value === null) localStorage.removeItem(key);
+  else localStorage.setItem(key, JSON.stringify(value));
+}
+
+const isFresh = (state) => Date.now() - new Date(state.created_at).getTime() < SYNC_EXPIRY_MS;
+
+// ── Saved state ─────────────────────────────────────────────────────────────
+
+/** This device's own request for history, or null. */
+export function loadSyncRequest(userId) {
+  const request = readJson(`${REQUEST_KEY}${userId}`, null);
+  return request && isFresh(request) ? request : null;
+}
+
+export function saveSyncRequest(userId, request) {
+  writeJson(`${REQUEST_KEY}${userId}`, request);
+}
+
+/** Requests of other devices this one answered: { [requestId]: grant }. */
+export function loadSyncGrants(userId) {
+  const grants = readJson(`${GRANTS_KEY}${userId}`, {});
+  return Object.fromEntries(Object.entries(grants).filter(([, grant]) => isFresh(grant)));
+}
+
+export function saveSyncGrants(userId, grants) {
+  writeJson(`${GRANTS_KEY}${userId}`, Object.keys(grants).length > 0 ? grants : null);
+}
+
+// ── Keys ────────────────────────────────────────────────────────────────────
+
+/** A new request: its id and ephemeral key pair (base64). */
+export function createSyncRequest() {
+  const keyPair = nacl.box.keyPair();
+  return {
+    id: crypto.randomUUID(),
+    publicKey: toBase64(keyPair.publicKey),
+    secretKey: toBase64(keyPair.secretKey),
+    created_at: new Date().toISOString(),
+  };
+}
+
+/** An ephemeral key pair for answering a request (base64). */
+export function createSyncKeyPair() {
+  const keyPair = nacl.box.keyPair();
+  return { publicKey: toBase64(keyPair.publicKey), secretKey: toBase64(keyPair.secretKey) };
+}
+
+/**
+ * The chunk key (base64) and the code to compare, from this side's secret
+ * key and the other side's public key. `requester` and `responder` are the
+ * device ids of the device asking and the one answering.
+ */
+export async function deriveSyncKeys(secretKey, peerPublicKey, { requestId, requester, responder }) {
+  const shared = nacl.scalarMult(fromBase64(secretKey), fromBase64(peerPublicKey));
+  const material = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: encoder.encode(requestId),
+      info: encoder.encode(`NoVoice DM sync|${requester}|${responder}`),
+    },
+    material,
+    36 * 8
+  ));
+  const number = new DataView(bits.buffer, 32, 4).getUint32(0) % 1000000;
+  const digits = String(number).padStart(6, '0');
+  return { key: toBase64(bits.slice(0, 32)), code: `${digits.slice(0, 3)} ${digits.slice(3)}` };
+}
+
+// Binds a chunk to its request and place, so chunks can't be replayed or reordered
+function chunkData(requestId, { after, next, done, count }) {
+  return encoder.encode(`${requestId}|${after ?? ''}|${next ?? ''}|${done}|${count}`);
+}
+
+async function chunkKey(key, usage) {
+  return crypto.subtle.importKey('raw', fromBase64(key), 'AES-GCM', false, [usage]);
+}
+
+/** Seals a chunk of messages: resolves to { after, next, done, count, iv, data }. */
+export async function sealSyncChunk(key, requestId, { messages, after, next, done }) {
+  const place = { after, next, done, count: messages.length };
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: chunkData(requestId, place) },
+    await chunkKey(key, 'encrypt'),
+    encoder.encode(JSON.stringify(messages))
+  );
+  return { ...place, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+/** Opens a chunk sealed with sealSyncChunk; resolves to its messages, rejects when it was tampered with. */
+export async function openSyncChunk(key, requestId, chunk) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(chunk.iv), additionalData: chunkData(requestId, chunk) },
+    await chunkKey(key, 'decrypt'),
+    fromBase64(chunk.data)
+  );
+  const messages = JSON.parse(decoder.decode(plaintext));
+  if (!Array.isArray(messages) || messages.length !== chunk.count) throw new Error('The chunk is damaged');
+  return messages;
+}
@@ -0,0 +1,74 @@
+// Mention markup — mirrors server/services/mentions.js
+//   <@userId>   <@&roleId>   <#channelId>   @everyone
+// The input shows readable labels (@alice, #general) and swaps them for ids on send.
+
+const MAX_SUGGESTIONS = 8;
+const MENTION_CHANNEL_TYPES = ['text', 'announcements'];
+
+/** '@' or '#' being typed right before the caret, with the text after it. */
+export function getMentionQuery(value, caret) {
+  const match = value.slice(0, caret).match(/(^|\s)([@#])([\p{L}\p{N}_.-]*)$/u);
+  if (!match) return null;
+  return { trigger: match[2], query: match[3].toLowerCase(), start: caret - match[3].length - 1 };
+}
+
+/**
+ * Autocomplete entries from a server details payload: { key, kind, label,
+ * token, hint, data }. `label` is what the input shows, `token` what is sent.
+ */
+export function getMentionSuggestions(details, { trigger, query }) {
+  if (!details) return [];
+  const matches = (...names) => names.some((name) => name?.toLowerCase().startsWith(query));
+
+  if (trigger === '#') {
+    return (details.channels || [])
+      .filter((channel) => MENTION_CHANNEL_TYPES.includes(channel.type) && matches(channel.name))
+      .slice(0, MAX_SUGGESTIONS)
+      .map((channel) => ({
+        key: `channel:${channel.id}`, kind: 'channel', label: `#${channel.name}`, token: `<#${channel.id}>`, data: channel,
+      }));
+  }
+
+  const members = (details.members || [])
+    .filter((member) => matches(member.username, member.display_name))
+    .map((member) => ({
+      key: `user:${member.id}`, kind: 'user', label: `@${member.username}`, token: `<@${member.id}>`,
+      hint: member.display_name, data: member,
+    }));
+  // The default role is @everyone itself
+  const roles = (details.roles || [])
+    .filter((role) => role.id !== details.server?.id && matches(role.name))
+    .map((role) => ({ key: `role:${role.id}`, kind: 'role', label: `@${role.name}`, token: `<@&${role.id}>`, data: role }));
+  const everyone = matches('everyone')
+    ? [{ key: 'everyone', kind: 'everyone', label: '@everyone', token: '@everyone', hint: 'Everyone who can see this channel' }]
+    : [];
+
+  return [...everyone, ...members, ...roles].slice(0, MAX_SUGGESTIONS);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Replaces the labels picked from autocomplete with their id tokens. */
+export function encodeMentions(text, picked) {
+  return [...picked.entries()]
+    .sort(([a], [b]) => b.length - a.length)
+    .reduce((out, [label, token]) => out.replace(
+      new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(label)}(?![\\p{L}\\p{N}_])`, 'gu'),
+      (_, before) => `${before}${token}`,
+    ), text);
+}
+
+/** Display text for a mention token from the tokenizer in MessageContent. */
+export function getMentionLabel(token, details) {
+  if (token.type === 'mention_everyone') return '@everyone';
+  if (token.type === 'mention_user') {
+    const member = details?.members?.find((m) => m.id === token.value);
+    return `@${member?.display_name || member?.username || 'unknown-user'}`;
+  }
+  if (token.type === 'mention_role') {
+    return `@${details?.roles?.find((r) => r.id === token.value)?.name || 'deleted-role'}`;
+  }
+  return `#${details?.channels?.find((c) => c.id === token.value)?.name || 'unknown-channel'}`;
+}
@@ -0,0 +1,79 @@
+// Server permission bits — mirrors server/services/permissions.js
+
+export const PERMISSIONS = {
+  ADMINISTRATOR: 1 << 0,
+  MANAGE_SERVER: 1 << 1,
+  MANAGE_ROLES: 1 << 2,
+  MANAGE_CHANNELS: 1 << 3,
+  MANAGE_MESSAGES: 1 << 4,
+  KICK_MEMBERS: 1 << 5,
+  BAN_MEMBERS: 1 << 6,
+  POST_ANNOUNCEMENTS: 1 << 7,
+  EDIT_RULES: 1 << 8,
+  MANAGE_EVENTS: 1 << 9,
+  MANAGE_TASKS: 1 << 10,
+  MANAGE_MUSIC: 1 << 11,
+  VIEW_CHANNEL: 1 << 12,
+  SEND_MESSAGES: 1 << 13,
+  CONNECT: 1 << 14,
+  SPEAK: 1 << 15,
+  MODERATE_MEMBERS: 1 << 16,
+  VIEW_AUDIT_LOG: 1 << 17,
+  MENTION_EVERYONE: 1 << 18,
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSIONS).reduce((all, flag) => all | flag, 0);
+
+// Order and copy for the role editor
+export const PERMISSION_OPTIONS = [
+  { flag: PERMISSIONS.ADMINISTRATOR, label: 'Administrator', description: 'Every permission, and bypasses all checks' },
+  { flag: PERMISSIONS.MANAGE_SERVER, label: 'Manage Server', description: 'Change the server name and color' },
+  { flag: PERMISSIONS.MANAGE_ROLES, label: 'Manage Roles', description: 'Create, edit and assign roles below their own' },
+  { flag: PERMISSIONS.MANAGE_CHANNELS, label: 'Manage Channels', description: 'Create, rename, reorder and delete channels and categories' },
+  { flag: PERMISSIONS.MANAGE_MESSAGES, label: 'Manage Messages', description: "Pin messages and delete other members' messages and forum posts" },
+  { flag: PERMISSIONS.KICK_MEMBERS, label: 'Kick Members', description: 'Remove members below them from the server' },
+  { flag: PERMISSIONS.BAN_MEMBERS, label: 'Ban Members', description: 'Ban users and lift bans' },
+  { flag: PERMISSIONS.POST_ANNOUNCEMENTS, label: 'Post Announcements', description: 'Post in announcement channels' },
+  { flag: PERMISSIONS.EDIT_RULES, label: 'Edit Rules', description: 'Edit rules channels' },
+  { flag: PERMISSIONS.MANAGE_EVENTS, label: 'Manage Events', description: 'Add and remove calendar events' },
+  { flag: PERMISSIONS.MANAGE_TASKS, label: 'Manage Tasks', description: 'Edit every task board and choose its editors' },
+  { flag: PERMISSIONS.MANAGE_MUSIC, label: 'Manage Music', description: 'Control voice music without joining the channel' },
+  { flag: PERMISSIONS.VIEW_CHANNEL, label: 'View Channels', description: 'See channels and read their history' },
+  { flag: PERMISSIONS.SEND_MESSAGES, label: 'Send Messages', description: 'Post messages, forum posts and replies' },
+  { flag: PERMISSIONS.CONNECT, label: 'Connect', description: 'Join voice channels' },
+  { flag: PERMISSIONS.SPEAK, label: 'Speak', description: 'Talk in voice channels' },
+  { flag: PERMISSIONS.MODERATE_MEMBERS, label: 'Timeout Members', description: 'Stop members from sending and speaking for a while' },
+  { flag: PERMISSIONS.VIEW_AUDIT_LOG, label: 'View Audit Log', description: 'See who changed what on the server' },
+  { flag: PERMISSIONS.MENTION_EVERYONE, label: 'Mention Everyone', description: 'Notify @everyone and whole roles with a mention' },
+];
+
+// What channel and category overwrites can allow or deny
+export const OVERWRITE_OPTIONS = [
+  { flag: PERMISSIONS.VIEW_CHANNEL, label: 'View Channel' },
+  { flag: PERMISSIONS.SEND_MESSAGES, label: 'Send Messages' },
+  { flag: PERMISSIONS.CONNECT, label: 'Connect' },
+  { flag: PERMISSIONS.SPEAK, label: 'Speak' },
+  { flag: PERMISSIONS.MANAGE_CHANNELS, label: 'Manage Channel' },
+];
+
+export function hasPermission(permissions, flag) {
+  if (permissions & PERMISSIONS.ADMINISTRATOR) return true;
+  return (permissions & flag) === flag;
+}
+
+/**
+ * Effective permissions for the current user from a server details payload.
+ * Servers that predate roles don't send `permissions` — fall back to owner-only.
+ */
+export function getServerPermissions(details, userId) {
+  if (typeof details?.permissions === 'number') return details.permissions;
+  return details?.server?.owner_id && details.server.owner_id === userId ? ALL_PERMISSIONS : 0;
+}
+
+/**
+ * Effective permissions in a channel, overwrites included. Channels from
+ * servers that predate overwrites carry no `permissions` — allow everything.
+ */
+export function getChannelPermissions(channel) {
+  return typeof channel?.permissions === 'number' ? channel.permissions : ALL_PERMISSIONS;
+}
@@ -0,0 +1,22 @@
+// ── Reaction summaries ─────────────────────────────────────────────────────
+// Targets carry `reactions: [{ emoji, count, me }]`. These helpers apply
+// server responses and `reaction:update` socket events to such a list.
+
+/** Sets one emoji's summary, dropping it when the count reaches zero. */
+export function setReactionSummary(reactions = [], { emoji, count, me }) {
+  if (count <= 0) return reactions.filter((r) => r.emoji !== emoji);
+  if (!reactions.some((r) => r.emoji === emoji)) return [...reactions, { emoji, count, me }];
+  return reactions.map((r) => (r.emoji === emoji ? { emoji, count, me } : r));
+}
+
+/** Applies a `reaction:update` event; `me` only changes when the event is ours. */
+export function applyReactionUpdate(reactions = [], { emoji, count, userId, added }, myUserId) {
+  const current = reactions.find((r) => r.emoji === emoji);
+  const me = userId === myUserId ? added : Boolean(current?.me);
+  return setReactionSummary(reactions, { emoji, count, me });
+}
+
+/** Updates the reactions of the item with `targetId` in a list. */
+export function updateReactionsIn(items, targetId, update) {
+  return items.map((item) => (item.id === targetId ? { ...item, reactions: update(item.reactions) } : item));
+}
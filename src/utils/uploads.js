@@ -0,0 +1,119 @@
+// Upload helpers — mirrors server/services/uploads.js
+// Images and videos in the formats below render inline; any other file is
+// posted as a download card: [file:<url>|<size in bytes>|<name>]
+// DM files are encrypted here before upload and posted as
+// [enc:<url>|<size>|<type>|<key>|<name>]; the server only sees ciphertext.
+
+const INLINE_MIME = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime',
+];
+
+export function uploadKind(mimeType) {
+  const mime = String(mimeType || '').toLowerCase();
+  if (INLINE_MIME.includes(mime)) return mime.split('/')[0];
+  if (mime.startsWith('audio/')) return 'audio';
+  return 'file';
+}
+
+export function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes < 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value >= 10 ? Math.round(value) : Math.round(value * 10) / 10} ${units[unit]}`;
+}
+
+// '|' and ']' would end the token early; '%' is escaped so names decode cleanly
+const escapeName = (name) => name.replace(/[%|\]]/g, (ch) => encodeURIComponent(ch));
+
+/** Message markup for an upload returned by the server. `serverBase` prefixes its url. */
+export function attachmentMarkup(upload, serverBase) {
+  const url = `${serverBase}${upload.url}`;
+  if (upload.kind === 'image') return `[img:${url}]`;
+  if (upload.kind === 'video') return `[vid:${url}]`;
+  return `[file:${url}|${upload.size}|${escapeName(upload.original_name)}]`;
+}
+
+/** Splits the body of a file: token into { url, size, name }. */
+export function parseFileToken(body) {
+  const [url, size, ...rest] = body.split('|');
+  const raw = rest.join('|');
+  let name = raw;
+  try {
+    name = decodeURIComponent(raw);
+  } catch {
+    // Typed by hand rather than produced by attachmentMarkup
+  }
+  return { url, size: Number.parseInt(size, 10), name: name || 'file' };
+}
+
+// ── Access ──────────────────────────────────────────────────────────────────
+// Upload links need the server's media token; <img> and <video> can't send
+// an Authorization header.
+
+const UPLOAD_PATH = /^\/(api\/)?uploads\//;
+
+/**
+ * url with ?token= added when it points at an upload on serverBase, unchanged
+ * for anything else. null while such a url has no token yet.
+ */
+export function withMediaToken(url, serverBase, token) {
+  if (!serverBase || !url.startsWith(`${serverBase}/`) || !UPLOAD_PATH.test(url.slice(serverBase.length))) {
+    return url;
+  }
+  if (!token) return null;
+  return `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+}
+
+// ── Encrypted DM attachments ────────────────────────────────────────────────
+// AES-256-GCM with a fresh key per file; the blob is the 12-byte IV followed
+// by the ciphertext. The key only travels inside the message.
+
+const IV_LENGTH = 12;
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+/** Encrypts a File for upload. Returns { blob, key } with the key as base64url. */
+export async function encryptFile(file) {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await file.arrayBuffer());
+  const rawKey = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  return { blob: new Blob([iv, ciphertext], { type: 'application/octet-stream' }), key: toBase64Url(rawKey) };
+}
+
+/** Decrypts a downloaded blob (ArrayBuffer) into a Blob of mimeType. Rejects when the key doesn't fit. */
+export async function decryptBlob(buffer, key, mimeType) {
+  const cryptoKey = await crypto.subtle.importKey('raw', fromBase64Url(key), 'AES-GCM', false, ['decrypt']);
+  const data = new Uint8Array(buffer);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: data.slice(0, IV_LENGTH) }, cryptoKey, data.slice(IV_LENGTH),
+  );
+  return new Blob([plaintext], { type: mimeType });
+}
+
+/** Message markup for an encrypted upload of `file` under `key`. */
+export function encryptedAttachmentMarkup(upload, serverBase, file, key) {
+  const type = (file.type || 'application/octet-stream').replace(/[|\]]/g, '');
+  return `[enc:${serverBase}${upload.url}|${file.size}|${type}|${key}|${escapeName(file.name || 'file')}]`;
+}
+
+/** Splits the body of an [enc:…] token into { url, size, mimeType, key, name }. */
+export function parseEncryptedToken(body) {
+  const [url, size, mimeType, key, ...rest] = body.split('|');
+  const { name } = parseFileToken(`||${rest.join('|')}`);
+  return { url, size: Number.parseInt(size, 10), mimeType: mimeType || 'application/octet-stream', key: key || '', name };
+}